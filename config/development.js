@@ -32,7 +32,10 @@ module.exports = {
   database: {
     type: 'local', // 'local' for JSON file, 'dynamodb' for AWS
     local: {
+      driver: 'json', // 'json' or 'sqlite' (overridable with DB_DRIVER)
       file: './data/local-db.json',
+      sqliteFile: './data/local-db.sqlite',
+      attachmentsDir: './data/attachments', // Attachment contents, one file per checksum
       autoSave: true,
       backup: {
         enabled: true,
@@ -45,6 +48,18 @@ module.exports = {
         issues: 'Issues-Dev',
         users: 'Users-Dev',
         sessions: 'UserSessions-Dev',
+        revokedTokens: 'RevokedTokens-Dev',
+        searchIndex: 'SearchIndex-Dev',
+        views: 'Views-Dev',
+        viewStates: 'ViewStates-Dev',
+        comments: 'Comments-Dev',
+        notifications: 'Notifications-Dev',
+        notificationSettings: 'NotificationSettings-Dev',
+        issueHistory: 'IssueHistory-Dev',
+        worklogs: 'Worklogs-Dev',
+        timers: 'Timers-Dev',
+        timesheets: 'Timesheets-Dev',
+        attachments: 'Attachments-Dev',
       },
       billing: 'PAY_PER_REQUEST',
       encryption: false, // Disabled for development
@@ -160,7 +175,7 @@ module.exports = {
     emailVerification: false, // Disabled for development
     passwordReset: false, // Disabled for development
     twoFactorAuth: false,
-    fileAttachments: false,
+    fileAttachments: true,
     realTimeNotifications: false,
     mockData: true, // Enable mock data for development
   },
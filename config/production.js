@@ -30,6 +30,18 @@ module.exports = {
       issues: 'Issues',
       users: 'Users',
       sessions: 'UserSessions',
+      revokedTokens: 'RevokedTokens',
+      searchIndex: 'SearchIndex',
+      views: 'Views',
+      viewStates: 'ViewStates',
+      comments: 'Comments',
+      notifications: 'Notifications',
+      notificationSettings: 'NotificationSettings',
+      issueHistory: 'IssueHistory',
+      worklogs: 'Worklogs',
+      timers: 'Timers',
+      timesheets: 'Timesheets',
+      attachments: 'Attachments',
     },
     billing: 'PAY_PER_REQUEST',
     encryption: true,
@@ -189,7 +201,7 @@ module.exports = {
     emailVerification: true,
     passwordReset: true,
     twoFactorAuth: false, // TODO: Implement in future
-    fileAttachments: false, // TODO: Implement in future
+    fileAttachments: true, // Contents in the stack's S3 bucket
     realTimeNotifications: false, // TODO: Implement in future
   },
 };
@@ -11,7 +11,16 @@
  * - DynamoDB table for issue storage
  * - DynamoDB table for user management
  * - DynamoDB table for user sessions
- * - Lambda function for API handling
+ * - DynamoDB table for revoked access tokens (logout denylist)
+ * - DynamoDB table for the issue search index
+ * - DynamoDB tables for saved views and per-user view state
+ * - DynamoDB table for issue comments
+ * - DynamoDB table for issue history (append-only for the API handler)
+ * - DynamoDB tables for worklogs, running timers and timesheet approvals
+ * - DynamoDB table for attachment records and a private S3 bucket for
+ *   their contents and image thumbnails
+ * - DynamoDB tables for user notifications and their mute settings
+ * - Lambda function for API handling (sends notification emails via SES)
  * - Lambda function for authentication
  * - API Gateway for HTTP endpoints
  * - IAM roles with least privilege access
@@ -21,6 +30,8 @@
  * - Least privilege IAM policies
  * - CORS configuration for web access
  * - DynamoDB encryption at rest
+ * - Attachment bucket blocks public access and requires TLS; files are
+ *   only downloaded through the API
  * - Lambda execution role isolation
  * - JWT secret management
  */
@@ -32,8 +43,12 @@ import { Runtime, Tracing } from "aws-cdk-lib/aws-lambda";
 import { NodejsFunction } from "aws-cdk-lib/aws-lambda-nodejs";
 import { HttpApi, CorsHttpMethod, CorsPreflightOptions, HttpMethod } from "aws-cdk-lib/aws-apigatewayv2";
 import { HttpLambdaIntegration } from "aws-cdk-lib/aws-apigatewayv2-integrations";
+import { PolicyStatement } from "aws-cdk-lib/aws-iam";
+import { BlockPublicAccess, Bucket, BucketEncryption } from "aws-cdk-lib/aws-s3";
 import { Secret } from "aws-cdk-lib/aws-secretsmanager";
 import * as path from "path";
+// Password policy and notification email settings for the Lambdas
+import productionConfig from "../../config/production";
 
 /**
  * Main infrastructure stack for the issue tracker application
@@ -62,6 +77,26 @@ export class IssueTrackerStack extends Stack {
       removalPolicy: RemovalPolicy.RETAIN, // Prevent accidental deletion
     });
 
+    // Add a GSI per GET /issues sort order; the API pages through the one
+    // asked for (see issue-repository.ts). DynamoDB creates only one GSI per
+    // update of an existing table, so `-c issueListIndexes=N` deploys the
+    // first N (raise it by one per deploy); a new table gets all of them.
+    const listIndexes = [
+      { sortBy: "createdAt", indexName: "CreatedAtIndex" },
+      { sortBy: "updatedAt", indexName: "UpdatedAtIndex" },
+      { sortBy: "priority", indexName: "PriorityIndex" },
+      { sortBy: "status", indexName: "StatusIndex" },
+      { sortBy: "title", indexName: "TitleIndex" },
+    ].slice(0, Number(this.node.tryGetContext("issueListIndexes") ?? 5));
+    for (const { sortBy, indexName } of listIndexes) {
+      issuesTable.addGlobalSecondaryIndex({
+        indexName,
+        partitionKey: { name: "listPartition", type: AttributeType.STRING },
+        sortKey: { name: `${sortBy}SortKey`, type: AttributeType.STRING },
+        projectionType: ProjectionType.ALL,
+      });
+    }
+
     // Create DynamoDB table for users
     const usersTable = new Table(this, "UsersTable", {
       tableName: "Users",
@@ -94,6 +129,118 @@ export class IssueTrackerStack extends Stack {
       projectionType: ProjectionType.ALL,
     });
 
+    // Create DynamoDB table for revoked access tokens, keyed by JWT ID
+    const revokedTokensTable = new Table(this, "RevokedTokensTable", {
+      tableName: "RevokedTokens",
+      partitionKey: { name: "jti", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+      timeToLiveAttribute: "expiresAt", // Drop entries once the token has expired
+    });
+
+    // Create DynamoDB table for the issue search index, one item per posting
+    const searchIndexTable = new Table(this, "SearchIndexTable", {
+      tableName: "SearchIndex",
+      partitionKey: { name: "term", type: AttributeType.STRING },
+      sortKey: { name: "docKey", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB tables for saved views and each user's pins / last seen
+    const viewsTable = new Table(this, "ViewsTable", {
+      tableName: "Views",
+      partitionKey: { name: "viewId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    const viewStatesTable = new Table(this, "ViewStatesTable", {
+      tableName: "ViewStates",
+      partitionKey: { name: "userId", type: AttributeType.STRING },
+      sortKey: { name: "viewId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for issue comments, grouped by issue
+    const commentsTable = new Table(this, "CommentsTable", {
+      tableName: "Comments",
+      partitionKey: { name: "issueId", type: AttributeType.STRING },
+      sortKey: { name: "commentId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for issue history events, grouped by issue
+    const issueHistoryTable = new Table(this, "IssueHistoryTable", {
+      tableName: "IssueHistory",
+      partitionKey: { name: "issueId", type: AttributeType.STRING },
+      sortKey: { name: "eventId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for worklogs, grouped by issue
+    const worklogsTable = new Table(this, "WorklogsTable", {
+      tableName: "Worklogs",
+      partitionKey: { name: "issueId", type: AttributeType.STRING },
+      sortKey: { name: "worklogId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for running timers, one per user
+    const timersTable = new Table(this, "TimersTable", {
+      tableName: "Timers",
+      partitionKey: { name: "userId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for timesheet approvals, grouped by week
+    const timesheetsTable = new Table(this, "TimesheetsTable", {
+      tableName: "Timesheets",
+      partitionKey: { name: "weekStart", type: AttributeType.STRING },
+      sortKey: { name: "userId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for attachment records, grouped by issue
+    const attachmentsTable = new Table(this, "AttachmentsTable", {
+      tableName: "Attachments",
+      partitionKey: { name: "issueId", type: AttributeType.STRING },
+      sortKey: { name: "attachmentId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create S3 bucket for attachment contents and thumbnails, keyed by checksum
+    const attachmentsBucket = new Bucket(this, "AttachmentsBucket", {
+      blockPublicAccess: BlockPublicAccess.BLOCK_ALL,
+      encryption: BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for notifications, grouped by recipient
+    const notificationsTable = new Table(this, "NotificationsTable", {
+      tableName: "Notifications",
+      partitionKey: { name: "userId", type: AttributeType.STRING },
+      sortKey: { name: "notificationId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // Create DynamoDB table for per-user notification mute settings
+    const notificationSettingsTable = new Table(this, "NotificationSettingsTable", {
+      tableName: "NotificationSettings",
+      partitionKey: { name: "userId", type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
     // Resolve paths to Lambda handlers
     const apiEntry = path.resolve(process.cwd(), "..", "services", "api", "src", "handler.ts");
     const authEntry = path.resolve(process.cwd(), "..", "services", "auth", "src", "handler.ts");
@@ -103,7 +250,7 @@ export class IssueTrackerStack extends Stack {
       runtime: Runtime.NODEJS_20_X, // Latest LTS version
       entry: apiEntry,
       handler: "handler",
-      memorySize: 256, // MB - suitable for API handling
+      memorySize: 512, // MB - room to decode uploaded images for thumbnails
       timeout: Duration.seconds(10), // 10 second timeout
       tracing: Tracing.ACTIVE, // Enable X-Ray tracing for monitoring
       bundling: {
@@ -114,8 +261,27 @@ export class IssueTrackerStack extends Stack {
       },
       environment: {
         TABLE_NAME: issuesTable.tableName,
+        // Sort orders listed from an index; the others are scanned
+        ISSUE_LIST_INDEXES: listIndexes.map(({ sortBy }) => sortBy).join(","),
         USERS_TABLE: usersTable.tableName,
         SESSIONS_TABLE: sessionsTable.tableName,
+        REVOKED_TOKENS_TABLE: revokedTokensTable.tableName,
+        SEARCH_INDEX_TABLE: searchIndexTable.tableName,
+        VIEWS_TABLE: viewsTable.tableName,
+        VIEW_STATES_TABLE: viewStatesTable.tableName,
+        COMMENTS_TABLE: commentsTable.tableName,
+        ISSUE_HISTORY_TABLE: issueHistoryTable.tableName,
+        WORKLOGS_TABLE: worklogsTable.tableName,
+        TIMERS_TABLE: timersTable.tableName,
+        TIMESHEETS_TABLE: timesheetsTable.tableName,
+        ATTACHMENTS_TABLE: attachmentsTable.tableName,
+        ATTACHMENTS_BUCKET: attachmentsBucket.bucketName,
+        NOTIFICATIONS_TABLE: notificationsTable.tableName,
+        NOTIFICATION_SETTINGS_TABLE: notificationSettingsTable.tableName,
+        // Notification emails are only sent when enabled in the production config
+        ...(productionConfig.notifications.email.enabled && {
+          EMAIL_FROM: productionConfig.notifications.email.ses.fromAddress,
+        }),
         JWT_SECRET_ARN: jwtSecret.secretArn,
       },
     });
@@ -137,7 +303,9 @@ export class IssueTrackerStack extends Stack {
       environment: {
         USERS_TABLE: usersTable.tableName,
         SESSIONS_TABLE: sessionsTable.tableName,
+        REVOKED_TOKENS_TABLE: revokedTokensTable.tableName,
         JWT_SECRET_ARN: jwtSecret.secretArn,
+        PASSWORD_POLICY: JSON.stringify(productionConfig.auth.password),
       },
     });
 
@@ -145,10 +313,34 @@ export class IssueTrackerStack extends Stack {
     issuesTable.grantReadWriteData(apiHandler);
     usersTable.grantReadData(apiHandler);
     sessionsTable.grantReadData(apiHandler);
+    revokedTokensTable.grantReadData(apiHandler);
+    searchIndexTable.grantReadWriteData(apiHandler);
+    viewsTable.grantReadWriteData(apiHandler);
+    viewStatesTable.grantReadWriteData(apiHandler);
+    commentsTable.grantReadWriteData(apiHandler);
+    // History is append-only: the handler can add events but not change them
+    issueHistoryTable.grantReadData(apiHandler);
+    issueHistoryTable.grant(apiHandler, "dynamodb:PutItem");
+    worklogsTable.grantReadWriteData(apiHandler);
+    timersTable.grantReadWriteData(apiHandler);
+    timesheetsTable.grantReadWriteData(apiHandler);
+    attachmentsTable.grantReadWriteData(apiHandler);
+    attachmentsBucket.grantReadWrite(apiHandler);
+    attachmentsBucket.grantDelete(apiHandler);
+    notificationsTable.grantReadWriteData(apiHandler);
+    notificationSettingsTable.grantReadWriteData(apiHandler);
+    jwtSecret.grantRead(apiHandler);
+    apiHandler.addToRolePolicy(
+      new PolicyStatement({
+        actions: ["ses:SendEmail"],
+        resources: ["*"],
+      })
+    );
 
     // Grant permissions to Auth handler
     usersTable.grantReadWriteData(authHandler);
     sessionsTable.grantReadWriteData(authHandler);
+    revokedTokensTable.grantReadWriteData(authHandler);
     jwtSecret.grantRead(authHandler);
 
     // Configure CORS for web application access
@@ -180,6 +372,13 @@ export class IssueTrackerStack extends Stack {
       integration: apiIntegration 
     });
 
+    // GET /issues/search - Full-text search (more specific than /issues/{id})
+    httpApi.addRoutes({
+      path: "/issues/search",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
     // GET /issues/{id} - Get specific issue
     // PUT /issues/{id} - Update issue
     // DELETE /issues/{id} - Delete issue
@@ -189,12 +388,218 @@ export class IssueTrackerStack extends Stack {
       integration: apiIntegration 
     });
 
+    // GET /issues/{id}/comments - List an issue's comments
+    // POST /issues/{id}/comments - Add a comment
+    httpApi.addRoutes({
+      path: "/issues/{id}/comments",
+      methods: [HttpMethod.GET, HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // PUT /issues/{id}/comments/{commentId} - Edit a comment
+    // DELETE /issues/{id}/comments/{commentId} - Delete a comment
+    httpApi.addRoutes({
+      path: "/issues/{id}/comments/{commentId}",
+      methods: [HttpMethod.PUT, HttpMethod.DELETE],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/history - An issue's activity history
+    httpApi.addRoutes({
+      path: "/issues/{id}/history",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/watchers - An issue's watchers
+    // POST /issues/{id}/watchers - Watch the issue
+    // DELETE /issues/{id}/watchers - Unwatch the issue
+    httpApi.addRoutes({
+      path: "/issues/{id}/watchers",
+      methods: [HttpMethod.GET, HttpMethod.POST, HttpMethod.DELETE],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/attachments - An issue's attachments
+    // POST /issues/{id}/attachments - Upload files (multipart/form-data)
+    httpApi.addRoutes({
+      path: "/issues/{id}/attachments",
+      methods: [HttpMethod.GET, HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/attachments/{attachmentId} - One attachment's record
+    // DELETE /issues/{id}/attachments/{attachmentId} - Delete an attachment
+    httpApi.addRoutes({
+      path: "/issues/{id}/attachments/{attachmentId}",
+      methods: [HttpMethod.GET, HttpMethod.DELETE],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/attachments/{attachmentId}/download - Its contents
+    httpApi.addRoutes({
+      path: "/issues/{id}/attachments/{attachmentId}/download",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/attachments/{attachmentId}/thumbnail - An image's thumbnail
+    httpApi.addRoutes({
+      path: "/issues/{id}/attachments/{attachmentId}/thumbnail",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/attachments/{attachmentId}/preview - A text file's start
+    httpApi.addRoutes({
+      path: "/issues/{id}/attachments/{attachmentId}/preview",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /issues/{id}/worklogs - An issue's worklogs and per-user totals
+    // POST /issues/{id}/worklogs - Log time
+    httpApi.addRoutes({
+      path: "/issues/{id}/worklogs",
+      methods: [HttpMethod.GET, HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // PUT /issues/{id}/worklogs/{worklogId} - Edit a worklog
+    // DELETE /issues/{id}/worklogs/{worklogId} - Delete a worklog
+    httpApi.addRoutes({
+      path: "/issues/{id}/worklogs/{worklogId}",
+      methods: [HttpMethod.PUT, HttpMethod.DELETE],
+      integration: apiIntegration,
+    });
+
+    // POST /issues/{id}/timer/start - Start the caller's timer
+    // POST /issues/{id}/timer/stop - Stop it and log the elapsed time
+    httpApi.addRoutes({
+      path: "/issues/{id}/timer/{action}",
+      methods: [HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // GET /timer - The caller's running timer
+    // DELETE /timer - Discard it without logging
+    httpApi.addRoutes({
+      path: "/timer",
+      methods: [HttpMethod.GET, HttpMethod.DELETE],
+      integration: apiIntegration,
+    });
+
+    // GET /worklogs/totals - Minutes logged per user
+    httpApi.addRoutes({
+      path: "/worklogs/totals",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /timesheets - Every member's minutes per day for a week
+    httpApi.addRoutes({
+      path: "/timesheets",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /timesheets/{userId}/{week} - A member's weekly timesheet
+    httpApi.addRoutes({
+      path: "/timesheets/{userId}/{week}",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // POST /timesheets/{userId}/{week}/submit - Submit the week
+    // POST /timesheets/{userId}/{week}/approve - Approve it
+    // POST /timesheets/{userId}/{week}/reject - Reject it
+    httpApi.addRoutes({
+      path: "/timesheets/{userId}/{week}/{action}",
+      methods: [HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // GET /workflow - Issue status workflow definition
+    httpApi.addRoutes({
+      path: "/workflow",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /users - Directory of users who can be mentioned
+    httpApi.addRoutes({
+      path: "/users",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /notifications - The caller's notifications and unread count
+    httpApi.addRoutes({
+      path: "/notifications",
+      methods: [HttpMethod.GET],
+      integration: apiIntegration,
+    });
+
+    // GET /notifications/settings - The caller's mute settings
+    // PUT /notifications/settings - Change them
+    httpApi.addRoutes({
+      path: "/notifications/settings",
+      methods: [HttpMethod.GET, HttpMethod.PUT],
+      integration: apiIntegration,
+    });
+
+    // POST /notifications/read-all - Mark all notifications read
+    httpApi.addRoutes({
+      path: "/notifications/read-all",
+      methods: [HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // POST /notifications/{id}/read - Mark a notification read
+    httpApi.addRoutes({
+      path: "/notifications/{id}/read",
+      methods: [HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // GET /views - Saved views visible to the caller
+    // POST /views - Save a view
+    httpApi.addRoutes({
+      path: "/views",
+      methods: [HttpMethod.GET, HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
+    // GET /views/{id} - Get saved view
+    // PUT /views/{id} - Update saved view
+    // DELETE /views/{id} - Delete saved view
+    httpApi.addRoutes({
+      path: "/views/{id}",
+      methods: [HttpMethod.GET, HttpMethod.PUT, HttpMethod.DELETE],
+      integration: apiIntegration,
+    });
+
+    // PUT /views/{id}/pin - Pin or unpin a view for the caller
+    httpApi.addRoutes({
+      path: "/views/{id}/pin",
+      methods: [HttpMethod.PUT],
+      integration: apiIntegration,
+    });
+
+    // POST /views/{id}/seen - Mark a view seen, clearing its unread count
+    httpApi.addRoutes({
+      path: "/views/{id}/seen",
+      methods: [HttpMethod.POST],
+      integration: apiIntegration,
+    });
+
     // Define API routes for authentication
     // POST /auth/register - User registration
     // POST /auth/login - User login
     // POST /auth/refresh - Refresh JWT token
     // GET /auth/me - Get current user info
     // POST /auth/logout - User logout
+    // POST /auth/logout-all - Logout from every session
     httpApi.addRoutes({
       path: "/auth/register",
       methods: [HttpMethod.POST],
@@ -225,6 +630,12 @@ export class IssueTrackerStack extends Stack {
       integration: authIntegration,
     });
 
+    httpApi.addRoutes({
+      path: "/auth/logout-all",
+      methods: [HttpMethod.POST],
+      integration: authIntegration,
+    });
+
     // Output the API endpoint URL for easy access
     new CfnOutput(this, "HttpApiUrl", { 
       value: httpApi.apiEndpoint, 
@@ -257,5 +668,83 @@ export class IssueTrackerStack extends Stack {
       exportName: "SessionsTableName",
       description: "DynamoDB table name for user sessions",
     });
+
+    new CfnOutput(this, "RevokedTokensTableName", {
+      value: revokedTokensTable.tableName,
+      exportName: "RevokedTokensTableName",
+      description: "DynamoDB table name for revoked access tokens",
+    });
+
+    new CfnOutput(this, "SearchIndexTableName", {
+      value: searchIndexTable.tableName,
+      exportName: "SearchIndexTableName",
+      description: "DynamoDB table name for the issue search index",
+    });
+
+    new CfnOutput(this, "ViewsTableName", {
+      value: viewsTable.tableName,
+      exportName: "ViewsTableName",
+      description: "DynamoDB table name for saved views",
+    });
+
+    new CfnOutput(this, "ViewStatesTableName", {
+      value: viewStatesTable.tableName,
+      exportName: "ViewStatesTableName",
+      description: "DynamoDB table name for per-user saved view state",
+    });
+
+    new CfnOutput(this, "CommentsTableName", {
+      value: commentsTable.tableName,
+      exportName: "CommentsTableName",
+      description: "DynamoDB table name for issue comments",
+    });
+
+    new CfnOutput(this, "IssueHistoryTableName", {
+      value: issueHistoryTable.tableName,
+      exportName: "IssueHistoryTableName",
+      description: "DynamoDB table name for issue history events",
+    });
+
+    new CfnOutput(this, "WorklogsTableName", {
+      value: worklogsTable.tableName,
+      exportName: "WorklogsTableName",
+      description: "DynamoDB table name for worklogs",
+    });
+
+    new CfnOutput(this, "TimersTableName", {
+      value: timersTable.tableName,
+      exportName: "TimersTableName",
+      description: "DynamoDB table name for running timers",
+    });
+
+    new CfnOutput(this, "TimesheetsTableName", {
+      value: timesheetsTable.tableName,
+      exportName: "TimesheetsTableName",
+      description: "DynamoDB table name for timesheet approvals",
+    });
+
+    new CfnOutput(this, "AttachmentsTableName", {
+      value: attachmentsTable.tableName,
+      exportName: "AttachmentsTableName",
+      description: "DynamoDB table name for attachment records",
+    });
+
+    new CfnOutput(this, "AttachmentsBucketName", {
+      value: attachmentsBucket.bucketName,
+      exportName: "AttachmentsBucketName",
+      description: "S3 bucket name for attachment contents",
+    });
+
+    new CfnOutput(this, "NotificationsTableName", {
+      value: notificationsTable.tableName,
+      exportName: "NotificationsTableName",
+      description: "DynamoDB table name for user notifications",
+    });
+
+    new CfnOutput(this, "NotificationSettingsTableName", {
+      value: notificationSettingsTable.tableName,
+      exportName: "NotificationSettingsTableName",
+      description: "DynamoDB table name for notification mute settings",
+    });
   }
 }
@@ -0,0 +1,342 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Attachments - Files Uploaded to Issues
+ *
+ * Files are uploaded to an issue as multipart/form-data, one or more `file`
+ * parts per request. Each file must be one of ATTACHMENT_TYPES (checked by
+ * extension and, for binary formats, by its leading bytes) and at most
+ * ATTACHMENT_MAX_BYTES. The limit keeps a file within the Lambda's 6 MB
+ * request payload once API Gateway has base64-encoded it.
+ *
+ * Stored bytes are addressed by their SHA-256 checksum, so identical files
+ * are kept once however many issues they are attached to, and uploading a
+ * file an issue already has returns the existing attachment. The bytes are
+ * removed once no attachment refers to them.
+ *
+ * Any user who can create issues can attach files; an attachment's uploader
+ * or anyone with delete_issues can delete it. Downloads need a valid access
+ * token, like reading the issue.
+ */
+
+import { createHash } from "crypto";
+import type { JWTPayload } from "./index";
+import { hasPermission, Permission } from "./permissions";
+import { ValidationError } from "./validation";
+
+/**
+ * Largest file that can be attached, in bytes
+ */
+export const ATTACHMENT_MAX_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Most files one upload request may carry
+ */
+export const ATTACHMENT_MAX_FILES = 10;
+
+/**
+ * Longest attachment file name
+ */
+export const ATTACHMENT_NAME_MAX_LENGTH = 255;
+
+/**
+ * Content type stored and served for each allowed file extension
+ */
+export const ATTACHMENT_TYPES: Record<string, string> = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+};
+
+// Leading bytes of the binary formats, so a renamed file is not accepted
+// as one of them (text files have no signature)
+const SIGNATURES: Record<string, number[][]> = {
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/png": [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  "image/gif": [[0x47, 0x49, 0x46, 0x38]],
+  "application/pdf": [[0x25, 0x50, 0x44, 0x46]],
+  "application/msword": [[0xd0, 0xcf, 0x11, 0xe0]],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [
+    [0x50, 0x4b, 0x03, 0x04],
+  ],
+};
+
+/**
+ * A file attached to an issue, as stored
+ */
+export interface Attachment {
+  attachmentId: string;
+  issueId: string;
+  name: string;
+  contentType: string;
+  size: number; // Bytes
+  checksum: string; // SHA-256 of the bytes, hex; also their storage key
+  uploadedBy: string; // User ID
+  uploaderEmail: string;
+  createdAt: string;
+  thumbnail: { width: number; height: number } | null; // Images only (see previews.ts)
+}
+
+/**
+ * An attachment in a POST /issues/{id}/attachments response
+ */
+export interface AttachmentUpload extends Attachment {
+  duplicate: boolean; // The issue already had this file; nothing was stored
+}
+
+/**
+ * A file part of a multipart/form-data body
+ */
+export interface UploadedFile {
+  name: string;
+  contentType: string; // As declared by the client
+  data: Buffer;
+}
+
+/**
+ * Where attachment bytes are kept, keyed by checksum (local disk for
+ * server.js, S3 for the Lambda)
+ */
+export interface AttachmentStore {
+  exists(checksum: string): Promise<boolean>;
+  put(checksum: string, data: Buffer, contentType: string): Promise<void>;
+  /** The stored bytes, or null if there are none */
+  get(checksum: string): Promise<Buffer | null>;
+  delete(checksum: string): Promise<void>;
+}
+
+/**
+ * Rejected file (too large or of a type that is not allowed), carrying the
+ * HTTP status and error fields used in API responses
+ */
+export class AttachmentError extends Error {
+  readonly error = "Attachment rejected";
+
+  constructor(
+    message: string,
+    readonly statusCode: 413 | 415,
+    readonly details: {
+      name: string | null;
+      maxBytes?: number;
+      allowedTypes?: string[];
+    }
+  ) {
+    super(message);
+    this.name = "AttachmentError";
+  }
+}
+
+/**
+ * Split a multipart/form-data body into its file parts (other fields are
+ * ignored)
+ *
+ * @param contentType - The request's Content-Type header, with the boundary
+ * @throws ValidationError when the body is not multipart/form-data, is
+ *   malformed, or carries no file or more than ATTACHMENT_MAX_FILES
+ */
+export function parseMultipart(
+  body: Buffer,
+  contentType: string | undefined
+): UploadedFile[] {
+  const boundary =
+    /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(
+      contentType ?? ""
+    );
+  if (!boundary) {
+    throw new ValidationError([
+      { field: "body", message: "Expected a multipart/form-data body" },
+    ]);
+  }
+  const delimiter = Buffer.from(`\r\n--${boundary[1] ?? boundary[2]}`);
+  const malformed = new ValidationError([
+    { field: "body", message: "Malformed multipart body" },
+  ]);
+
+  // Prefixing CRLF lets the first delimiter match like the others
+  const content = Buffer.concat([Buffer.from("\r\n"), body]);
+  const files: UploadedFile[] = [];
+  let position = content.indexOf(delimiter);
+  if (position === -1) {
+    throw malformed;
+  }
+  for (;;) {
+    const partStart = position + delimiter.length;
+    if (content.subarray(partStart, partStart + 2).toString() === "--") {
+      break; // Closing delimiter
+    }
+    const headersEnd = content.indexOf("\r\n\r\n", partStart);
+    const next = content.indexOf(delimiter, headersEnd + 4);
+    if (headersEnd === -1 || next === -1) {
+      throw malformed;
+    }
+    const headers = content.subarray(partStart + 2, headersEnd).toString();
+    const filename = /^content-disposition:.*;\s*filename="([^"]*)"/im.exec(
+      headers
+    );
+    if (filename) {
+      files.push({
+        // Some browsers send the full client-side path
+        name: filename[1].split(/[\\/]/).pop()?.trim() ?? "",
+        contentType:
+          /^content-type:\s*([^\r\n;]+)/im.exec(headers)?.[1].trim() ??
+          "application/octet-stream",
+        data: content.subarray(headersEnd + 4, next),
+      });
+    }
+    position = next;
+  }
+
+  if (files.length === 0) {
+    throw new ValidationError([{ field: "file", message: "No file uploaded" }]);
+  }
+  if (files.length > ATTACHMENT_MAX_FILES) {
+    throw new ValidationError([
+      {
+        field: "file",
+        message: `At most ${ATTACHMENT_MAX_FILES} files can be uploaded at once`,
+      },
+    ]);
+  }
+  return files;
+}
+
+/**
+ * SHA-256 checksum of a file's bytes, hex
+ */
+export function attachmentChecksum(data: Buffer): string {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Check a file against the name, size and type limits
+ *
+ * @returns The content type to store and serve it with
+ * @throws ValidationError for a missing or overlong name
+ * @throws AttachmentError when the file is too large (413) or not an
+ *   allowed type (415)
+ */
+export function checkAttachmentFile(file: UploadedFile): string {
+  if (!file.name || file.name.length > ATTACHMENT_NAME_MAX_LENGTH) {
+    throw new ValidationError([
+      {
+        field: "file",
+        message: `File name must be 1-${ATTACHMENT_NAME_MAX_LENGTH} characters`,
+      },
+    ]);
+  }
+  if (file.data.length > ATTACHMENT_MAX_BYTES) {
+    throw new AttachmentError(
+      `${file.name} is larger than ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB`,
+      413,
+      { name: file.name, maxBytes: ATTACHMENT_MAX_BYTES }
+    );
+  }
+
+  const extension = /\.[^.]+$/.exec(file.name.toLowerCase())?.[0] ?? "";
+  const contentType = ATTACHMENT_TYPES[extension];
+  const signatures = (contentType && SIGNATURES[contentType]) || [];
+  const signed =
+    signatures.length === 0 ||
+    signatures.some(signature =>
+      signature.every((byte, i) => file.data[i] === byte)
+    );
+  if (!contentType || !signed) {
+    throw new AttachmentError(
+      contentType
+        ? `${file.name} is not a valid ${extension.slice(1).toUpperCase()} file`
+        : `${file.name} is not an allowed file type`,
+      415,
+      { name: file.name, allowedTypes: Object.keys(ATTACHMENT_TYPES) }
+    );
+  }
+  return contentType;
+}
+
+/**
+ * Build a new attachment from an uploaded file
+ *
+ * @throws ValidationError or AttachmentError (see checkAttachmentFile)
+ */
+export function createAttachment(
+  attachmentId: string,
+  issueId: string,
+  file: UploadedFile,
+  user: Pick<JWTPayload, "userId" | "email">
+): Attachment {
+  return {
+    attachmentId,
+    issueId,
+    name: file.name,
+    contentType: checkAttachmentFile(file),
+    size: file.data.length,
+    checksum: attachmentChecksum(file.data),
+    uploadedBy: user.userId,
+    uploaderEmail: user.email,
+    createdAt: new Date().toISOString(),
+    thumbnail: null,
+  };
+}
+
+/**
+ * Check whether a user can delete an attachment: its uploader, or anyone
+ * with the delete_issues permission
+ */
+export function canDeleteAttachment(
+  attachment: Attachment,
+  user: Pick<JWTPayload, "userId" | "role">
+): boolean {
+  return (
+    attachment.uploadedBy === user.userId ||
+    hasPermission(user.role, Permission.DELETE_ISSUES)
+  );
+}
+
+/**
+ * Attachments in the order they were uploaded
+ */
+export function sortAttachments(attachments: Attachment[]): Attachment[] {
+  return [...attachments].sort(
+    (a, b) =>
+      a.createdAt.localeCompare(b.createdAt) ||
+      a.attachmentId.localeCompare(b.attachmentId)
+  );
+}
+
+/**
+ * Checksums of removed attachments that no remaining attachment refers to,
+ * whose stored bytes can be deleted
+ */
+export function orphanedChecksums(
+  removed: Attachment[],
+  remaining: Attachment[]
+): string[] {
+  const referenced = new Set(remaining.map(({ checksum }) => checksum));
+  return [...new Set(removed.map(({ checksum }) => checksum))].filter(
+    checksum => !referenced.has(checksum)
+  );
+}
+
+/**
+ * Content-Disposition header value that downloads a file under its name
+ * (quotes and control characters replaced in the plain form), or with
+ * `inline` shows it in place
+ */
+export function contentDisposition(
+  name: string,
+  type: "attachment" | "inline" = "attachment"
+): string {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
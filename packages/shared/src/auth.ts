@@ -0,0 +1,321 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Authentication - JWT Signing and Verification
+ *
+ * Token handling shared by the local development server (server.js) and
+ * the Lambda handlers, so a token issued by either is accepted by both.
+ *
+ * - generateTokens: sign an access/refresh token pair for a user session
+ * - verifyAccessToken / verifyRefreshToken: HS256 verification incl. `exp`
+ * - authenticate: middleware that verifies the Bearer token on a request,
+ *   rejects revoked tokens and attaches the JWT payload as `request.user`
+ *
+ * Revocation:
+ * Access tokens carry a unique `jti` and their `sessionId`. Logging out puts
+ * the `jti` on a denylist until the token's `exp` and revokes the session;
+ * a RevocationList answers "is this token revoked?" for the middleware.
+ */
+
+import { randomUUID } from "crypto";
+import jwt from "jsonwebtoken";
+import type { JWTPayload, User } from "./index";
+import type { Session } from "./session";
+
+/**
+ * Access token lifetime in seconds (24 hours)
+ */
+export const ACCESS_TOKEN_TTL = 24 * 60 * 60;
+
+/**
+ * Refresh token lifetime in seconds (7 days)
+ */
+export const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Fallback signing secret for local development only
+ */
+export const DEV_JWT_SECRET = "your-secret-key-change-in-production";
+
+let jwtSecret: Promise<string> | undefined;
+
+/**
+ * Resolve the JWT signing secret, once per process
+ *
+ * - JWT_SECRET: used as is
+ * - JWT_SECRET_ARN: read from Secrets Manager (the `secret` key of the JSON
+ *   secret IssueTrackerStack generates)
+ * - Neither: DEV_JWT_SECRET, but only for local runs. In a Lambda or with
+ *   NODE_ENV=production this rejects instead, as anyone can sign tokens
+ *   with the public dev secret.
+ *
+ * A failed lookup is not cached, so the next request tries again.
+ */
+export function resolveJwtSecret(): Promise<string> {
+  if (!jwtSecret) {
+    jwtSecret = loadJwtSecret();
+    jwtSecret.catch(() => {
+      jwtSecret = undefined;
+    });
+  }
+  return jwtSecret;
+}
+
+async function loadJwtSecret(): Promise<string> {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  const secretArn = process.env.JWT_SECRET_ARN;
+  if (secretArn) {
+    // Loaded on this path only, so server.js does not load the AWS SDK
+    const { GetSecretValueCommand, SecretsManagerClient } =
+      await import("@aws-sdk/client-secrets-manager");
+    const client = new SecretsManagerClient({});
+    const { SecretString } = await client.send(
+      new GetSecretValueCommand({ SecretId: secretArn })
+    );
+    let secret: unknown;
+    try {
+      secret = JSON.parse(SecretString ?? "{}").secret;
+    } catch {
+      secret = undefined;
+    }
+    if (typeof secret !== "string" || !secret) {
+      throw new Error(`JWT secret ${secretArn} has no "secret" value`);
+    }
+    return secret;
+  }
+
+  if (
+    process.env.AWS_LAMBDA_FUNCTION_NAME ||
+    process.env.NODE_ENV === "production"
+  ) {
+    throw new Error(
+      "No JWT secret configured: set JWT_SECRET_ARN or JWT_SECRET"
+    );
+  }
+  return DEV_JWT_SECRET;
+}
+
+/**
+ * Payload of a refresh token
+ */
+export interface RefreshTokenPayload {
+  userId: string;
+  type: "refresh";
+  sessionId: string;
+  rotation: number;
+  iat: number;
+  exp: number;
+}
+
+/**
+ * Authentication failure, carrying the HTTP status and error fields used in
+ * API responses
+ */
+export class AuthError extends Error {
+  readonly statusCode = 401;
+
+  constructor(
+    readonly error:
+      "Missing token" | "Invalid token" | "Token expired" | "Token revoked",
+    message: string
+  ) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * Denylist entry for a revoked access token, kept until the token expires
+ */
+export interface RevokedToken {
+  jti: string;
+  userId: string;
+  revokedAt: string;
+  expiresAt: number; // Epoch seconds, the token's `exp`
+}
+
+/**
+ * Revocation lookup used by the middleware
+ */
+export interface RevocationList {
+  /**
+   * True if the token's `jti` is on the denylist or its session was revoked
+   */
+  isRevoked(token: JWTPayload): Promise<boolean>;
+}
+
+/**
+ * Build the denylist entry for an access token
+ */
+export function revokedTokenEntry(
+  token: JWTPayload,
+  now: Date = new Date()
+): RevokedToken {
+  return {
+    jti: token.jti,
+    userId: token.userId,
+    revokedAt: now.toISOString(),
+    expiresAt: token.exp,
+  };
+}
+
+/**
+ * Minimal request shape the middleware needs (Node IncomingMessage and
+ * API Gateway events both fit)
+ */
+export interface RequestWithHeaders {
+  headers: Record<string, string | string[] | undefined>;
+}
+
+/**
+ * Request after successful authentication
+ */
+export type AuthenticatedRequest<T extends RequestWithHeaders> = T & {
+  user: JWTPayload;
+};
+
+/**
+ * Sign an access/refresh token pair for a user
+ *
+ * The refresh token is bound to the session's current rotation counter
+ * (see session.ts).
+ */
+export function generateTokens(
+  user: Pick<User, "userId" | "email" | "role">,
+  secret: string,
+  session: Pick<Session, "sessionId" | "rotation">
+): { token: string; refreshToken: string } {
+  const token = jwt.sign(
+    {
+      userId: user.userId,
+      email: user.email,
+      role: user.role,
+      sessionId: session.sessionId,
+    },
+    secret,
+    { algorithm: "HS256", expiresIn: ACCESS_TOKEN_TTL, jwtid: randomUUID() }
+  );
+  const refreshToken = jwt.sign(
+    {
+      userId: user.userId,
+      type: "refresh",
+      sessionId: session.sessionId,
+      rotation: session.rotation,
+    },
+    secret,
+    { algorithm: "HS256", expiresIn: REFRESH_TOKEN_TTL }
+  );
+
+  return { token, refreshToken };
+}
+
+/**
+ * Extract a Bearer token from request headers
+ */
+export function extractBearerToken(
+  headers: RequestWithHeaders["headers"]
+): string | null {
+  const header = headers.authorization ?? headers.Authorization;
+  const authHeader = Array.isArray(header) ? header[0] : header;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+/**
+ * Verify an HS256 token signature and expiry
+ */
+function verifyToken(token: string, secret: string): jwt.JwtPayload {
+  try {
+    const decoded = jwt.verify(token, secret, { algorithms: ["HS256"] });
+    if (typeof decoded === "string" || typeof decoded.exp !== "number") {
+      throw new AuthError("Invalid token", "Invalid authorization token");
+    }
+    return decoded;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      throw error;
+    }
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new AuthError("Token expired", "Authorization token has expired");
+    }
+    throw new AuthError("Invalid token", "Invalid authorization token");
+  }
+}
+
+/**
+ * Verify an access token and return its payload
+ *
+ * @throws AuthError if the token is malformed, expired, signed with another
+ * secret or is a refresh token
+ */
+export function verifyAccessToken(token: string, secret: string): JWTPayload {
+  const decoded = verifyToken(token, secret);
+  if (
+    decoded.type === "refresh" ||
+    !decoded.userId ||
+    !decoded.role ||
+    typeof decoded.jti !== "string" ||
+    typeof decoded.sessionId !== "string"
+  ) {
+    throw new AuthError("Invalid token", "Invalid authorization token");
+  }
+  return decoded as JWTPayload;
+}
+
+/**
+ * Verify a refresh token and return its payload
+ *
+ * @throws AuthError if the token is not a valid, unexpired refresh token
+ */
+export function verifyRefreshToken(
+  token: string,
+  secret: string
+): RefreshTokenPayload {
+  const decoded = verifyToken(token, secret);
+  if (
+    decoded.type !== "refresh" ||
+    !decoded.userId ||
+    typeof decoded.sessionId !== "string" ||
+    typeof decoded.rotation !== "number"
+  ) {
+    throw new AuthError("Invalid token", "Invalid refresh token");
+  }
+  return decoded as RefreshTokenPayload;
+}
+
+/**
+ * Authentication middleware
+ *
+ * Verifies the request's Bearer token, checks it against the revocation
+ * list (when given) and attaches the JWT payload as `request.user`.
+ *
+ * @throws AuthError if the token is missing, invalid or revoked
+ */
+export async function authenticate<T extends RequestWithHeaders>(
+  request: T,
+  secret: string,
+  revocations?: RevocationList
+): Promise<AuthenticatedRequest<T>> {
+  const token = extractBearerToken(request.headers);
+  if (!token) {
+    throw new AuthError("Missing token", "Authorization token is required");
+  }
+
+  const payload = verifyAccessToken(token, secret);
+  if (revocations && (await revocations.isRevoked(payload))) {
+    throw new AuthError(
+      "Token revoked",
+      "Authorization token has been revoked"
+    );
+  }
+
+  const authenticated = request as AuthenticatedRequest<T>;
+  authenticated.user = payload;
+  return authenticated;
+}
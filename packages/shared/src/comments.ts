@@ -0,0 +1,165 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Issue Comments - Authorship and Edit History
+ *
+ * Comments are stored per issue and attributed to the user of the verified
+ * access token, never to a name sent by the client. Editing a comment keeps
+ * the text it replaced in `edits`, oldest first, so the history can be shown
+ * next to the comment. An edit is only stored if the comment still has the
+ * `updatedAt` it was read with, so of two racing edits the later one gets a
+ * CommentConflictError instead of dropping the other's text from `edits`.
+ *
+ * Only a comment's author may edit it; its author or anyone with the
+ * delete_issues permission may delete it.
+ *
+ * The users a comment mentions are resolved by the caller on every write
+ * (see mentions.ts) and stored in `mentions`.
+ */
+
+import type { JWTPayload } from "./index";
+import { nextUpdatedAt } from "./issue-edits";
+import type { Mention } from "./mentions";
+import { hasPermission, Permission } from "./permissions";
+import type { CommentInput } from "./validation";
+
+/**
+ * Earlier text of an edited comment
+ */
+export interface CommentEdit {
+  body: string; // Text before the edit
+  editedAt: string;
+  editedBy: string; // Email of the editor
+}
+
+/**
+ * Comment on an issue, as stored
+ */
+export interface IssueComment {
+  commentId: string;
+  issueId: string;
+  body: string;
+  authorId: string;
+  authorEmail: string;
+  createdAt: string;
+  updatedAt: string;
+  edits: CommentEdit[];
+  mentions?: Mention[]; // Unset on comments written before mentions
+}
+
+/**
+ * Edit of a comment that was changed since it was read, carrying the HTTP
+ * status and error fields used in API responses
+ */
+export class CommentConflictError extends Error {
+  readonly statusCode = 409;
+  readonly error = "Edit conflict";
+  readonly details: {
+    commentId: string;
+    updatedAt: string;
+    current: IssueComment;
+  };
+
+  constructor(current: IssueComment) {
+    super("The comment was changed by someone else since you loaded it");
+    this.name = "CommentConflictError";
+    this.details = {
+      commentId: current.commentId,
+      updatedAt: current.updatedAt,
+      current,
+    };
+  }
+}
+
+/**
+ * Check whether a user can edit a comment (its author only)
+ */
+export function canEditComment(
+  comment: IssueComment,
+  user: Pick<JWTPayload, "userId">
+): boolean {
+  return comment.authorId === user.userId;
+}
+
+/**
+ * Check whether a user can delete a comment: its author, or anyone with the
+ * delete_issues permission
+ */
+export function canDeleteComment(
+  comment: IssueComment,
+  user: Pick<JWTPayload, "userId" | "role">
+): boolean {
+  return (
+    comment.authorId === user.userId ||
+    hasPermission(user.role, Permission.DELETE_ISSUES)
+  );
+}
+
+/**
+ * Build a new comment from a POST /issues/{id}/comments body
+ *
+ * @param mentions - Users the body mentions
+ */
+export function createComment(
+  commentId: string,
+  issueId: string,
+  input: CommentInput,
+  author: Pick<JWTPayload, "userId" | "email">,
+  mentions: Mention[] = []
+): IssueComment {
+  const now = new Date().toISOString();
+  return {
+    commentId,
+    issueId,
+    body: input.body,
+    authorId: author.userId,
+    authorEmail: author.email,
+    createdAt: now,
+    updatedAt: now,
+    edits: [],
+    mentions,
+  };
+}
+
+/**
+ * Apply a PUT /issues/{id}/comments/{commentId} body, recording the text it
+ * replaces (an unchanged body is not recorded)
+ *
+ * The edited comment's `updatedAt` is always later than the original's, so
+ * a write conditional on the original's fails once it is stored.
+ *
+ * @param mentions - Users the new body mentions
+ */
+export function editComment(
+  comment: IssueComment,
+  input: CommentInput,
+  editor: Pick<JWTPayload, "email">,
+  mentions: Mention[] = []
+): IssueComment {
+  if (input.body === comment.body) {
+    return comment;
+  }
+  const now = nextUpdatedAt(comment);
+  return {
+    ...comment,
+    body: input.body,
+    updatedAt: now,
+    mentions,
+    edits: [
+      ...(comment.edits ?? []),
+      { body: comment.body, editedAt: now, editedBy: editor.email },
+    ],
+  };
+}
+
+/**
+ * Comments in the order they were written
+ */
+export function sortComments(comments: IssueComment[]): IssueComment[] {
+  return [...comments].sort(
+    (a, b) =>
+      a.createdAt.localeCompare(b.createdAt) ||
+      a.commentId.localeCompare(b.commentId)
+  );
+}
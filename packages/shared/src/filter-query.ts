@@ -0,0 +1,497 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Filter Query - Structured Issue Filter Language
+ *
+ * Parses and evaluates the `filter` parameter of GET /issues, which the web
+ * client also uses for reports, so one query string selects the same issues
+ * everywhere:
+ *
+ *   status:OPEN priority>=HIGH assignee:me
+ *   (category:BUG OR tag:regression) AND NOT status:CLOSED
+ *   created:>-7d -assignee:unassigned "login page"
+ *
+ * - Terms next to each other are ANDed; OR and NOT (or a leading `-`) are
+ *   also available, with NOT binding tightest and OR loosest, and parentheses
+ *   for grouping. Keywords are case-insensitive.
+ * - A term is `field<op>value`, where op is `:` or `=` (equals), `!=`, or a
+ *   comparison `>`, `>=`, `<`, `<=` (also written `:>`, `:>=`, ...).
+ *   Equality takes a comma-separated list (`status:OPEN,IN_PROGRESS`).
+ * - Comparisons work on `priority` (LOW < MEDIUM < HIGH < CRITICAL) and on
+ *   the dates `created` and `updated`.
+ * - Dates are ISO 8601 dates or date-times, or relative to now (`-7d`,
+ *   `-12h`, `-2w`, `-3m`, `-1y`). A bare date covers that whole UTC day.
+ * - `me` stands for the caller's email in `assignee` and `reporter`;
+ *   `assignee:unassigned` matches issues without an assignee.
+ * - A bare word or "quoted phrase" matches the title or description.
+ */
+
+import type { Issue } from "./index";
+import { IssueCategory, IssuePriority, IssueStatus } from "./index";
+
+/**
+ * Fields a filter term can test
+ */
+export const FILTER_FIELDS = [
+  "status",
+  "priority",
+  "category",
+  "assignee",
+  "reporter",
+  "tag",
+  "created",
+  "updated",
+] as const;
+
+export type FilterField = (typeof FILTER_FIELDS)[number];
+
+export type FilterOperator = "=" | "!=" | ">" | ">=" | "<" | "<=";
+
+/**
+ * Parsed filter query
+ */
+export type FilterNode =
+  | { type: "and"; clauses: FilterNode[] }
+  | { type: "or"; clauses: FilterNode[] }
+  | { type: "not"; clause: FilterNode }
+  | {
+      type: "compare";
+      field: FilterField;
+      operator: FilterOperator;
+      values: string[];
+    }
+  | { type: "text"; value: string };
+
+/**
+ * Values a filter is evaluated against
+ */
+export interface FilterContext {
+  user?: string; // Email `me` resolves to; `me` matches nobody without it
+  now?: Date; // Reference time of relative dates (default: current time)
+}
+
+/**
+ * Malformed filter query, with the offset it was detected at
+ */
+export class FilterQueryError extends Error {
+  constructor(
+    message: string,
+    readonly position: number
+  ) {
+    super(message);
+    this.name = "FilterQueryError";
+  }
+}
+
+const PRIORITY_RANK: Record<string, number> = {
+  [IssuePriority.LOW]: 0,
+  [IssuePriority.MEDIUM]: 1,
+  [IssuePriority.HIGH]: 2,
+  [IssuePriority.CRITICAL]: 3,
+};
+
+const ENUM_VALUES: Partial<Record<FilterField, string[]>> = {
+  status: Object.values(IssueStatus),
+  priority: Object.values(IssuePriority),
+  category: Object.values(IssueCategory),
+};
+
+const ORDERED_FIELDS: FilterField[] = ["priority", "created", "updated"];
+const DATE_FIELDS: FilterField[] = ["created", "updated"];
+
+// Longest operators first so `>=` is not read as `>`
+const OPERATORS: [string, FilterOperator][] = [
+  [":>=", ">="],
+  [":<=", "<="],
+  [":!=", "!="],
+  [":>", ">"],
+  [":<", "<"],
+  [">=", ">="],
+  ["<=", "<="],
+  ["!=", "!="],
+  [">", ">"],
+  ["<", "<"],
+  [":", "="],
+  ["=", "="],
+];
+
+const RELATIVE_DATE = /^-(\d+)([hdwmy])$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type Token =
+  | { kind: "(" | ")" | "and" | "or" | "not"; position: number }
+  | { kind: "term"; node: FilterNode; position: number };
+
+/**
+ * Read a bare or double-quoted value starting at `start`
+ */
+function readValue(
+  input: string,
+  start: number
+): { value: string; quoted: boolean; end: number } {
+  if (input[start] === '"') {
+    const close = input.indexOf('"', start + 1);
+    if (close === -1) {
+      throw new FilterQueryError(
+        `Unterminated quote at position ${start + 1}`,
+        start
+      );
+    }
+    return {
+      value: input.slice(start + 1, close),
+      quoted: true,
+      end: close + 1,
+    };
+  }
+  let end = start;
+  while (end < input.length && !/[\s()"]/.test(input[end])) {
+    end++;
+  }
+  return { value: input.slice(start, end), quoted: false, end };
+}
+
+/**
+ * Check and normalize the values of a comparison term
+ */
+function compareNode(
+  field: FilterField,
+  operator: FilterOperator,
+  raw: string,
+  quoted: boolean,
+  position: number
+): FilterNode {
+  const fail = (message: string): never => {
+    throw new FilterQueryError(
+      `${message} at position ${position + 1}`,
+      position
+    );
+  };
+
+  const values = (quoted ? [raw] : raw.split(","))
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (values.length === 0) {
+    fail(`Missing value for ${field}`);
+  }
+  const ordered = operator !== "=" && operator !== "!=";
+  if (ordered && !ORDERED_FIELDS.includes(field)) {
+    fail(`${field} does not support ${operator}`);
+  }
+  if (ordered && values.length > 1) {
+    fail(`${operator} takes a single ${field} value`);
+  }
+
+  const allowed = ENUM_VALUES[field];
+  if (allowed) {
+    const normalized = values.map(value => value.toUpperCase());
+    const unknown = normalized.find(value => !allowed.includes(value));
+    if (unknown) {
+      fail(`${field} must be one of ${allowed.join(", ")}, got "${unknown}"`);
+    }
+    return { type: "compare", field, operator, values: normalized };
+  }
+  if (DATE_FIELDS.includes(field)) {
+    const invalid = values.find(
+      value => !RELATIVE_DATE.test(value) && Number.isNaN(Date.parse(value))
+    );
+    if (invalid) {
+      fail(
+        `${field} must be an ISO 8601 date or a relative date like -7d, got "${invalid}"`
+      );
+    }
+    return { type: "compare", field, operator, values };
+  }
+  return {
+    type: "compare",
+    field,
+    operator,
+    values: values.map(value => value.toLowerCase()),
+  };
+}
+
+function tokenize(input: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === "(" || char === ")") {
+      tokens.push({ kind: char, position: i });
+      i++;
+      continue;
+    }
+    // A leading dash negates the term that follows it
+    if (char === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ kind: "not", position: i });
+      i++;
+      continue;
+    }
+
+    const field = /^([A-Za-z]+)(?=[:=!<>])/.exec(input.slice(i));
+    if (field) {
+      const name = field[1].toLowerCase();
+      const afterField = i + field[1].length;
+      const operator = OPERATORS.find(([symbol]) =>
+        input.startsWith(symbol, afterField)
+      );
+      if (!FILTER_FIELDS.includes(name as FilterField)) {
+        throw new FilterQueryError(
+          `Unknown field "${field[1]}" at position ${i + 1}; expected one of ${FILTER_FIELDS.join(", ")}`,
+          i
+        );
+      }
+      if (!operator) {
+        throw new FilterQueryError(
+          `Invalid operator after ${name} at position ${afterField + 1}`,
+          afterField
+        );
+      }
+      const { value, quoted, end } = readValue(
+        input,
+        afterField + operator[0].length
+      );
+      tokens.push({
+        kind: "term",
+        node: compareNode(name as FilterField, operator[1], value, quoted, i),
+        position: i,
+      });
+      i = end;
+      continue;
+    }
+
+    const { value, quoted, end } = readValue(input, i);
+    const keyword = value.toLowerCase();
+    if (
+      !quoted &&
+      (keyword === "and" || keyword === "or" || keyword === "not")
+    ) {
+      tokens.push({ kind: keyword, position: i });
+    } else if (value.trim()) {
+      tokens.push({
+        kind: "term",
+        node: { type: "text", value: value.trim().toLowerCase() },
+        position: i,
+      });
+    }
+    i = end;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a filter query
+ *
+ * @throws FilterQueryError describing the first problem and where it is
+ */
+export function parseFilterQuery(input: string): FilterNode {
+  const tokens = tokenize(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const unexpected = (token: Token | undefined): never => {
+    if (!token) {
+      throw new FilterQueryError(
+        "Unexpected end of filter query",
+        input.length
+      );
+    }
+    const label =
+      token.kind === "term" ? "term" : `"${token.kind.toUpperCase()}"`;
+    throw new FilterQueryError(
+      `Unexpected ${label} at position ${token.position + 1}`,
+      token.position
+    );
+  };
+
+  const parseOr = (): FilterNode => {
+    const clauses = [parseAnd()];
+    while (peek()?.kind === "or") {
+      index++;
+      clauses.push(parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: "or", clauses };
+  };
+
+  const parseAnd = (): FilterNode => {
+    const clauses = [parseUnary()];
+    for (
+      let token = peek();
+      token && token.kind !== ")" && token.kind !== "or";
+      token = peek()
+    ) {
+      if (token.kind === "and") {
+        index++;
+      }
+      clauses.push(parseUnary());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: "and", clauses };
+  };
+
+  const parseUnary = (): FilterNode => {
+    if (peek()?.kind === "not") {
+      index++;
+      return { type: "not", clause: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = (): FilterNode => {
+    const token = peek();
+    if (token?.kind === "term") {
+      index++;
+      return token.node;
+    }
+    if (token?.kind === "(") {
+      index++;
+      const node = parseOr();
+      if (peek()?.kind !== ")") {
+        unexpected(peek());
+      }
+      index++;
+      return node;
+    }
+    return unexpected(token);
+  };
+
+  if (tokens.length === 0) {
+    throw new FilterQueryError("Filter query is empty", 0);
+  }
+  const root = parseOr();
+  if (index < tokens.length) {
+    unexpected(tokens[index]);
+  }
+  return root;
+}
+
+/**
+ * Time range a date value covers: a bare date is the whole UTC day, anything
+ * else a single instant
+ */
+function dateRange(value: string, now: Date): [number, number] {
+  const relative = RELATIVE_DATE.exec(value);
+  if (relative) {
+    const amount = Number(relative[1]);
+    const date = new Date(now.getTime());
+    switch (relative[2]) {
+      case "h":
+        date.setTime(date.getTime() - amount * 60 * 60 * 1000);
+        break;
+      case "d":
+        date.setTime(date.getTime() - amount * DAY_MS);
+        break;
+      case "w":
+        date.setTime(date.getTime() - amount * 7 * DAY_MS);
+        break;
+      case "m":
+        date.setUTCMonth(date.getUTCMonth() - amount);
+        break;
+      case "y":
+        date.setUTCFullYear(date.getUTCFullYear() - amount);
+        break;
+    }
+    return [date.getTime(), date.getTime()];
+  }
+  const time = Date.parse(value);
+  return DATE_ONLY.test(value) ? [time, time + DAY_MS - 1] : [time, time];
+}
+
+function compare(
+  operator: FilterOperator,
+  actual: number,
+  [start, end]: [number, number]
+): boolean {
+  switch (operator) {
+    case ">":
+      return actual > end;
+    case ">=":
+      return actual >= start;
+    case "<":
+      return actual < start;
+    case "<=":
+      return actual <= end;
+    default:
+      return actual >= start && actual <= end;
+  }
+}
+
+function matchesCompare(
+  issue: Issue,
+  node: Extract<FilterNode, { type: "compare" }>,
+  context: FilterContext
+): boolean {
+  const { field, operator, values } = node;
+  if (operator === "!=") {
+    return !matchesCompare(issue, { ...node, operator: "=" }, context);
+  }
+
+  if (DATE_FIELDS.includes(field)) {
+    const actual = Date.parse(
+      field === "created" ? issue.createdAt : issue.updatedAt
+    );
+    const now = context.now ?? new Date();
+    return values.some(value =>
+      compare(operator, actual, dateRange(value, now))
+    );
+  }
+  if (field === "priority" && operator !== "=") {
+    const actual = PRIORITY_RANK[issue.priority] ?? -1;
+    const rank = PRIORITY_RANK[values[0]];
+    return compare(operator, actual, [rank, rank]);
+  }
+
+  switch (field) {
+    case "status":
+      return values.includes(issue.status);
+    case "priority":
+      return values.includes(issue.priority);
+    case "category":
+      return Boolean(issue.category && values.includes(issue.category));
+    case "tag":
+      return (issue.tags ?? []).some(tag => values.includes(tag.toLowerCase()));
+  }
+
+  // assignee / reporter
+  const actual =
+    (field === "assignee" ? issue.assignee : issue.reporter)?.toLowerCase() ??
+    "";
+  return values.some(value => {
+    if (value === "me") {
+      return Boolean(context.user) && actual === context.user!.toLowerCase();
+    }
+    if (field === "assignee" && value === "unassigned") {
+      return !actual;
+    }
+    return actual === value;
+  });
+}
+
+/**
+ * Check whether an issue matches a parsed filter query
+ */
+export function matchesFilter(
+  issue: Issue,
+  node: FilterNode,
+  context: FilterContext = {}
+): boolean {
+  switch (node.type) {
+    case "and":
+      return node.clauses.every(clause =>
+        matchesFilter(issue, clause, context)
+      );
+    case "or":
+      return node.clauses.some(clause => matchesFilter(issue, clause, context));
+    case "not":
+      return !matchesFilter(issue, node.clause, context);
+    case "compare":
+      return matchesCompare(issue, node, context);
+    case "text":
+      return `${issue.title}\n${issue.description ?? ""}`
+        .toLowerCase()
+        .includes(node.value);
+  }
+}
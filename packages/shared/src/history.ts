@@ -0,0 +1,127 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Issue History - Append-Only Activity Events
+ *
+ * Every write to an issue is recorded as events: one `created` or `deleted`
+ * event, or one `updated` event per field the write changed, with its old
+ * and new value. Events are attributed to the user of the verified access
+ * token and are only ever appended, never edited or removed, so they stay
+ * readable after the issue itself is deleted.
+ *
+ * `updatedAt` is not recorded (every event has its own `createdAt`), and
+ * neither are comments, which keep their own edit history (comments.ts).
+ */
+
+import type { Issue, JWTPayload } from "./index";
+
+/**
+ * What happened to the issue
+ */
+export enum IssueEventAction {
+  CREATED = "created",
+  UPDATED = "updated",
+  DELETED = "deleted",
+}
+
+/**
+ * Issue fields whose changes are recorded
+ */
+export const HISTORY_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "category",
+  "assignee",
+  "resolution",
+  "tags",
+  "watchers",
+] as const;
+
+export type HistoryField = (typeof HISTORY_FIELDS)[number];
+
+/**
+ * Issue history event, as stored
+ */
+export interface IssueEvent {
+  issueId: string;
+  eventId: string; // Sorts by time, then position within the write
+  action: IssueEventAction;
+  field: HistoryField | null; // Set on `updated` events only
+  oldValue: unknown; // null when the field was unset
+  newValue: unknown;
+  actorId: string;
+  actorEmail: string;
+  createdAt: string;
+}
+
+// A field's value as recorded (unset fields are null)
+function recorded(issue: Partial<Issue>, field: HistoryField): unknown {
+  return issue[field] ?? null;
+}
+
+/**
+ * Events for one write to an issue
+ *
+ * @param previous - The issue before the write (null when it was created)
+ * @param issue - The issue after the write (null when it was deleted)
+ * @param actor - Who made the change
+ * @param newId - Generates a unique ID, made sortable by time here
+ */
+export function issueEvents(
+  previous: Issue | null,
+  issue: Issue | null,
+  actor: Pick<JWTPayload, "userId" | "email">,
+  newId: () => string
+): IssueEvent[] {
+  const subject = issue ?? previous;
+  if (!subject) {
+    return [];
+  }
+  const now = new Date().toISOString();
+  let position = 0;
+  const event = (
+    action: IssueEventAction,
+    field: HistoryField | null = null,
+    oldValue: unknown = null,
+    newValue: unknown = null
+  ): IssueEvent => ({
+    issueId: subject.issueId,
+    eventId: `${now}#${String(position++).padStart(2, "0")}#${newId()}`,
+    action,
+    field,
+    oldValue,
+    newValue,
+    actorId: actor.userId,
+    actorEmail: actor.email,
+    createdAt: now,
+  });
+
+  if (!previous) {
+    return [event(IssueEventAction.CREATED)];
+  }
+  if (!issue) {
+    return [event(IssueEventAction.DELETED)];
+  }
+  return HISTORY_FIELDS.filter(
+    field =>
+      JSON.stringify(recorded(previous, field)) !==
+      JSON.stringify(recorded(issue, field))
+  ).map(field =>
+    event(
+      IssueEventAction.UPDATED,
+      field,
+      recorded(previous, field),
+      recorded(issue, field)
+    )
+  );
+}
+
+/**
+ * An issue's events in the order they happened
+ */
+export function sortIssueEvents(events: IssueEvent[]): IssueEvent[] {
+  return [...events].sort((a, b) => a.eventId.localeCompare(b.eventId));
+}
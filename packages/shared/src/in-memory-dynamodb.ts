@@ -0,0 +1,417 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description In-Memory DynamoDB Document Client
+ *
+ * A small stand-in for DynamoDBDocumentClient used by the service
+ * repositories when no table is configured (local runs, test-local.js).
+ * It understands the subset of the document client API they use:
+ *
+ * - PutCommand, GetCommand, DeleteCommand (ReturnValues: ALL_OLD)
+ * - UpdateCommand with `SET #name = :value, ...` expressions
+ * - ScanCommand with Limit / ExclusiveStartKey pagination
+ * - QueryCommand with a single `#name = :value` key condition (on the table
+ *   or a secondary index such as UserIdIndex), returning items in sort key
+ *   order (ScanIndexForward) with Limit / ExclusiveStartKey pagination; items
+ *   missing an index key attribute are left out, as in a sparse index
+ * - Condition expressions made of attribute_exists(name),
+ *   attribute_not_exists(name) and `#name = :value` clauses joined by AND
+ *   (lists and maps compare by value, as in DynamoDB)
+ *
+ * Tables are keyed by their partition key, or by partition and sort key
+ * (e.g. SearchIndex).
+ *
+ * localDocumentClient() returns one process-wide instance holding every
+ * table of IssueTrackerStack, so stand-in repositories in the same process
+ * (e.g. sessions and the token denylist) see each other's writes.
+ *
+ * Not re-exported from index.ts, so consumers that never touch DynamoDB
+ * (server.js) do not load the AWS SDK.
+ *
+ * Anything else throws, so an unsupported call fails loudly instead of
+ * silently behaving differently from DynamoDB.
+ */
+
+import {
+  DeleteCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  ServiceInputTypes,
+  ServiceOutputTypes,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import type { Command } from "@smithy/types";
+import { isDeepStrictEqual } from "util";
+
+type Item = Record<string, unknown>;
+
+/**
+ * Key attribute(s) of a table: the partition key, or partition and sort key
+ */
+type KeySchema = string | [string, string];
+
+/**
+ * Key attributes of each IssueTrackerStack table
+ */
+const STACK_TABLE_KEYS: Record<string, KeySchema> = {
+  Issues: "issueId",
+  Users: "userId",
+  UserSessions: "sessionId",
+  RevokedTokens: "jti",
+  SearchIndex: ["term", "docKey"],
+  Views: "viewId",
+  ViewStates: ["userId", "viewId"],
+  Comments: ["issueId", "commentId"],
+  Notifications: ["userId", "notificationId"],
+  NotificationSettings: "userId",
+  IssueHistory: ["issueId", "eventId"],
+  Worklogs: ["issueId", "worklogId"],
+  Timers: "userId",
+  Timesheets: ["weekStart", "userId"],
+  Attachments: ["issueId", "attachmentId"],
+};
+
+/**
+ * Key attributes of each IssueTrackerStack secondary index
+ */
+const STACK_INDEX_KEYS: Record<string, KeySchema> = {
+  EmailIndex: "email",
+  UserIdIndex: ["userId", "expiresAt"],
+  CreatedAtIndex: ["listPartition", "createdAtSortKey"],
+  UpdatedAtIndex: ["listPartition", "updatedAtSortKey"],
+  PriorityIndex: ["listPartition", "prioritySortKey"],
+  StatusIndex: ["listPartition", "statusSortKey"],
+  TitleIndex: ["listPartition", "titleSortKey"],
+};
+
+/**
+ * Error matching the name DynamoDB uses for failed conditions
+ */
+class ConditionalCheckFailedException extends Error {
+  constructor() {
+    super("The conditional request failed");
+    this.name = "ConditionalCheckFailedException";
+  }
+}
+
+export class InMemoryDocumentClient {
+  private readonly tables = new Map<string, Map<string, Item>>();
+
+  /**
+   * @param keySchema - Key attribute(s) for each table name
+   * @param indexKeySchema - Key attribute(s) for each secondary index name
+   */
+  constructor(
+    private readonly keySchema: Record<string, KeySchema>,
+    private readonly indexKeySchema: Record<string, KeySchema> = {}
+  ) {}
+
+  /**
+   * Run a command, typed like DynamoDBDocumentClient.send so the client can
+   * stand in for it
+   */
+  async send<
+    InputType extends ServiceInputTypes,
+    OutputType extends ServiceOutputTypes,
+  >(
+    command: Command<
+      ServiceInputTypes,
+      InputType,
+      ServiceOutputTypes,
+      OutputType,
+      unknown
+    >
+  ): Promise<OutputType> {
+    return { $metadata: {}, ...this.execute(command) } as OutputType;
+  }
+
+  private execute(command: object): Record<string, unknown> {
+    if (command instanceof PutCommand) {
+      return this.put(command);
+    }
+    if (command instanceof GetCommand) {
+      const item = this.table(command.input.TableName).get(
+        this.keyOf(command.input.TableName, command.input.Key)
+      );
+      return { Item: item && structuredClone(item) };
+    }
+    if (command instanceof UpdateCommand) {
+      return this.update(command);
+    }
+    if (command instanceof DeleteCommand) {
+      return this.delete(command);
+    }
+    if (command instanceof ScanCommand) {
+      return this.scan(command);
+    }
+    if (command instanceof QueryCommand) {
+      return this.query(command);
+    }
+    throw new Error(
+      `InMemoryDocumentClient: unsupported command ${command.constructor.name}`
+    );
+  }
+
+  private put(command: PutCommand) {
+    const {
+      TableName,
+      Item,
+      ConditionExpression,
+      ExpressionAttributeNames,
+      ExpressionAttributeValues,
+    } = command.input;
+    const table = this.table(TableName);
+    const key = this.keyOf(TableName, Item);
+    this.checkCondition(ConditionExpression, table.get(key), {
+      names: ExpressionAttributeNames,
+      values: ExpressionAttributeValues,
+    });
+    table.set(key, structuredClone(Item as Item));
+    return {};
+  }
+
+  private update(command: UpdateCommand) {
+    const {
+      TableName,
+      Key,
+      UpdateExpression = "",
+      ConditionExpression,
+      ExpressionAttributeNames = {},
+      ExpressionAttributeValues = {},
+    } = command.input;
+    const table = this.table(TableName);
+    const key = this.keyOf(TableName, Key);
+    const existing = table.get(key);
+    this.checkCondition(ConditionExpression, existing, {
+      names: ExpressionAttributeNames,
+      values: ExpressionAttributeValues,
+    });
+
+    const match = /^SET\s+(.+)$/i.exec(UpdateExpression.trim());
+    if (!match) {
+      throw new Error(
+        `InMemoryDocumentClient: unsupported UpdateExpression "${UpdateExpression}"`
+      );
+    }
+
+    const item: Item = { ...(existing ?? Key) };
+    match[1].split(",").forEach(assignment => {
+      const [name, value] = assignment.split("=").map(part => part.trim());
+      const field = ExpressionAttributeNames[name] ?? name;
+      item[field] = structuredClone(ExpressionAttributeValues[value]);
+    });
+    table.set(key, item);
+    return { Attributes: structuredClone(item) };
+  }
+
+  private delete(command: DeleteCommand) {
+    const {
+      TableName,
+      Key,
+      ConditionExpression,
+      ExpressionAttributeNames,
+      ExpressionAttributeValues,
+      ReturnValues,
+    } = command.input;
+    const table = this.table(TableName);
+    const key = this.keyOf(TableName, Key);
+    const existing = table.get(key);
+    this.checkCondition(ConditionExpression, existing, {
+      names: ExpressionAttributeNames,
+      values: ExpressionAttributeValues,
+    });
+    table.delete(key);
+    return { Attributes: ReturnValues === "ALL_OLD" ? existing : undefined };
+  }
+
+  private scan(command: ScanCommand) {
+    const { TableName, Limit, ExclusiveStartKey } = command.input;
+    const items = Array.from(this.table(TableName).values());
+
+    let start = 0;
+    if (ExclusiveStartKey) {
+      const startKey = this.keyOf(TableName, ExclusiveStartKey);
+      start =
+        items.findIndex(item => this.keyOf(TableName, item) === startKey) + 1;
+    }
+
+    const end = Limit ? start + Limit : items.length;
+    const page = items.slice(start, end);
+    const last = page[page.length - 1];
+
+    return {
+      Items: structuredClone(page),
+      Count: page.length,
+      LastEvaluatedKey:
+        end < items.length && last
+          ? Object.fromEntries(
+              this.keyNames(TableName).map(name => [name, last[name]])
+            )
+          : undefined,
+    };
+  }
+
+  private query(command: QueryCommand) {
+    const {
+      TableName,
+      IndexName,
+      KeyConditionExpression = "",
+      ExpressionAttributeNames = {},
+      ExpressionAttributeValues = {},
+      ScanIndexForward = true,
+      Limit,
+      ExclusiveStartKey,
+    } = command.input;
+
+    const match = /^(#?\w+)\s*=\s*(:\w+)$/.exec(KeyConditionExpression.trim());
+    if (!match) {
+      throw new Error(
+        `InMemoryDocumentClient: unsupported KeyConditionExpression "${KeyConditionExpression}"`
+      );
+    }
+    const field = ExpressionAttributeNames[match[1]] ?? match[1];
+    const value = ExpressionAttributeValues[match[2]];
+
+    const queryKeys = IndexName
+      ? this.indexKeyNames(IndexName)
+      : this.keyNames(TableName);
+    const keyNames = [...new Set([...queryKeys, ...this.keyNames(TableName)])];
+    const sortKeyName = queryKeys[1];
+    const direction = ScanIndexForward ? 1 : -1;
+    const order = (a: Item, b: Item) =>
+      (compareValues(
+        sortKeyName && a[sortKeyName],
+        sortKeyName && b[sortKeyName]
+      ) || compareValues(this.keyOf(TableName, a), this.keyOf(TableName, b))) *
+      direction;
+
+    const items = Array.from(this.table(TableName).values())
+      .filter(
+        item => item[field] === value && queryKeys.every(name => name in item)
+      )
+      .sort(order);
+
+    let start = 0;
+    if (ExclusiveStartKey) {
+      start = items.findIndex(item => order(item, ExclusiveStartKey) > 0);
+      if (start === -1) {
+        start = items.length;
+      }
+    }
+
+    const end = Limit ? start + Limit : items.length;
+    const page = items.slice(start, end);
+    const last = page[page.length - 1];
+
+    return {
+      Items: structuredClone(page),
+      Count: page.length,
+      LastEvaluatedKey:
+        end < items.length && last
+          ? Object.fromEntries(keyNames.map(name => [name, last[name]]))
+          : undefined,
+    };
+  }
+
+  private checkCondition(
+    expression: string | undefined,
+    existing: Item | undefined,
+    expressionAttributes: {
+      names?: Record<string, string>;
+      values?: Record<string, unknown>;
+    } = {}
+  ) {
+    if (!expression) {
+      return;
+    }
+    const names = expressionAttributes.names ?? {};
+    const values = expressionAttributes.values ?? {};
+
+    const passed = expression.split(/\s+AND\s+/i).every(clause => {
+      const exists =
+        /^(attribute_exists|attribute_not_exists)\((#?\w+)\)$/.exec(
+          clause.trim()
+        );
+      if (exists) {
+        const field = names[exists[2]] ?? exists[2];
+        const present = existing !== undefined && field in existing;
+        return (exists[1] === "attribute_exists") === present;
+      }
+
+      const equals = /^(#?\w+)\s*=\s*(:\w+)$/.exec(clause.trim());
+      if (equals) {
+        const field = names[equals[1]] ?? equals[1];
+        return (
+          existing !== undefined &&
+          isDeepStrictEqual(existing[field], values[equals[2]])
+        );
+      }
+
+      throw new Error(
+        `InMemoryDocumentClient: unsupported ConditionExpression "${expression}"`
+      );
+    });
+
+    if (!passed) {
+      throw new ConditionalCheckFailedException();
+    }
+  }
+
+  private table(name: string | undefined): Map<string, Item> {
+    const tableName = name ?? "";
+    if (!this.tables.has(tableName)) {
+      this.tables.set(tableName, new Map());
+    }
+    return this.tables.get(tableName) as Map<string, Item>;
+  }
+
+  private keyNames(tableName: string | undefined): string[] {
+    const keySchema = this.keySchema[tableName ?? ""];
+    if (!keySchema) {
+      throw new Error(`InMemoryDocumentClient: unknown table ${tableName}`);
+    }
+    return Array.isArray(keySchema) ? keySchema : [keySchema];
+  }
+
+  private indexKeyNames(indexName: string): string[] {
+    const keySchema = this.indexKeySchema[indexName];
+    if (!keySchema) {
+      throw new Error(`InMemoryDocumentClient: unknown index ${indexName}`);
+    }
+    return Array.isArray(keySchema) ? keySchema : [keySchema];
+  }
+
+  private keyOf(tableName: string | undefined, item: Item | undefined) {
+    return JSON.stringify(
+      this.keyNames(tableName).map(name => item?.[name] ?? null)
+    );
+  }
+}
+
+/**
+ * Order two key attribute values (strings or numbers of the same type)
+ */
+function compareValues(a: unknown, b: unknown): number {
+  if (a === b || a === undefined || b === undefined) {
+    return 0;
+  }
+  return (a as string | number) < (b as string | number) ? -1 : 1;
+}
+
+let localClient: InMemoryDocumentClient | null = null;
+
+/**
+ * Process-wide in-memory client for the IssueTrackerStack tables
+ */
+export function localDocumentClient(): InMemoryDocumentClient {
+  if (!localClient) {
+    localClient = new InMemoryDocumentClient(
+      STACK_TABLE_KEYS,
+      STACK_INDEX_KEYS
+    );
+  }
+  return localClient;
+}
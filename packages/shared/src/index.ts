@@ -11,7 +11,28 @@
  * - Project constants and configuration
  * - Shared TypeScript types and interfaces
  * - Utility functions for common operations
- * - Validation schemas (when Zod is added)
+ * - JWT signing and authentication middleware (auth.ts)
+ * - Password policy and bcrypt hashing (password.ts)
+ * - Refresh-token sessions with rotation and reuse detection (session.ts)
+ * - Role permission matrix and authorization checks (permissions.ts)
+ * - Issue status workflow and transition checks (workflow.ts)
+ * - Zod schemas for issue request payloads (validation.ts)
+ * - Issue list filtering, sorting and cursor pagination (issue-query.ts)
+ * - Structured filter query language (filter-query.ts)
+ * - Saved views with per-user pins and unread counts (views.ts)
+ * - Issue comments with authorship and edit history (comments.ts)
+ * - @mentions in comments and the user directory (mentions.ts)
+ * - Per-user notifications, mute settings and notification emails
+ *   (notifications.ts)
+ * - Issue watchers (watchers.ts)
+ * - Append-only issue activity history (history.ts)
+ * - Worklogs, server-side timers and per-user time totals (worklogs.ts)
+ * - Weekly timesheets and their approval workflow (timesheets.ts)
+ * - Issue attachments: multipart parsing, limits and checksums
+ *   (attachments.ts)
+ * - Attachment previews: image thumbnails and text excerpts (previews.ts)
+ * - Issue edits: optimistic concurrency for updates (issue-edits.ts)
+ * - Full-text search index, query parsing and ranking (search.ts)
  * 
  * Usage:
  * Import this package in other workspaces to share common functionality
@@ -72,6 +93,18 @@ export enum IssuePriority {
   CRITICAL = "CRITICAL",
 }
 
+/**
+ * Issue category enumeration
+ * Defines the kinds of work an issue can track
+ */
+export enum IssueCategory {
+  BUG = "BUG",
+  FEATURE = "FEATURE",
+  ENHANCEMENT = "ENHANCEMENT",
+  DOCUMENTATION = "DOCUMENTATION",
+  SUPPORT = "SUPPORT",
+}
+
 /**
  * User interface definition
  * Represents the structure of a user in the system
@@ -89,6 +122,7 @@ export interface User {
   avatar?: string;
   phone?: string;
   organization?: string;
+  teamIds?: string[]; // Teams the user is a member of
 }
 
 /**
@@ -133,6 +167,8 @@ export interface JWTPayload {
   userId: string;
   email: string;
   role: UserRole;
+  sessionId: string;
+  jti: string;
   iat: number;
   exp: number;
 }
@@ -157,11 +193,14 @@ export interface Issue {
   description: string;
   status: IssueStatus;
   priority: IssuePriority;
-  assignee?: string;
+  category?: IssueCategory;
+  assignee?: string | null; // null once unassigned
   reporter: string;
+  resolution?: string;
   createdAt: string;
   updatedAt: string;
   tags?: string[];
+  watchers?: string[]; // Emails of the users following it (see watchers.ts)
 }
 
 /**
@@ -187,3 +226,35 @@ export interface PaginatedResponse<T> {
   hasNext: boolean;
   hasPrev: boolean;
 }
+
+/**
+ * Cursor-paginated response interface
+ * Pass `nextToken` back to fetch the following page
+ */
+export interface CursorPaginatedResponse<T> {
+  items: T[];
+  nextToken: string | null;
+  limit: number;
+  hasNext: boolean;
+}
+
+export * from "./auth";
+export * from "./password";
+export * from "./session";
+export * from "./permissions";
+export * from "./workflow";
+export * from "./validation";
+export * from "./issue-query";
+export * from "./filter-query";
+export * from "./search";
+export * from "./views";
+export * from "./comments";
+export * from "./mentions";
+export * from "./notifications";
+export * from "./watchers";
+export * from "./history";
+export * from "./worklogs";
+export * from "./timesheets";
+export * from "./attachments";
+export * from "./previews";
+export * from "./issue-edits";
@@ -0,0 +1,73 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Issue Edits - Optimistic Concurrency for Updates
+ *
+ * A client editing an issue sends the `updatedAt` it loaded as
+ * `expectedUpdatedAt` in PUT /issues/{id}. If the issue has been written
+ * since, the update is rejected with 409 and the current issue, so the
+ * client can show what changed and merge the edits (see the issue modal in
+ * web/js/app.js). Without `expectedUpdatedAt` the last write wins, as
+ * before.
+ *
+ * Every write moves `updatedAt` forward (nextUpdatedAt), even two writes in
+ * the same millisecond, so it identifies the version of the issue.
+ */
+
+import type { Issue } from "./index";
+
+/**
+ * Update based on an outdated copy of the issue, carrying the HTTP status
+ * and error fields used in API responses
+ */
+export class IssueConflictError extends Error {
+  readonly statusCode = 409;
+  readonly error = "Edit conflict";
+  readonly details: { issueId: string; updatedAt: string; current: Issue };
+
+  constructor(current: Issue) {
+    super("The issue was changed by someone else since you loaded it");
+    this.name = "IssueConflictError";
+    this.details = {
+      issueId: current.issueId,
+      updatedAt: current.updatedAt,
+      current,
+    };
+  }
+}
+
+/**
+ * Reject an update based on an outdated copy of the issue
+ *
+ * @param expectedUpdatedAt - The `updatedAt` the client loaded; no check
+ *   when undefined
+ * @throws IssueConflictError when the issue has been written since
+ */
+export function assertIssueUnchanged(
+  issue: Issue,
+  expectedUpdatedAt: string | undefined
+): void {
+  if (
+    expectedUpdatedAt !== undefined &&
+    Date.parse(issue.updatedAt) !== Date.parse(expectedUpdatedAt)
+  ) {
+    throw new IssueConflictError(issue);
+  }
+}
+
+/**
+ * The `updatedAt` for a write to an issue: now, or just after its current
+ * one when that is not earlier
+ */
+export function nextUpdatedAt(
+  issue: Pick<Issue, "updatedAt">,
+  now = new Date()
+): string {
+  const previous = Date.parse(issue.updatedAt);
+  return new Date(
+    Number.isNaN(previous)
+      ? now.getTime()
+      : Math.max(now.getTime(), previous + 1)
+  ).toISOString();
+}
@@ -0,0 +1,268 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Issue Query - Filtering, Sorting and Cursor Pagination
+ *
+ * Applies a parsed GET /issues query (issueListQuerySchema) to a list of
+ * issues, so the local development server and the API Lambda return the
+ * same pages for the same query.
+ *
+ * Pagination is keyset-based: `nextToken` encodes the sort value and ID of
+ * the last issue on the page, and the next page starts after that position.
+ * Pages therefore stay consistent while issues are created or deleted, which
+ * offset pagination cannot guarantee. The same position, as an issueSortKey,
+ * is where the API Lambda resumes its DynamoDB index query (see
+ * issue-repository.ts), so a token works against either server.
+ */
+
+import type { CursorPaginatedResponse, Issue } from "./index";
+import { IssuePriority, IssueStatus } from "./index";
+import { FilterContext, matchesFilter } from "./filter-query";
+import { IssueListQuery, ValidationError } from "./validation";
+
+type SortField = IssueListQuery["sortBy"];
+
+// Priority and status sort by rank, not alphabetically
+const PRIORITY_RANK: Record<string, number> = {
+  [IssuePriority.LOW]: 0,
+  [IssuePriority.MEDIUM]: 1,
+  [IssuePriority.HIGH]: 2,
+  [IssuePriority.CRITICAL]: 3,
+};
+
+const STATUS_RANK: Record<string, number> = {
+  [IssueStatus.OPEN]: 0,
+  [IssueStatus.IN_PROGRESS]: 1,
+  [IssueStatus.RESOLVED]: 2,
+  [IssueStatus.CLOSED]: 3,
+};
+
+/**
+ * Decoded pagination cursor
+ */
+interface IssueCursor {
+  sortBy: SortField;
+  sortOrder: "asc" | "desc";
+  value: string | number;
+  issueId: string;
+}
+
+/**
+ * Check whether an issue matches the query's filters
+ *
+ * @param context - Caller and time the `filter` expression is evaluated for
+ */
+export function matchesIssueQuery(
+  issue: Issue,
+  query: IssueListQuery,
+  context: FilterContext = {}
+): boolean {
+  if (query.filter && !matchesFilter(issue, query.filter, context)) {
+    return false;
+  }
+  if (query.status && !query.status.includes(issue.status)) {
+    return false;
+  }
+  if (query.priority && !query.priority.includes(issue.priority)) {
+    return false;
+  }
+  if (
+    query.category &&
+    (!issue.category || !query.category.includes(issue.category))
+  ) {
+    return false;
+  }
+  if (query.assignee) {
+    const assignee = issue.assignee?.toLowerCase();
+    if (
+      query.assignee === "unassigned" ? assignee : assignee !== query.assignee
+    ) {
+      return false;
+    }
+  }
+  if (query.reporter && issue.reporter?.toLowerCase() !== query.reporter) {
+    return false;
+  }
+  if (
+    query.tag &&
+    !(issue.tags ?? []).some(tag => tag.toLowerCase() === query.tag)
+  ) {
+    return false;
+  }
+  return (
+    inRange(issue.createdAt, query.createdFrom, query.createdTo) &&
+    inRange(issue.updatedAt, query.updatedFrom, query.updatedTo)
+  );
+}
+
+function inRange(timestamp: string, from?: string, to?: string): boolean {
+  const time = Date.parse(timestamp);
+  return (!from || time >= Date.parse(from)) && (!to || time <= Date.parse(to));
+}
+
+/**
+ * Comparable value of an issue for a sort field
+ */
+function sortValue(issue: Partial<Issue>, sortBy: SortField): string | number {
+  switch (sortBy) {
+    case "priority":
+      return PRIORITY_RANK[issue.priority ?? ""] ?? -1;
+    case "status":
+      return STATUS_RANK[issue.status ?? ""] ?? -1;
+    case "title":
+      return (issue.title ?? "").toLowerCase();
+    default:
+      return issue[sortBy] ?? "";
+  }
+}
+
+/**
+ * Order by sort key (sort value, then issue ID, so the order is total), as
+ * issueSortKey() builds them
+ */
+export function compareSortKeys(
+  a: string,
+  b: string,
+  sortOrder: "asc" | "desc"
+): number {
+  const direction = sortOrder === "asc" ? 1 : -1;
+  return (a < b ? -1 : a > b ? 1 : 0) * direction;
+}
+
+/**
+ * String that orders issues like the query does: the sort value, then the
+ * issue ID after a separator that sorts below any other character
+ */
+function sortKey(value: string | number, issueId: string): string {
+  return `${value}\u0000${issueId}`;
+}
+
+/**
+ * Sort key of an issue for one sort field, as stored on DynamoDB issue
+ * items for the index listing them in that order
+ *
+ * @param issue - The issue, or the changed fields of one and its ID
+ */
+export function issueSortKey(
+  issue: Partial<Issue> & Pick<Issue, "issueId">,
+  sortBy: SortField
+): string {
+  return sortKey(sortValue(issue, sortBy), issue.issueId);
+}
+
+function encodeCursor(cursor: IssueCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(token: string, query: IssueListQuery): IssueCursor {
+  let cursor: IssueCursor | undefined;
+  try {
+    cursor = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch {
+    cursor = undefined;
+  }
+  if (
+    !cursor ||
+    typeof cursor.issueId !== "string" ||
+    !["string", "number"].includes(typeof cursor.value)
+  ) {
+    throw new ValidationError([
+      {
+        field: "nextToken",
+        message: "Must be the nextToken of a previous page",
+      },
+    ]);
+  }
+  // A cursor only makes sense for the ordering it was issued under
+  if (cursor.sortBy !== query.sortBy || cursor.sortOrder !== query.sortOrder) {
+    throw new ValidationError([
+      {
+        field: "nextToken",
+        message: "Was issued for a different sortBy or sortOrder",
+      },
+    ]);
+  }
+  return cursor;
+}
+
+/**
+ * Position the page asked for starts after: the sort key and ID of the
+ * previous page's last issue (null for the first page)
+ *
+ * @throws ValidationError if nextToken is malformed or was issued for a
+ * different ordering
+ */
+export function issuePageStart(
+  query: IssueListQuery
+): { sortKey: string; issueId: string } | null {
+  if (!query.nextToken) {
+    return null;
+  }
+  const { value, issueId } = decodeCursor(query.nextToken, query);
+  return { sortKey: sortKey(value, issueId), issueId };
+}
+
+/**
+ * Build a GET /issues response from one page of issues
+ *
+ * @param hasNext - Whether more issues match after the page
+ */
+export function issuePage(
+  items: Issue[],
+  query: IssueListQuery,
+  hasNext: boolean
+): CursorPaginatedResponse<Issue> {
+  const { sortBy, sortOrder, limit } = query;
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextToken:
+      hasNext && last
+        ? encodeCursor({
+            sortBy,
+            sortOrder,
+            value: sortValue(last, sortBy),
+            issueId: last.issueId,
+          })
+        : null,
+    limit,
+    hasNext,
+  };
+}
+
+/**
+ * Filter, sort and paginate issues
+ *
+ * @param issues - Every issue the caller may list
+ * @param query - Parsed GET /issues query
+ * @param context - Caller and time the `filter` expression is evaluated for
+ * @returns One page, with the cursor of the next page if there is one
+ * @throws ValidationError if nextToken is malformed or was issued for a
+ * different ordering
+ */
+export function queryIssues(
+  issues: Issue[],
+  query: IssueListQuery,
+  context: FilterContext = {}
+): CursorPaginatedResponse<Issue> {
+  const { sortBy, sortOrder, limit } = query;
+  const matched = issues
+    .filter(issue => matchesIssueQuery(issue, query, context))
+    .map(issue => ({ issue, key: issueSortKey(issue, sortBy) }))
+    .sort((a, b) => compareSortKeys(a.key, b.key, sortOrder));
+
+  let start = 0;
+  const after = issuePageStart(query);
+  if (after) {
+    start = matched.findIndex(
+      ({ key }) => compareSortKeys(key, after.sortKey, sortOrder) > 0
+    );
+    if (start === -1) {
+      start = matched.length;
+    }
+  }
+
+  const items = matched.slice(start, start + limit).map(({ issue }) => issue);
+  return issuePage(items, query, start + limit < matched.length);
+}
@@ -0,0 +1,121 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Mentions - @email and @firstName in Comments
+ *
+ * A comment mentions a user with `@` followed by their email address or
+ * their first name (case-insensitive). A first name shared by several users
+ * is ambiguous and mentions nobody; the email form always works. Mentions
+ * inside code spans and fenced code blocks are ignored.
+ *
+ * Mentions are resolved when a comment is written, stored on the comment
+ * (so clients can render them as links) and turned into notifications.
+ */
+
+import { User, UserStatus } from "./index";
+
+/**
+ * A resolved mention, as stored on a comment
+ */
+export interface Mention {
+  handle: string; // As written, without the "@"
+  userId: string;
+  email: string;
+}
+
+/**
+ * User as listed in the mention directory (GET /users)
+ */
+export type DirectoryUser = Pick<
+  User,
+  "userId" | "email" | "firstName" | "lastName"
+>;
+
+// "@" not preceded by a word character, ".", or another "@" (so the middle
+// of an email address is not a mention), then an email or a name
+const MENTION_PATTERN =
+  /(^|[^\w.@])@([\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}|[A-Za-z][\w-]*)/g;
+
+// Comment text outside fenced code blocks and code spans
+function withoutCode(body: string): string {
+  const lines: string[] = [];
+  let fence: string | null = null;
+  for (const line of body.split(/\r?\n/)) {
+    const marker = /^ {0,3}(`{3,}|~{3,})/.exec(line)?.[1];
+    if (fence === null && marker) {
+      fence = marker;
+    } else if (fence !== null) {
+      if (marker?.[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+    } else {
+      lines.push(line);
+    }
+  }
+  return lines.join("\n").replace(/`[^`\n]+`/g, "");
+}
+
+/**
+ * Handles mentioned in a comment body, in order and without duplicates
+ */
+export function parseMentions(body: string): string[] {
+  const text = withoutCode(body);
+  const handles = Array.from(text.matchAll(MENTION_PATTERN), match => match[2]);
+  return handles.filter(
+    (handle, index) =>
+      handles.findIndex(
+        other => other.toLowerCase() === handle.toLowerCase()
+      ) === index
+  );
+}
+
+/**
+ * Resolve the mentions in a comment body against the users who can be
+ * mentioned; unknown and ambiguous handles are dropped
+ */
+export function resolveMentions(
+  body: string,
+  users: DirectoryUser[]
+): Mention[] {
+  const mentions: Mention[] = [];
+  for (const handle of parseMentions(body)) {
+    const key = handle.toLowerCase();
+    const matches = handle.includes("@")
+      ? users.filter(user => user.email.toLowerCase() === key)
+      : users.filter(user => user.firstName.toLowerCase() === key);
+    if (
+      matches.length === 1 &&
+      !mentions.some(mention => mention.userId === matches[0].userId)
+    ) {
+      mentions.push({
+        handle,
+        userId: matches[0].userId,
+        email: matches[0].email,
+      });
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Users who can be mentioned (and assigned): everyone not deactivated,
+ * without private fields
+ */
+export function userDirectory(
+  users: Pick<User, keyof DirectoryUser | "status">[]
+): DirectoryUser[] {
+  return users
+    .filter(
+      user =>
+        user.status !== UserStatus.INACTIVE &&
+        user.status !== UserStatus.SUSPENDED
+    )
+    .map(({ userId, email, firstName, lastName }) => ({
+      userId,
+      email,
+      firstName,
+      lastName,
+    }))
+    .sort((a, b) => a.email.localeCompare(b.email));
+}
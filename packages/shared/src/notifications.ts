@@ -0,0 +1,379 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Notifications - Per-User Notification Records
+ *
+ * A notification tells one user (`userId`) that something happened to an
+ * issue, and links back to it with `issueId` and, for comment events,
+ * `commentId`. Notifications start unread (`readAt: null`).
+ *
+ * Every write first builds candidate notifications, most specific first:
+ * - Mentions: users newly @mentioned in a comment (see mentions.ts)
+ * - Assignment: the new assignee of an issue
+ * - Status, assignee and priority changes: the issue's watchers
+ *   (see watchers.ts)
+ * - Comments: the issue's watchers
+ *
+ * routeNotifications then delivers them on each channel (in-app and email)
+ * according to the recipients' mute settings: per channel, each user gets
+ * the first candidate whose type they have not muted, so one write notifies
+ * a user at most once per channel. Nobody is notified of their own actions.
+ */
+
+import type { Issue } from "./index";
+import type { IssueComment } from "./comments";
+import type { DirectoryUser, Mention } from "./mentions";
+import type { NotificationSettingsInput } from "./validation";
+import { issueWatchers } from "./watchers";
+
+/**
+ * Kinds of notification
+ */
+export enum NotificationType {
+  MENTION = "mention",
+  ASSIGNED = "assigned",
+  STATUS_CHANGED = "status_changed",
+  ASSIGNEE_CHANGED = "assignee_changed",
+  PRIORITY_CHANGED = "priority_changed",
+  COMMENTED = "commented",
+}
+
+/**
+ * Ways a notification reaches its recipient
+ */
+export enum NotificationChannel {
+  IN_APP = "inApp", // The bell in the web app (GET /notifications)
+  EMAIL = "email",
+}
+
+/**
+ * Notification record, as stored
+ */
+export interface Notification {
+  notificationId: string;
+  userId: string; // Recipient
+  type: NotificationType;
+  issueId: string;
+  commentId?: string;
+  actorEmail: string; // Who caused it
+  message: string;
+  createdAt: string;
+  readAt: string | null;
+}
+
+/**
+ * A page of a user's notifications (GET /notifications)
+ */
+export interface NotificationInbox {
+  items: Notification[]; // Newest first
+  unreadCount: number; // Across all of the user's notifications
+}
+
+/**
+ * A user's mute settings: the notification types they do not want, per
+ * channel
+ */
+export interface NotificationSettings {
+  userId: string;
+  muted: Record<NotificationChannel, NotificationType[]>;
+  updatedAt: string | null; // null until first saved
+}
+
+/**
+ * Email sent for a notification
+ */
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+// Users with one of the given emails (case-insensitive)
+function usersByEmail(
+  emails: string[],
+  users: DirectoryUser[]
+): DirectoryUser[] {
+  const wanted = emails.map(email => email.toLowerCase());
+  return users.filter(user => wanted.includes(user.email.toLowerCase()));
+}
+
+// Build an unread notification
+function notify(
+  newId: () => string,
+  userId: string,
+  type: NotificationType,
+  issueId: string,
+  actorEmail: string,
+  message: string,
+  commentId?: string
+): Notification {
+  return {
+    notificationId: newId(),
+    userId,
+    type,
+    issueId,
+    ...(commentId ? { commentId } : {}),
+    actorEmail,
+    message,
+    createdAt: new Date().toISOString(),
+    readAt: null,
+  };
+}
+
+/**
+ * Notifications for the users a comment write newly mentions
+ *
+ * Users mentioned before the write (`previous`) were already notified, and
+ * the comment's author is never notified of their own mention.
+ *
+ * @param newId - Generates a notification ID
+ */
+export function mentionNotifications(
+  comment: IssueComment,
+  issue: Pick<Issue, "title">,
+  previous: Mention[],
+  newId: () => string
+): Notification[] {
+  return (comment.mentions ?? [])
+    .filter(
+      mention =>
+        mention.userId !== comment.authorId &&
+        !previous.some(({ userId }) => userId === mention.userId)
+    )
+    .map(mention =>
+      notify(
+        newId,
+        mention.userId,
+        NotificationType.MENTION,
+        comment.issueId,
+        comment.authorEmail,
+        `${comment.authorEmail} mentioned you on "${issue.title}"`,
+        comment.commentId
+      )
+    );
+}
+
+/**
+ * Candidate notifications for a new comment: its mentions, then the
+ * issue's watchers
+ *
+ * @param users - Directory used to find the watchers' user IDs
+ * @param newId - Generates a notification ID
+ */
+export function commentNotifications(
+  comment: IssueComment,
+  issue: Pick<Issue, "title" | "reporter" | "assignee" | "watchers">,
+  users: DirectoryUser[],
+  newId: () => string
+): Notification[] {
+  const notifications = mentionNotifications(comment, issue, [], newId);
+  for (const watcher of usersByEmail(issueWatchers(issue), users)) {
+    if (watcher.userId !== comment.authorId) {
+      notifications.push(
+        notify(
+          newId,
+          watcher.userId,
+          NotificationType.COMMENTED,
+          comment.issueId,
+          comment.authorEmail,
+          `${comment.authorEmail} commented on "${issue.title}"`,
+          comment.commentId
+        )
+      );
+    }
+  }
+  return notifications;
+}
+
+/**
+ * Candidate notifications for an issue write: its new assignee, then the
+ * watchers, for each of status, assignee and priority that changed
+ *
+ * @param previous - The issue before the write (null for a new issue)
+ * @param actor - Who made the change
+ * @param users - Directory used to find user IDs by email
+ * @param newId - Generates a notification ID
+ */
+export function issueNotifications(
+  previous: Issue | null,
+  issue: Issue,
+  actor: { email: string },
+  users: DirectoryUser[],
+  newId: () => string
+): Notification[] {
+  const notifications: Notification[] = [];
+  const add = (
+    emails: string[],
+    type: NotificationType,
+    message: string
+  ): void => {
+    for (const user of usersByEmail(emails, users)) {
+      if (user.email.toLowerCase() !== actor.email.toLowerCase()) {
+        notifications.push(
+          notify(newId, user.userId, type, issue.issueId, actor.email, message)
+        );
+      }
+    }
+  };
+
+  const assigneeChanged =
+    (issue.assignee ?? "").toLowerCase() !==
+    (previous?.assignee ?? "").toLowerCase();
+  if (issue.assignee && assigneeChanged) {
+    add(
+      [issue.assignee],
+      NotificationType.ASSIGNED,
+      `${actor.email} assigned you "${issue.title}"`
+    );
+  }
+  if (!previous) {
+    return notifications;
+  }
+
+  const watchers = issueWatchers(issue);
+  if (previous.status !== issue.status) {
+    add(
+      watchers,
+      NotificationType.STATUS_CHANGED,
+      `${actor.email} moved "${issue.title}" to ${issue.status}`
+    );
+  }
+  if (assigneeChanged) {
+    add(
+      watchers,
+      NotificationType.ASSIGNEE_CHANGED,
+      issue.assignee
+        ? `${actor.email} assigned "${issue.title}" to ${issue.assignee}`
+        : `${actor.email} unassigned "${issue.title}"`
+    );
+  }
+  if (previous.priority !== issue.priority) {
+    add(
+      watchers,
+      NotificationType.PRIORITY_CHANGED,
+      `${actor.email} changed the priority of "${issue.title}" to ${issue.priority}`
+    );
+  }
+  return notifications;
+}
+
+/**
+ * Settings of a user who has not changed them: nothing muted
+ */
+export function defaultNotificationSettings(
+  userId: string
+): NotificationSettings {
+  return {
+    userId,
+    muted: {
+      [NotificationChannel.IN_APP]: [],
+      [NotificationChannel.EMAIL]: [],
+    },
+    updatedAt: null,
+  };
+}
+
+/**
+ * Apply a PUT /notifications/settings body (channels it leaves out keep
+ * their mutes)
+ */
+export function updateNotificationSettings(
+  settings: NotificationSettings,
+  input: NotificationSettingsInput
+): NotificationSettings {
+  return {
+    ...settings,
+    muted: { ...settings.muted, ...input.muted },
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Deliver candidate notifications: per channel, each user gets the first
+ * candidate whose type they have not muted there
+ *
+ * @param candidates - Candidates, most specific first
+ * @param settings - Recipients' settings (missing: nothing muted)
+ */
+export function routeNotifications(
+  candidates: Notification[],
+  settings: NotificationSettings[]
+): Record<NotificationChannel, Notification[]> {
+  const route = (channel: NotificationChannel): Notification[] => {
+    const delivered: Notification[] = [];
+    for (const candidate of candidates) {
+      const muted =
+        settings.find(({ userId }) => userId === candidate.userId)?.muted[
+          channel
+        ] ?? [];
+      if (
+        !muted.includes(candidate.type) &&
+        !delivered.some(({ userId }) => userId === candidate.userId)
+      ) {
+        delivered.push(candidate);
+      }
+    }
+    return delivered;
+  };
+  return {
+    [NotificationChannel.IN_APP]: route(NotificationChannel.IN_APP),
+    [NotificationChannel.EMAIL]: route(NotificationChannel.EMAIL),
+  };
+}
+
+/**
+ * Email for a notification
+ *
+ * @param to - Recipient's email address
+ * @param subjectPrefix - Tag at the start of the subject
+ */
+export function notificationEmail(
+  notification: Notification,
+  to: string,
+  subjectPrefix = "[Issue Tracker]"
+): EmailMessage {
+  return {
+    to,
+    subject: `${subjectPrefix} ${notification.message}`,
+    text: [
+      notification.message,
+      "",
+      `Issue: ${notification.issueId}`,
+      ...(notification.commentId ? [`Comment: ${notification.commentId}`] : []),
+      "",
+      "You are receiving this because you watch this issue or were mentioned. " +
+        "Mute these emails in the issue tracker's notification settings.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Mark a notification read (already read ones keep their time)
+ */
+export function markNotificationRead(
+  notification: Notification,
+  now: string = new Date().toISOString()
+): Notification {
+  return notification.readAt ? notification : { ...notification, readAt: now };
+}
+
+/**
+ * A user's newest notifications and their unread count
+ *
+ * @param notifications - All of the user's notifications
+ */
+export function notificationInbox(
+  notifications: Notification[],
+  limit: number
+): NotificationInbox {
+  const sorted = [...notifications].sort(
+    (a, b) =>
+      b.createdAt.localeCompare(a.createdAt) ||
+      b.notificationId.localeCompare(a.notificationId)
+  );
+  return {
+    items: sorted.slice(0, limit),
+    unreadCount: notifications.filter(({ readAt }) => !readAt).length,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Password Handling - Policy, Hashing and Verification
+ *
+ * Used by the local development server (server.js) and the auth Lambda.
+ *
+ * - validatePassword: check a password against the `auth.password` policy
+ *   from config/development.js or config/production.js
+ * - hashPassword / verifyPassword: bcrypt hashing for stored credentials
+ * - toPublicUser: strip the stored hash before a user leaves the API
+ */
+
+import bcrypt from "bcryptjs";
+import type { User } from "./index";
+
+/**
+ * Password requirements (`auth.password` in the config files)
+ */
+export interface PasswordPolicy {
+  minLength: number;
+  requireSpecialChars: boolean;
+  requireNumbers: boolean;
+  requireUppercase: boolean;
+}
+
+/**
+ * Policy used when none is configured (matches config/production.js)
+ */
+export const DEFAULT_PASSWORD_POLICY: PasswordPolicy = {
+  minLength: 8,
+  requireSpecialChars: true,
+  requireNumbers: true,
+  requireUppercase: true,
+};
+
+/**
+ * bcrypt cost factor for new hashes
+ */
+export const BCRYPT_SALT_ROUNDS = 12;
+
+/**
+ * Persisted user record, including the bcrypt password hash
+ *
+ * Never return this from an API - pass it through toPublicUser() first.
+ */
+export interface UserRecord extends User {
+  passwordHash?: string;
+}
+
+/**
+ * userId prefix of the email claims in the users table
+ *
+ * The auth service claims an account's email with a conditional write before
+ * storing the account, so one email cannot be registered twice. Claims are
+ * not users: readers of the table skip them.
+ */
+export const EMAIL_CLAIM_PREFIX = "EMAIL#";
+
+/**
+ * Resolve the password policy from the environment
+ *
+ * PASSWORD_POLICY holds the JSON-encoded `auth.password` section of the
+ * deployment config; missing keys fall back to DEFAULT_PASSWORD_POLICY.
+ */
+export function resolvePasswordPolicy(): PasswordPolicy {
+  const raw = process.env.PASSWORD_POLICY;
+  if (!raw) {
+    return { ...DEFAULT_PASSWORD_POLICY };
+  }
+  return { ...DEFAULT_PASSWORD_POLICY, ...JSON.parse(raw) };
+}
+
+/**
+ * Check a password against a policy
+ *
+ * @returns One message per unmet requirement (empty when the password is valid)
+ */
+export function validatePassword(
+  password: string,
+  policy: PasswordPolicy
+): string[] {
+  const errors: string[] = [];
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (policy.requireNumbers && !/[0-9]/.test(password)) {
+    errors.push("Password must contain a number");
+  }
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain a special character");
+  }
+  return errors;
+}
+
+/**
+ * Hash a password with bcrypt
+ */
+export function hashPassword(
+  password: string,
+  saltRounds: number = BCRYPT_SALT_ROUNDS
+): Promise<string> {
+  return bcrypt.hash(password, saltRounds);
+}
+
+/**
+ * Compare a password with a stored bcrypt hash
+ *
+ * Users without a hash (e.g. records created before hashing was added)
+ * never match.
+ */
+export async function verifyPassword(
+  password: string,
+  passwordHash: string | undefined
+): Promise<boolean> {
+  if (!passwordHash) {
+    return false;
+  }
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Copy of a user record without its password hash, safe to return from an API
+ */
+export function toPublicUser<T extends { passwordHash?: string }>({
+  passwordHash: _passwordHash,
+  ...publicUser
+}: T): Omit<T, "passwordHash"> {
+  return publicUser;
+}
@@ -0,0 +1,99 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Permissions - Role-Based Access Control
+ *
+ * Permission matrix for the UserRole values, using the permission names of
+ * the web app's `roles` array. Enforced by the local development server
+ * (server.js) and the Lambda handlers; a denied check throws ForbiddenError,
+ * which the handlers turn into a 403 response.
+ */
+
+import { UserRole } from "./index";
+import type { JWTPayload } from "./index";
+
+/**
+ * Permission names (match the web app's role definitions)
+ */
+export enum Permission {
+  CREATE_ISSUES = "create_issues",
+  EDIT_ISSUES = "edit_issues",
+  DELETE_ISSUES = "delete_issues",
+  ASSIGN_ISSUES = "assign_issues",
+  VIEW_REPORTS = "view_reports",
+  MANAGE_TEAMS = "manage_teams",
+  MANAGE_USERS = "manage_users",
+}
+
+/**
+ * Permissions granted to each role
+ */
+export const ROLE_PERMISSIONS: Record<UserRole, readonly Permission[]> = {
+  [UserRole.ADMIN]: Object.values(Permission),
+  [UserRole.SUPPORT_STAFF]: [
+    Permission.CREATE_ISSUES,
+    Permission.EDIT_ISSUES,
+    Permission.ASSIGN_ISSUES,
+    Permission.VIEW_REPORTS,
+  ],
+  [UserRole.END_USER]: [Permission.CREATE_ISSUES],
+};
+
+/**
+ * Authorization failure, carrying the HTTP status and error fields used in
+ * API responses
+ */
+export class ForbiddenError extends Error {
+  readonly statusCode = 403;
+  readonly error = "Forbidden";
+
+  constructor(message: string) {
+    super(message);
+    this.name = "ForbiddenError";
+  }
+}
+
+/**
+ * Check whether a role has a permission
+ */
+export function hasPermission(role: UserRole, permission: Permission): boolean {
+  return ROLE_PERMISSIONS[role]?.includes(permission) ?? false;
+}
+
+/**
+ * Require every given permission for the authenticated user
+ *
+ * @throws ForbiddenError naming the first missing permission
+ */
+export function authorize(
+  user: Pick<JWTPayload, "role">,
+  ...permissions: Permission[]
+): void {
+  const missing = permissions.find(
+    permission => !hasPermission(user.role, permission)
+  );
+  if (missing) {
+    throw new ForbiddenError(`Missing permission: ${missing}`);
+  }
+}
+
+/**
+ * Check whether a caller may create or promote an account to a role
+ *
+ * Anyone may get END_USER; elevated roles need the manage_users permission,
+ * which only admins have.
+ *
+ * @param granter - Authenticated caller, or null for self-registration
+ */
+export function canGrantRole(
+  granter: Pick<JWTPayload, "role"> | null,
+  role: UserRole
+): boolean {
+  if (role === UserRole.END_USER) {
+    return true;
+  }
+  return (
+    granter !== null && hasPermission(granter.role, Permission.MANAGE_USERS)
+  );
+}
@@ -0,0 +1,209 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Attachment Previews - Thumbnails and Text Excerpts
+ *
+ * Image attachments get a JPEG thumbnail at most THUMBNAIL_SIZE pixels on
+ * its longer side, made when the file is uploaded and stored under the
+ * file's checksum like the file itself, so opening an issue only fetches
+ * small images. Images over THUMBNAIL_MAX_PIXELS (which would not decode
+ * within the Lambda's memory) or that fail to decode get no thumbnail.
+ *
+ * Text attachments (.txt, .log) are previewed as their first
+ * PREVIEW_MAX_BYTES, cut at the last complete line. The web app highlights
+ * the excerpt (see web/js/markdown.js).
+ *
+ * Previews are served like downloads: to any signed-in user, for an
+ * attachment of an issue that exists.
+ */
+
+import { decode as decodeJpeg, encode as encodeJpeg } from "jpeg-js";
+import { GifReader } from "omggif";
+import { PNG } from "pngjs";
+import type { Attachment } from "./attachments";
+
+/**
+ * Longest side of a thumbnail, in pixels
+ */
+export const THUMBNAIL_SIZE = 200;
+
+/**
+ * Largest image a thumbnail is made for, in pixels
+ */
+export const THUMBNAIL_MAX_PIXELS = 16 * 1000 * 1000;
+
+/**
+ * Content type thumbnails are stored and served with
+ */
+export const THUMBNAIL_CONTENT_TYPE = "image/jpeg";
+
+/**
+ * Most bytes of a text attachment a preview shows
+ */
+export const PREVIEW_MAX_BYTES = 16 * 1024;
+
+const THUMBNAIL_QUALITY = 80;
+
+/**
+ * A generated thumbnail
+ */
+export interface Thumbnail {
+  data: Buffer; // JPEG
+  width: number;
+  height: number;
+}
+
+/**
+ * GET /issues/{id}/attachments/{attachmentId}/preview response
+ */
+export interface AttachmentPreview {
+  attachmentId: string;
+  name: string;
+  text: string;
+  truncated: boolean; // The file continues past the excerpt
+  size: number; // Bytes in the whole file
+}
+
+/**
+ * Make a thumbnail for an image attachment
+ *
+ * @returns The thumbnail, or null for other types and for images that are
+ *   too large or fail to decode
+ */
+export function createThumbnail(
+  data: Buffer,
+  contentType: string
+): Thumbnail | null {
+  let image: { data: Uint8Array; width: number; height: number } | null;
+  try {
+    image = decodeImage(data, contentType);
+  } catch {
+    return null;
+  }
+  if (!image) {
+    return null;
+  }
+
+  const pixels = scaleDown(image.data, image.width, image.height);
+  return {
+    data: Buffer.from(encodeJpeg(pixels, THUMBNAIL_QUALITY).data),
+    width: pixels.width,
+    height: pixels.height,
+  };
+}
+
+/**
+ * Whether an attachment has a text preview
+ */
+export function hasTextPreview(
+  attachment: Pick<Attachment, "contentType">
+): boolean {
+  return attachment.contentType === "text/plain";
+}
+
+/**
+ * Build the preview of a text attachment from its stored bytes
+ */
+export function createTextPreview(
+  attachment: Pick<Attachment, "attachmentId" | "name">,
+  data: Buffer
+): AttachmentPreview {
+  let excerpt = data;
+  if (data.length > PREVIEW_MAX_BYTES) {
+    excerpt = data.subarray(0, PREVIEW_MAX_BYTES);
+    const lineEnd = excerpt.lastIndexOf(0x0a);
+    if (lineEnd > 0) {
+      excerpt = excerpt.subarray(0, lineEnd + 1);
+    }
+  }
+  return {
+    attachmentId: attachment.attachmentId,
+    name: attachment.name,
+    // A single long line may end in a character cut off at the limit
+    text: excerpt.toString("utf8").replace(/\uFFFD+$/, ""),
+    truncated: excerpt.length < data.length,
+    size: data.length,
+  };
+}
+
+/**
+ * Decode an image to RGBA pixels, or null for other types and images over
+ * THUMBNAIL_MAX_PIXELS (checked before decoding where the format allows)
+ */
+function decodeImage(
+  data: Buffer,
+  contentType: string
+): { data: Uint8Array; width: number; height: number } | null {
+  switch (contentType) {
+    case "image/png": {
+      // IHDR is always the first chunk
+      if (
+        data.readUInt32BE(16) * data.readUInt32BE(20) >
+        THUMBNAIL_MAX_PIXELS
+      ) {
+        return null;
+      }
+      return PNG.sync.read(data);
+    }
+    case "image/jpeg":
+      return decodeJpeg(data, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: THUMBNAIL_MAX_PIXELS / (1000 * 1000),
+      });
+    case "image/gif": {
+      const reader = new GifReader(new Uint8Array(data));
+      if (reader.width * reader.height > THUMBNAIL_MAX_PIXELS) {
+        return null;
+      }
+      // The first frame of an animation
+      const pixels = new Uint8Array(reader.width * reader.height * 4);
+      reader.decodeAndBlitFrameRGBA(0, pixels);
+      return { data: pixels, width: reader.width, height: reader.height };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Scale RGBA pixels down to fit THUMBNAIL_SIZE (never up), averaging each
+ * block of source pixels and flattening transparency onto white
+ */
+function scaleDown(
+  pixels: Uint8Array,
+  width: number,
+  height: number
+): { data: Buffer; width: number; height: number } {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  const target = Buffer.alloc(targetWidth * targetHeight * 4);
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor((ty * height) / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor((tx * width) / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+      const sums = [0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          const alpha = pixels[i + 3] / 255;
+          for (let c = 0; c < 3; c++) {
+            sums[c] += pixels[i + c] * alpha + 255 * (1 - alpha);
+          }
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const t = (ty * targetWidth + tx) * 4;
+      for (let c = 0; c < 3; c++) {
+        target[t + c] = Math.round(sums[c] / count);
+      }
+      target[t + 3] = 255;
+    }
+  }
+  return { data: target, width: targetWidth, height: targetHeight };
+}
@@ -0,0 +1,573 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Search - Inverted Index, Query Parsing and Ranking
+ *
+ * Full-text search over issues and their comments for
+ * GET /issues/search?q=. Each issue is split into documents (title,
+ * description, tags and one per comment) whose terms are stored as postings
+ * (term -> document -> token positions) in a SearchIndexStore. The backends
+ * update the index on every issue and comment write:
+ *
+ * - server.js keeps an InMemorySearchIndexStore, rebuilt from storage at
+ *   startup
+ * - the API Lambda keeps the postings in the SearchIndex DynamoDB table
+ *
+ * Query syntax (all parts must match):
+ *
+ *   login crash            both terms, in any field
+ *   "login crash"          the exact phrase
+ *   title:login            a term in one field (title, description, tag,
+ *   tag:"front end"        comment), optionally with a phrase
+ *
+ * Results are ranked by TF-IDF with field weights (title matches count
+ * most) and come with HTML-escaped snippets in which the matched terms are
+ * wrapped in <mark>.
+ */
+
+import type { Issue } from "./index";
+
+/**
+ * Searchable fields
+ */
+export enum SearchField {
+  TITLE = "title",
+  DESCRIPTION = "description",
+  TAG = "tag",
+  COMMENT = "comment",
+}
+
+/**
+ * Ranking weight of a match in each field
+ */
+export const SEARCH_FIELD_WEIGHTS: Record<SearchField, number> = {
+  [SearchField.TITLE]: 3,
+  [SearchField.TAG]: 2,
+  [SearchField.DESCRIPTION]: 1,
+  [SearchField.COMMENT]: 0.75,
+};
+
+/**
+ * Default and maximum number of results per request
+ */
+export const SEARCH_DEFAULT_LIMIT = 20;
+export const SEARCH_MAX_LIMIT = 50;
+
+/**
+ * Term under which every indexed issue has a posting, so the store can
+ * count issues for IDF (tokens never contain "#")
+ */
+const ISSUE_MARKER_TERM = "#issue";
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 160;
+const MAX_SNIPPETS = 3;
+
+/**
+ * One searchable piece of an issue
+ */
+export interface SearchDocument {
+  docKey: string; // "<issueId>#title", "<issueId>#comment#<commentId>", ...
+  issueId: string;
+  field: SearchField;
+  text: string;
+}
+
+/**
+ * Occurrences of one term in one document
+ */
+export interface Posting {
+  term: string;
+  docKey: string;
+  issueId: string;
+  field: SearchField | "issue";
+  positions: number[];
+}
+
+/**
+ * Persistence for postings
+ */
+export interface SearchIndexStore {
+  /** Every posting of a term */
+  postings(term: string): Promise<Posting[]>;
+  /** Store new or changed postings and delete removed ones */
+  write(
+    put: Posting[],
+    remove: Pick<Posting, "term" | "docKey">[]
+  ): Promise<void>;
+}
+
+/**
+ * A comment as seen by the search index
+ */
+export interface SearchComment {
+  commentId: string;
+  body: string;
+}
+
+/**
+ * One part of a parsed search query
+ */
+export interface SearchClause {
+  field?: SearchField;
+  terms: string[];
+  phrase: boolean;
+}
+
+/**
+ * Highlighted excerpt of a matching document
+ */
+export interface SearchSnippet {
+  field: SearchField;
+  commentId?: string;
+  text: string; // HTML-escaped, matches wrapped in <mark>
+}
+
+/**
+ * One ranked search result
+ */
+export interface SearchHit<T = Issue> {
+  issue: T;
+  score: number;
+  snippets: SearchSnippet[];
+}
+
+/**
+ * GET /issues/search response
+ */
+export interface SearchResponse<T = Issue> {
+  query: string;
+  items: SearchHit<T>[];
+  total: number;
+  limit: number;
+}
+
+/**
+ * Split text into lowercase terms, keeping their offsets
+ */
+export function tokenize(
+  text: string
+): { term: string; start: number; end: number }[] {
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+/gu), match => ({
+    term: match[0].toLowerCase(),
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+  }));
+}
+
+/**
+ * Searchable documents of an issue (without its comments)
+ */
+export function issueDocuments(issue: Issue): SearchDocument[] {
+  const fields: [SearchField, string | undefined][] = [
+    [SearchField.TITLE, issue.title],
+    [SearchField.DESCRIPTION, issue.description],
+    [SearchField.TAG, (issue.tags ?? []).join(" ")],
+  ];
+  return fields
+    .filter(([, text]) => text)
+    .map(([field, text]) => ({
+      docKey: `${issue.issueId}#${field}`,
+      issueId: issue.issueId,
+      field,
+      text: text as string,
+    }));
+}
+
+/**
+ * Searchable document of a comment
+ */
+export function commentDocument(
+  issueId: string,
+  comment: SearchComment
+): SearchDocument {
+  return {
+    docKey: `${issueId}#comment#${comment.commentId}`,
+    issueId,
+    field: SearchField.COMMENT,
+    text: comment.body,
+  };
+}
+
+/**
+ * Parse a search query into clauses
+ *
+ * A prefix that is not a search field is searched as an ordinary term, and
+ * an unquoted word that tokenizes into several terms (e.g. `front-end`) is
+ * matched as a phrase.
+ */
+export function parseSearchQuery(query: string): SearchClause[] {
+  const clauses: SearchClause[] = [];
+  const fields = Object.values(SearchField) as string[];
+  for (const [, prefix, value] of query.matchAll(
+    /(?:(\p{L}+):)?("[^"]*"?|\S+)/gu
+  )) {
+    let field: SearchField | undefined;
+    if (prefix && fields.includes(prefix.toLowerCase())) {
+      field = prefix.toLowerCase() as SearchField;
+    } else if (prefix) {
+      clauses.push({ terms: [prefix.toLowerCase()], phrase: false });
+    }
+
+    const terms = tokenize(value).map(token => token.term);
+    if (terms.length > 0) {
+      clauses.push({ field, terms, phrase: terms.length > 1 });
+    }
+  }
+  return clauses;
+}
+
+/**
+ * Ranked issue before it is loaded
+ */
+export interface RankedIssue {
+  issueId: string;
+  score: number;
+  /** Query terms matched, per field */
+  matchedTerms: Partial<Record<SearchField, string[]>>;
+}
+
+/**
+ * Inverted index over issues and comments
+ */
+export class SearchIndex {
+  constructor(private readonly store: SearchIndexStore) {}
+
+  /**
+   * Update the index after an issue write
+   *
+   * @param previous - Issue before the write (null when created)
+   * @param next - Issue after the write (null when deleted)
+   */
+  async indexIssue(previous: Issue | null, next: Issue | null): Promise<void> {
+    const issue = (next ?? previous) as Issue;
+    const marker: Posting = {
+      term: ISSUE_MARKER_TERM,
+      docKey: issue.issueId,
+      issueId: issue.issueId,
+      field: "issue",
+      positions: [],
+    };
+    await this.update(
+      previous ? issueDocuments(previous) : [],
+      next ? issueDocuments(next) : [],
+      next && !previous ? [marker] : [],
+      previous && !next ? [marker] : []
+    );
+  }
+
+  /**
+   * Update the index after a comment write
+   *
+   * @param previous - Comment before the write (null when created)
+   * @param next - Comment after the write (null when deleted)
+   */
+  async indexComment(
+    issueId: string,
+    previous: SearchComment | null,
+    next: SearchComment | null
+  ): Promise<void> {
+    await this.update(
+      previous ? [commentDocument(issueId, previous)] : [],
+      next ? [commentDocument(issueId, next)] : []
+    );
+  }
+
+  /**
+   * Find the issues matching every clause of a query, best first
+   *
+   * @returns Ranked issue IDs with the terms each field matched, and the
+   * number of matching issues
+   */
+  async search(
+    clauses: SearchClause[]
+  ): Promise<{ hits: RankedIssue[]; total: number }> {
+    const cache = new Map<string, Promise<Posting[]>>();
+    const postingsOf = (term: string) => {
+      if (!cache.has(term)) {
+        cache.set(term, this.store.postings(term));
+      }
+      return cache.get(term) as Promise<Posting[]>;
+    };
+
+    const issueCount = Math.max(
+      (await postingsOf(ISSUE_MARKER_TERM)).length,
+      1
+    );
+    let ranked: Map<string, RankedIssue> | null = null;
+
+    for (const clause of clauses) {
+      const matches = await this.matchClause(clause, postingsOf);
+      const issueIds = new Set(matches.map(match => match.issueId));
+      const idf = Math.log(1 + issueCount / Math.max(issueIds.size, 1));
+      const boost = clause.phrase ? clause.terms.length : 1;
+
+      const next = new Map<string, RankedIssue>();
+      for (const match of matches) {
+        const previous = ranked
+          ? ranked.get(match.issueId)
+          : { issueId: match.issueId, score: 0, matchedTerms: {} };
+        if (!previous) {
+          continue; // Missed an earlier clause
+        }
+        const hit = next.get(match.issueId) ?? {
+          ...previous,
+          matchedTerms: { ...previous.matchedTerms },
+        };
+        hit.score +=
+          SEARCH_FIELD_WEIGHTS[match.field] *
+          (1 + Math.log(match.frequency)) *
+          idf *
+          boost;
+        hit.matchedTerms[match.field] = [
+          ...new Set([
+            ...(hit.matchedTerms[match.field] ?? []),
+            ...clause.terms,
+          ]),
+        ];
+        next.set(match.issueId, hit);
+      }
+      ranked = next;
+    }
+
+    const hits = Array.from(ranked?.values() ?? []).sort(
+      (a, b) => b.score - a.score || (a.issueId < b.issueId ? -1 : 1)
+    );
+    return { hits, total: hits.length };
+  }
+
+  /**
+   * Documents matching one clause, with how often they match
+   */
+  private async matchClause(
+    clause: SearchClause,
+    postingsOf: (term: string) => Promise<Posting[]>
+  ): Promise<
+    { issueId: string; field: SearchField; docKey: string; frequency: number }[]
+  > {
+    const inField = (posting: Posting) =>
+      posting.field !== "issue" &&
+      (!clause.field || posting.field === clause.field);
+
+    const [first, ...rest] = await Promise.all(
+      clause.terms.map(async term => (await postingsOf(term)).filter(inField))
+    );
+    if (!clause.phrase) {
+      return first.map(posting => ({
+        issueId: posting.issueId,
+        field: posting.field as SearchField,
+        docKey: posting.docKey,
+        frequency: posting.positions.length,
+      }));
+    }
+
+    // Phrase: the terms at consecutive positions of the same document
+    const following = rest.map(
+      postings =>
+        new Map(
+          postings.map(posting => [posting.docKey, new Set(posting.positions)])
+        )
+    );
+    return first
+      .map(posting => ({
+        issueId: posting.issueId,
+        field: posting.field as SearchField,
+        docKey: posting.docKey,
+        frequency: posting.positions.filter(position =>
+          following.every((positions, offset) =>
+            positions.get(posting.docKey)?.has(position + offset + 1)
+          )
+        ).length,
+      }))
+      .filter(match => match.frequency > 0);
+  }
+
+  /**
+   * Replace the postings of some documents
+   */
+  private async update(
+    previous: SearchDocument[],
+    next: SearchDocument[],
+    extraPut: Posting[] = [],
+    extraRemove: Posting[] = []
+  ): Promise<void> {
+    const before = postingsOf(previous);
+    const after = postingsOf(next);
+    const key = (posting: Posting) => `${posting.term} ${posting.docKey}`;
+    const beforeByKey = new Map(before.map(posting => [key(posting), posting]));
+    const afterKeys = new Set(after.map(key));
+
+    const put = after.filter(posting => {
+      const old = beforeByKey.get(key(posting));
+      return !old || old.positions.join() !== posting.positions.join();
+    });
+    const remove = before.filter(posting => !afterKeys.has(key(posting)));
+
+    await this.store.write(
+      [...put, ...extraPut],
+      [...remove, ...extraRemove].map(({ term, docKey }) => ({ term, docKey }))
+    );
+  }
+}
+
+/**
+ * Postings of a set of documents
+ */
+function postingsOf(documents: SearchDocument[]): Posting[] {
+  return documents.flatMap(document => {
+    const positions = new Map<string, number[]>();
+    tokenize(document.text).forEach(({ term }, position) => {
+      if (!positions.has(term)) {
+        positions.set(term, []);
+      }
+      positions.get(term)?.push(position);
+    });
+    return Array.from(positions, ([term, termPositions]) => ({
+      term,
+      docKey: document.docKey,
+      issueId: document.issueId,
+      field: document.field,
+      positions: termPositions,
+    }));
+  });
+}
+
+/**
+ * Postings held in memory (local development server)
+ */
+export class InMemorySearchIndexStore implements SearchIndexStore {
+  private readonly terms = new Map<string, Map<string, Posting>>();
+
+  async postings(term: string): Promise<Posting[]> {
+    return Array.from(this.terms.get(term)?.values() ?? []);
+  }
+
+  async write(
+    put: Posting[],
+    remove: Pick<Posting, "term" | "docKey">[]
+  ): Promise<void> {
+    for (const { term, docKey } of remove) {
+      this.terms.get(term)?.delete(docKey);
+      if (this.terms.get(term)?.size === 0) {
+        this.terms.delete(term);
+      }
+    }
+    for (const posting of put) {
+      if (!this.terms.has(posting.term)) {
+        this.terms.set(posting.term, new Map());
+      }
+      this.terms.get(posting.term)?.set(posting.docKey, posting);
+    }
+  }
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Excerpt of a text around its first matched term, HTML-escaped, with every
+ * matched term wrapped in <mark>
+ */
+export function highlight(text: string, terms: string[]): string {
+  const wanted = new Set(terms);
+  const matches = tokenize(text).filter(token => wanted.has(token.term));
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, (matches[0]?.start ?? 0) - SNIPPET_CONTEXT);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    // Do not cut words in half
+    while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) {
+      start--;
+    }
+    while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) {
+      end++;
+    }
+  }
+
+  let html = start > 0 ? "…" : "";
+  let cursor = start;
+  for (const match of matches) {
+    if (match.start < start || match.end > end) {
+      continue;
+    }
+    html += escapeHtml(text.slice(cursor, match.start));
+    html += `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    cursor = match.end;
+  }
+  html += escapeHtml(text.slice(cursor, end));
+  return end < text.length ? `${html}…` : html;
+}
+
+/**
+ * Run a search query and load the matching issues
+ *
+ * @param index - Search index to query
+ * @param query - Raw `q` parameter
+ * @param limit - Maximum number of results
+ * @param load - Loads an issue and its comments; null if it no longer
+ * exists (such results are skipped)
+ */
+export async function searchIssues<T extends Issue>(
+  index: SearchIndex,
+  query: string,
+  limit: number,
+  load: (
+    issueId: string
+  ) => Promise<{ issue: T; comments?: SearchComment[] } | null>
+): Promise<SearchResponse<T>> {
+  const { hits, total } = await index.search(parseSearchQuery(query));
+  const items: SearchHit<T>[] = [];
+
+  for (const hit of hits) {
+    if (items.length === limit) {
+      break;
+    }
+    const loaded = await load(hit.issueId);
+    if (!loaded) {
+      continue;
+    }
+
+    const documents = [
+      ...issueDocuments(loaded.issue),
+      ...(loaded.comments ?? []).map(comment =>
+        commentDocument(hit.issueId, comment)
+      ),
+    ];
+    const snippets = documents
+      .filter(document => {
+        const terms = hit.matchedTerms[document.field] ?? [];
+        return tokenize(document.text).some(token =>
+          terms.includes(token.term)
+        );
+      })
+      .sort(
+        (a, b) => SEARCH_FIELD_WEIGHTS[b.field] - SEARCH_FIELD_WEIGHTS[a.field]
+      )
+      .slice(0, MAX_SNIPPETS)
+      .map(document => ({
+        field: document.field,
+        ...(document.field === SearchField.COMMENT
+          ? { commentId: document.docKey.split("#comment#")[1] }
+          : {}),
+        text: highlight(document.text, hit.matchedTerms[document.field] ?? []),
+      }));
+
+    items.push({
+      issue: loaded.issue,
+      score: Math.round(hit.score * 1000) / 1000,
+      snippets,
+    });
+  }
+
+  return { query, items, total, limit };
+}
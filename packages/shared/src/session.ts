@@ -0,0 +1,94 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Sessions - Refresh Token Rotation and Reuse Detection
+ *
+ * Every login starts a session (a row in `db.sessions` locally and in the
+ * SessionsTable on AWS). Refresh tokens carry the session ID and the
+ * session's rotation counter:
+ *
+ * - A refresh with the current counter is valid; the caller bumps the
+ *   counter and issues a new token pair (rotation).
+ * - A refresh with an older counter means a token was replayed after it had
+ *   already been used, so the caller revokes the whole session and every
+ *   token issued from it stops working.
+ */
+
+import { randomUUID } from "crypto";
+import { REFRESH_TOKEN_TTL, RefreshTokenPayload } from "./auth";
+
+/**
+ * Server-side session record
+ */
+export interface Session {
+  sessionId: string;
+  userId: string;
+  rotation: number; // Counter carried by the current refresh token
+  createdAt: string;
+  updatedAt: string;
+  expiresAt: number; // Epoch seconds (SessionsTable TTL attribute)
+  revokedAt?: string;
+  revokedReason?: string;
+}
+
+/**
+ * Outcome of checking a refresh token against its session
+ */
+export type RefreshCheck = "valid" | "reused" | "invalid";
+
+/**
+ * Reason recorded when a replayed refresh token revokes its session
+ */
+export const SESSION_REUSE_REASON = "refresh_token_reuse";
+
+/**
+ * Reason recorded when a user logs out of a session
+ */
+export const SESSION_LOGOUT_REASON = "logout";
+
+/**
+ * Reason recorded when a user logs out of every session at once
+ */
+export const SESSION_LOGOUT_ALL_REASON = "logout_all";
+
+/**
+ * Start a new session for a user
+ */
+export function createSession(userId: string, now: Date = new Date()): Session {
+  const timestamp = now.toISOString();
+  return {
+    sessionId: randomUUID(),
+    userId,
+    rotation: 0,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    expiresAt: Math.floor(now.getTime() / 1000) + REFRESH_TOKEN_TTL,
+  };
+}
+
+/**
+ * Check a verified refresh token against its stored session
+ *
+ * @returns "valid" if the token is the session's current one, "reused" if
+ * it is an already-rotated token of a live session (revoke the session),
+ * otherwise "invalid"
+ */
+export function checkRefreshSession(
+  session: Session | null,
+  token: RefreshTokenPayload,
+  now: Date = new Date()
+): RefreshCheck {
+  if (
+    !session ||
+    session.revokedAt ||
+    session.userId !== token.userId ||
+    session.expiresAt <= Math.floor(now.getTime() / 1000)
+  ) {
+    return "invalid";
+  }
+  if (token.rotation < session.rotation) {
+    return "reused";
+  }
+  return token.rotation === session.rotation ? "valid" : "invalid";
+}
@@ -0,0 +1,434 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Timesheets - Weekly Hours per Member and Approval
+ *
+ * A timesheet is one member's worklogs (worklogs.ts) for a week, Monday to
+ * Sunday in UTC, laid out as minutes per issue per day with billable and
+ * non-billable totals. The team timesheet lays out the minutes per day of
+ * every member of one team (a user's `teamIds`), or of everyone who logged
+ * time, for the same week.
+ *
+ * Each member's week moves through an approval workflow:
+ *
+ *   OPEN --submit--> SUBMITTED --approve--> APPROVED
+ *                        |                     |
+ *                        +------reject---------+--> REJECTED --submit--> ...
+ *
+ * Only the member submits their own week; approving and rejecting need the
+ * manage_teams permission, and rejecting an approved week reopens it. While
+ * a week is submitted or approved its worklogs are locked: they cannot be
+ * logged, edited or deleted, and a timer that started in it cannot be
+ * stopped.
+ */
+
+import type { JWTPayload, User } from "./index";
+import { isBillable, Worklog } from "./worklogs";
+
+/**
+ * Where a member's week is in the approval workflow
+ */
+export enum TimesheetStatus {
+  OPEN = "OPEN",
+  SUBMITTED = "SUBMITTED",
+  APPROVED = "APPROVED",
+  REJECTED = "REJECTED",
+}
+
+/**
+ * Approval workflow actions
+ */
+export type TimesheetAction = "submit" | "approve" | "reject";
+
+/**
+ * A member's week in the approval workflow, as stored (no record: OPEN)
+ */
+export interface TimesheetApproval {
+  weekStart: string; // Monday, YYYY-MM-DD
+  userId: string;
+  userEmail: string;
+  status: TimesheetStatus;
+  submittedAt: string | null;
+  reviewedBy: string | null; // Email of the approver or rejecter
+  reviewedAt: string | null;
+  comment: string | null; // Reviewer's comment
+  updatedAt: string;
+}
+
+/**
+ * Minutes on one issue per day of the week
+ */
+export interface TimesheetRow {
+  issueId: string;
+  issueTitle: string | null; // null once the issue is deleted
+  minutes: number[]; // Monday to Sunday
+  totalMinutes: number;
+  billableMinutes: number;
+}
+
+/**
+ * Totals shared by member and team timesheets
+ */
+export interface TimesheetTotals {
+  dayTotals: number[]; // Monday to Sunday
+  totalMinutes: number;
+  billableMinutes: number;
+  nonBillableMinutes: number;
+}
+
+/**
+ * GET /timesheets/{userId}/{week} response
+ */
+export interface MemberTimesheet extends TimesheetTotals {
+  userId: string;
+  userEmail: string;
+  weekStart: string;
+  days: string[]; // YYYY-MM-DD, Monday to Sunday
+  approval: TimesheetApproval;
+  rows: TimesheetRow[];
+  entries: Worklog[]; // The week's worklogs, in the order the work was done
+}
+
+/**
+ * One member's line in the team timesheet
+ */
+export interface TeamTimesheetMember {
+  userId: string;
+  userEmail: string;
+  status: TimesheetStatus;
+  minutes: number[]; // Monday to Sunday
+  totalMinutes: number;
+  billableMinutes: number;
+}
+
+/**
+ * GET /timesheets response
+ */
+export interface TeamTimesheet extends TimesheetTotals {
+  teamId: string | null; // null: everyone who logged time
+  weekStart: string;
+  days: string[];
+  members: TeamTimesheetMember[];
+}
+
+/**
+ * Rejected approval action or write to a locked week, carrying the HTTP
+ * status and error fields used in API responses
+ */
+export class TimesheetError extends Error {
+  readonly statusCode = 409;
+  readonly error = "Timesheet conflict";
+
+  constructor(
+    message: string,
+    readonly details: {
+      userId: string;
+      weekStart: string;
+      status: TimesheetStatus;
+    }
+  ) {
+    super(message);
+    this.name = "TimesheetError";
+  }
+}
+
+// Statuses each action may be taken from, and the status it leads to
+const TRANSITIONS: Record<
+  TimesheetAction,
+  { from: TimesheetStatus[]; to: TimesheetStatus }
+> = {
+  submit: {
+    from: [TimesheetStatus.OPEN, TimesheetStatus.REJECTED],
+    to: TimesheetStatus.SUBMITTED,
+  },
+  approve: {
+    from: [TimesheetStatus.SUBMITTED],
+    to: TimesheetStatus.APPROVED,
+  },
+  reject: {
+    from: [TimesheetStatus.SUBMITTED, TimesheetStatus.APPROVED],
+    to: TimesheetStatus.REJECTED,
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Monday (YYYY-MM-DD, UTC) of the week a date or date-time falls in
+ */
+export function weekStart(date: string | Date): string {
+  const day = new Date(date);
+  const sinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) -
+      sinceMonday * DAY_MS
+  )
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * The seven days (YYYY-MM-DD) of the week starting on a Monday
+ */
+export function weekDays(monday: string): string[] {
+  const start = Date.parse(monday);
+  return Array.from({ length: 7 }, (_, i) =>
+    new Date(start + i * DAY_MS).toISOString().slice(0, 10)
+  );
+}
+
+/**
+ * A member's approval record for a week, OPEN when none is stored
+ */
+export function timesheetApproval(
+  stored: TimesheetApproval | null,
+  user: { userId: string; userEmail: string },
+  week: string
+): TimesheetApproval {
+  return (
+    stored ?? {
+      weekStart: week,
+      userId: user.userId,
+      userEmail: user.userEmail,
+      status: TimesheetStatus.OPEN,
+      submittedAt: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      comment: null,
+      updatedAt: new Date().toISOString(),
+    }
+  );
+}
+
+/**
+ * Whether a week's worklogs are locked (submitted or approved)
+ */
+export function isTimesheetLocked(approval: TimesheetApproval | null): boolean {
+  return (
+    approval?.status === TimesheetStatus.SUBMITTED ||
+    approval?.status === TimesheetStatus.APPROVED
+  );
+}
+
+/**
+ * Reject a write to a worklog in a locked week
+ *
+ * @param approval - The stored approval record of the worklog's week
+ * @throws TimesheetError when the week is submitted or approved
+ */
+export function assertTimesheetOpen(approval: TimesheetApproval | null): void {
+  if (approval && isTimesheetLocked(approval)) {
+    throw new TimesheetError(
+      `The timesheet for the week of ${approval.weekStart} is ${approval.status.toLowerCase()} and locked`,
+      {
+        userId: approval.userId,
+        weekStart: approval.weekStart,
+        status: approval.status,
+      }
+    );
+  }
+}
+
+/**
+ * Apply an approval workflow action to a member's week
+ *
+ * Permissions are checked by the caller: submit by the member only,
+ * approve and reject with manage_teams.
+ *
+ * @param approval - The week's approval record (see timesheetApproval)
+ * @param actor - Who takes the action
+ * @param comment - Reviewer's comment, for approve and reject
+ * @throws TimesheetError when the action is not allowed from the status
+ */
+export function transitionTimesheet(
+  approval: TimesheetApproval,
+  action: TimesheetAction,
+  actor: Pick<JWTPayload, "email">,
+  comment?: string
+): TimesheetApproval {
+  const transition = TRANSITIONS[action];
+  if (!transition.from.includes(approval.status)) {
+    throw new TimesheetError(
+      `Cannot ${action} a timesheet that is ${approval.status.toLowerCase()}`,
+      {
+        userId: approval.userId,
+        weekStart: approval.weekStart,
+        status: approval.status,
+      }
+    );
+  }
+  const now = new Date().toISOString();
+  return action === "submit"
+    ? {
+        ...approval,
+        status: transition.to,
+        submittedAt: now,
+        reviewedBy: null,
+        reviewedAt: null,
+        comment: null,
+        updatedAt: now,
+      }
+    : {
+        ...approval,
+        status: transition.to,
+        reviewedBy: actor.email,
+        reviewedAt: now,
+        comment: comment || null,
+        updatedAt: now,
+      };
+}
+
+// Position of a worklog's day in the week, or -1 outside it
+function dayIndex(worklog: Worklog, days: string[]): number {
+  return days.indexOf(worklog.startedAt.slice(0, 10));
+}
+
+// Day, billable and overall totals of a week's worklogs
+function totals(worklogs: Worklog[], days: string[]): TimesheetTotals {
+  const dayTotals = days.map(() => 0);
+  let billableMinutes = 0;
+  for (const worklog of worklogs) {
+    dayTotals[dayIndex(worklog, days)] += worklog.minutes;
+    if (isBillable(worklog)) {
+      billableMinutes += worklog.minutes;
+    }
+  }
+  const totalMinutes = dayTotals.reduce((sum, minutes) => sum + minutes, 0);
+  return {
+    dayTotals,
+    totalMinutes,
+    billableMinutes,
+    nonBillableMinutes: totalMinutes - billableMinutes,
+  };
+}
+
+/**
+ * A member's timesheet for a week
+ *
+ * @param worklogs - Worklogs to lay out; other members' and other weeks'
+ *   are left out
+ * @param issueTitles - Titles of the issues worked on, by issue ID
+ * @param approval - The week's approval record (see timesheetApproval)
+ */
+export function memberTimesheet(
+  worklogs: Worklog[],
+  issueTitles: Record<string, string>,
+  approval: TimesheetApproval
+): MemberTimesheet {
+  const days = weekDays(approval.weekStart);
+  const entries = worklogs
+    .filter(
+      worklog =>
+        worklog.userId === approval.userId && dayIndex(worklog, days) >= 0
+    )
+    .sort(
+      (a, b) =>
+        a.startedAt.localeCompare(b.startedAt) ||
+        a.worklogId.localeCompare(b.worklogId)
+    );
+
+  const rows = new Map<string, TimesheetRow>();
+  for (const worklog of entries) {
+    const row = rows.get(worklog.issueId) ?? {
+      issueId: worklog.issueId,
+      issueTitle: issueTitles[worklog.issueId] ?? null,
+      minutes: days.map(() => 0),
+      totalMinutes: 0,
+      billableMinutes: 0,
+    };
+    row.minutes[dayIndex(worklog, days)] += worklog.minutes;
+    row.totalMinutes += worklog.minutes;
+    if (isBillable(worklog)) {
+      row.billableMinutes += worklog.minutes;
+    }
+    rows.set(worklog.issueId, row);
+  }
+
+  return {
+    userId: approval.userId,
+    userEmail: approval.userEmail,
+    weekStart: approval.weekStart,
+    days,
+    approval,
+    rows: [...rows.values()].sort(
+      (a, b) =>
+        b.totalMinutes - a.totalMinutes || a.issueId.localeCompare(b.issueId)
+    ),
+    ...totals(entries, days),
+    entries,
+  };
+}
+
+/**
+ * Users whose `teamIds` include a team
+ */
+export function teamMembers<T extends Pick<User, "teamIds">>(
+  users: T[],
+  teamId: string
+): T[] {
+  return users.filter(user => user.teamIds?.includes(teamId));
+}
+
+/**
+ * A team's minutes per day for a week
+ *
+ * Without a team, every member who logged time that week or whose week has
+ * an approval record is listed. With one, every member of the team is
+ * listed (even without time) and nobody else's time is counted.
+ *
+ * @param worklogs - Worklogs to lay out; other weeks' are left out
+ * @param approvals - The week's stored approval records
+ * @param team - The team and its members (see teamMembers)
+ */
+export function teamTimesheet(
+  week: string,
+  worklogs: Worklog[],
+  approvals: TimesheetApproval[],
+  team?: { teamId: string; members: Pick<User, "userId" | "email">[] }
+): TeamTimesheet {
+  const days = weekDays(week);
+  const memberIds = team && new Set(team.members.map(member => member.userId));
+  const inTeam = (userId: string) => !memberIds || memberIds.has(userId);
+  const entries = worklogs.filter(
+    worklog => dayIndex(worklog, days) >= 0 && inTeam(worklog.userId)
+  );
+
+  const members = new Map<string, TeamTimesheetMember>();
+  const member = (userId: string, userEmail: string) => {
+    const line = members.get(userId) ?? {
+      userId,
+      userEmail,
+      status: TimesheetStatus.OPEN,
+      minutes: days.map(() => 0),
+      totalMinutes: 0,
+      billableMinutes: 0,
+    };
+    members.set(userId, line);
+    return line;
+  };
+  for (const { userId, email } of team?.members ?? []) {
+    member(userId, email);
+  }
+  for (const approval of approvals.filter(({ userId }) => inTeam(userId))) {
+    member(approval.userId, approval.userEmail).status = approval.status;
+  }
+  for (const worklog of entries) {
+    const line = member(worklog.userId, worklog.userEmail);
+    line.minutes[dayIndex(worklog, days)] += worklog.minutes;
+    line.totalMinutes += worklog.minutes;
+    if (isBillable(worklog)) {
+      line.billableMinutes += worklog.minutes;
+    }
+  }
+
+  return {
+    teamId: team?.teamId ?? null,
+    weekStart: week,
+    days,
+    members: [...members.values()].sort((a, b) =>
+      a.userEmail.localeCompare(b.userEmail)
+    ),
+    ...totals(entries, days),
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Token Revocation List - DynamoDB Persistence
+ *
+ * RevocationList used by the Lambda handlers. A token counts as revoked
+ * when its `jti` is in the RevokedTokens table (REVOKED_TOKENS_TABLE) or
+ * its session in the sessions table (SESSIONS_TABLE) has been revoked.
+ * Denylist entries expire through the table's TTL on `expiresAt`, the
+ * token's own `exp`.
+ *
+ * Not re-exported from index.ts, so server.js does not load the AWS SDK.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { RevocationList, revokedTokenEntry } from "./auth";
+import { localDocumentClient } from "./in-memory-dynamodb";
+import type { JWTPayload } from "./index";
+
+/**
+ * Minimal client surface the revocation list needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * DynamoDB implementation of the revocation list
+ */
+export class DynamoRevocationList implements RevocationList {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tables: { revokedTokens: string; sessions: string }
+  ) {}
+
+  async isRevoked(token: JWTPayload): Promise<boolean> {
+    const denied = await this.client.send(
+      new GetCommand({
+        TableName: this.tables.revokedTokens,
+        Key: { jti: token.jti },
+      })
+    );
+    // TTL deletion is lazy, so ignore entries past their expiry
+    if (denied.Item && denied.Item.expiresAt > Math.floor(Date.now() / 1000)) {
+      return true;
+    }
+
+    const session = await this.client.send(
+      new GetCommand({
+        TableName: this.tables.sessions,
+        Key: { sessionId: token.sessionId },
+      })
+    );
+    return Boolean(session.Item?.revokedAt);
+  }
+
+  /**
+   * Put an access token on the denylist until it expires
+   */
+  async revoke(token: JWTPayload): Promise<void> {
+    await this.client.send(
+      new PutCommand({
+        TableName: this.tables.revokedTokens,
+        Item: revokedTokenEntry(token),
+      })
+    );
+  }
+}
+
+/**
+ * Build the revocation list from the Lambda environment
+ *
+ * - REVOKED_TOKENS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at
+ *   DynamoDB Local)
+ * - REVOKED_TOKENS_TABLE unset: in-memory stand-in, for local runs
+ */
+export function createRevocationList(): DynamoRevocationList {
+  const revokedTokens = process.env.REVOKED_TOKENS_TABLE;
+  if (!revokedTokens) {
+    return new DynamoRevocationList(localDocumentClient(), {
+      revokedTokens: "RevokedTokens",
+      sessions: "UserSessions",
+    });
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoRevocationList(client, {
+    revokedTokens,
+    sessions: process.env.SESSIONS_TABLE || "UserSessions",
+  });
+}
@@ -0,0 +1,647 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Validation - Zod Schemas for Issue Requests
+ *
+ * Request schemas for the issue endpoints, applied by the local development
+ * server (server.js) and the API Lambda handler. A payload that fails its
+ * schema throws ValidationError, which both backends turn into the same 400
+ * response:
+ *
+ *   { "success": false, "error": "Validation error",
+ *     "message": "title: Title is required",
+ *     "fields": [{ "field": "title", "message": "Title is required" }] }
+ */
+
+import { z } from "zod";
+import { IssueCategory, IssuePriority, IssueStatus } from "./index";
+import { FilterQueryError, parseFilterQuery } from "./filter-query";
+import { NotificationType } from "./notifications";
+import { SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT } from "./search";
+import { weekStart } from "./timesheets";
+import { WORKLOG_MAX_MINUTES } from "./worklogs";
+
+/**
+ * Field limits
+ */
+export const ISSUE_TITLE_MAX_LENGTH = 200;
+export const ISSUE_DESCRIPTION_MAX_LENGTH = 10000;
+export const ISSUE_RESOLUTION_MAX_LENGTH = 2000;
+export const ISSUE_MAX_TAGS = 20;
+export const ISSUE_TAG_MAX_LENGTH = 50;
+export const ISSUE_LIST_DEFAULT_LIMIT = 20;
+export const ISSUE_LIST_MAX_LIMIT = 100;
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+export const FILTER_QUERY_MAX_LENGTH = 500;
+export const VIEW_NAME_MAX_LENGTH = 80;
+export const VIEW_TEAM_ID_MAX_LENGTH = 100;
+export const COMMENT_MAX_LENGTH = 5000;
+export const NOTIFICATION_LIST_DEFAULT_LIMIT = 20;
+export const NOTIFICATION_LIST_MAX_LIMIT = 100;
+export const WORKLOG_DESCRIPTION_MAX_LENGTH = 500;
+export const TIMESHEET_COMMENT_MAX_LENGTH = 500;
+
+const title = z
+  .string({
+    required_error: "Title is required",
+    invalid_type_error: "Title must be a string",
+  })
+  .trim()
+  .min(1, "Title is required")
+  .max(
+    ISSUE_TITLE_MAX_LENGTH,
+    `Title must be at most ${ISSUE_TITLE_MAX_LENGTH} characters`
+  );
+
+const description = z
+  .string({ invalid_type_error: "Description must be a string" })
+  .max(
+    ISSUE_DESCRIPTION_MAX_LENGTH,
+    `Description must be at most ${ISSUE_DESCRIPTION_MAX_LENGTH} characters`
+  );
+
+const priority = z.nativeEnum(IssuePriority, {
+  errorMap: () => ({
+    message: `Priority must be one of ${Object.values(IssuePriority).join(", ")}`,
+  }),
+});
+
+const status = z.nativeEnum(IssueStatus, {
+  errorMap: () => ({
+    message: `Status must be one of ${Object.values(IssueStatus).join(", ")}`,
+  }),
+});
+
+const category = z.nativeEnum(IssueCategory, {
+  errorMap: () => ({
+    message: `Category must be one of ${Object.values(IssueCategory).join(", ")}`,
+  }),
+});
+
+// null clears the assignee on update
+const assignee = z
+  .string({ invalid_type_error: "Assignee must be an email address" })
+  .trim()
+  .email("Assignee must be an email address")
+  .nullable();
+
+const tags = z
+  .array(
+    z
+      .string({ invalid_type_error: "Tags must be strings" })
+      .trim()
+      .min(1, "Tags must not be empty")
+      .max(
+        ISSUE_TAG_MAX_LENGTH,
+        `Tags must be at most ${ISSUE_TAG_MAX_LENGTH} characters`
+      ),
+    { invalid_type_error: "Tags must be an array of strings" }
+  )
+  .max(ISSUE_MAX_TAGS, `At most ${ISSUE_MAX_TAGS} tags are allowed`);
+
+const resolution = z
+  .string({ invalid_type_error: "Resolution must be a string" })
+  .trim()
+  .max(
+    ISSUE_RESOLUTION_MAX_LENGTH,
+    `Resolution must be at most ${ISSUE_RESOLUTION_MAX_LENGTH} characters`
+  );
+
+/**
+ * POST /issues body
+ *
+ * New issues always start in the workflow's initial status, so `status` is
+ * not accepted.
+ */
+export const issueCreateSchema = z
+  .object({
+    title,
+    description: description.default(""),
+    priority: priority.default(IssuePriority.MEDIUM),
+    category: category.optional(),
+    assignee: assignee.optional(),
+    tags: tags.default([]),
+  })
+  .strict();
+
+/**
+ * PUT /issues/{id} body (partial update; only the given fields change)
+ *
+ * `expectedUpdatedAt` is not stored: it is the `updatedAt` the client
+ * loaded, and the update fails with 409 if the issue has changed since
+ * (see issue-edits.ts).
+ */
+export const issueUpdateSchema = z
+  .object({
+    title,
+    description,
+    status,
+    priority,
+    category,
+    assignee,
+    tags,
+    resolution,
+    expectedUpdatedAt: z
+      .string({ invalid_type_error: "expectedUpdatedAt must be a string" })
+      .refine(value => !Number.isNaN(Date.parse(value)), {
+        message: "expectedUpdatedAt must be a date-time",
+      }),
+  })
+  .partial()
+  .strict();
+
+/**
+ * Fields GET /issues can sort by
+ */
+export const ISSUE_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "priority",
+  "status",
+  "title",
+] as const;
+
+// One value or a comma-separated list (repeated parameters arrive joined by
+// API Gateway and as an array from Node's query parser)
+function listOf<T extends z.ZodTypeAny>(item: T) {
+  return z.preprocess(
+    value =>
+      value === undefined
+        ? undefined
+        : String(value)
+            .split(",")
+            .map(part => part.trim())
+            .filter(Boolean),
+    z.array(item).min(1)
+  );
+}
+
+// Date or date-time bound; a bare date as an upper bound covers that whole day
+function dateBound(upper: boolean) {
+  return z
+    .string()
+    .refine(value => !Number.isNaN(Date.parse(value)), {
+      message: "Date must be an ISO 8601 date or date-time",
+    })
+    .transform(value => {
+      const time = Date.parse(value);
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+      return new Date(
+        upper && dateOnly ? time + 24 * 60 * 60 * 1000 - 1 : time
+      ).toISOString();
+    });
+}
+
+// Filter language expression (filter-query.ts), checked but kept as text
+const filterExpression = z
+  .string({ invalid_type_error: "Filter must be a string" })
+  .trim()
+  .min(1, "Filter must not be empty")
+  .max(
+    FILTER_QUERY_MAX_LENGTH,
+    `Filter must be at most ${FILTER_QUERY_MAX_LENGTH} characters`
+  )
+  .superRefine((value, ctx) => {
+    try {
+      parseFilterQuery(value);
+    } catch (error) {
+      if (!(error instanceof FilterQueryError)) {
+        throw error;
+      }
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+    }
+  });
+
+// The same expression, parsed into its syntax tree
+const filterQuery = filterExpression.transform(value =>
+  parseFilterQuery(value)
+);
+
+/**
+ * GET /issues query string
+ *
+ * Filters combine with AND; a comma-separated status, priority or category
+ * matches any of the listed values. `filter` takes a filter language
+ * expression for anything the individual parameters cannot express.
+ */
+export const issueListQuerySchema = z.object({
+  status: listOf(status).optional(),
+  priority: listOf(priority).optional(),
+  category: listOf(category).optional(),
+  // Email, or "unassigned" for issues without an assignee
+  assignee: z.string().trim().toLowerCase().min(1).optional(),
+  reporter: z.string().trim().toLowerCase().min(1).optional(),
+  tag: z.string().trim().toLowerCase().min(1).optional(),
+  filter: filterQuery.optional(),
+  createdFrom: dateBound(false).optional(),
+  createdTo: dateBound(true).optional(),
+  updatedFrom: dateBound(false).optional(),
+  updatedTo: dateBound(true).optional(),
+  sortBy: z
+    .enum(ISSUE_SORT_FIELDS, {
+      errorMap: () => ({
+        message: `Sort field must be one of ${ISSUE_SORT_FIELDS.join(", ")}`,
+      }),
+    })
+    .default("createdAt"),
+  sortOrder: z
+    .enum(["asc", "desc"], {
+      errorMap: () => ({ message: "Sort order must be asc or desc" }),
+    })
+    .default("desc"),
+  limit: z.coerce
+    .number({ invalid_type_error: "Limit must be a number" })
+    .int("Limit must be a whole number")
+    .min(1, "Limit must be at least 1")
+    .max(ISSUE_LIST_MAX_LIMIT, `Limit must be at most ${ISSUE_LIST_MAX_LIMIT}`)
+    .default(ISSUE_LIST_DEFAULT_LIMIT),
+  nextToken: z.string().min(1, "nextToken must not be empty").optional(),
+});
+
+/**
+ * GET /issues/search query string
+ */
+export const issueSearchQuerySchema = z.object({
+  q: z
+    .string({ required_error: "Search query is required" })
+    .trim()
+    .min(1, "Search query is required")
+    .max(
+      SEARCH_QUERY_MAX_LENGTH,
+      `Search query must be at most ${SEARCH_QUERY_MAX_LENGTH} characters`
+    ),
+  limit: z.coerce
+    .number({ invalid_type_error: "Limit must be a number" })
+    .int("Limit must be a whole number")
+    .min(1, "Limit must be at least 1")
+    .max(SEARCH_MAX_LIMIT, `Limit must be at most ${SEARCH_MAX_LIMIT}`)
+    .default(SEARCH_DEFAULT_LIMIT),
+});
+
+/**
+ * Scopes of a saved view: only its owner sees a personal view, every user
+ * sees a team view
+ */
+export const VIEW_SCOPES = ["personal", "team"] as const;
+
+/**
+ * Values of the reports date range filter (`reportDateRange`)
+ */
+export const REPORT_DATE_RANGES = [
+  "7",
+  "30",
+  "90",
+  "365",
+  "custom",
+  "all",
+] as const;
+
+const viewName = z
+  .string({
+    required_error: "Name is required",
+    invalid_type_error: "Name must be a string",
+  })
+  .trim()
+  .min(1, "Name is required")
+  .max(
+    VIEW_NAME_MAX_LENGTH,
+    `Name must be at most ${VIEW_NAME_MAX_LENGTH} characters`
+  );
+
+const viewScope = z.enum(VIEW_SCOPES, {
+  errorMap: () => ({
+    message: `Scope must be one of ${VIEW_SCOPES.join(", ")}`,
+  }),
+});
+
+const viewTeamId = z
+  .string({ invalid_type_error: "Team ID must be a string" })
+  .trim()
+  .min(1, "Team ID must not be empty")
+  .max(
+    VIEW_TEAM_ID_MAX_LENGTH,
+    `Team ID must be at most ${VIEW_TEAM_ID_MAX_LENGTH} characters`
+  )
+  .nullable();
+
+// Issues list and reports filters a view restores; unset means "any"
+const viewFilters = z
+  .object({
+    filter: filterExpression,
+    status,
+    priority,
+    category,
+    search: z
+      .string({ invalid_type_error: "Search must be a string" })
+      .trim()
+      .min(1, "Search must not be empty")
+      .max(
+        SEARCH_QUERY_MAX_LENGTH,
+        `Search must be at most ${SEARCH_QUERY_MAX_LENGTH} characters`
+      ),
+    reportDateRange: z.enum(REPORT_DATE_RANGES, {
+      errorMap: () => ({
+        message: `Report date range must be one of ${REPORT_DATE_RANGES.join(", ")}`,
+      }),
+    }),
+    reportCategory: z.union([z.literal("all"), category], {
+      errorMap: () => ({
+        message: `Report category must be all or one of ${Object.values(IssueCategory).join(", ")}`,
+      }),
+    }),
+    reportAssignee: z
+      .string({ invalid_type_error: "Report assignee must be a string" })
+      .trim()
+      .toLowerCase()
+      .refine(
+        value =>
+          value === "all" ||
+          value === "unassigned" ||
+          z.string().email().safeParse(value).success,
+        "Report assignee must be all, unassigned or an email address"
+      ),
+  })
+  .partial()
+  .strict();
+
+/**
+ * POST /views body
+ */
+export const viewCreateSchema = z
+  .object({
+    name: viewName,
+    scope: viewScope.default("personal"),
+    teamId: viewTeamId.optional(),
+    filters: viewFilters.default({}),
+    pinned: z
+      .boolean({ invalid_type_error: "Pinned must be true or false" })
+      .default(false),
+  })
+  .strict();
+
+/**
+ * PUT /views/{id} body (partial update of the view definition)
+ */
+export const viewUpdateSchema = z
+  .object({
+    name: viewName,
+    scope: viewScope,
+    teamId: viewTeamId,
+    filters: viewFilters,
+  })
+  .partial()
+  .strict();
+
+/**
+ * PUT /views/{id}/pin body
+ */
+export const viewPinSchema = z
+  .object({
+    pinned: z.boolean({
+      required_error: "Pinned is required",
+      invalid_type_error: "Pinned must be true or false",
+    }),
+  })
+  .strict();
+
+/**
+ * POST /issues/{id}/comments and PUT /issues/{id}/comments/{commentId} body
+ */
+export const commentSchema = z
+  .object({
+    body: z
+      .string({
+        required_error: "Comment is required",
+        invalid_type_error: "Comment must be a string",
+      })
+      .trim()
+      .min(1, "Comment is required")
+      .max(
+        COMMENT_MAX_LENGTH,
+        `Comment must be at most ${COMMENT_MAX_LENGTH} characters`
+      ),
+  })
+  .strict();
+
+// Notification types, for mute settings
+const notificationTypes = z.array(
+  z.nativeEnum(NotificationType, {
+    errorMap: () => ({
+      message: `Notification type must be one of ${Object.values(NotificationType).join(", ")}`,
+    }),
+  })
+);
+
+/**
+ * PUT /notifications/settings body: the notification types to mute on each
+ * channel
+ */
+export const notificationSettingsSchema = z
+  .object({
+    muted: z
+      .object({
+        inApp: notificationTypes.optional(),
+        email: notificationTypes.optional(),
+      })
+      .strict(),
+  })
+  .strict();
+
+/**
+ * Query string accepted by GET /notifications
+ */
+export const notificationListQuerySchema = z.object({
+  limit: z.coerce
+    .number({ invalid_type_error: "Limit must be a number" })
+    .int("Limit must be a whole number")
+    .min(1, "Limit must be at least 1")
+    .max(
+      NOTIFICATION_LIST_MAX_LIMIT,
+      `Limit must be at most ${NOTIFICATION_LIST_MAX_LIMIT}`
+    )
+    .default(NOTIFICATION_LIST_DEFAULT_LIMIT),
+});
+
+// Whole minutes of work, more than none and at most a day
+const worklogMinutes = z
+  .number({
+    required_error: "Minutes are required",
+    invalid_type_error: "Minutes must be a number",
+  })
+  .int("Minutes must be a whole number")
+  .positive("Minutes must be more than 0")
+  .max(
+    WORKLOG_MAX_MINUTES,
+    `Minutes must be at most ${WORKLOG_MAX_MINUTES} (one day)`
+  );
+
+const worklogDescription = z
+  .string({
+    required_error: "Description is required",
+    invalid_type_error: "Description must be a string",
+  })
+  .trim()
+  .min(1, "Description is required")
+  .max(
+    WORKLOG_DESCRIPTION_MAX_LENGTH,
+    `Description must be at most ${WORKLOG_DESCRIPTION_MAX_LENGTH} characters`
+  );
+
+const worklogBillable = z
+  .boolean({ invalid_type_error: "Billable must be true or false" })
+  .default(true);
+
+/**
+ * POST /issues/{id}/worklogs body (`startedAt` defaults to now)
+ */
+export const worklogCreateSchema = z
+  .object({
+    minutes: worklogMinutes,
+    description: worklogDescription,
+    billable: worklogBillable,
+    startedAt: dateBound(false).optional(),
+  })
+  .strict();
+
+/**
+ * PUT /issues/{id}/worklogs/{worklogId} body
+ */
+export const worklogUpdateSchema = worklogCreateSchema.partial().strict();
+
+/**
+ * POST /issues/{id}/timer/stop body
+ */
+export const timerStopSchema = z
+  .object({
+    description: worklogDescription.optional(),
+    billable: worklogBillable.optional(),
+  })
+  .strict();
+
+/**
+ * Query string accepted by GET /worklogs/totals
+ */
+export const worklogTotalsQuerySchema = z.object({
+  from: dateBound(false).optional(),
+  to: dateBound(true).optional(),
+});
+
+/**
+ * Week of a timesheet (the path of a member's timesheet, and the GET
+ * /timesheets query): any date in the week, as YYYY-MM-DD, normalized to
+ * its Monday
+ */
+export const timesheetWeekSchema = z.object({
+  week: z
+    .string({
+      required_error: "Week is required",
+      invalid_type_error: "Week must be a string",
+    })
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Week must be a date (YYYY-MM-DD)")
+    // Only reported for well-formed dates, so each error is reported once
+    .refine(
+      value =>
+        !/^\d{4}-\d{2}-\d{2}$/.test(value) || !Number.isNaN(Date.parse(value)),
+      { message: "Week must be a valid date" }
+    )
+    .transform(value => weekStart(value)),
+});
+
+/**
+ * GET /timesheets query string: the week, and optionally the team
+ */
+export const teamTimesheetQuerySchema = timesheetWeekSchema.extend({
+  teamId: viewTeamId.optional(),
+});
+
+/**
+ * POST /timesheets/{userId}/{week}/approve or /reject body
+ */
+export const timesheetReviewSchema = z
+  .object({
+    comment: z
+      .string({ invalid_type_error: "Comment must be a string" })
+      .trim()
+      .max(
+        TIMESHEET_COMMENT_MAX_LENGTH,
+        `Comment must be at most ${TIMESHEET_COMMENT_MAX_LENGTH} characters`
+      )
+      .optional(),
+  })
+  .strict();
+
+export type IssueCreateInput = z.infer<typeof issueCreateSchema>;
+export type IssueUpdateInput = z.infer<typeof issueUpdateSchema>;
+export type IssueListQuery = z.infer<typeof issueListQuerySchema>;
+export type IssueSearchQuery = z.infer<typeof issueSearchQuerySchema>;
+export type ViewFilters = z.infer<typeof viewFilters>;
+export type ViewCreateInput = z.infer<typeof viewCreateSchema>;
+export type ViewUpdateInput = z.infer<typeof viewUpdateSchema>;
+export type CommentInput = z.infer<typeof commentSchema>;
+export type NotificationSettingsInput = z.infer<
+  typeof notificationSettingsSchema
+>;
+export type NotificationListQuery = z.infer<typeof notificationListQuerySchema>;
+export type WorklogInput = z.infer<typeof worklogCreateSchema>;
+export type WorklogUpdateInput = z.infer<typeof worklogUpdateSchema>;
+export type TimerStopInput = z.infer<typeof timerStopSchema>;
+export type WorklogTotalsQuery = z.infer<typeof worklogTotalsQuerySchema>;
+export type TimesheetWeekQuery = z.infer<typeof timesheetWeekSchema>;
+export type TeamTimesheetQuery = z.infer<typeof teamTimesheetQuerySchema>;
+export type TimesheetReviewInput = z.infer<typeof timesheetReviewSchema>;
+
+/**
+ * One failed field in a validation error
+ */
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+/**
+ * Rejected request payload, carrying the HTTP status and error fields used
+ * in API responses
+ */
+export class ValidationError extends Error {
+  readonly statusCode = 400;
+  readonly error = "Validation error";
+
+  constructor(readonly fields: FieldError[]) {
+    super(
+      fields.map(({ field, message }) => `${field}: ${message}`).join("; ")
+    );
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Flatten a ZodError into one entry per field
+ *
+ * Unknown keys are reported against the key itself rather than the object.
+ */
+export function fieldErrors(error: z.ZodError): FieldError[] {
+  return error.issues.flatMap(issue => {
+    if (issue.code === z.ZodIssueCode.unrecognized_keys) {
+      return issue.keys.map(key => ({ field: key, message: "Unknown field" }));
+    }
+    return [{ field: issue.path.join(".") || "body", message: issue.message }];
+  });
+}
+
+/**
+ * Parse a payload with a schema
+ *
+ * @returns The parsed data, with defaults applied and strings trimmed
+ * @throws ValidationError listing every failed field
+ */
+export function validate<T extends z.ZodTypeAny>(
+  schema: T,
+  input: unknown
+): z.infer<T> {
+  const result = schema.safeParse(input);
+  if (!result.success) {
+    throw new ValidationError(fieldErrors(result.error));
+  }
+  return result.data;
+}
@@ -0,0 +1,229 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Saved Views - Named Filter Sets and Unread Counts
+ *
+ * A saved view stores the issues list filters (filter query, status,
+ * priority, category, search) and the reports filters under a name, so they
+ * survive a reload. Personal views are visible to their owner only; team
+ * views name the team they were shared with and are visible to its members
+ * (users whose `teamIds` include it), their owner and anyone with the
+ * manage_teams permission.
+ *
+ * Pinning and "last seen" are per user (ViewState), so a team view can be
+ * pinned by some users and not others. A view's unread count is the number
+ * of issues it matches that changed since the user last opened it (or since
+ * the view was created, if they never have).
+ */
+
+import type { Issue, JWTPayload, User } from "./index";
+import { hasPermission, Permission } from "./permissions";
+import {
+  FilterContext,
+  FilterNode,
+  matchesFilter,
+  parseFilterQuery,
+} from "./filter-query";
+import { parseSearchQuery, SearchIndex } from "./search";
+import {
+  VIEW_SCOPES,
+  ValidationError,
+  ViewCreateInput,
+  ViewFilters,
+  ViewUpdateInput,
+} from "./validation";
+
+export type ViewScope = (typeof VIEW_SCOPES)[number];
+
+/**
+ * Saved view definition, as stored
+ */
+export interface SavedView {
+  viewId: string;
+  name: string;
+  scope: ViewScope;
+  teamId: string | null; // Team a team view is shared with
+  filters: ViewFilters;
+  ownerId: string;
+  ownerEmail: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * One user's state for a view
+ */
+export interface ViewState {
+  userId: string;
+  viewId: string;
+  pinned: boolean;
+  lastSeenAt: string | null;
+}
+
+/**
+ * Saved view as returned to a user, with their state and unread count
+ */
+export interface SavedViewSummary extends SavedView {
+  pinned: boolean;
+  lastSeenAt: string | null;
+  unreadCount: number;
+}
+
+/**
+ * User a view is shown to, with the teams they are a member of
+ */
+export type ViewUser = Pick<JWTPayload, "userId" | "email" | "role"> &
+  Pick<User, "teamIds">;
+
+/**
+ * Check whether a user can see a view: its owner, or for team views the
+ * team's members and anyone with the manage_teams permission
+ */
+export function canSeeView(
+  view: SavedView,
+  user: Pick<ViewUser, "userId" | "role" | "teamIds">
+): boolean {
+  if (view.ownerId === user.userId) {
+    return true;
+  }
+  return (
+    view.scope === "team" &&
+    ((view.teamId !== null && Boolean(user.teamIds?.includes(view.teamId))) ||
+      hasPermission(user.role, Permission.MANAGE_TEAMS))
+  );
+}
+
+/**
+ * Check whether a user can change or delete a view: its owner, or for team
+ * views anyone with the manage_teams permission
+ */
+export function canEditView(
+  view: SavedView,
+  user: Pick<JWTPayload, "userId" | "role">
+): boolean {
+  return (
+    view.ownerId === user.userId ||
+    (view.scope === "team" && hasPermission(user.role, Permission.MANAGE_TEAMS))
+  );
+}
+
+// Team views must name their team; personal views never carry one
+function checkTeam(view: SavedView): SavedView {
+  if (view.scope === "team" && !view.teamId) {
+    throw new ValidationError([
+      { field: "teamId", message: "Team views need a team ID" },
+    ]);
+  }
+  return view.scope === "personal" ? { ...view, teamId: null } : view;
+}
+
+/**
+ * Build a new view from a POST /views body
+ *
+ * @throws ValidationError if a team view has no team ID
+ */
+export function createSavedView(
+  viewId: string,
+  input: ViewCreateInput,
+  owner: Pick<JWTPayload, "userId" | "email">
+): SavedView {
+  const now = new Date().toISOString();
+  return checkTeam({
+    viewId,
+    name: input.name,
+    scope: input.scope,
+    teamId: input.teamId ?? null,
+    filters: input.filters,
+    ownerId: owner.userId,
+    ownerEmail: owner.email,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+/**
+ * Apply a PUT /views/{id} body to a view
+ *
+ * @throws ValidationError if the result is a team view without a team ID
+ */
+export function updateSavedView(
+  view: SavedView,
+  changes: ViewUpdateInput
+): SavedView {
+  return checkTeam({
+    ...view,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Whether an issue matches a view's issues list filters; the filter query
+// and search arrive pre-evaluated so each view is parsed and searched once
+function matchesView(
+  issue: Issue,
+  filters: ViewFilters,
+  filter: FilterNode | null,
+  context: FilterContext,
+  searchIds: Set<string> | null
+): boolean {
+  return (
+    (!filters.status || issue.status === filters.status) &&
+    (!filters.priority || issue.priority === filters.priority) &&
+    (!filters.category || issue.category === filters.category) &&
+    (!searchIds || searchIds.has(issue.issueId)) &&
+    (!filter || matchesFilter(issue, filter, context))
+  );
+}
+
+/**
+ * Views a user can see, with their state and unread counts, pinned first
+ *
+ * @param views - Stored views (those the user cannot see are dropped)
+ * @param states - The user's view states
+ * @param issues - Every issue, to count unread ones
+ * @param search - Search index, for views with a search text
+ */
+export async function summarizeViews(
+  views: SavedView[],
+  states: ViewState[],
+  issues: Issue[],
+  user: ViewUser,
+  search: SearchIndex
+): Promise<SavedViewSummary[]> {
+  const stateOf = new Map(states.map(state => [state.viewId, state]));
+  const context: FilterContext = { user: user.email };
+  const summaries = await Promise.all(
+    views
+      .filter(view => canSeeView(view, user))
+      .map(async view => {
+        const state = stateOf.get(view.viewId);
+        const since = Date.parse(state?.lastSeenAt ?? view.createdAt);
+        const filter = view.filters.filter
+          ? parseFilterQuery(view.filters.filter)
+          : null;
+        const searchIds = view.filters.search
+          ? new Set(
+              (
+                await search.search(parseSearchQuery(view.filters.search))
+              ).hits.map(hit => hit.issueId)
+            )
+          : null;
+        const unreadCount = issues.filter(
+          issue =>
+            Date.parse(issue.updatedAt) > since &&
+            matchesView(issue, view.filters, filter, context, searchIds)
+        ).length;
+        return {
+          ...view,
+          pinned: state?.pinned ?? false,
+          lastSeenAt: state?.lastSeenAt ?? null,
+          unreadCount,
+        };
+      })
+  );
+  return summaries.sort(
+    (a, b) =>
+      Number(b.pinned) - Number(a.pinned) || a.name.localeCompare(b.name)
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Issue Watchers - Who Follows an Issue
+ *
+ * An issue's watchers (`watchers`, by email) are notified of its later
+ * changes and comments (see notifications.ts). Its reporter is subscribed
+ * when it is created and each new assignee when they are assigned; anyone
+ * else can watch or unwatch it themselves, and so can the reporter and
+ * assignee.
+ *
+ * Issues stored before watchers existed have no `watchers`; their reporter
+ * and assignee count as watching until the list is first written.
+ */
+
+import type { Issue } from "./index";
+import type { DirectoryUser } from "./mentions";
+
+// Emails without duplicates (case-insensitive), first spelling kept
+function uniqueEmails(emails: (string | null | undefined)[]): string[] {
+  const present = emails.filter((email): email is string => Boolean(email));
+  return present.filter(
+    (email, index) =>
+      present.findIndex(
+        other => other.toLowerCase() === email.toLowerCase()
+      ) === index
+  );
+}
+
+/**
+ * Emails of the users who watch an issue
+ */
+export function issueWatchers(
+  issue: Pick<Issue, "reporter" | "assignee" | "watchers">
+): string[] {
+  return uniqueEmails(issue.watchers ?? [issue.reporter, issue.assignee]);
+}
+
+/**
+ * Check whether a user watches an issue
+ */
+export function isWatching(
+  issue: Pick<Issue, "reporter" | "assignee" | "watchers">,
+  email: string
+): boolean {
+  return issueWatchers(issue).some(
+    watcher => watcher.toLowerCase() === email.toLowerCase()
+  );
+}
+
+/**
+ * Watchers after an issue write: the reporter of a new issue and a newly
+ * assigned user are subscribed
+ *
+ * @param previous - The issue before the write (null for a new issue)
+ */
+export function watchersAfterWrite(
+  previous: Issue | null,
+  issue: Pick<Issue, "reporter" | "assignee">
+): string[] {
+  const assigned =
+    issue.assignee &&
+    issue.assignee.toLowerCase() !== previous?.assignee?.toLowerCase()
+      ? issue.assignee
+      : null;
+  return previous
+    ? uniqueEmails([...issueWatchers(previous), assigned])
+    : uniqueEmails([issue.reporter, assigned]);
+}
+
+/**
+ * Add a watcher to an issue's watchers
+ */
+export function addWatcher(
+  issue: Pick<Issue, "reporter" | "assignee" | "watchers">,
+  email: string
+): string[] {
+  return uniqueEmails([...issueWatchers(issue), email]);
+}
+
+/**
+ * Remove a watcher from an issue's watchers
+ */
+export function removeWatcher(
+  issue: Pick<Issue, "reporter" | "assignee" | "watchers">,
+  email: string
+): string[] {
+  return issueWatchers(issue).filter(
+    watcher => watcher.toLowerCase() !== email.toLowerCase()
+  );
+}
+
+/**
+ * Watcher as listed by GET /issues/{id}/watchers (name fields are missing
+ * for addresses not in the user directory)
+ */
+export type Watcher = Partial<DirectoryUser> & { email: string };
+
+/**
+ * GET /issues/{id}/watchers response: the watchers, and whether the caller
+ * is one of them
+ */
+export function watcherList(
+  issue: Pick<Issue, "reporter" | "assignee" | "watchers">,
+  users: DirectoryUser[],
+  callerEmail: string
+): { items: Watcher[]; watching: boolean } {
+  return {
+    items: issueWatchers(issue).map(
+      email =>
+        users.find(
+          user => user.email.toLowerCase() === email.toLowerCase()
+        ) ?? {
+          email,
+        }
+    ),
+    watching: isWatching(issue, callerEmail),
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Workflow - Issue Status State Machine
+ *
+ * The workflow lists every allowed status transition, the fields a request
+ * must supply to make it (e.g. a resolution note when resolving) and which
+ * roles may perform it. Both backends validate PUT /issues/{id} against it
+ * and answer 422 for an illegal transition; the web app fetches it to offer
+ * only the legal next states.
+ *
+ * DEFAULT_WORKFLOW is the definition in use; the functions take the
+ * definition as a parameter so a deployment can supply its own.
+ */
+
+import { Issue, IssueStatus, UserRole } from "./index";
+
+/**
+ * One allowed status change
+ */
+export interface WorkflowTransition {
+  from: IssueStatus;
+  to: IssueStatus;
+  /** Issue fields the update must set to a non-empty value */
+  requiredFields?: (keyof Issue)[];
+  /** Roles allowed to make the transition (omitted: any role) */
+  roles?: UserRole[];
+}
+
+/**
+ * Workflow definition
+ */
+export interface WorkflowDefinition {
+  initial: IssueStatus;
+  transitions: WorkflowTransition[];
+}
+
+/**
+ * Default issue workflow
+ *
+ * OPEN -> IN_PROGRESS -> RESOLVED -> CLOSED, with work handed back
+ * (IN_PROGRESS -> OPEN), rework after resolving (RESOLVED -> IN_PROGRESS)
+ * and admin-only shortcuts for closing and reopening.
+ */
+export const DEFAULT_WORKFLOW: WorkflowDefinition = {
+  initial: IssueStatus.OPEN,
+  transitions: [
+    { from: IssueStatus.OPEN, to: IssueStatus.IN_PROGRESS },
+    {
+      from: IssueStatus.OPEN,
+      to: IssueStatus.RESOLVED,
+      requiredFields: ["resolution"],
+    },
+    {
+      from: IssueStatus.OPEN,
+      to: IssueStatus.CLOSED,
+      requiredFields: ["resolution"],
+      roles: [UserRole.ADMIN],
+    },
+    { from: IssueStatus.IN_PROGRESS, to: IssueStatus.OPEN },
+    {
+      from: IssueStatus.IN_PROGRESS,
+      to: IssueStatus.RESOLVED,
+      requiredFields: ["resolution"],
+    },
+    { from: IssueStatus.RESOLVED, to: IssueStatus.IN_PROGRESS },
+    { from: IssueStatus.RESOLVED, to: IssueStatus.CLOSED },
+    {
+      from: IssueStatus.CLOSED,
+      to: IssueStatus.OPEN,
+      roles: [UserRole.ADMIN],
+    },
+  ],
+};
+
+/**
+ * Rejected status change, carrying the HTTP status and error fields used in
+ * API responses
+ */
+export class WorkflowError extends Error {
+  readonly statusCode = 422;
+  readonly error = "Invalid transition";
+
+  constructor(
+    message: string,
+    readonly details: {
+      from: string;
+      to: string;
+      missingFields?: string[];
+    }
+  ) {
+    super(message);
+    this.name = "WorkflowError";
+  }
+}
+
+/**
+ * Find the transition between two statuses, if the workflow has one
+ */
+export function findTransition(
+  from: IssueStatus,
+  to: IssueStatus,
+  workflow: WorkflowDefinition = DEFAULT_WORKFLOW
+): WorkflowTransition | undefined {
+  return workflow.transitions.find(
+    transition => transition.from === from && transition.to === to
+  );
+}
+
+/**
+ * Statuses a role may move an issue to from its current status
+ */
+export function nextStatuses(
+  from: IssueStatus,
+  role: UserRole,
+  workflow: WorkflowDefinition = DEFAULT_WORKFLOW
+): IssueStatus[] {
+  return workflow.transitions
+    .filter(
+      transition =>
+        transition.from === from &&
+        (!transition.roles || transition.roles.includes(role))
+    )
+    .map(transition => transition.to);
+}
+
+/**
+ * Validate the status change in an issue update
+ *
+ * Updates that do not change the status always pass.
+ *
+ * @param issue - Stored issue
+ * @param changes - Fields the update sets
+ * @param role - Role of the caller
+ * @throws WorkflowError if the status is unknown, the transition is not in
+ * the workflow, the role may not make it or a required field is missing
+ */
+export function validateTransition(
+  issue: Pick<Issue, "status">,
+  changes: Partial<Record<keyof Issue, unknown>>,
+  role: UserRole,
+  workflow: WorkflowDefinition = DEFAULT_WORKFLOW
+): void {
+  const from = issue.status;
+  const to = changes.status;
+  if (to === undefined || to === from) {
+    return;
+  }
+
+  const details = { from, to: String(to) };
+  if (!Object.values(IssueStatus).includes(to as IssueStatus)) {
+    throw new WorkflowError(`Unknown status: ${String(to)}`, details);
+  }
+
+  const transition = findTransition(from, to as IssueStatus, workflow);
+  if (!transition) {
+    throw new WorkflowError(
+      `Cannot move an issue from ${from} to ${String(to)}`,
+      details
+    );
+  }
+  if (transition.roles && !transition.roles.includes(role)) {
+    throw new WorkflowError(
+      `Only ${transition.roles.join(", ")} can move an issue from ${from} to ${String(to)}`,
+      details
+    );
+  }
+
+  const missingFields = (transition.requiredFields ?? []).filter(field => {
+    const value = changes[field];
+    return (
+      value === undefined ||
+      value === null ||
+      (typeof value === "string" && value.trim() === "")
+    );
+  });
+  if (missingFields.length > 0) {
+    throw new WorkflowError(
+      `Moving an issue to ${String(to)} requires: ${missingFields.join(", ")}`,
+      { ...details, missingFields }
+    );
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Shared Worklogs - Time Logged on Issues and Running Timers
+ *
+ * A worklog records minutes a user spent on an issue, attributed to the
+ * user of the verified access token. Time is logged directly or with a
+ * timer: each user has at most one running timer, kept server-side so it
+ * survives page reloads and shows on every device, and stopping it logs the
+ * elapsed time as a worklog (at most a day, like time logged directly).
+ *
+ * Logging time and running timers need the edit_issues permission. Only a
+ * worklog's author may edit it; its author or anyone with delete_issues may
+ * delete it. Per-user totals need view_reports. Worklogs are billable unless
+ * flagged otherwise, and are locked once their week's timesheet is submitted
+ * (timesheets.ts).
+ */
+
+import type { JWTPayload } from "./index";
+import { hasPermission, Permission } from "./permissions";
+import type {
+  TimerStopInput,
+  WorklogInput,
+  WorklogUpdateInput,
+} from "./validation";
+
+/**
+ * Most minutes a single worklog may record (one day)
+ */
+export const WORKLOG_MAX_MINUTES = 24 * 60;
+
+/**
+ * Time logged on an issue, as stored
+ */
+export interface Worklog {
+  worklogId: string;
+  issueId: string;
+  userId: string;
+  userEmail: string;
+  minutes: number;
+  description: string;
+  billable?: boolean; // Unset on worklogs logged before the flag existed
+  startedAt: string; // When the work was done
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * A user's running timer, as stored (one per user)
+ */
+export interface ActiveTimer {
+  userId: string;
+  userEmail: string;
+  issueId: string;
+  startedAt: string;
+}
+
+/**
+ * Minutes logged per user
+ */
+export interface WorklogUserTotal {
+  userId: string;
+  userEmail: string;
+  minutes: number;
+}
+
+/**
+ * Rejected timer start or stop, carrying the HTTP status and error fields
+ * used in API responses
+ */
+export class TimerError extends Error {
+  readonly statusCode = 409;
+  readonly error = "Timer conflict";
+
+  constructor(
+    message: string,
+    readonly details: { activeIssueId: string | null }
+  ) {
+    super(message);
+    this.name = "TimerError";
+  }
+}
+
+/**
+ * Check whether a user can edit a worklog (its author only)
+ */
+export function canEditWorklog(
+  worklog: Worklog,
+  user: Pick<JWTPayload, "userId">
+): boolean {
+  return worklog.userId === user.userId;
+}
+
+/**
+ * Check whether a user can delete a worklog: its author, or anyone with the
+ * delete_issues permission
+ */
+export function canDeleteWorklog(
+  worklog: Worklog,
+  user: Pick<JWTPayload, "userId" | "role">
+): boolean {
+  return (
+    worklog.userId === user.userId ||
+    hasPermission(user.role, Permission.DELETE_ISSUES)
+  );
+}
+
+/**
+ * Build a new worklog from a POST /issues/{id}/worklogs body
+ */
+export function createWorklog(
+  worklogId: string,
+  issueId: string,
+  input: WorklogInput,
+  user: Pick<JWTPayload, "userId" | "email">
+): Worklog {
+  const now = new Date().toISOString();
+  return {
+    worklogId,
+    issueId,
+    userId: user.userId,
+    userEmail: user.email,
+    minutes: input.minutes,
+    description: input.description,
+    billable: input.billable,
+    startedAt: input.startedAt ?? now,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Apply a PUT /issues/{id}/worklogs/{worklogId} body
+ */
+export function editWorklog(
+  worklog: Worklog,
+  input: WorklogUpdateInput
+): Worklog {
+  return { ...worklog, ...input, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Start a timer on an issue
+ *
+ * @param active - The user's running timer, if any
+ * @throws TimerError when the user already has a timer running
+ */
+export function startTimer(
+  active: ActiveTimer | null,
+  issueId: string,
+  user: Pick<JWTPayload, "userId" | "email">,
+  now: string = new Date().toISOString()
+): ActiveTimer {
+  if (active) {
+    throw new TimerError(
+      active.issueId === issueId
+        ? "A timer is already running on this issue"
+        : "Stop the timer running on another issue first",
+      { activeIssueId: active.issueId }
+    );
+  }
+  return {
+    userId: user.userId,
+    userEmail: user.email,
+    issueId,
+    startedAt: now,
+  };
+}
+
+/**
+ * Stop a timer, logging the elapsed time (rounded to the nearest minute, at
+ * least one and at most WORKLOG_MAX_MINUTES for a timer left running)
+ *
+ * @param active - The user's running timer, if any
+ * @param input - POST /issues/{id}/timer/stop body
+ * @throws TimerError when no timer is running on the issue
+ */
+export function stopTimer(
+  active: ActiveTimer | null,
+  issueId: string,
+  worklogId: string,
+  input: TimerStopInput = {},
+  now: string = new Date().toISOString()
+): Worklog {
+  if (!active || active.issueId !== issueId) {
+    throw new TimerError("No timer is running on this issue", {
+      activeIssueId: active?.issueId ?? null,
+    });
+  }
+  const elapsed = Date.parse(now) - Date.parse(active.startedAt);
+  return {
+    worklogId,
+    issueId,
+    userId: active.userId,
+    userEmail: active.userEmail,
+    minutes: Math.min(
+      WORKLOG_MAX_MINUTES,
+      Math.max(1, Math.round(elapsed / 60000))
+    ),
+    description: input.description ?? "Timer session",
+    billable: input.billable ?? true,
+    startedAt: active.startedAt,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Whether a worklog counts as billable (the default)
+ */
+export function isBillable(worklog: Pick<Worklog, "billable">): boolean {
+  return worklog.billable !== false;
+}
+
+/**
+ * Worklogs in the order the work was done
+ */
+export function sortWorklogs(worklogs: Worklog[]): Worklog[] {
+  return [...worklogs].sort(
+    (a, b) =>
+      a.startedAt.localeCompare(b.startedAt) ||
+      a.worklogId.localeCompare(b.worklogId)
+  );
+}
+
+/**
+ * Minutes logged per user (most first), optionally only for work started
+ * within a date range
+ *
+ * @param from - ISO date-time lower bound, inclusive
+ * @param to - ISO date-time upper bound, inclusive
+ */
+export function worklogTotals(
+  worklogs: Worklog[],
+  from?: string,
+  to?: string
+): { users: WorklogUserTotal[]; totalMinutes: number } {
+  const totals = new Map<string, WorklogUserTotal>();
+  for (const worklog of worklogs) {
+    if ((from && worklog.startedAt < from) || (to && worklog.startedAt > to)) {
+      continue;
+    }
+    const total = totals.get(worklog.userId) ?? {
+      userId: worklog.userId,
+      userEmail: worklog.userEmail,
+      minutes: 0,
+    };
+    total.minutes += worklog.minutes;
+    totals.set(worklog.userId, total);
+  }
+  const users = [...totals.values()].sort(
+    (a, b) => b.minutes - a.minutes || a.userEmail.localeCompare(b.userEmail)
+  );
+  return {
+    users,
+    totalMinutes: users.reduce((sum, { minutes }) => sum + minutes, 0),
+  };
+}
@@ -8,8 +8,49 @@
  * issue tracker web interface. It serves the HTML file and provides
  * a simple API endpoint for testing.
  * 
+ * Data is read and written through the storage layer in server/storage
+ * (JSON file by default, SQLite with DB_DRIVER=sqlite).
+ *
+ * Access tokens are real HS256 JWTs, signed and verified with the shared
+ * authentication middleware from @cloud/shared, so issue endpoints and
+ * /auth/me require a valid Authorization: Bearer <token> header. Logout
+ * puts the token's `jti` on a denylist (`revokedTokens`) and revokes its
+ * session, after which the middleware rejects it. Issue routes check the
+ * shared role permission matrix and answer 403 when a permission is missing.
+ * Status changes follow the shared workflow (422 for illegal transitions).
+ * PUT /issues/{id} with `expectedUpdatedAt` returns 409 and the current issue
+ * if someone else changed it first (see the shared issue-edits module).
+ * Issue bodies and the list query string are checked against the shared Zod
+ * schemas (400 with field-level messages). GET /issues filters, sorts and
+ * paginates with the shared issue query, like the Lambda.
+ * GET /issues/search runs ranked full-text search against an in-memory
+ * inverted index, built from storage at startup and updated on issue writes.
+ * /issues/{id}/comments stores comments (`comments`) attributed to the
+ * token's user, with the text replaced by each edit kept in `edits`.
+ * @mentions in comments are resolved against GET /users.
+ * Every issue write appends events to `issueHistory` (never updated or
+ * removed), listed by GET /issues/{id}/history; see the shared history module.
+ * /issues/{id}/worklogs stores time logged on issues (`worklogs`), and each
+ * user's running timer is kept in `timers` so it survives page reloads;
+ * GET /worklogs/totals sums minutes per user (see the shared worklogs module).
+ * /timesheets lays worklogs out per week, and keeps each member's week's
+ * approval status in `timesheets`; submitted and approved weeks are locked.
+ * /issues/{id}/attachments takes multipart uploads, checked against the
+ * shared size and type limits; records go in `attachments` and contents in
+ * data/attachments, one file per checksum (server/storage). Image uploads
+ * get a thumbnail, and text files a preview (shared previews.ts).
+ * /issues/{id}/watchers lists an issue's `watchers` and lets the caller
+ * watch or unwatch it; reporters and new assignees are subscribed.
+ * /notifications lists each user's `notifications`, created for
+ * assignments, changes and comments on issues they watch, and mentions
+ * (see the shared notifications module). Each user's mutes are kept in
+ * `notificationSettings`; notification emails are only logged locally.
+ * /views stores saved views (`views`) and each user's pins and last-seen
+ * times (`viewStates`), with unread counts from the shared views module;
+ * team views are only shown to the team's members (their `teamIds`).
+ *
  * Usage:
- * - node server.js
+ * - npm run dev (builds packages/shared, then runs node server.js)
  * - Open http://localhost:3000 in your browser
  */
 
@@ -17,6 +58,8 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
+const util = require('util');
 
 const PORT = process.env.PORT || 3000;
 
@@ -40,61 +83,160 @@ const mimeTypes = {
 };
 
 // Local database for testing
+const config = require('./config/development');
+const { createAttachmentStore, createStorage, createThumbnailStore, DuplicateKeyError } = require('./server/storage');
+const {
+  ACCESS_TOKEN_TTL,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_FILES,
+  AttachmentError,
+  AuthError,
+  DEFAULT_WORKFLOW,
+  ForbiddenError,
+  InMemorySearchIndexStore,
+  NotificationChannel,
+  Permission,
+  SearchIndex,
+  SESSION_LOGOUT_ALL_REASON,
+  SESSION_LOGOUT_REASON,
+  SESSION_REUSE_REASON,
+  UserRole,
+  addWatcher,
+  assertIssueUnchanged,
+  assertTimesheetOpen,
+  authenticate,
+  authorize,
+  canDeleteAttachment,
+  canDeleteComment,
+  canDeleteWorklog,
+  canEditComment,
+  canEditView,
+  canEditWorklog,
+  canGrantRole,
+  canSeeView,
+  commentNotifications,
+  checkRefreshSession,
+  CommentConflictError,
+  commentSchema,
+  contentDisposition,
+  createAttachment,
+  createComment,
+  createTextPreview,
+  createThumbnail,
+  createSavedView,
+  createSession,
+  createWorklog,
+  defaultNotificationSettings,
+  editComment,
+  editWorklog,
+  extractBearerToken,
+  generateTokens,
+  hasTextPreview,
+  hashPassword,
+  IssueConflictError,
+  issueCreateSchema,
+  issueEvents,
+  issueListQuerySchema,
+  issueNotifications,
+  issueSearchQuerySchema,
+  issueUpdateSchema,
+  markNotificationRead,
+  memberTimesheet,
+  mentionNotifications,
+  notificationEmail,
+  notificationInbox,
+  notificationListQuerySchema,
+  notificationSettingsSchema,
+  nextUpdatedAt,
+  orphanedChecksums,
+  parseMultipart,
+  queryIssues,
+  removeWatcher,
+  resolveMentions,
+  revokedTokenEntry,
+  routeNotifications,
+  searchIssues,
+  sortAttachments,
+  THUMBNAIL_CONTENT_TYPE,
+  sortComments,
+  sortIssueEvents,
+  sortWorklogs,
+  startTimer,
+  stopTimer,
+  summarizeViews,
+  teamMembers,
+  teamTimesheet,
+  teamTimesheetQuerySchema,
+  TimerError,
+  timerStopSchema,
+  TimesheetError,
+  timesheetApproval,
+  timesheetReviewSchema,
+  timesheetWeekSchema,
+  toPublicUser,
+  transitionTimesheet,
+  updateNotificationSettings,
+  updateSavedView,
+  userDirectory,
+  validate,
+  validatePassword,
+  verifyPassword,
+  validateTransition,
+  verifyRefreshToken,
+  ValidationError,
+  viewCreateSchema,
+  viewPinSchema,
+  viewUpdateSchema,
+  watcherList,
+  watchersAfterWrite,
+  weekStart,
+  WorkflowError,
+  worklogCreateSchema,
+  worklogTotals,
+  worklogTotalsQuerySchema,
+  worklogUpdateSchema,
+} = require('@cloud/shared');
 
-// Database file path
-const DB_FILE = path.join(__dirname, 'data', 'local-db.json');
+// JWT configuration (same HS256 tokens the auth Lambda issues)
+const JWT_SECRET = process.env.JWT_SECRET || config.auth.jwt.secret;
 
-// Load database
-function loadDatabase() {
-  try {
-    if (fs.existsSync(DB_FILE)) {
-      const data = fs.readFileSync(DB_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading database:', error);
-  }
-  
-  // Return default database structure
-  return {
-    users: [
-      {
-        userId: 'admin-001',
-        email: 'admin@example.com',
-        firstName: 'Admin',
-        lastName: 'User',
-        role: 'ADMIN',
-        status: 'ACTIVE',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        lastLoginAt: new Date().toISOString(),
-      }
-    ],
-    sessions: [],
-    issues: []
-  };
-}
+// Password requirements for registration
+const PASSWORD_POLICY = config.auth.password;
 
-// Save database
-function saveDatabase(db) {
-  try {
-    // Ensure data directory exists
-    const dataDir = path.dirname(DB_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+// Revoked-token lookup for the auth middleware: denylisted `jti` or revoked session
+const revocations = {
+  async isRevoked(token) {
+    const denied = await storage.get('revokedTokens', token.jti);
+    if (denied && denied.expiresAt > Math.floor(Date.now() / 1000)) {
+      return true;
     }
-    
-    fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-  } catch (error) {
-    console.error('Error saving database:', error);
+    const session = await storage.get('sessions', token.sessionId);
+    return Boolean(session && session.revokedAt);
+  },
+};
+
+// Directory the database and attachment paths resolve against (DB_ROOT
+// points a run at a scratch copy, e.g. for test-local.js)
+const dataRoot = process.env.DB_ROOT || __dirname;
+
+const storage = createStorage(config.database.local, dataRoot);
+
+// Attachment contents and image thumbnails, kept on disk by checksum
+const attachmentStore = createAttachmentStore(config.database.local, dataRoot);
+const thumbnailStore = createThumbnailStore(config.database.local, dataRoot);
+
+// Full-text search index over the stored issues, rebuilt at startup
+const searchIndex = new SearchIndex(new InMemorySearchIndexStore());
+
+async function buildSearchIndex() {
+  for (const issue of await storage.list('issues')) {
+    await searchIndex.indexIssue(null, issue);
+  }
+  for (const comment of await storage.list('comments')) {
+    await searchIndex.indexComment(comment.issueId, null, comment);
   }
 }
 
-// Initialize database
-let db = loadDatabase();
-console.log('📊 Local database loaded successfully');
-console.log(`📁 Database file: ${DB_FILE}`);
-
 // Create HTTP server
 const server = http.createServer((req, res) => {
   const parsedUrl = url.parse(req.url, true);
@@ -123,37 +265,157 @@ const server = http.createServer((req, res) => {
 });
 
 // Handle API requests (simulate Lambda responses)
-function handleApiRequest(req, res, pathname) {
+async function handleApiRequest(req, res, pathname) {
   const method = req.method;
   const endpoint = pathname.replace('/api', '');
   
-  // Handle authentication endpoints
-  if (endpoint.startsWith('/auth/')) {
-    handleAuthRequest(req, res, endpoint, method);
-    return;
+  try {
+    // Handle authentication endpoints
+    if (endpoint.startsWith('/auth/')) {
+      await handleAuthRequest(req, res, endpoint, method);
+      return;
+    }
+    
+    // Status workflow for the issue modal
+    if (endpoint === '/workflow' && method === 'GET') {
+      sendResponse(res, { statusCode: 200, body: JSON.stringify(DEFAULT_WORKFLOW) });
+      return;
+    }
+
+    // Users who can be mentioned
+    if (endpoint === '/users' && method === 'GET') {
+      await authenticate(req, JWT_SECRET, revocations);
+      const items = userDirectory(await storage.list('users'));
+      sendResponse(res, { statusCode: 200, body: JSON.stringify({ items }) });
+      return;
+    }
+
+    // Handle notification endpoints
+    if (endpoint === '/notifications' || endpoint.startsWith('/notifications/')) {
+      await handleNotificationRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Handle saved view endpoints
+    if (endpoint === '/views' || endpoint.startsWith('/views/')) {
+      await handleViewRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Issue activity history
+    if (/^\/issues\/[^/]+\/history$/.test(endpoint) && method === 'GET') {
+      await authenticate(req, JWT_SECRET, revocations);
+      const issueId = decodeURIComponent(endpoint.split('/')[2]);
+      const events = await issueHistory(issueId);
+      // Issues written before history was recorded have none yet
+      sendResponse(res, events.length > 0 || await storage.get('issues', issueId)
+        ? { statusCode: 200, body: JSON.stringify({ items: events }) }
+        : issueNotFound(issueId));
+      return;
+    }
+
+    // Handle timesheet endpoints
+    if (endpoint === '/timesheets' || endpoint.startsWith('/timesheets/')) {
+      await handleTimesheetRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Handle attachment endpoints
+    if (/^\/issues\/[^/]+\/attachments(\/|$)/.test(endpoint)) {
+      await handleAttachmentRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Handle worklog and timer endpoints
+    if (/^\/issues\/[^/]+\/(worklogs|timer)(\/|$)/.test(endpoint) || endpoint === '/timer' || endpoint === '/worklogs/totals') {
+      await handleWorklogRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Handle watcher endpoints
+    if (/^\/issues\/[^/]+\/watchers$/.test(endpoint)) {
+      await handleWatcherRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Handle comment endpoints
+    if (/^\/issues\/[^/]+\/comments(\/|$)/.test(endpoint)) {
+      await handleCommentRequest(req, res, endpoint, method);
+      return;
+    }
+
+    // Handle issue endpoints
+    await handleIssueRequest(req, res, endpoint, method);
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof ForbiddenError) {
+      sendResponse(res, {
+        statusCode: error.statusCode,
+        body: JSON.stringify({
+          success: false,
+          error: error.error,
+          message: error.message,
+        })
+      });
+      return;
+    }
+
+    if (error instanceof WorkflowError || error instanceof TimerError || error instanceof TimesheetError ||
+      error instanceof AttachmentError || error instanceof IssueConflictError || error instanceof CommentConflictError) {
+      sendResponse(res, {
+        statusCode: error.statusCode,
+        body: JSON.stringify({
+          success: false,
+          error: error.error,
+          message: error.message,
+          ...error.details,
+        })
+      });
+      return;
+    }
+
+    if (error instanceof ValidationError) {
+      sendResponse(res, validationErrorResponse(error));
+      return;
+    }
+
+    if (error instanceof SyntaxError) {
+      sendResponse(res, validationErrorResponse(
+        new ValidationError([{ field: 'body', message: 'Invalid JSON' }])
+      ));
+      return;
+    }
+
+    console.error(`Error handling ${method} ${endpoint}:`, error);
+    sendResponse(res, {
+      statusCode: 500,
+      body: JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: 'An unexpected error occurred',
+      })
+    });
   }
-  
-  // Handle issue endpoints
-  handleIssueRequest(req, res, endpoint, method);
 }
 
 // Handle authentication requests
-function handleAuthRequest(req, res, endpoint, method) {
+async function handleAuthRequest(req, res, endpoint, method) {
   console.log(`Auth request: ${method} ${endpoint}`); // Debug logging
   
   // Remove /auth prefix from endpoint for matching
   const authEndpoint = endpoint.replace('/auth', '');
   
   if (authEndpoint === '/register' && method === 'POST') {
-    handleRegister(req, res);
+    await handleRegister(req, res);
   } else if (authEndpoint === '/login' && method === 'POST') {
-    handleLogin(req, res);
+    await handleLogin(req, res);
   } else if (authEndpoint === '/refresh' && method === 'POST') {
-    handleRefreshToken(req, res);
+    await handleRefreshToken(req, res);
   } else if (authEndpoint === '/me' && method === 'GET') {
-    handleGetCurrentUser(req, res);
+    await handleGetCurrentUser(req, res);
   } else if (authEndpoint === '/logout' && method === 'POST') {
-    handleLogout(req, res);
+    await handleLogout(req, res);
+  } else if (authEndpoint === '/logout-all' && method === 'POST') {
+    await handleLogoutAll(req, res);
   } else {
     sendResponse(res, {
       statusCode: 404,
@@ -167,245 +429,252 @@ function handleAuthRequest(req, res, endpoint, method) {
 }
 
 // Handle user registration
-function handleRegister(req, res) {
-  let body = '';
-  req.on('data', chunk => {
-    body += chunk.toString();
-  });
-  req.on('end', () => {
-    try {
-      const data = JSON.parse(body);
-      
-      // Validate required fields
-      if (!data.email || !data.password || !data.firstName || !data.lastName) {
-        sendResponse(res, {
-          statusCode: 400,
-          body: JSON.stringify({
-            success: false,
-            error: 'Validation error',
-            message: 'All required fields must be provided',
-          })
-        });
-        return;
-      }
+async function handleRegister(req, res) {
+  const data = await readJsonObject(req);
+  
+  // Validate required fields
+  if (!data.email || !data.password || !data.firstName || !data.lastName) {
+    sendResponse(res, {
+      statusCode: 400,
+      body: JSON.stringify({
+        success: false,
+        error: 'Validation error',
+        message: 'All required fields must be provided',
+      })
+    });
+    return;
+  }
 
-      // Check if user already exists
-      const existingUser = db.users.find(u => u.email === data.email);
-      if (existingUser) {
-        sendResponse(res, {
-          statusCode: 409,
-          body: JSON.stringify({
-            success: false,
-            error: 'User already exists',
-            message: 'A user with this email already exists',
-          })
-        });
-        return;
-      }
+  // Only admins may create accounts with elevated roles
+  const role = data.role || UserRole.END_USER;
+  if (!Object.values(UserRole).includes(role)) {
+    sendResponse(res, {
+      statusCode: 400,
+      body: JSON.stringify({
+        success: false,
+        error: 'Validation error',
+        message: `Invalid role: ${role}`,
+      })
+    });
+    return;
+  }
+  if (role !== UserRole.END_USER) {
+    const granter = extractBearerToken(req.headers)
+      ? (await authenticate(req, JWT_SECRET, revocations)).user
+      : null;
+    if (!canGrantRole(granter, role)) {
+      throw new ForbiddenError(`Only administrators can grant the ${role} role`);
+    }
+  }
 
-      // Create new user
-      const newUser = {
-        userId: 'user-' + Date.now(),
-        email: data.email,
-        firstName: data.firstName,
-        lastName: data.lastName,
-        role: data.role || 'END_USER',
-        status: 'PENDING_VERIFICATION',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
+  // Enforce the configured password policy
+  const passwordErrors = validatePassword(String(data.password), PASSWORD_POLICY);
+  if (passwordErrors.length > 0) {
+    sendResponse(res, {
+      statusCode: 400,
+      body: JSON.stringify({
+        success: false,
+        error: 'Validation error',
+        message: passwordErrors.join(', '),
+      })
+    });
+    return;
+  }
 
-      // Add to database
-      db.users.push(newUser);
-      saveDatabase(db);
+  // Check if user already exists
+  const existingUser = await storage.findOne('users', u => u.email === data.email);
+  if (existingUser) {
+    sendResponse(res, {
+      statusCode: 409,
+      body: JSON.stringify({
+        success: false,
+        error: 'User already exists',
+        message: 'A user with this email already exists',
+      })
+    });
+    return;
+  }
 
-      // Generate mock tokens
-      const token = 'mock-jwt-token-' + Date.now();
-      const refreshToken = 'mock-refresh-token-' + Date.now();
+  // Create new user
+  const newUser = {
+    userId: generateId('user'),
+    email: data.email,
+    firstName: data.firstName,
+    lastName: data.lastName,
+    role,
+    status: 'PENDING_VERIFICATION',
+    passwordHash: await hashPassword(String(data.password)),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
 
-      const authResponse = {
-        user: newUser,
-        token,
-        refreshToken,
-        expiresIn: 24 * 60 * 60, // 24 hours in seconds
-      };
+  // Add to database
+  await storage.insert('users', newUser);
 
-      sendResponse(res, {
-        statusCode: 201,
-        body: JSON.stringify({
-          success: true,
-          data: authResponse,
-          message: 'User registered successfully',
-        })
-      });
-    } catch (error) {
-      sendResponse(res, {
-        statusCode: 400,
-        body: JSON.stringify({
-          success: false,
-          error: 'Invalid JSON',
-          message: 'Invalid request body',
-        })
-      });
-    }
+  // Start a session and generate tokens
+  const session = await storage.insert('sessions', createSession(newUser.userId));
+  const { token, refreshToken } = generateTokens(newUser, JWT_SECRET, session);
+
+  const authResponse = {
+    user: toPublicUser(newUser),
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+
+  sendResponse(res, {
+    statusCode: 201,
+    body: JSON.stringify({
+      success: true,
+      data: authResponse,
+      message: 'User registered successfully',
+    })
   });
 }
 
 // Handle user login
-function handleLogin(req, res) {
-  let body = '';
-  req.on('data', chunk => {
-    body += chunk.toString();
+async function handleLogin(req, res) {
+  const data = await readJsonObject(req);
+  
+  // Find user by email and check the password against the stored hash
+  const user = await storage.findOne('users', u => u.email === data.email);
+  const validPassword = user !== null && await verifyPassword(String(data.password), user.passwordHash);
+  if (!validPassword) {
+    sendResponse(res, {
+      statusCode: 401,
+      body: JSON.stringify({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Invalid email or password',
+      })
+    });
+    return;
+  }
+
+  // Update last login
+  const updatedUser = await storage.update('users', user.userId, {
+    lastLoginAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
   });
-  req.on('end', () => {
-    try {
-      const data = JSON.parse(body);
-      
-      // Find user by email
-      const user = db.users.find(u => u.email === data.email);
-      if (!user) {
-        sendResponse(res, {
-          statusCode: 401,
-          body: JSON.stringify({
-            success: false,
-            error: 'Invalid credentials',
-            message: 'Invalid email or password',
-          })
-        });
-        return;
-      }
 
-      // For demo purposes, accept any password
-      // In real implementation, verify password hash
-      
-      // Update last login
-      user.lastLoginAt = new Date().toISOString();
-      user.updatedAt = new Date().toISOString();
-      
-      // Save updated user
-      saveDatabase(db);
-
-      // Generate mock tokens
-      const token = 'mock-jwt-token-' + Date.now();
-      const refreshToken = 'mock-refresh-token-' + Date.now();
-
-      const authResponse = {
-        user,
-        token,
-        refreshToken,
-        expiresIn: 24 * 60 * 60, // 24 hours in seconds
-      };
+  // Start a session and generate tokens
+  const session = await storage.insert('sessions', createSession(updatedUser.userId));
+  const { token, refreshToken } = generateTokens(updatedUser, JWT_SECRET, session);
 
-      sendResponse(res, {
-        statusCode: 200,
-        body: JSON.stringify({
-          success: true,
-          data: authResponse,
-          message: 'Login successful',
-        })
-      });
-    } catch (error) {
-      sendResponse(res, {
-        statusCode: 400,
-        body: JSON.stringify({
-          success: false,
-          error: 'Invalid JSON',
-          message: 'Invalid request body',
-        })
-      });
-    }
+  const authResponse = {
+    user: toPublicUser(updatedUser),
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+
+  sendResponse(res, {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: true,
+      data: authResponse,
+      message: 'Login successful',
+    })
   });
 }
 
 // Handle token refresh
-function handleRefreshToken(req, res) {
-  let body = '';
-  req.on('data', chunk => {
-    body += chunk.toString();
-  });
-  req.on('end', () => {
-    try {
-      const data = JSON.parse(body);
-      
-      if (!data.refreshToken) {
-        sendResponse(res, {
-          statusCode: 400,
-          body: JSON.stringify({
-            success: false,
-            error: 'Missing refresh token',
-            message: 'Refresh token is required',
-          })
-        });
-        return;
-      }
-
-      // For demo purposes, accept any refresh token
-      // In real implementation, verify the refresh token
-      
-      // Find a user (in real implementation, extract user ID from token)
-      const user = db.users[0];
-      if (!user) {
-        sendResponse(res, {
-          statusCode: 401,
-          body: JSON.stringify({
-            success: false,
-            error: 'Invalid token',
-            message: 'Invalid refresh token',
-          })
-        });
-        return;
-      }
-
-      // Generate new tokens
-      const token = 'mock-jwt-token-' + Date.now();
-      const refreshToken = 'mock-refresh-token-' + Date.now();
-
-      const authResponse = {
-        user,
-        token,
-        refreshToken,
-        expiresIn: 24 * 60 * 60, // 24 hours in seconds
-      };
+async function handleRefreshToken(req, res) {
+  const data = await readJsonObject(req);
+  
+  if (!data.refreshToken) {
+    sendResponse(res, {
+      statusCode: 400,
+      body: JSON.stringify({
+        success: false,
+        error: 'Missing refresh token',
+        message: 'Refresh token is required',
+      })
+    });
+    return;
+  }
 
-      sendResponse(res, {
-        statusCode: 200,
-        body: JSON.stringify({
-          success: true,
-          data: authResponse,
-          message: 'Token refreshed successfully',
-        })
-      });
-    } catch (error) {
-      sendResponse(res, {
-        statusCode: 400,
-        body: JSON.stringify({
-          success: false,
-          error: 'Invalid JSON',
-          message: 'Invalid request body',
-        })
-      });
+  // Verify the refresh token and check it against its session
+  let decoded = null;
+  try {
+    decoded = verifyRefreshToken(data.refreshToken, JWT_SECRET);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      throw error;
     }
-  });
-}
+  }
 
-// Handle get current user
-function handleGetCurrentUser(req, res) {
-  const token = extractTokenFromHeaders(req);
-  if (!token) {
+  let session = null;
+  let user = null;
+  if (decoded) {
+    session = await storage.get('sessions', decoded.sessionId);
+    const check = checkRefreshSession(session, decoded);
+    if (check === 'valid') {
+      // Rotate: only the newly issued refresh token is valid from now on.
+      // Losing a race with another refresh of the same token counts as reuse.
+      const rotation = session.rotation;
+      session = await storage.update('sessions', session.sessionId, {
+        rotation: rotation + 1,
+        updatedAt: new Date().toISOString(),
+      }, s => !s.revokedAt && s.rotation === rotation);
+      if (session) {
+        user = await storage.get('users', decoded.userId);
+      } else {
+        await revokeSession(decoded.sessionId, SESSION_REUSE_REASON);
+      }
+    } else if (check === 'reused') {
+      // A rotated token was replayed: revoke every token of this session
+      await revokeSession(session.sessionId, SESSION_REUSE_REASON);
+    }
+  }
+  if (!user) {
     sendResponse(res, {
       statusCode: 401,
       body: JSON.stringify({
         success: false,
-        error: 'Missing token',
-        message: 'Authorization token is required',
+        error: 'Invalid token',
+        message: 'Invalid refresh token',
       })
     });
     return;
   }
 
-  // For demo purposes, return the first user
-  // In real implementation, verify JWT token and extract user ID
-  const user = db.users[0];
+  // Generate new tokens
+  const { token, refreshToken } = generateTokens(user, JWT_SECRET, session);
+
+  const authResponse = {
+    user: toPublicUser(user),
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+
+  sendResponse(res, {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: true,
+      data: authResponse,
+      message: 'Token refreshed successfully',
+    })
+  });
+}
+
+// Revoke a session so none of its refresh tokens can be used again
+async function revokeSession(sessionId, reason) {
+  const now = new Date().toISOString();
+  // The first revocation's reason is kept
+  return storage.update('sessions', sessionId, {
+    revokedAt: now,
+    revokedReason: reason,
+    updatedAt: now,
+  }, s => !s.revokedAt);
+}
+
+// Handle get current user
+async function handleGetCurrentUser(req, res) {
+  // Verify the access token and look up the caller
+  await authenticate(req, JWT_SECRET, revocations);
+  const user = await storage.get('users', req.user.userId);
   if (!user) {
     sendResponse(res, {
       statusCode: 401,
@@ -422,15 +691,19 @@ function handleGetCurrentUser(req, res) {
     statusCode: 200,
     body: JSON.stringify({
       success: true,
-      data: user,
+      data: toPublicUser(user),
       message: 'User retrieved successfully',
     })
   });
 }
 
 // Handle user logout
-function handleLogout(req, res) {
-  // In real implementation, invalidate the token
+async function handleLogout(req, res) {
+  // Deny the access token until it expires and end its session
+  await authenticate(req, JWT_SECRET, revocations);
+  await revokeAccessToken(req.user);
+  await revokeSession(req.user.sessionId, SESSION_LOGOUT_REASON);
+
   sendResponse(res, {
     statusCode: 200,
     body: JSON.stringify({
@@ -440,109 +713,931 @@ function handleLogout(req, res) {
   });
 }
 
+// Handle logout from every session of the current user
+async function handleLogoutAll(req, res) {
+  await authenticate(req, JWT_SECRET, revocations);
+  await revokeAccessToken(req.user);
+
+  // Revoking a session also revokes the access tokens issued from it
+  const sessions = await storage.list('sessions');
+  const active = sessions.filter(session => session.userId === req.user.userId && !session.revokedAt);
+  for (const session of active) {
+    await revokeSession(session.sessionId, SESSION_LOGOUT_ALL_REASON);
+  }
+
+  sendResponse(res, {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: true,
+      data: { revokedSessions: active.length },
+      message: 'Logged out of all sessions',
+    })
+  });
+}
+
+// Put an access token on the denylist until it expires, dropping expired entries
+async function revokeAccessToken(token) {
+  const now = Math.floor(Date.now() / 1000);
+  const entries = await storage.list('revokedTokens');
+  for (const entry of entries.filter(e => e.expiresAt <= now)) {
+    await storage.remove('revokedTokens', entry.jti);
+  }
+  if (!(await storage.get('revokedTokens', token.jti))) {
+    await storage.insert('revokedTokens', revokedTokenEntry(token));
+  }
+}
+
 // Handle issue requests
-function handleIssueRequest(req, res, endpoint, method) {
+async function handleIssueRequest(req, res, endpoint, method) {
   // Simulate Lambda handler responses
   let response;
   
+  // Every issue endpoint requires a valid access token
+  await authenticate(req, JWT_SECRET, revocations);
+  
   if (endpoint === '/issues' && method === 'GET') {
+    // Filter, sort and paginate with the same shared query as the Lambda
+    const query = validate(issueListQuerySchema, url.parse(req.url, true).query);
     response = {
       statusCode: 200,
-      body: JSON.stringify({
-        items: db.issues || [],
-        nextToken: null
-      })
+      body: JSON.stringify(queryIssues(await storage.list('issues'), query, { user: req.user.email }))
     };
   } else if (endpoint === '/issues' && method === 'POST') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      const data = JSON.parse(body);
-      const newIssue = {
-        issueId: 'ISSUE-' + Date.now(),
-        title: data.title || 'New Issue',
-        description: data.description || '',
-        status: 'OPEN',
-        priority: data.priority || 'MEDIUM',
-        reporter: 'admin@example.com', // In real implementation, get from token
-        assignee: null,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        tags: data.tags || []
-      };
-      
-      // Add to database
-      if (!db.issues) db.issues = [];
-      db.issues.push(newIssue);
-      saveDatabase(db);
-      
-      response = {
-        statusCode: 201,
-        body: JSON.stringify(newIssue)
-      };
-      sendResponse(res, response);
+    authorize(req.user, Permission.CREATE_ISSUES);
+    const data = validate(issueCreateSchema, await readJsonBody(req));
+    if (data.assignee) {
+      authorize(req.user, Permission.ASSIGN_ISSUES);
+    }
+    const newIssue = {
+      issueId: generateId('ISSUE'),
+      title: data.title,
+      description: data.description,
+      status: 'OPEN',
+      priority: data.priority,
+      category: data.category,
+      reporter: req.user.email,
+      assignee: data.assignee || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      tags: data.tags,
+      watchers: watchersAfterWrite(null, { reporter: req.user.email, assignee: data.assignee })
+    };
+    
+    // Add to database
+    await storage.insert('issues', newIssue);
+    await searchIndex.indexIssue(null, newIssue);
+    await recordHistory(null, newIssue, req.user);
+    await notify(users => issueNotifications(null, newIssue, req.user, users, notificationId));
+    
+    response = {
+      statusCode: 201,
+      body: JSON.stringify(newIssue)
+    };
+  } else if (endpoint === '/issues/search' && method === 'GET') {
+    const { q, limit } = validate(issueSearchQuerySchema, url.parse(req.url, true).query);
+    const results = await searchIssues(searchIndex, q, limit, async id => {
+      const issue = await storage.get('issues', id);
+      return issue && { issue, comments: await issueComments(id) };
     });
-    return;
-  } else if (endpoint.startsWith('/issues/') && method === 'GET') {
-    const id = endpoint.split('/').pop();
     response = {
       statusCode: 200,
-      body: JSON.stringify({
-        issueId: id,
-        title: 'Sample Issue',
-        description: 'This is a sample issue for testing',
-        status: 'OPEN',
-        priority: 'MEDIUM'
-      })
+      body: JSON.stringify(results)
     };
+  } else if (endpoint.startsWith('/issues/') && method === 'GET') {
+    const id = endpoint.split('/').pop();
+    const issue = await storage.get('issues', id);
+    response = issue
+      ? { statusCode: 200, body: JSON.stringify(issue) }
+      : issueNotFound(id);
   } else if (endpoint.startsWith('/issues/') && method === 'PUT') {
+    authorize(req.user, Permission.EDIT_ISSUES);
     const id = endpoint.split('/').pop();
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      const data = JSON.parse(body);
-      response = {
-        statusCode: 200,
-        body: JSON.stringify({
-          issueId: id,
-          title: data.title || 'Updated Issue',
-          status: 'UPDATED',
-          priority: data.priority || 'MEDIUM'
-        })
-      };
-      sendResponse(res, response);
-    });
-    return;
+    const { expectedUpdatedAt, ...data } = validate(issueUpdateSchema, await readJsonBody(req));
+    if ('assignee' in data) {
+      authorize(req.user, Permission.ASSIGN_ISSUES);
+    }
+    
+    const existing = await storage.get('issues', id);
+    if (!existing) {
+      response = issueNotFound(id);
+    } else {
+      // Reject edits of an outdated copy; status changes must follow the workflow
+      assertIssueUnchanged(existing, expectedUpdatedAt);
+      validateTransition(existing, data, req.user.role);
+
+      // Merge the provided fields into the stored issue, unless it was
+      // written in the meantime
+      const updatedIssue = await storage.update('issues', id, {
+        ...data,
+        ...('assignee' in data && {
+          watchers: watchersAfterWrite(existing, { reporter: existing.reporter, assignee: data.assignee })
+        }),
+        updatedAt: nextUpdatedAt(existing)
+      }, expectedUpdatedAt === undefined ? undefined : issue => issue.updatedAt === existing.updatedAt);
+      const current = updatedIssue ? null : await storage.get('issues', id);
+      if (current && expectedUpdatedAt !== undefined) {
+        throw new IssueConflictError(current);
+      }
+      if (updatedIssue) {
+        await searchIndex.indexIssue(existing, updatedIssue);
+        await recordHistory(existing, updatedIssue, req.user);
+        await notify(users => issueNotifications(existing, updatedIssue, req.user, users, notificationId));
+        response = { statusCode: 200, body: JSON.stringify(updatedIssue) };
+      } else {
+        response = issueNotFound(id);
+      }
+    }
   } else if (endpoint.startsWith('/issues/') && method === 'DELETE') {
-    response = {
-      statusCode: 204,
-      body: ''
-    };
+    authorize(req.user, Permission.DELETE_ISSUES);
+    const id = endpoint.split('/').pop();
+    const existing = await storage.get('issues', id);
+    if (existing && await storage.remove('issues', id)) {
+      await searchIndex.indexIssue(existing, null);
+      await recordHistory(existing, null, req.user);
+      for (const comment of await issueComments(id)) {
+        await storage.remove('comments', comment.commentId);
+        await searchIndex.indexComment(id, comment, null);
+      }
+      for (const worklog of await issueWorklogs(id)) {
+        await storage.remove('worklogs', worklog.worklogId);
+      }
+      const removed = await issueAttachments(id);
+      for (const attachment of removed) {
+        await storage.remove('attachments', attachment.attachmentId);
+      }
+      await deleteOrphanedFiles(removed);
+      response = { statusCode: 204, body: '' };
+    } else {
+      response = issueNotFound(id);
+    }
   } else {
-    response = {
-      statusCode: 404,
-      body: JSON.stringify({
-        message: 'Not Found',
-        path: endpoint,
-        method: method
-      })
-    };
+    response = notFound(endpoint, method);
   }
   
   sendResponse(res, response);
 }
 
-// Extract JWT token from request headers
-function extractTokenFromHeaders(req) {
-  const authHeader = req.headers.authorization || req.headers.Authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+// Handle comment requests (same routes as the Lambda, see shared comments.ts)
+async function handleCommentRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const match = /^\/issues\/([^/]+)\/comments(?:\/([^/]+))?$/.exec(endpoint);
+  const issueId = match && decodeURIComponent(match[1]);
+  const commentId = match && match[2] && decodeURIComponent(match[2]);
+  const existing = commentId && await storage.get('comments', commentId);
+  const issue = match && await storage.get('issues', issueId);
+  let response;
+
+  if (!match) {
+    response = notFound(endpoint, method);
+  } else if (!issue) {
+    response = issueNotFound(issueId);
+  } else if (!commentId && method === 'GET') {
+    response = { statusCode: 200, body: JSON.stringify({ items: await issueComments(issueId) }) };
+  } else if (!commentId && method === 'POST') {
+    const data = validate(commentSchema, await readJsonBody(req));
+    const mentions = resolveMentions(data.body, userDirectory(await storage.list('users')));
+    const comment = await storage.insert('comments', createComment(generateId('COMMENT'), issueId, data, req.user, mentions));
+    await searchIndex.indexComment(issueId, null, comment);
+    await notify(users => commentNotifications(comment, issue, users, notificationId));
+    response = { statusCode: 201, body: JSON.stringify(comment) };
+  } else if (commentId && (method === 'PUT' || method === 'DELETE')) {
+    if (!existing || existing.issueId !== issueId) {
+      response = commentNotFound(commentId);
+    } else if (method === 'DELETE') {
+      if (!canDeleteComment(existing, req.user)) {
+        throw new ForbiddenError('Only the author can delete this comment');
+      }
+      await storage.remove('comments', commentId);
+      await searchIndex.indexComment(issueId, existing, null);
+      response = { statusCode: 204, body: '' };
+    } else {
+      if (!canEditComment(existing, req.user)) {
+        throw new ForbiddenError('Only the author can edit this comment');
+      }
+      const data = validate(commentSchema, await readJsonBody(req));
+      const mentions = resolveMentions(data.body, userDirectory(await storage.list('users')));
+      const comment = editComment(existing, data, req.user, mentions);
+      // Store the edit unless the comment was edited or deleted since it was read
+      const stored = await storage.update('comments', commentId, comment,
+        current => current.updatedAt === existing.updatedAt);
+      const current = stored ? null : await storage.get('comments', commentId);
+      if (current) {
+        throw new CommentConflictError(current);
+      }
+      if (stored) {
+        await searchIndex.indexComment(issueId, existing, comment);
+        await notify(() => mentionNotifications(comment, issue, existing.mentions || [], notificationId));
+        response = { statusCode: 200, body: JSON.stringify(comment) };
+      } else {
+        response = commentNotFound(commentId);
+      }
+    }
+  } else {
+    response = notFound(endpoint, method);
+  }
+
+  sendResponse(res, response);
+}
+
+// Handle attachment requests (same routes as the Lambda, see shared attachments.ts)
+async function handleAttachmentRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const match = /^\/issues\/([^/]+)\/attachments(?:\/([^/]+)(?:\/(download|thumbnail|preview))?)?$/.exec(endpoint);
+  const issueId = match && decodeURIComponent(match[1]);
+  const attachmentId = match && match[2] && decodeURIComponent(match[2]);
+  const view = match && match[3];
+  const existing = attachmentId && await storage.get('attachments', attachmentId);
+  const issue = match && await storage.get('issues', issueId);
+  let response;
+
+  if (!match) {
+    response = notFound(endpoint, method);
+  } else if (!issue) {
+    response = issueNotFound(issueId);
+  } else if (!attachmentId && method === 'GET') {
+    response = { statusCode: 200, body: JSON.stringify({ items: await issueAttachments(issueId) }) };
+  } else if (!attachmentId && method === 'POST') {
+    authorize(req.user, Permission.CREATE_ISSUES);
+    // Every file is checked before any is stored
+    const body = await readRawBody(req, ATTACHMENT_MAX_FILES * ATTACHMENT_MAX_BYTES + 64 * 1024);
+    const uploads = parseMultipart(body, req.headers['content-type']).map(file => ({
+      file,
+      attachment: createAttachment(generateId('ATTACHMENT'), issueId, file, req.user)
+    }));
+    const attachments = await issueAttachments(issueId);
+    const items = [];
+    for (const { file, attachment } of uploads) {
+      const duplicate = attachments.find(({ checksum }) => checksum === attachment.checksum);
+      if (duplicate) {
+        items.push({ ...duplicate, duplicate: true });
+        continue;
+      }
+      if (!await attachmentStore.exists(attachment.checksum)) {
+        await attachmentStore.put(attachment.checksum, file.data, attachment.contentType);
+      }
+      const thumbnail = createThumbnail(file.data, attachment.contentType);
+      if (thumbnail) {
+        await thumbnailStore.put(attachment.checksum, thumbnail.data, THUMBNAIL_CONTENT_TYPE);
+        attachment.thumbnail = { width: thumbnail.width, height: thumbnail.height };
+      }
+      attachments.push(await storage.insert('attachments', attachment));
+      items.push({ ...attachment, duplicate: false });
+    }
+    response = { statusCode: items.some(item => !item.duplicate) ? 201 : 200, body: JSON.stringify({ items }) };
+  } else if (!attachmentId) {
+    response = notFound(endpoint, method);
+  } else if (!existing || existing.issueId !== issueId) {
+    response = attachmentNotFound(attachmentId);
+  } else if (method === 'GET' && view === 'download') {
+    const data = await attachmentStore.get(existing.checksum);
+    if (data) {
+      sendFile(res, data, existing.contentType, contentDisposition(existing.name));
+      return;
+    }
+    response = attachmentNotFound(attachmentId);
+  } else if (method === 'GET' && view === 'thumbnail') {
+    const data = existing.thumbnail && await thumbnailStore.get(existing.checksum);
+    if (data) {
+      sendFile(res, data, THUMBNAIL_CONTENT_TYPE, contentDisposition(existing.name, 'inline'));
+      return;
+    }
+    response = previewNotAvailable(attachmentId, 'thumbnail');
+  } else if (method === 'GET' && view === 'preview') {
+    const data = hasTextPreview(existing) && await attachmentStore.get(existing.checksum);
+    response = data
+      ? { statusCode: 200, body: JSON.stringify(createTextPreview(existing, data)) }
+      : previewNotAvailable(attachmentId, 'preview');
+  } else if (method === 'GET' && !view) {
+    response = { statusCode: 200, body: JSON.stringify(existing) };
+  } else if (method === 'DELETE' && !view) {
+    if (!canDeleteAttachment(existing, req.user)) {
+      throw new ForbiddenError('Only the uploader can delete this attachment');
+    }
+    await storage.remove('attachments', attachmentId);
+    await deleteOrphanedFiles([existing]);
+    response = { statusCode: 204, body: '' };
+  } else {
+    response = notFound(endpoint, method);
+  }
+
+  sendResponse(res, response);
+}
+
+// Delete the stored contents and thumbnails of removed attachments that no other attachment shares
+async function deleteOrphanedFiles(removed) {
+  if (removed.length === 0) {
+    return;
+  }
+  for (const checksum of orphanedChecksums(removed, await storage.list('attachments'))) {
+    await attachmentStore.delete(checksum);
+    await thumbnailStore.delete(checksum);
+  }
+}
+
+// Handle worklog and timer requests (same routes as the Lambda, see shared worklogs.ts)
+async function handleWorklogRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const user = req.user;
+  const worklogMatch = /^\/issues\/([^/]+)\/worklogs(?:\/([^/]+))?$/.exec(endpoint);
+  const timerMatch = /^\/issues\/([^/]+)\/timer\/(start|stop)$/.exec(endpoint);
+  const match = worklogMatch || timerMatch;
+  const issueId = match && decodeURIComponent(match[1]);
+  const issue = match && await storage.get('issues', issueId);
+  let response;
+
+  if (endpoint === '/timer' && method === 'GET') {
+    response = { statusCode: 200, body: JSON.stringify({ timer: await storage.get('timers', user.userId) }) };
+  } else if (endpoint === '/timer' && method === 'DELETE') {
+    // Discard the timer without logging it
+    await storage.remove('timers', user.userId);
+    response = { statusCode: 204, body: '' };
+  } else if (endpoint === '/worklogs/totals' && method === 'GET') {
+    authorize(user, Permission.VIEW_REPORTS);
+    const { from, to } = validate(worklogTotalsQuerySchema, url.parse(req.url, true).query);
+    const totals = worklogTotals(await storage.list('worklogs'), from, to);
+    response = { statusCode: 200, body: JSON.stringify({ from: from || null, to: to || null, ...totals }) };
+  } else if (!match) {
+    response = notFound(endpoint, method);
+  } else if (!issue) {
+    response = issueNotFound(issueId);
+  } else if (timerMatch && method === 'POST') {
+    authorize(user, Permission.EDIT_ISSUES);
+    const active = await storage.get('timers', user.userId);
+    if (timerMatch[2] === 'start') {
+      const timer = startTimer(active, issueId, user);
+      await assertWeekOpen(timer);
+      try {
+        await storage.insert('timers', timer);
+      } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) {
+          throw error;
+        }
+        // Started on another device since it was read
+        const running = await storage.get('timers', user.userId);
+        throw new TimerError('A timer is already running', { activeIssueId: running ? running.issueId : null });
+      }
+      response = { statusCode: 201, body: JSON.stringify(timer) };
+    } else {
+      const data = validate(timerStopSchema, await readJsonBody(req));
+      const worklog = stopTimer(active, issueId, generateId('WORKLOG'), data);
+      await assertWeekOpen(worklog);
+      // Only the stop that removes the timer it read logs the time
+      if (!(await storage.remove('timers', user.userId, timer => timer.startedAt === worklog.startedAt))) {
+        const running = await storage.get('timers', user.userId);
+        throw new TimerError('The timer was already stopped', { activeIssueId: running ? running.issueId : null });
+      }
+      response = { statusCode: 201, body: JSON.stringify(await storage.insert('worklogs', worklog)) };
+    }
+  } else if (timerMatch) {
+    response = notFound(endpoint, method);
+  } else if (!worklogMatch[2] && method === 'GET') {
+    const items = await issueWorklogs(issueId);
+    response = { statusCode: 200, body: JSON.stringify({ items, ...worklogTotals(items) }) };
+  } else if (!worklogMatch[2] && method === 'POST') {
+    authorize(user, Permission.EDIT_ISSUES);
+    const data = validate(worklogCreateSchema, await readJsonBody(req));
+    const worklog = createWorklog(generateId('WORKLOG'), issueId, data, user);
+    await assertWeekOpen(worklog);
+    await storage.insert('worklogs', worklog);
+    response = { statusCode: 201, body: JSON.stringify(worklog) };
+  } else if (worklogMatch[2] && (method === 'PUT' || method === 'DELETE')) {
+    const worklogId = decodeURIComponent(worklogMatch[2]);
+    const existing = await storage.get('worklogs', worklogId);
+    if (!existing || existing.issueId !== issueId) {
+      response = worklogNotFound(worklogId);
+    } else if (method === 'DELETE') {
+      if (!canDeleteWorklog(existing, user)) {
+        throw new ForbiddenError('Only the author can delete this worklog');
+      }
+      await assertWeekOpen(existing);
+      await storage.remove('worklogs', worklogId);
+      response = { statusCode: 204, body: '' };
+    } else {
+      if (!canEditWorklog(existing, user)) {
+        throw new ForbiddenError('Only the author can edit this worklog');
+      }
+      const data = validate(worklogUpdateSchema, await readJsonBody(req));
+      const worklog = editWorklog(existing, data);
+      // Neither the week it was in nor the week it moves to may be locked
+      await assertWeekOpen(existing);
+      await assertWeekOpen(worklog);
+      await storage.update('worklogs', worklogId, worklog);
+      response = { statusCode: 200, body: JSON.stringify(worklog) };
+    }
+  } else {
+    response = notFound(endpoint, method);
+  }
+
+  sendResponse(res, response);
+}
+
+// Handle timesheet requests (same routes as the Lambda, see shared timesheets.ts)
+async function handleTimesheetRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const user = req.user;
+  const match = /^\/timesheets\/([^/]+)\/([^/]+)(?:\/(submit|approve|reject))?$/.exec(endpoint);
+  let response;
+
+  if (endpoint === '/timesheets' && method === 'GET') {
+    authorize(user, Permission.VIEW_REPORTS);
+    const { week, teamId } = validate(teamTimesheetQuerySchema, {
+      week: new Date().toISOString().slice(0, 10),
+      ...url.parse(req.url, true).query
+    });
+    const approvals = (await storage.list('timesheets')).filter(approval => approval.weekStart === week);
+    const team = teamId && { teamId, members: teamMembers(await storage.list('users'), teamId) };
+    response = { statusCode: 200, body: JSON.stringify(teamTimesheet(week, await storage.list('worklogs'), approvals, team)) };
+  } else if (!match) {
+    response = notFound(endpoint, method);
+  } else {
+    const userId = decodeURIComponent(match[1]);
+    const action = match[3];
+    const { week } = validate(timesheetWeekSchema, { week: decodeURIComponent(match[2]) });
+    const record = userId === user.userId ? user : await storage.get('users', userId);
+    const member = record && { userId, userEmail: record.email };
+
+    if (!action && method === 'GET') {
+      if (userId !== user.userId) {
+        authorize(user, Permission.VIEW_REPORTS);
+      }
+      if (!member) {
+        response = userNotFound(userId);
+      } else {
+        const entries = (await storage.list('worklogs')).filter(worklog => worklog.userId === userId);
+        const issueTitles = {};
+        for (const issue of await storage.list('issues')) {
+          issueTitles[issue.issueId] = issue.title;
+        }
+        const approval = timesheetApproval(await storedTimesheet(userId, week), member, week);
+        response = { statusCode: 200, body: JSON.stringify(memberTimesheet(entries, issueTitles, approval)) };
+      }
+    } else if (action && method === 'POST') {
+      if (action === 'submit' && userId !== user.userId) {
+        throw new ForbiddenError('Only the member can submit their timesheet');
+      }
+      if (action !== 'submit') {
+        authorize(user, Permission.MANAGE_TEAMS);
+      }
+      const { comment } = validate(timesheetReviewSchema, await readJsonBody(req));
+      if (!member) {
+        response = userNotFound(userId);
+      } else {
+        const previous = await storedTimesheet(userId, week);
+        const approval = transitionTimesheet(timesheetApproval(previous, member, week), action, user, comment);
+        const timesheetId = `${userId}:${week}`;
+        let saved = true;
+        if (previous) {
+          saved = Boolean(await storage.update('timesheets', timesheetId, approval,
+            stored => stored.updatedAt === previous.updatedAt));
+        } else {
+          try {
+            await storage.insert('timesheets', { timesheetId, ...approval });
+          } catch (error) {
+            if (!(error instanceof DuplicateKeyError)) {
+              throw error;
+            }
+            saved = false;
+          }
+        }
+        if (!saved) {
+          // Another reviewer acted on it since it was read
+          const current = timesheetApproval(await storedTimesheet(userId, week), member, week);
+          throw new TimesheetError('The timesheet was changed, reload it', {
+            userId,
+            weekStart: week,
+            status: current.status
+          });
+        }
+        response = { statusCode: 200, body: JSON.stringify(approval) };
+      }
+    } else {
+      response = notFound(endpoint, method);
+    }
+  }
+
+  sendResponse(res, response);
+}
+
+// A member's stored approval record for a week, or null while it is open
+async function storedTimesheet(userId, week) {
+  const stored = await storage.get('timesheets', `${userId}:${week}`);
+  if (!stored) {
     return null;
   }
-  return authHeader.substring(7);
+  const { timesheetId, ...approval } = stored;
+  return approval;
+}
+
+// Reject writes to a worklog whose week's timesheet is locked
+async function assertWeekOpen(worklog) {
+  assertTimesheetOpen(await storedTimesheet(worklog.userId, weekStart(worklog.startedAt)));
+}
+
+// Handle watcher requests (same routes as the Lambda, see shared watchers.ts)
+async function handleWatcherRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const issueId = decodeURIComponent(endpoint.split('/')[2]);
+  let issue = await storage.get('issues', issueId);
+  let response;
+
+  if (!issue) {
+    response = issueNotFound(issueId);
+  } else if (method === 'GET' || method === 'POST' || method === 'DELETE') {
+    if (method !== 'GET') {
+      // Watching is not an edit, so updatedAt is left alone; the write only
+      // goes through if nobody changed the watchers since they were read
+      const previous = issue;
+      issue = await storage.update('issues', issueId, {
+        watchers: method === 'POST' ? addWatcher(issue, req.user.email) : removeWatcher(issue, req.user.email)
+      }, stored => util.isDeepStrictEqual(stored.watchers, previous.watchers));
+      const current = issue ? null : await storage.get('issues', issueId);
+      if (current) {
+        throw new IssueConflictError(current);
+      }
+      if (issue) {
+        await recordHistory(previous, issue, req.user);
+      }
+    }
+    const list = issue && watcherList(issue, userDirectory(await storage.list('users')), req.user.email);
+    response = list ? { statusCode: 200, body: JSON.stringify(list) } : issueNotFound(issueId);
+  } else {
+    response = notFound(endpoint, method);
+  }
+
+  sendResponse(res, response);
+}
+
+// Deliver notifications built from the user directory, in-app and by email,
+// as the recipients' mute settings allow (emails are only logged locally)
+async function notify(build) {
+  const directory = userDirectory(await storage.list('users'));
+  const routed = routeNotifications(build(directory), await storage.list('notificationSettings'));
+  for (const notification of routed[NotificationChannel.IN_APP]) {
+    await storage.insert('notifications', notification);
+  }
+  for (const notification of routed[NotificationChannel.EMAIL]) {
+    const recipient = directory.find(user => user.userId === notification.userId);
+    if (recipient) {
+      const email = notificationEmail(notification, recipient.email);
+      console.log(`📧 Email to ${email.to}: ${email.subject}`);
+    }
+  }
+}
+
+// Generate a notification ID
+function notificationId() {
+  return generateId('NOTIFY');
+}
+
+// Handle notification requests (same routes as the Lambda, see shared notifications.ts)
+async function handleNotificationRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const mine = (await storage.list('notifications'))
+    .filter(notification => notification.userId === req.user.userId);
+  const match = /^\/notifications\/([^/]+)\/read$/.exec(endpoint);
+  let response;
+
+  if (endpoint === '/notifications/settings' && (method === 'GET' || method === 'PUT')) {
+    const saved = await storage.get('notificationSettings', req.user.userId);
+    let settings = saved || defaultNotificationSettings(req.user.userId);
+    if (method === 'PUT') {
+      settings = updateNotificationSettings(settings, validate(notificationSettingsSchema, await readJsonBody(req)));
+      await (saved
+        ? storage.update('notificationSettings', settings.userId, settings)
+        : storage.insert('notificationSettings', settings));
+    }
+    response = { statusCode: 200, body: JSON.stringify(settings) };
+  } else if (endpoint === '/notifications' && method === 'GET') {
+    const { limit } = validate(notificationListQuerySchema, url.parse(req.url, true).query);
+    response = { statusCode: 200, body: JSON.stringify(notificationInbox(mine, limit)) };
+  } else if (endpoint === '/notifications/read-all' && method === 'POST') {
+    const now = new Date().toISOString();
+    const unread = mine.filter(notification => !notification.readAt);
+    for (const notification of unread) {
+      await storage.update('notifications', notification.notificationId, markNotificationRead(notification, now));
+    }
+    response = { statusCode: 200, body: JSON.stringify({ updated: unread.length, unreadCount: 0 }) };
+  } else if (match && method === 'POST') {
+    const id = decodeURIComponent(match[1]);
+    const notification = mine.find(item => item.notificationId === id);
+    if (notification) {
+      const updated = markNotificationRead(notification);
+      await storage.update('notifications', id, updated);
+      response = { statusCode: 200, body: JSON.stringify(updated) };
+    } else {
+      response = notificationNotFound(id);
+    }
+  } else {
+    response = notFound(endpoint, method);
+  }
+
+  sendResponse(res, response);
+}
+
+// Append the history events for one write to an issue
+async function recordHistory(previous, issue, user) {
+  for (const event of issueEvents(previous, issue, user, crypto.randomUUID)) {
+    await storage.insert('issueHistory', event);
+  }
+}
+
+// An issue's history events, oldest first
+async function issueHistory(issueId) {
+  const events = await storage.list('issueHistory');
+  return sortIssueEvents(events.filter(event => event.issueId === issueId));
+}
+
+// An issue's attachments, in the order they were uploaded
+async function issueAttachments(issueId) {
+  const attachments = await storage.list('attachments');
+  return sortAttachments(attachments.filter(attachment => attachment.issueId === issueId));
+}
+
+// An issue's worklogs, in the order the work was done
+async function issueWorklogs(issueId) {
+  const worklogs = await storage.list('worklogs');
+  return sortWorklogs(worklogs.filter(worklog => worklog.issueId === issueId));
+}
+
+// An issue's comments, oldest first
+async function issueComments(issueId) {
+  const comments = await storage.list('comments');
+  return sortComments(comments.filter(comment => comment.issueId === issueId));
+}
+
+// Handle saved view requests (same routes as the Lambda, see shared views.ts)
+async function handleViewRequest(req, res, endpoint, method) {
+  await authenticate(req, JWT_SECRET, revocations);
+  const user = req.user;
+  let response;
+
+  if (endpoint === '/views' && method === 'GET') {
+    const items = await viewSummaries(await storage.list('views'), await viewUser(user));
+    response = { statusCode: 200, body: JSON.stringify({ items }) };
+  } else if (endpoint === '/views' && method === 'POST') {
+    const data = validate(viewCreateSchema, await readJsonBody(req));
+    const view = await storage.insert('views', createSavedView(crypto.randomUUID(), data, user));
+    if (data.pinned) {
+      await updateViewState(view, user, { pinned: true });
+    }
+    const [summary] = await viewSummaries([view], user);
+    response = { statusCode: 201, body: JSON.stringify(summary) };
+  } else {
+    const match = /^\/views\/([^/]+)(\/pin|\/seen)?$/.exec(endpoint);
+    const viewId = match ? decodeURIComponent(match[1]) : null;
+    const action = match && match[2];
+    const view = viewId && await storage.get('views', viewId);
+    const viewer = await viewUser(user);
+
+    if (!match) {
+      response = notFound(endpoint, method);
+    } else if (!view || !canSeeView(view, viewer)) {
+      response = viewNotFound(viewId);
+    } else if (!action && method === 'GET') {
+      const [summary] = await viewSummaries([view], viewer);
+      response = { statusCode: 200, body: JSON.stringify(summary) };
+    } else if (!action && (method === 'PUT' || method === 'DELETE')) {
+      if (!canEditView(view, user)) {
+        throw new ForbiddenError('Only the owner can change this view');
+      }
+      if (method === 'DELETE') {
+        await storage.remove('views', viewId);
+        response = { statusCode: 204, body: '' };
+      } else {
+        const data = validate(viewUpdateSchema, await readJsonBody(req));
+        const updated = updateSavedView(view, data);
+        await storage.update('views', viewId, updated);
+        const [summary] = await viewSummaries([updated], viewer);
+        response = { statusCode: 200, body: JSON.stringify(summary) };
+      }
+    } else if (action === '/pin' && method === 'PUT') {
+      const { pinned } = validate(viewPinSchema, await readJsonBody(req));
+      await updateViewState(view, user, { pinned });
+      const [summary] = await viewSummaries([view], viewer);
+      response = { statusCode: 200, body: JSON.stringify(summary) };
+    } else if (action === '/seen' && method === 'POST') {
+      await updateViewState(view, user, { lastSeenAt: new Date().toISOString() });
+      const [summary] = await viewSummaries([view], viewer);
+      response = { statusCode: 200, body: JSON.stringify(summary) };
+    } else {
+      response = notFound(endpoint, method);
+    }
+  }
+
+  sendResponse(res, response);
+}
+
+// The caller with the teams they are a member of, to check which team views
+// they can see
+async function viewUser(user) {
+  const record = await storage.get('users', user.userId);
+  return { ...user, teamIds: (record && record.teamIds) || [] };
+}
+
+// Views with the caller's pins and unread counts
+async function viewSummaries(views, user) {
+  const states = (await storage.list('viewStates')).filter(state => state.userId === user.userId);
+  return summarizeViews(views, states, await storage.list('issues'), user, searchIndex);
+}
+
+// Change the caller's state for a view
+async function updateViewState(view, user, changes) {
+  const stateId = `${user.userId}:${view.viewId}`;
+  const existing = await storage.get('viewStates', stateId);
+  if (existing) {
+    await storage.update('viewStates', stateId, changes);
+  } else {
+    await storage.insert('viewStates', {
+      stateId,
+      userId: user.userId,
+      viewId: view.viewId,
+      pinned: false,
+      lastSeenAt: null,
+      ...changes
+    });
+  }
+}
+
+// 404 response for a notification that does not exist or is someone else's
+function notificationNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'Notification not found',
+      notificationId: id
+    })
+  };
+}
+
+// 404 response for a comment that does not exist
+function commentNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'Comment not found',
+      commentId: id
+    })
+  };
+}
+
+// 404 response for a worklog that does not exist
+function worklogNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'Worklog not found',
+      worklogId: id
+    })
+  };
+}
+
+// 404 response for an attachment without a thumbnail or text preview
+function previewNotAvailable(id, kind) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: kind === 'thumbnail' ? 'No thumbnail for this attachment' : 'No preview for this attachment',
+      attachmentId: id
+    })
+  };
+}
+
+// 404 response for an attachment that does not exist
+function attachmentNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'Attachment not found',
+      attachmentId: id
+    })
+  };
+}
+
+// 404 response for a user ID that does not exist
+function userNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'User not found',
+      userId: id
+    })
+  };
+}
+
+// 404 response for a view that does not exist or is not visible
+function viewNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'View not found',
+      viewId: id
+    })
+  };
+}
+
+// 404 response for an unknown route
+function notFound(endpoint, method) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'Not Found',
+      path: endpoint,
+      method: method
+    })
+  };
+}
+
+// 404 response for an issue ID that does not exist
+function issueNotFound(id) {
+  return {
+    statusCode: 404,
+    body: JSON.stringify({
+      message: 'Issue not found',
+      issueId: id
+    })
+  };
+}
+
+// 400 response listing the fields that failed validation
+function validationErrorResponse(error) {
+  return {
+    statusCode: error.statusCode,
+    body: JSON.stringify({
+      success: false,
+      error: error.error,
+      message: error.message,
+      fields: error.fields
+    })
+  };
+}
+
+// Generate a unique record ID (timestamp alone collides under parallel requests)
+function generateId(prefix) {
+  return `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Read and parse a JSON request body, empty reading as {} like the Lambda
+// (rejects with SyntaxError on bad JSON)
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Read a JSON request body that must be an object (`null`, arrays and other
+// values reject with a 400 ValidationError, like the Lambda's schemas)
+async function readJsonObject(req) {
+  const data = await readJsonBody(req);
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError([{ field: 'body', message: 'Request body must be a JSON object' }]);
+  }
+  return data;
+}
+
+// Read a raw request body, rejecting with a 413 AttachmentError once it
+// passes the limit (the rest is drained so the error can still be sent)
+function readRawBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (size > limit) {
+        reject(new AttachmentError('The upload is too large', 413, { name: null, maxBytes: ATTACHMENT_MAX_BYTES }));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Send an attachment's contents or thumbnail (disposition: see shared contentDisposition)
+function sendFile(res, data, contentType, disposition) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': data.length,
+    'Content-Disposition': disposition,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+  res.end(data);
 }
 
 // Send API response
@@ -598,8 +1693,19 @@ function serveStaticFile(req, res, pathname) {
   });
 }
 
-// Start server
-server.listen(PORT, () => {
+// Open storage, then start server
+storage.init().then(async () => {
+  console.log('📊 Local database loaded successfully');
+  console.log(`📁 Storage driver: ${storage.constructor.name} (${storage.file})`);
+  await buildSearchIndex();
+  server.listen(PORT, onListening);
+}).catch(error => {
+  console.error('💥 Failed to open local database:', error);
+  process.exit(1);
+});
+
+// Log server details once listening
+function onListening() {
   console.log('🚀 Local Development Server Started');
   console.log(`📱 Web Interface: http://localhost:${PORT}`);
   console.log(`🔧 API Endpoint: http://localhost:${PORT}/api`);
@@ -611,19 +1717,65 @@ server.listen(PORT, () => {
   console.log(`  POST http://localhost:${PORT}/api/auth/refresh`);
   console.log(`  GET  http://localhost:${PORT}/api/auth/me`);
   console.log(`  POST http://localhost:${PORT}/api/auth/logout`);
+  console.log(`  POST http://localhost:${PORT}/api/auth/logout-all`);
   console.log(`  GET  http://localhost:${PORT}/api/issues`);
   console.log(`  POST http://localhost:${PORT}/api/issues`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/search?q=`);
   console.log(`  GET  http://localhost:${PORT}/api/issues/{id}`);
   console.log(`  PUT  http://localhost:${PORT}/api/issues/{id}`);
   console.log(`  DELETE http://localhost:${PORT}/api/issues/{id}`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/comments`);
+  console.log(`  POST http://localhost:${PORT}/api/issues/{id}/comments`);
+  console.log(`  PUT  http://localhost:${PORT}/api/issues/{id}/comments/{commentId}`);
+  console.log(`  DELETE http://localhost:${PORT}/api/issues/{id}/comments/{commentId}`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/history`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/watchers`);
+  console.log(`  POST http://localhost:${PORT}/api/issues/{id}/watchers`);
+  console.log(`  DELETE http://localhost:${PORT}/api/issues/{id}/watchers`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/attachments`);
+  console.log(`  POST http://localhost:${PORT}/api/issues/{id}/attachments`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/attachments/{attachmentId}`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/attachments/{attachmentId}/download`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/attachments/{attachmentId}/thumbnail`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/attachments/{attachmentId}/preview`);
+  console.log(`  DELETE http://localhost:${PORT}/api/issues/{id}/attachments/{attachmentId}`);
+  console.log(`  GET  http://localhost:${PORT}/api/issues/{id}/worklogs`);
+  console.log(`  POST http://localhost:${PORT}/api/issues/{id}/worklogs`);
+  console.log(`  PUT  http://localhost:${PORT}/api/issues/{id}/worklogs/{worklogId}`);
+  console.log(`  DELETE http://localhost:${PORT}/api/issues/{id}/worklogs/{worklogId}`);
+  console.log(`  POST http://localhost:${PORT}/api/issues/{id}/timer/start`);
+  console.log(`  POST http://localhost:${PORT}/api/issues/{id}/timer/stop`);
+  console.log(`  GET  http://localhost:${PORT}/api/timer`);
+  console.log(`  DELETE http://localhost:${PORT}/api/timer`);
+  console.log(`  GET  http://localhost:${PORT}/api/worklogs/totals`);
+  console.log(`  GET  http://localhost:${PORT}/api/timesheets?week=&teamId=`);
+  console.log(`  GET  http://localhost:${PORT}/api/timesheets/{userId}/{week}`);
+  console.log(`  POST http://localhost:${PORT}/api/timesheets/{userId}/{week}/submit`);
+  console.log(`  POST http://localhost:${PORT}/api/timesheets/{userId}/{week}/approve`);
+  console.log(`  POST http://localhost:${PORT}/api/timesheets/{userId}/{week}/reject`);
+  console.log(`  GET  http://localhost:${PORT}/api/workflow`);
+  console.log(`  GET  http://localhost:${PORT}/api/users`);
+  console.log(`  GET  http://localhost:${PORT}/api/notifications`);
+  console.log(`  POST http://localhost:${PORT}/api/notifications/{id}/read`);
+  console.log(`  POST http://localhost:${PORT}/api/notifications/read-all`);
+  console.log(`  GET  http://localhost:${PORT}/api/notifications/settings`);
+  console.log(`  PUT  http://localhost:${PORT}/api/notifications/settings`);
+  console.log(`  GET  http://localhost:${PORT}/api/views`);
+  console.log(`  POST http://localhost:${PORT}/api/views`);
+  console.log(`  GET  http://localhost:${PORT}/api/views/{id}`);
+  console.log(`  PUT  http://localhost:${PORT}/api/views/{id}`);
+  console.log(`  DELETE http://localhost:${PORT}/api/views/{id}`);
+  console.log(`  PUT  http://localhost:${PORT}/api/views/{id}/pin`);
+  console.log(`  POST http://localhost:${PORT}/api/views/{id}/seen`);
   console.log('');
   console.log('Press Ctrl+C to stop the server');
-});
+}
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down server...');
-  server.close(() => {
+  server.close(async () => {
+    await storage.close();
     console.log('✅ Server stopped');
     process.exit(0);
   });
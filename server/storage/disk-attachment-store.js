@@ -0,0 +1,79 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Local Storage Layer - Attachment Contents on Disk
+ *
+ * Keeps attachment bytes for the local development server, one file per
+ * SHA-256 checksum under data/attachments/<first two hex digits>/, so
+ * identical files are stored once (see the shared attachments module).
+ * A second store under data/attachments/thumbnails/ keeps image thumbnails
+ * by the image's checksum.
+ * Implements the same store interface as the Lambda's S3 store:
+ *
+ * - exists(checksum)                   Whether the bytes are stored
+ * - put(checksum, data, contentType)   Store the bytes
+ * - get(checksum)                      The bytes as a Buffer, or null
+ * - delete(checksum)                   Remove the bytes (missing is fine)
+ *
+ * Writes are atomic (temp file + rename), like the JSON file driver.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class DiskAttachmentStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  async exists(checksum) {
+    try {
+      await fs.promises.access(this.fileFor(checksum));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async put(checksum, data) {
+    const file = this.fileFor(checksum);
+    // Unique per write: concurrent uploads of the same file each rename their own
+    const tempFile = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tempFile, data);
+    await fs.promises.rename(tempFile, file);
+  }
+
+  async get(checksum) {
+    try {
+      return await fs.promises.readFile(this.fileFor(checksum));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(checksum) {
+    await fs.promises.rm(this.fileFor(checksum), { force: true });
+  }
+
+  /**
+   * Path of the file holding a checksum's bytes (checksums are the only
+   * keys, so nothing else can reach outside the directory)
+   */
+  fileFor(checksum) {
+    if (!/^[0-9a-f]{64}$/.test(checksum)) {
+      throw new Error(`Invalid attachment checksum: ${checksum}`);
+    }
+    return path.join(this.dir, checksum.slice(0, 2), checksum);
+  }
+}
+
+module.exports = { DiskAttachmentStore };
@@ -0,0 +1,184 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Local Storage Layer - Driver Factory
+ *
+ * The local development server talks to its data through a small storage
+ * interface instead of a single in-memory object. Every driver exposes the
+ * same async, per-collection API:
+ *
+ * - init()                          Open the store and seed default data
+ * - list(collection)                All records in a collection
+ * - get(collection, id)             One record by primary key, or null
+ * - findOne(collection, predicate)  First record matching a predicate, or null
+ * - insert(collection, record)      Add a record (throws DuplicateKeyError if
+ *                                   the key is taken)
+ * - update(collection, id, changes, condition?)
+ *                                   Merge changes into a record, or null (also
+ *                                   when `condition(record)` returns false)
+ * - remove(collection, id, condition?)
+ *                                   Delete a record, returns true if removed
+ *                                   (false also when `condition(record)`
+ *                                   returns false)
+ * - close()                         Flush pending writes and release handles
+ *
+ * Records handed out by a driver are copies, so callers must go through
+ * update() to change stored data.
+ *
+ * Drivers:
+ * - json:   data/local-db.json, written atomically (temp file + rename)
+ * - sqlite: data/local-db.sqlite via better-sqlite3, one table per collection
+ *
+ * Attachment contents are kept outside the database, in data/attachments
+ * (see disk-attachment-store.js), with image thumbnails in
+ * data/attachments/thumbnails; only their records are in `attachments`.
+ */
+
+const path = require('path');
+
+/**
+ * Primary key field for each collection
+ */
+const COLLECTION_KEYS = {
+  users: 'userId',
+  sessions: 'sessionId',
+  issues: 'issueId',
+  revokedTokens: 'jti',
+  views: 'viewId',
+  viewStates: 'stateId', // `${userId}:${viewId}`
+  comments: 'commentId',
+  notifications: 'notificationId',
+  notificationSettings: 'userId',
+  issueHistory: 'eventId',
+  worklogs: 'worklogId',
+  timers: 'userId',
+  timesheets: 'timesheetId', // `${userId}:${weekStart}`
+  attachments: 'attachmentId',
+};
+
+/**
+ * Resolve the primary key field for a collection
+ */
+function keyFor(collection) {
+  const key = COLLECTION_KEYS[collection];
+  if (!key) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+  return key;
+}
+
+/**
+ * Thrown by insert() when a record with the same primary key exists
+ */
+class DuplicateKeyError extends Error {
+  constructor(collection, id) {
+    super(`Duplicate ${keyFor(collection)} in ${collection}: ${id}`);
+    this.name = 'DuplicateKeyError';
+  }
+}
+
+/**
+ * bcrypt hash of the seeded admin's demo password ("Admin@12345")
+ */
+const ADMIN_PASSWORD_HASH = '$2a$12$Sq00lLwTsXO7BaG4LOz7L.ji1yA7tGHvn52VMKkyvrCMWNlfliigm';
+
+/**
+ * Default data used to seed an empty store
+ */
+function defaultData() {
+  const now = new Date().toISOString();
+  return {
+    users: [
+      {
+        userId: 'admin-001',
+        email: 'admin@example.com',
+        firstName: 'Admin',
+        lastName: 'User',
+        role: 'ADMIN',
+        status: 'ACTIVE',
+        passwordHash: ADMIN_PASSWORD_HASH,
+        teamIds: ['team-1', 'team-3'], // Teams the web app lists the admin as lead of
+        createdAt: now,
+        updatedAt: now,
+        lastLoginAt: now,
+      },
+    ],
+    sessions: [],
+    issues: [],
+    revokedTokens: [],
+    views: [],
+    viewStates: [],
+    comments: [],
+    notifications: [],
+    notificationSettings: [],
+    issueHistory: [],
+    worklogs: [],
+    timers: [],
+    timesheets: [],
+    attachments: [],
+  };
+}
+
+/**
+ * Create a storage driver from the local database configuration
+ *
+ * @param {object} options - `database.local` section of the config
+ * @param {string} rootDir - Directory that relative file paths resolve against
+ */
+function createStorage(options, rootDir) {
+  const driver = process.env.DB_DRIVER || options.driver || 'json';
+  const jsonFile = path.resolve(rootDir, options.file);
+
+  switch (driver) {
+    case 'json': {
+      const { JsonFileDriver } = require('./json-file-driver');
+      return new JsonFileDriver({ file: jsonFile });
+    }
+    case 'sqlite': {
+      const { SqliteDriver } = require('./sqlite-driver');
+      return new SqliteDriver({
+        file: path.resolve(rootDir, options.sqliteFile),
+        seedFile: jsonFile,
+      });
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+/**
+ * Create the attachment content store from the local database configuration
+ *
+ * @param {object} options - `database.local` section of the config
+ * @param {string} rootDir - Directory that relative paths resolve against
+ */
+function createAttachmentStore(options, rootDir) {
+  const { DiskAttachmentStore } = require('./disk-attachment-store');
+  return new DiskAttachmentStore({ dir: attachmentsDir(options, rootDir) });
+}
+
+/**
+ * Create the image thumbnail store, in the attachments directory
+ *
+ * @param {object} options - `database.local` section of the config
+ * @param {string} rootDir - Directory that relative paths resolve against
+ */
+function createThumbnailStore(options, rootDir) {
+  const { DiskAttachmentStore } = require('./disk-attachment-store');
+  return new DiskAttachmentStore({ dir: path.join(attachmentsDir(options, rootDir), 'thumbnails') });
+}
+
+function attachmentsDir(options, rootDir) {
+  return path.resolve(rootDir, options.attachmentsDir || './data/attachments');
+}
+
+module.exports = {
+  COLLECTION_KEYS,
+  keyFor,
+  DuplicateKeyError,
+  defaultData,
+  createStorage,
+  createAttachmentStore,
+  createThumbnailStore,
+};
@@ -0,0 +1,166 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Local Storage Layer - JSON File Driver
+ *
+ * Keeps the database in memory and persists it to a single JSON file.
+ *
+ * Writes are atomic: the snapshot goes to a temporary file which is then
+ * renamed over the database file, so a crash mid-write never leaves a
+ * truncated file behind. Writes are also serialized: while one write is in
+ * flight, further mutations are coalesced into a single follow-up write
+ * instead of racing each other on disk.
+ *
+ * A database file that is not valid JSON is moved aside to
+ * `<file>.corrupt-<timestamp>` and replaced with the default data, so the
+ * server still starts and the damaged contents can be recovered by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { keyFor, DuplicateKeyError, defaultData } = require('./index');
+
+class JsonFileDriver {
+  constructor({ file }) {
+    this.file = file;
+    this.data = null;
+    this.writeQueue = Promise.resolve();
+    this.pendingWrite = null;
+  }
+
+  /**
+   * Load the database file, seeding defaults if it is missing or corrupt
+   */
+  async init() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Error loading database ${this.file}: ${error.message}`);
+      }
+      await this.seed();
+      return;
+    }
+
+    try {
+      this.data = JSON.parse(contents);
+    } catch (error) {
+      const backupFile = `${this.file}.corrupt-${Date.now()}`;
+      await fs.promises.rename(this.file, backupFile);
+      console.warn(`⚠️  Database ${this.file} is corrupt (${error.message}); moved to ${backupFile}`);
+      await this.seed();
+    }
+  }
+
+  /**
+   * Start over from the default data
+   */
+  async seed() {
+    this.data = defaultData();
+    await this.persist();
+  }
+
+  async list(collection) {
+    return structuredClone(this.records(collection));
+  }
+
+  async get(collection, id) {
+    const record = this.find(collection, id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async findOne(collection, predicate) {
+    const record = this.records(collection).find(predicate);
+    return record ? structuredClone(record) : null;
+  }
+
+  async insert(collection, record) {
+    const key = keyFor(collection);
+    if (this.find(collection, record[key])) {
+      throw new DuplicateKeyError(collection, record[key]);
+    }
+    this.records(collection).push(structuredClone(record));
+    await this.persist();
+    return structuredClone(record);
+  }
+
+  async update(collection, id, changes, condition) {
+    const record = this.find(collection, id);
+    if (!record || (condition && !condition(structuredClone(record)))) {
+      return null;
+    }
+    Object.assign(record, structuredClone(changes), { [keyFor(collection)]: id });
+    const updated = structuredClone(record);
+    await this.persist();
+    return updated;
+  }
+
+  async remove(collection, id, condition) {
+    const key = keyFor(collection);
+    const records = this.records(collection);
+    const index = records.findIndex(record => record[key] === id);
+    if (index === -1 || (condition && !condition(structuredClone(records[index])))) {
+      return false;
+    }
+    records.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Wait for any queued write to reach disk
+   */
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Live (uncopied) records of a collection, created on first use
+   */
+  records(collection) {
+    keyFor(collection);
+    if (!this.data[collection]) {
+      this.data[collection] = [];
+    }
+    return this.data[collection];
+  }
+
+  find(collection, id) {
+    const key = keyFor(collection);
+    return this.records(collection).find(record => record[key] === id);
+  }
+
+  /**
+   * Schedule a write of the current snapshot
+   *
+   * Resolves once a write that includes every mutation made so far has
+   * completed.
+   */
+  persist() {
+    if (!this.pendingWrite) {
+      const write = this.writeQueue.then(() => {
+        this.pendingWrite = null;
+        return this.writeFile();
+      });
+      this.pendingWrite = write;
+      this.writeQueue = write.catch(error => {
+        console.error('Error saving database:', error);
+      });
+    }
+    return this.pendingWrite;
+  }
+
+  /**
+   * Atomically replace the database file with the in-memory snapshot
+   */
+  async writeFile() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(this.data, null, 2));
+    await fs.promises.rename(tempFile, this.file);
+  }
+}
+
+module.exports = { JsonFileDriver };
@@ -0,0 +1,165 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Local Storage Layer - SQLite Driver
+ *
+ * Stores each collection in its own table with the primary key as a column
+ * and the record as a JSON document. Suited to larger local datasets (tens
+ * of thousands of issues) where rewriting a whole JSON file per mutation
+ * becomes too slow.
+ *
+ * better-sqlite3 is an optional dependency and is only loaded when this
+ * driver is selected (database.local.driver = 'sqlite' or DB_DRIVER=sqlite).
+ * A new database is seeded from the JSON database file when one exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTION_KEYS, keyFor, DuplicateKeyError, defaultData } = require('./index');
+
+class SqliteDriver {
+  constructor({ file, seedFile }) {
+    this.file = file;
+    this.seedFile = seedFile;
+    this.db = null;
+    this.statements = new Map();
+  }
+
+  /**
+   * Open the database, create tables and seed an empty store
+   */
+  async init() {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    Object.keys(COLLECTION_KEYS).forEach(collection => {
+      this.db.exec(
+        `CREATE TABLE IF NOT EXISTS "${collection}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`
+      );
+    });
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM "users"').get();
+    if (count === 0) {
+      this.seed(this.loadSeedData());
+    }
+  }
+
+  async list(collection) {
+    return this.statement(collection, 'list')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async get(collection, id) {
+    const row = this.statement(collection, 'get').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findOne(collection, predicate) {
+    for (const row of this.statement(collection, 'list').iterate()) {
+      const record = JSON.parse(row.data);
+      if (predicate(record)) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  async insert(collection, record) {
+    const key = keyFor(collection);
+    try {
+      this.statement(collection, 'insert').run(record[key], JSON.stringify(record));
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new DuplicateKeyError(collection, record[key]);
+      }
+      throw error;
+    }
+    return structuredClone(record);
+  }
+
+  async update(collection, id, changes, condition) {
+    // Read-merge-write inside one transaction so concurrent updates to the
+    // same record cannot interleave
+    const merge = this.db.transaction(() => {
+      const row = this.statement(collection, 'get').get(id);
+      if (!row || (condition && !condition(JSON.parse(row.data)))) {
+        return null;
+      }
+      const record = { ...JSON.parse(row.data), ...changes, [keyFor(collection)]: id };
+      this.statement(collection, 'replace').run(JSON.stringify(record), id);
+      return record;
+    });
+    return merge();
+  }
+
+  async remove(collection, id, condition) {
+    if (!condition) {
+      return this.statement(collection, 'remove').run(id).changes > 0;
+    }
+    // Check and delete inside one transaction, like update()
+    const removeIf = this.db.transaction(() => {
+      const row = this.statement(collection, 'get').get(id);
+      if (!row || !condition(JSON.parse(row.data))) {
+        return false;
+      }
+      return this.statement(collection, 'remove').run(id).changes > 0;
+    });
+    return removeIf();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Prepared statement cache, keyed by collection and operation
+   */
+  statement(collection, operation) {
+    keyFor(collection);
+    const cacheKey = `${collection}:${operation}`;
+    if (!this.statements.has(cacheKey)) {
+      const sql = {
+        list: `SELECT data FROM "${collection}" ORDER BY rowid`,
+        get: `SELECT data FROM "${collection}" WHERE id = ?`,
+        insert: `INSERT INTO "${collection}" (id, data) VALUES (?, ?)`,
+        replace: `UPDATE "${collection}" SET data = ? WHERE id = ?`,
+        remove: `DELETE FROM "${collection}" WHERE id = ?`,
+      }[operation];
+      this.statements.set(cacheKey, this.db.prepare(sql));
+    }
+    return this.statements.get(cacheKey);
+  }
+
+  /**
+   * Existing JSON database contents, or the defaults
+   */
+  loadSeedData() {
+    if (this.seedFile && fs.existsSync(this.seedFile)) {
+      return JSON.parse(fs.readFileSync(this.seedFile, 'utf8'));
+    }
+    return defaultData();
+  }
+
+  seed(data) {
+    const seedAll = this.db.transaction(() => {
+      Object.keys(COLLECTION_KEYS).forEach(collection => {
+        const key = keyFor(collection);
+        (data[collection] || []).forEach(record => {
+          this.statement(collection, 'insert').run(record[key], JSON.stringify(record));
+        });
+      });
+    });
+    seedAll();
+  }
+}
+
+module.exports = { SqliteDriver };
@@ -0,0 +1,136 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Attachment Repository - DynamoDB Persistence
+ *
+ * Data access for attachment records (ATTACHMENTS_TABLE, keyed by issueId
+ * and attachmentId, so an issue's attachments are a single Query). The
+ * bytes themselves are in the attachment store (attachment-store.ts).
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+} from "@aws-sdk/lib-dynamodb";
+import {
+  Attachment,
+  sortAttachments,
+} from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Attachment persistence operations
+ */
+export interface AttachmentRepository {
+  /** An issue's attachments, in the order they were uploaded */
+  list(issueId: string): Promise<Attachment[]>;
+  /** Every issue's attachments */
+  all(): Promise<Attachment[]>;
+  get(issueId: string, attachmentId: string): Promise<Attachment | null>;
+  put(attachment: Attachment): Promise<Attachment>;
+  delete(issueId: string, attachmentId: string): Promise<boolean>;
+}
+
+/**
+ * DynamoDB implementation of the attachment repository
+ */
+export class DynamoAttachmentRepository implements AttachmentRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async list(issueId: string): Promise<Attachment[]> {
+    const attachments: Attachment[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#issueId = :issueId",
+          ExpressionAttributeNames: { "#issueId": "issueId" },
+          ExpressionAttributeValues: { ":issueId": issueId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      attachments.push(...((result.Items as Attachment[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return sortAttachments(attachments);
+  }
+
+  async all(): Promise<Attachment[]> {
+    const attachments: Attachment[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      attachments.push(...((result.Items as Attachment[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return attachments;
+  }
+
+  async get(issueId: string, attachmentId: string): Promise<Attachment | null> {
+    const result = await this.client.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { issueId, attachmentId },
+      })
+    );
+    return (result.Item as Attachment | undefined) ?? null;
+  }
+
+  async put(attachment: Attachment): Promise<Attachment> {
+    await this.client.send(
+      new PutCommand({ TableName: this.tableName, Item: attachment })
+    );
+    return attachment;
+  }
+
+  async delete(issueId: string, attachmentId: string): Promise<boolean> {
+    const result = await this.client.send(
+      new DeleteCommand({
+        TableName: this.tableName,
+        Key: { issueId, attachmentId },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return result.Attributes !== undefined;
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - ATTACHMENTS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at
+ *   DynamoDB Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createAttachmentRepository(): AttachmentRepository {
+  const tableName = process.env.ATTACHMENTS_TABLE;
+  if (!tableName) {
+    return new DynamoAttachmentRepository(localDocumentClient(), "Attachments");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoAttachmentRepository(client, tableName);
+}
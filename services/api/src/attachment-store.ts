@@ -0,0 +1,137 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Attachment Store - File Contents in Amazon S3
+ *
+ * Keeps attachment bytes in ATTACHMENTS_BUCKET under
+ * `attachments/<sha256>`, so identical files are stored once (see shared
+ * attachments.ts), and image thumbnails under `thumbnails/<sha256>` of the
+ * image (see shared previews.ts). Works with any S3-compatible service:
+ * S3_ENDPOINT points it at e.g. LocalStack or MinIO, using path-style
+ * addressing.
+ */
+
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { AttachmentStore } from "../../../packages/shared/src/index";
+import { localS3Client } from "./in-memory-s3";
+
+/**
+ * Minimal client surface the store needs
+ */
+export type ObjectClient = Pick<S3Client, "send">;
+
+/**
+ * S3 implementation of the attachment store
+ */
+export class S3AttachmentStore implements AttachmentStore {
+  /**
+   * @param prefix - Key prefix, one per kind of object
+   */
+  constructor(
+    private readonly client: ObjectClient,
+    private readonly bucket: string,
+    private readonly prefix = "attachments"
+  ) {}
+
+  async exists(checksum: string): Promise<boolean> {
+    try {
+      await this.client.send(
+        new HeadObjectCommand({
+          Bucket: this.bucket,
+          Key: this.objectKey(checksum),
+        })
+      );
+      return true;
+    } catch (error) {
+      if (isMissingKey(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async put(checksum: string, data: Buffer, contentType: string) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(checksum),
+        Body: data,
+        ContentType: contentType,
+      })
+    );
+  }
+
+  async get(checksum: string): Promise<Buffer | null> {
+    try {
+      const result = await this.client.send(
+        new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: this.objectKey(checksum),
+        })
+      );
+      const bytes = await result.Body?.transformToByteArray();
+      return bytes ? Buffer.from(bytes) : null;
+    } catch (error) {
+      if (isMissingKey(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(checksum: string) {
+    await this.client.send(
+      new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(checksum),
+      })
+    );
+  }
+
+  private objectKey(checksum: string): string {
+    return `${this.prefix}/${checksum}`;
+  }
+}
+
+function isMissingKey(error: unknown): boolean {
+  return (
+    error instanceof Error &&
+    (error.name === "NoSuchKey" || error.name === "NotFound")
+  );
+}
+
+/**
+ * Build the store from the Lambda environment
+ *
+ * - ATTACHMENTS_BUCKET set: S3 (S3_ENDPOINT points it at an S3-compatible
+ *   service)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createAttachmentStore(prefix = "attachments"): AttachmentStore {
+  const bucket = process.env.ATTACHMENTS_BUCKET;
+  if (!bucket) {
+    return new S3AttachmentStore(localS3Client(), "Attachments", prefix);
+  }
+
+  const endpoint = process.env.S3_ENDPOINT;
+  return new S3AttachmentStore(
+    new S3Client({ endpoint, forcePathStyle: Boolean(endpoint) }),
+    bucket,
+    prefix
+  );
+}
+
+/**
+ * Build the thumbnail store: the attachment store's bucket, under
+ * `thumbnails/`
+ */
+export function createThumbnailStore(): AttachmentStore {
+  return createAttachmentStore("thumbnails");
+}
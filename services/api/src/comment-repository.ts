@@ -0,0 +1,149 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Comment Repository - DynamoDB Persistence
+ *
+ * Data access for issue comments (COMMENTS_TABLE, keyed by issueId and
+ * commentId, so an issue's comments are a single Query).
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { IssueComment, sortComments } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Comment persistence operations
+ */
+export interface CommentRepository {
+  /** An issue's comments, oldest first */
+  list(issueId: string): Promise<IssueComment[]>;
+  get(issueId: string, commentId: string): Promise<IssueComment | null>;
+  put(comment: IssueComment): Promise<IssueComment>;
+  /**
+   * Store an edited comment unless it changed since it was read; false if
+   * it did (or was deleted)
+   *
+   * @param previous - The stored comment the edit was made to
+   */
+  update(comment: IssueComment, previous: IssueComment): Promise<boolean>;
+  delete(issueId: string, commentId: string): Promise<boolean>;
+}
+
+/**
+ * DynamoDB implementation of the comment repository
+ */
+export class DynamoCommentRepository implements CommentRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async list(issueId: string): Promise<IssueComment[]> {
+    const comments: IssueComment[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#issueId = :issueId",
+          ExpressionAttributeNames: { "#issueId": "issueId" },
+          ExpressionAttributeValues: { ":issueId": issueId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      comments.push(...((result.Items as IssueComment[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return sortComments(comments);
+  }
+
+  async get(issueId: string, commentId: string): Promise<IssueComment | null> {
+    const result = await this.client.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { issueId, commentId },
+      })
+    );
+    return (result.Item as IssueComment | undefined) ?? null;
+  }
+
+  async put(comment: IssueComment): Promise<IssueComment> {
+    await this.client.send(
+      new PutCommand({ TableName: this.tableName, Item: comment })
+    );
+    return comment;
+  }
+
+  async update(
+    comment: IssueComment,
+    previous: IssueComment
+  ): Promise<boolean> {
+    try {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: comment,
+          ConditionExpression: "#updatedAt = :updatedAt",
+          ExpressionAttributeNames: { "#updatedAt": "updatedAt" },
+          ExpressionAttributeValues: { ":updatedAt": previous.updatedAt },
+        })
+      );
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(issueId: string, commentId: string): Promise<boolean> {
+    const result = await this.client.send(
+      new DeleteCommand({
+        TableName: this.tableName,
+        Key: { issueId, commentId },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return result.Attributes !== undefined;
+  }
+}
+
+function isConditionalCheckFailure(error: unknown): boolean {
+  return (
+    error instanceof Error && error.name === "ConditionalCheckFailedException"
+  );
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - COMMENTS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB
+ *   Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createCommentRepository(): CommentRepository {
+  const tableName = process.env.COMMENTS_TABLE;
+  if (!tableName) {
+    return new DynamoCommentRepository(localDocumentClient(), "Comments");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoCommentRepository(client, tableName);
+}
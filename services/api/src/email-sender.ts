@@ -0,0 +1,65 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Email Sender - Notification Emails through Amazon SES
+ *
+ * Sends the email channel of notifications (see shared notifications.ts).
+ * With EMAIL_FROM unset (local runs, test-local.js) emails are written to
+ * the log instead of being sent.
+ */
+
+import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
+import { EmailMessage } from "../../../packages/shared/src/index";
+
+/**
+ * Email delivery
+ */
+export interface EmailSender {
+  send(message: EmailMessage): Promise<void>;
+}
+
+/**
+ * Amazon SES implementation of the email sender
+ */
+export class SesEmailSender implements EmailSender {
+  constructor(
+    private readonly client: Pick<SESClient, "send">,
+    private readonly from: string
+  ) {}
+
+  async send(message: EmailMessage): Promise<void> {
+    await this.client.send(
+      new SendEmailCommand({
+        Source: this.from,
+        Destination: { ToAddresses: [message.to] },
+        Message: {
+          Subject: { Data: message.subject, Charset: "UTF-8" },
+          Body: { Text: { Data: message.text, Charset: "UTF-8" } },
+        },
+      })
+    );
+  }
+}
+
+/**
+ * Sender that logs emails instead of sending them
+ */
+export class LogEmailSender implements EmailSender {
+  async send(message: EmailMessage): Promise<void> {
+    console.log(`Email to ${message.to}: ${message.subject}`);
+  }
+}
+
+/**
+ * Build the sender from the Lambda environment
+ *
+ * - EMAIL_FROM set: Amazon SES, sending from that address
+ * - Unset: LogEmailSender
+ */
+export function createEmailSender(): EmailSender {
+  const from = process.env.EMAIL_FROM;
+  return from
+    ? new SesEmailSender(new SESClient({}), from)
+    : new LogEmailSender();
+}
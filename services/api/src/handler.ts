@@ -3,109 +3,1483 @@
  * @version v1.0.0
  * @date 12-Aug-2025
  * @description Lambda Handler - Issue Tracker API
- * 
+ *
  * This Lambda function handles all HTTP requests for the issue tracker API.
  * It provides CRUD operations for issues through API Gateway integration.
- * 
+ *
  * Supported endpoints:
- * - GET /issues - List all issues
- * - POST /issues - Create new issue
+ * - GET /issues - List issues (filters, sortBy/sortOrder, limit and
+ *   cursor pagination with nextToken; see shared issue-query.ts)
+ * - POST /issues - Create new issue (create_issues)
+ * - GET /issues/search?q= - Ranked full-text search over issues (see
+ *   shared search.ts for the query syntax)
  * - GET /issues/{id} - Get specific issue
- * - PUT /issues/{id} - Update issue
- * - DELETE /issues/{id} - Delete issue
- * 
+ * - PUT /issues/{id} - Update issue (edit_issues; assign_issues to change
+ *   the assignee; status changes must follow the shared workflow). The new
+ *   assignee is subscribed and notified, and the watchers are notified of
+ *   status, assignee and priority changes. With `expectedUpdatedAt` the
+ *   update is rejected with 409 if the issue changed since (see shared
+ *   issue-edits.ts)
+ * - DELETE /issues/{id} - Delete issue (delete_issues), its comments,
+ *   worklogs and attachments
+ * - GET /issues/{id}/history - An issue's activity, oldest first: every
+ *   create, field change, watcher change and delete (see shared history.ts)
+ * - GET /issues/{id}/comments, POST /issues/{id}/comments - An issue's
+ *   comments (oldest first), add a comment as the caller; @mentions are
+ *   resolved (see shared mentions.ts) and the mentioned users and the
+ *   issue's watchers notified
+ * - PUT /issues/{id}/comments/{commentId} - Edit a comment (its author
+ *   only; the replaced text is kept in `edits`, newly mentioned users are
+ *   notified)
+ * - DELETE /issues/{id}/comments/{commentId} - Delete a comment (its author,
+ *   or delete_issues)
+ * - GET /issues/{id}/attachments, POST /issues/{id}/attachments - An
+ *   issue's attachments, upload files as multipart/form-data (create_issues;
+ *   413/415 for files over the size limit or of other types; see shared
+ *   attachments.ts). A file the issue already has is not stored again
+ * - GET /issues/{id}/attachments/{attachmentId}, .../download - One
+ *   attachment's record, or its bytes as a download
+ * - GET /issues/{id}/attachments/{attachmentId}/thumbnail, .../preview - An
+ *   image's thumbnail (made on upload), or the start of a text file (see
+ *   shared previews.ts)
+ * - DELETE /issues/{id}/attachments/{attachmentId} - Delete an attachment
+ *   (its uploader, or delete_issues)
+ * - GET /issues/{id}/worklogs, POST /issues/{id}/worklogs - An issue's
+ *   worklogs with per-user totals, log time as the caller (edit_issues; see
+ *   shared worklogs.ts)
+ * - PUT /issues/{id}/worklogs/{worklogId} - Edit a worklog (its author only)
+ * - DELETE /issues/{id}/worklogs/{worklogId} - Delete a worklog (its
+ *   author, or delete_issues)
+ * - POST /issues/{id}/timer/start, POST /issues/{id}/timer/stop - Start the
+ *   caller's timer, or stop it and log the elapsed time (edit_issues; 409
+ *   when a timer is already running, or none is running on the issue)
+ * - GET /timer, DELETE /timer - The caller's running timer; discard it
+ * - GET /worklogs/totals - Minutes logged per user, optionally between
+ *   `from` and `to` (view_reports)
+ * - GET /timesheets?week=&teamId= - A team's (default: everyone's) minutes
+ *   per day for the week of a date, default this week (view_reports; see
+ *   shared timesheets.ts)
+ * - GET /timesheets/{userId}/{week} - A member's minutes per issue per day,
+ *   billable totals and approval status (their own, or view_reports)
+ * - POST /timesheets/{userId}/{week}/submit - Submit your week, locking its
+ *   worklogs
+ * - POST /timesheets/{userId}/{week}/approve, .../reject - Review a
+ *   submitted week (manage_teams; rejecting reopens it)
+ * - GET /workflow - Issue status workflow definition
+ * - GET /issues/{id}/watchers, POST /issues/{id}/watchers,
+ *   DELETE /issues/{id}/watchers - An issue's watchers; watch or unwatch it
+ *   as the caller (see shared watchers.ts)
+ * - GET /users - Directory of users who can be mentioned
+ * - GET /notifications - The caller's newest notifications and unread count
+ *   (see shared notifications.ts; assignments, status changes, comments and
+ *   mentions create them)
+ * - POST /notifications/{id}/read, POST /notifications/read-all - Mark one
+ *   or all of the caller's notifications read
+ * - GET /notifications/settings, PUT /notifications/settings - The
+ *   caller's per-channel mute settings (in-app and email)
+ * - GET /views, POST /views - Saved views visible to the caller (with
+ *   pins and unread counts), save a view (see shared views.ts)
+ * - GET /views/{id}, PUT /views/{id}, DELETE /views/{id} - One saved view;
+ *   changing or deleting it needs its owner (or manage_teams, for team views)
+ * - PUT /views/{id}/pin, POST /views/{id}/seen - Pin or unpin a view, mark
+ *   it seen (clears its unread count); both are per user
+ *
+ * Request bodies and the list query string are checked against the shared
+ * Zod schemas; a failed check returns 400 with field-level messages.
+ *
+ * All endpoints require a valid, unrevoked access token
+ * (Authorization: Bearer <jwt>), verified with the shared authentication
+ * middleware. Permissions come from the shared role matrix; a caller whose
+ * role lacks one gets 403.
+ *
  * Environment variables:
+ * - JWT_SECRET_ARN: Secrets Manager secret used to verify access tokens
+ *   (JWT_SECRET overrides it; with neither, only local runs fall back to the
+ *   development secret, see shared auth.ts)
  * - TABLE_NAME: DynamoDB table name for issue storage
- * 
- * TODO: Implement actual DynamoDB integration
- * TODO: Add input validation with Zod
- * TODO: Add error handling and logging
- * TODO: Implement pagination for list endpoint
+ *   (unset: an in-memory stand-in is used, see issue-repository.ts)
+ * - SEARCH_INDEX_TABLE: DynamoDB table holding the search index postings
+ *   (unset: in-memory stand-in, see search-index-repository.ts)
+ * - COMMENTS_TABLE: DynamoDB table for issue comments
+ *   (unset: in-memory stand-in, see comment-repository.ts)
+ * - ISSUE_HISTORY_TABLE: DynamoDB table for issue history events
+ *   (unset: in-memory stand-in, see issue-history-repository.ts)
+ * - WORKLOGS_TABLE / TIMERS_TABLE: Worklogs and running timers
+ *   (unset: in-memory stand-ins, see worklog-repository.ts and
+ *   timer-repository.ts)
+ * - TIMESHEETS_TABLE: Timesheet approval records
+ *   (unset: in-memory stand-in, see timesheet-repository.ts)
+ * - ATTACHMENTS_TABLE: DynamoDB table for attachment records
+ *   (unset: in-memory stand-in, see attachment-repository.ts)
+ * - ATTACHMENTS_BUCKET: S3 bucket for attachment bytes and thumbnails; S3_ENDPOINT
+ *   optionally points it at an S3-compatible service
+ *   (unset: in-memory stand-in, see attachment-store.ts)
+ * - NOTIFICATIONS_TABLE: DynamoDB table for notifications
+ *   (unset: in-memory stand-in, see notification-repository.ts)
+ * - NOTIFICATION_SETTINGS_TABLE: DynamoDB table for mute settings
+ *   (unset: in-memory stand-in, see notification-settings-repository.ts)
+ * - EMAIL_FROM: Sender address for notification emails through Amazon SES
+ *   (unset: emails are logged, see email-sender.ts)
+ * - USERS_TABLE: Users table, read for the directory and @mentions
+ *   (unset: in-memory stand-in, see user-repository.ts)
+ * - VIEWS_TABLE / VIEW_STATES_TABLE: Saved views and per-user view state
+ *   (unset: in-memory stand-in, see view-repository.ts)
+ * - REVOKED_TOKENS_TABLE / SESSIONS_TABLE: Token denylist and sessions,
+ *   checked for revoked tokens (see shared token-revocation.ts)
+ * - DYNAMODB_ENDPOINT: Optional endpoint override, e.g. DynamoDB Local
  */
 
+import { randomUUID } from "crypto";
 import { APIGatewayProxyEventV2, APIGatewayProxyResultV2 } from "aws-lambda";
+import {
+  addWatcher,
+  assertIssueUnchanged,
+  assertTimesheetOpen,
+  Attachment,
+  AttachmentError,
+  AttachmentStore,
+  AttachmentUpload,
+  AuthError,
+  authenticate,
+  authorize,
+  canDeleteAttachment,
+  canDeleteComment,
+  canDeleteWorklog,
+  canEditComment,
+  canEditView,
+  canEditWorklog,
+  canSeeView,
+  CommentConflictError,
+  commentSchema,
+  contentDisposition,
+  createAttachment,
+  createComment,
+  createTextPreview,
+  createThumbnail,
+  createSavedView,
+  createWorklog,
+  DEFAULT_WORKFLOW,
+  defaultNotificationSettings,
+  DirectoryUser,
+  editComment,
+  editWorklog,
+  ForbiddenError,
+  hasTextPreview,
+  Issue,
+  IssueConflictError,
+  issueCreateSchema,
+  issueEvents,
+  issueListQuerySchema,
+  issueSearchQuerySchema,
+  commentNotifications,
+  IssueComment,
+  issueNotifications,
+  IssueStatus,
+  issueUpdateSchema,
+  JWTPayload,
+  markNotificationRead,
+  Mention,
+  memberTimesheet,
+  mentionNotifications,
+  Notification,
+  NotificationChannel,
+  notificationEmail,
+  notificationInbox,
+  notificationListQuerySchema,
+  NotificationSettings,
+  notificationSettingsSchema,
+  nextUpdatedAt,
+  orphanedChecksums,
+  parseMultipart,
+  Permission,
+  removeWatcher,
+  resolveJwtSecret,
+  resolveMentions,
+  RevocationList,
+  routeNotifications,
+  SavedView,
+  SavedViewSummary,
+  SearchIndex,
+  searchIssues,
+  startTimer,
+  stopTimer,
+  summarizeViews,
+  teamMembers,
+  teamTimesheet,
+  teamTimesheetQuerySchema,
+  THUMBNAIL_CONTENT_TYPE,
+  TimerError,
+  timerStopSchema,
+  TimesheetAction,
+  timesheetApproval,
+  TimesheetError,
+  timesheetReviewSchema,
+  timesheetWeekSchema,
+  transitionTimesheet,
+  updateNotificationSettings,
+  updateSavedView,
+  userDirectory,
+  validate,
+  validateTransition,
+  ValidationError,
+  viewCreateSchema,
+  viewPinSchema,
+  ViewState,
+  viewUpdateSchema,
+  ViewUser,
+  watcherList,
+  watchersAfterWrite,
+  weekStart,
+  WorkflowError,
+  Worklog,
+  worklogCreateSchema,
+  worklogTotals,
+  worklogTotalsQuerySchema,
+  worklogUpdateSchema,
+} from "../../../packages/shared/src/index";
+import { createRevocationList } from "../../../packages/shared/src/token-revocation";
+import {
+  AttachmentRepository,
+  createAttachmentRepository,
+} from "./attachment-repository";
+import {
+  createAttachmentStore,
+  createThumbnailStore,
+} from "./attachment-store";
+import {
+  CommentRepository,
+  createCommentRepository,
+} from "./comment-repository";
+import { createEmailSender, EmailSender } from "./email-sender";
+import {
+  createIssueHistoryRepository,
+  IssueHistoryRepository,
+} from "./issue-history-repository";
+import { createIssueRepository, IssueRepository } from "./issue-repository";
+import {
+  createNotificationRepository,
+  NotificationRepository,
+} from "./notification-repository";
+import {
+  createNotificationSettingsRepository,
+  NotificationSettingsRepository,
+} from "./notification-settings-repository";
+import { createSearchIndexStore } from "./search-index-repository";
+import { createTimerRepository, TimerRepository } from "./timer-repository";
+import {
+  createTimesheetRepository,
+  TimesheetRepository,
+} from "./timesheet-repository";
+import { createUserRepository, UserRepository } from "./user-repository";
+import { createViewRepository, ViewRepository } from "./view-repository";
+import {
+  createWorklogRepository,
+  WorklogRepository,
+} from "./worklog-repository";
+
+// JWT configuration: start loading the signing secret during cold start
+// (from Secrets Manager when deployed); requests wait for it
+resolveJwtSecret().catch(error =>
+  console.error("JWT secret unavailable:", error)
+);
 
 /**
- * Main Lambda handler function for the issue tracker API
- * 
- * @param event - API Gateway event containing HTTP request details
- * @returns Promise<APIGatewayProxyResultV2> - HTTP response with status and body
- */
-export async function handler(event: APIGatewayProxyEventV2): Promise<APIGatewayProxyResultV2> {
-  // Extract HTTP method and path from the event
-  const method = event.requestContext.http.method;
-  const rawPath = event.rawPath;
-
-  // Handle GET /issues - List all issues
-  if (rawPath === "/issues" && method === "GET") {
-    // TODO: Implement DynamoDB scan with pagination
-    return { 
-      statusCode: 200, 
-      body: JSON.stringify({ 
-        items: [], 
-        nextToken: null 
-      }) 
-    };
+ * Storage and services a Lambda handler is bound to; any left out are built
+ * from the Lambda environment
+ */
+export interface HandlerDeps {
+  /** Issue storage (DynamoDB, DynamoDB Local or in-memory) */
+  issues?: IssueRepository;
+  /** Revoked-token lookup for the auth middleware */
+  revocations?: RevocationList;
+  /** Search index, updated on every issue write */
+  search?: SearchIndex;
+  /** Saved views and per-user view state */
+  views?: ViewRepository;
+  /** Issue comments, indexed for search on every write */
+  comments?: CommentRepository;
+  /** Users, read to resolve @mentions */
+  users?: UserRepository;
+  /** In-app notifications */
+  notifications?: NotificationRepository;
+  /** Users' notification mute settings */
+  settings?: NotificationSettingsRepository;
+  /** Sends notification emails */
+  email?: EmailSender;
+  /** Append-only issue history */
+  history?: IssueHistoryRepository;
+  /** Time logged on issues */
+  worklogs?: WorklogRepository;
+  /** Users' running timers */
+  timers?: TimerRepository;
+  /** Timesheet approval records */
+  timesheets?: TimesheetRepository;
+  /** Attachment records */
+  attachments?: AttachmentRepository;
+  /** Attachment bytes, keyed by checksum */
+  files?: AttachmentStore;
+  /** Image thumbnails, keyed by the image's checksum */
+  thumbnails?: AttachmentStore;
+}
+
+/**
+ * Build a Lambda handler bound to its storage and services
+ *
+ * @param deps - Implementations to use in place of the defaults
+ * @returns Lambda handler function
+ */
+export function createHandler({
+  issues = createIssueRepository(),
+  revocations,
+  search = new SearchIndex(createSearchIndexStore()),
+  views = createViewRepository(),
+  comments = createCommentRepository(),
+  users = createUserRepository(),
+  notifications = createNotificationRepository(),
+  settings = createNotificationSettingsRepository(),
+  email = createEmailSender(),
+  history = createIssueHistoryRepository(),
+  worklogs = createWorklogRepository(),
+  timers = createTimerRepository(),
+  timesheets = createTimesheetRepository(),
+  attachments = createAttachmentRepository(),
+  files = createAttachmentStore(),
+  thumbnails = createThumbnailStore(),
+}: HandlerDeps = {}) {
+  /**
+   * Append the history events for one write to an issue
+   */
+  async function recordHistory(
+    previous: Issue | null,
+    issue: Issue | null,
+    actor: JWTPayload
+  ): Promise<void> {
+    await history.append(issueEvents(previous, issue, actor, randomUUID));
   }
 
-  // Handle POST /issues - Create new issue
-  if (rawPath === "/issues" && method === "POST") {
-    // TODO: Parse request body and validate with Zod
-    // TODO: Generate unique issue ID
-    // TODO: Save to DynamoDB
-    return { 
-      statusCode: 201, 
-      body: JSON.stringify({ 
-        issueId: "demo", 
-        status: "OPEN" 
-      }) 
-    };
+  /**
+   * Reject writes to a worklog whose week's timesheet is locked
+   */
+  async function assertWeekOpen(
+    worklog: Pick<Worklog, "userId" | "startedAt">
+  ): Promise<void> {
+    assertTimesheetOpen(
+      await timesheets.get(worklog.userId, weekStart(worklog.startedAt))
+    );
   }
 
-  // Handle GET /issues/{id} - Get specific issue
-  if (rawPath?.startsWith("/issues/") && method === "GET") {
-    const id = rawPath.split("/").pop();
-    // TODO: Fetch issue from DynamoDB by ID
-    return { 
-      statusCode: 200, 
-      body: JSON.stringify({ 
-        issueId: id, 
-        status: "OPEN" 
-      }) 
-    };
+  /**
+   * Delete the stored bytes and thumbnails of removed attachments that no
+   * other attachment shares
+   */
+  async function deleteOrphanedFiles(removed: Attachment[]): Promise<void> {
+    if (removed.length === 0) {
+      return;
+    }
+    for (const checksum of orphanedChecksums(
+      removed,
+      await attachments.all()
+    )) {
+      await files.delete(checksum);
+      await thumbnails.delete(checksum);
+    }
   }
 
-  // Handle PUT /issues/{id} - Update issue
-  if (rawPath?.startsWith("/issues/") && method === "PUT") {
-    const id = rawPath.split("/").pop();
-    // TODO: Parse request body and validate
-    // TODO: Update issue in DynamoDB
-    return { 
-      statusCode: 200, 
-      body: JSON.stringify({ 
-        issueId: id, 
-        status: "UPDATED" 
-      }) 
-    };
+  /**
+   * Deliver candidate notifications built from the user directory, in-app
+   * and by email, as the recipients' mute settings allow
+   */
+  async function notify(
+    build: (directory: DirectoryUser[]) => Notification[]
+  ): Promise<void> {
+    const directory = userDirectory(await users.list());
+    const candidates = build(directory);
+    const recipients = [...new Set(candidates.map(({ userId }) => userId))];
+    const saved = await Promise.all(recipients.map(id => settings.get(id)));
+    const routed = routeNotifications(
+      candidates,
+      saved.filter((entry): entry is NotificationSettings => entry !== null)
+    );
+
+    for (const notification of routed[NotificationChannel.IN_APP]) {
+      await notifications.put(notification);
+    }
+    // A failed email must not fail the write that caused it
+    for (const notification of routed[NotificationChannel.EMAIL]) {
+      const recipient = directory.find(
+        ({ userId }) => userId === notification.userId
+      );
+      try {
+        if (recipient) {
+          await email.send(notificationEmail(notification, recipient.email));
+        }
+      } catch (error) {
+        console.error(
+          `Could not email notification ${notification.notificationId}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Notify the users a comment edit newly mentions
+   */
+  async function notifyMentions(
+    comment: IssueComment,
+    issue: Issue,
+    previous: Mention[]
+  ): Promise<void> {
+    await notify(() =>
+      mentionNotifications(comment, issue, previous, randomUUID)
+    );
+  }
+
+  /**
+   * The caller with the teams they are a member of, to check which team
+   * views they can see
+   */
+  async function viewUser(user: JWTPayload): Promise<ViewUser> {
+    const record = await users.get(user.userId);
+    return { ...user, teamIds: record?.teamIds ?? [] };
+  }
+
+  /**
+   * Views with the caller's pins and unread counts
+   */
+  async function viewSummaries(
+    list: SavedView[],
+    user: ViewUser
+  ): Promise<SavedViewSummary[]> {
+    const [states, all] = await Promise.all([
+      views.states(user.userId),
+      issues.all(),
+    ]);
+    return summarizeViews(list, states, all, user, search);
   }
 
-  // Handle DELETE /issues/{id} - Delete issue
-  if (rawPath?.startsWith("/issues/") && method === "DELETE") {
-    const id = rawPath.split("/").pop();
-    // TODO: Delete issue from DynamoDB
-    return { 
-      statusCode: 204, 
-      body: "" 
+  /**
+   * Change the caller's state for a view
+   */
+  async function updateViewState(
+    view: SavedView,
+    user: JWTPayload,
+    changes: Partial<ViewState>
+  ): Promise<void> {
+    const states = await views.states(user.userId);
+    const state = states.find(({ viewId }) => viewId === view.viewId) ?? {
+      userId: user.userId,
+      viewId: view.viewId,
+      pinned: false,
+      lastSeenAt: null,
     };
+    await views.putState({ ...state, ...changes });
   }
 
-  // Handle unknown routes - Return 404 Not Found
-  return { 
-    statusCode: 404, 
-    body: JSON.stringify({ 
-      message: "Not Found",
-      path: rawPath,
-      method: method
-    }) 
+  /**
+   * Main Lambda handler function for the issue tracker API
+   *
+   * @param event - API Gateway event containing HTTP request details
+   * @returns Promise<APIGatewayProxyResultV2> - HTTP response with status and body
+   */
+  return async function handler(
+    event: APIGatewayProxyEventV2
+  ): Promise<APIGatewayProxyResultV2> {
+    // Extract HTTP method and path from the event
+    const method = event.requestContext.http.method;
+    const rawPath = event.rawPath;
+
+    try {
+      // Handle GET /workflow - Status workflow for clients (public)
+      if (rawPath === "/workflow" && method === "GET") {
+        return createResponse(200, DEFAULT_WORKFLOW);
+      }
+
+      // Verify the caller's access token
+      const { user } = await authenticate(
+        event,
+        await resolveJwtSecret(),
+        revocations
+      );
+
+      // Handle GET /users - Users who can be mentioned
+      if (rawPath === "/users" && method === "GET") {
+        return createResponse(200, {
+          items: userDirectory(await users.list()),
+        });
+      }
+
+      // Handle GET /issues - List issues one page at a time
+      if (rawPath === "/issues" && method === "GET") {
+        const query = validate(
+          issueListQuerySchema,
+          event.queryStringParameters ?? {}
+        );
+        return createResponse(
+          200,
+          await issues.list(query, { user: user.email })
+        );
+      }
+
+      // Handle POST /issues - Create new issue
+      if (rawPath === "/issues" && method === "POST") {
+        authorize(user, Permission.CREATE_ISSUES);
+        const data = validate(issueCreateSchema, parseBody(event));
+        if (data.assignee) {
+          authorize(user, Permission.ASSIGN_ISSUES);
+        }
+        const now = new Date().toISOString();
+        const issue: Issue = {
+          issueId: randomUUID(),
+          title: data.title,
+          description: data.description,
+          status: IssueStatus.OPEN,
+          priority: data.priority,
+          category: data.category,
+          assignee: data.assignee || undefined,
+          reporter: user.email,
+          createdAt: now,
+          updatedAt: now,
+          tags: data.tags,
+          watchers: watchersAfterWrite(null, {
+            reporter: user.email,
+            assignee: data.assignee,
+          }),
+        };
+        const created = await issues.create(issue);
+        await search.indexIssue(null, created);
+        await recordHistory(null, created, user);
+        await notify(directory =>
+          issueNotifications(null, created, user, directory, randomUUID)
+        );
+        return createResponse(201, created);
+      }
+
+      // Handle GET /issues/search - Ranked full-text search
+      if (rawPath === "/issues/search" && method === "GET") {
+        const { q, limit } = validate(
+          issueSearchQuerySchema,
+          event.queryStringParameters ?? {}
+        );
+        const results = await searchIssues(search, q, limit, async id => {
+          const issue = await issues.get(id);
+          return issue && { issue, comments: await comments.list(id) };
+        });
+        return createResponse(200, results);
+      }
+
+      // Handle /issues/{id}/comments and /issues/{id}/comments/{commentId}
+      const commentRoute = /^\/issues\/([^/]+)\/comments(?:\/([^/]+))?$/.exec(
+        rawPath ?? ""
+      );
+      if (commentRoute) {
+        const issueId = decodeURIComponent(commentRoute[1]);
+        const commentId =
+          commentRoute[2] && decodeURIComponent(commentRoute[2]);
+        const issue = await issues.get(issueId);
+        if (!issue) {
+          return issueNotFound(issueId);
+        }
+
+        if (!commentId && method === "GET") {
+          return createResponse(200, { items: await comments.list(issueId) });
+        }
+
+        if (!commentId && method === "POST") {
+          const data = validate(commentSchema, parseBody(event));
+          const mentions = resolveMentions(
+            data.body,
+            userDirectory(await users.list())
+          );
+          const comment = await comments.put(
+            createComment(randomUUID(), issueId, data, user, mentions)
+          );
+          await search.indexComment(issueId, null, comment);
+          await notify(directory =>
+            commentNotifications(comment, issue, directory, randomUUID)
+          );
+          return createResponse(201, comment);
+        }
+
+        if (commentId && (method === "PUT" || method === "DELETE")) {
+          const existing = await comments.get(issueId, commentId);
+          if (!existing) {
+            return commentNotFound(commentId);
+          }
+          if (method === "DELETE") {
+            if (!canDeleteComment(existing, user)) {
+              throw new ForbiddenError(
+                "Only the author can delete this comment"
+              );
+            }
+            await comments.delete(issueId, commentId);
+            await search.indexComment(issueId, existing, null);
+            return { statusCode: 204, body: "" };
+          }
+          if (!canEditComment(existing, user)) {
+            throw new ForbiddenError("Only the author can edit this comment");
+          }
+          const data = validate(commentSchema, parseBody(event));
+          const mentions = resolveMentions(
+            data.body,
+            userDirectory(await users.list())
+          );
+          const comment = editComment(existing, data, user, mentions);
+          if (!(await comments.update(comment, existing))) {
+            // Edited or deleted since it was read
+            const current = await comments.get(issueId, commentId);
+            if (!current) {
+              return commentNotFound(commentId);
+            }
+            throw new CommentConflictError(current);
+          }
+          await search.indexComment(issueId, existing, comment);
+          await notifyMentions(comment, issue, existing.mentions ?? []);
+          return createResponse(200, comment);
+        }
+        return routeNotFound(rawPath, method);
+      }
+
+      // Handle GET /issues/{id}/history - An issue's activity, oldest first
+      // (still readable once the issue is deleted)
+      const historyRoute = /^\/issues\/([^/]+)\/history$/.exec(rawPath ?? "");
+      if (historyRoute && method === "GET") {
+        const issueId = decodeURIComponent(historyRoute[1]);
+        const events = await history.list(issueId);
+        // Issues written before history was recorded have none yet
+        return events.length > 0 || (await issues.get(issueId))
+          ? createResponse(200, { items: events })
+          : issueNotFound(issueId);
+      }
+
+      // Handle /issues/{id}/attachments, /issues/{id}/attachments/{attachmentId}
+      // and its /download, /thumbnail and /preview
+      const attachmentRoute =
+        /^\/issues\/([^/]+)\/attachments(?:\/([^/]+)(?:\/(download|thumbnail|preview))?)?$/.exec(
+          rawPath ?? ""
+        );
+      if (attachmentRoute) {
+        const issueId = decodeURIComponent(attachmentRoute[1]);
+        const attachmentId =
+          attachmentRoute[2] && decodeURIComponent(attachmentRoute[2]);
+        const view = attachmentRoute[3];
+        if (!(await issues.get(issueId))) {
+          return issueNotFound(issueId);
+        }
+
+        if (!attachmentId && method === "GET") {
+          return createResponse(200, {
+            items: await attachments.list(issueId),
+          });
+        }
+
+        if (!attachmentId && method === "POST") {
+          authorize(user, Permission.CREATE_ISSUES);
+          // Every file is checked before any is stored
+          const uploads = parseMultipart(
+            rawBody(event),
+            event.headers?.["content-type"]
+          ).map(file => ({
+            file,
+            attachment: createAttachment(randomUUID(), issueId, file, user),
+          }));
+          const existing = await attachments.list(issueId);
+          const items: AttachmentUpload[] = [];
+          for (const { file, attachment } of uploads) {
+            const duplicate = existing.find(
+              ({ checksum }) => checksum === attachment.checksum
+            );
+            if (duplicate) {
+              items.push({ ...duplicate, duplicate: true });
+              continue;
+            }
+            if (!(await files.exists(attachment.checksum))) {
+              await files.put(
+                attachment.checksum,
+                file.data,
+                attachment.contentType
+              );
+            }
+            const thumbnail = createThumbnail(
+              file.data,
+              attachment.contentType
+            );
+            if (thumbnail) {
+              await thumbnails.put(
+                attachment.checksum,
+                thumbnail.data,
+                THUMBNAIL_CONTENT_TYPE
+              );
+              attachment.thumbnail = {
+                width: thumbnail.width,
+                height: thumbnail.height,
+              };
+            }
+            existing.push(await attachments.put(attachment));
+            items.push({ ...attachment, duplicate: false });
+          }
+          return createResponse(
+            items.some(item => !item.duplicate) ? 201 : 200,
+            { items }
+          );
+        }
+
+        if (!attachmentId) {
+          return routeNotFound(rawPath, method);
+        }
+        const attachment = await attachments.get(issueId, attachmentId);
+        if (!attachment) {
+          return attachmentNotFound(attachmentId);
+        }
+
+        if (method === "GET" && view === "download") {
+          const data = await files.get(attachment.checksum);
+          return data
+            ? fileResponse(
+                data,
+                attachment.contentType,
+                contentDisposition(attachment.name)
+              )
+            : attachmentNotFound(attachmentId);
+        }
+
+        if (method === "GET" && view === "thumbnail") {
+          const data =
+            attachment.thumbnail && (await thumbnails.get(attachment.checksum));
+          return data
+            ? fileResponse(
+                data,
+                THUMBNAIL_CONTENT_TYPE,
+                contentDisposition(attachment.name, "inline")
+              )
+            : previewNotAvailable(attachmentId, "thumbnail");
+        }
+
+        if (method === "GET" && view === "preview") {
+          const data =
+            hasTextPreview(attachment) &&
+            (await files.get(attachment.checksum));
+          return data
+            ? createResponse(200, createTextPreview(attachment, data))
+            : previewNotAvailable(attachmentId, "preview");
+        }
+
+        if (method === "GET" && !view) {
+          return createResponse(200, attachment);
+        }
+
+        if (method === "DELETE" && !view) {
+          if (!canDeleteAttachment(attachment, user)) {
+            throw new ForbiddenError(
+              "Only the uploader can delete this attachment"
+            );
+          }
+          await attachments.delete(issueId, attachmentId);
+          await deleteOrphanedFiles([attachment]);
+          return { statusCode: 204, body: "" };
+        }
+        return routeNotFound(rawPath, method);
+      }
+
+      // Handle /issues/{id}/worklogs and /issues/{id}/worklogs/{worklogId}
+      const worklogRoute = /^\/issues\/([^/]+)\/worklogs(?:\/([^/]+))?$/.exec(
+        rawPath ?? ""
+      );
+      if (worklogRoute) {
+        const issueId = decodeURIComponent(worklogRoute[1]);
+        const worklogId =
+          worklogRoute[2] && decodeURIComponent(worklogRoute[2]);
+        if (!(await issues.get(issueId))) {
+          return issueNotFound(issueId);
+        }
+
+        if (!worklogId && method === "GET") {
+          const items = await worklogs.list(issueId);
+          return createResponse(200, { items, ...worklogTotals(items) });
+        }
+
+        if (!worklogId && method === "POST") {
+          authorize(user, Permission.EDIT_ISSUES);
+          const data = validate(worklogCreateSchema, parseBody(event));
+          const worklog = createWorklog(randomUUID(), issueId, data, user);
+          await assertWeekOpen(worklog);
+          return createResponse(201, await worklogs.put(worklog));
+        }
+
+        if (worklogId && (method === "PUT" || method === "DELETE")) {
+          const existing = await worklogs.get(issueId, worklogId);
+          if (!existing) {
+            return worklogNotFound(worklogId);
+          }
+          if (method === "DELETE") {
+            if (!canDeleteWorklog(existing, user)) {
+              throw new ForbiddenError(
+                "Only the author can delete this worklog"
+              );
+            }
+            await assertWeekOpen(existing);
+            await worklogs.delete(issueId, worklogId);
+            return { statusCode: 204, body: "" };
+          }
+          if (!canEditWorklog(existing, user)) {
+            throw new ForbiddenError("Only the author can edit this worklog");
+          }
+          const data = validate(worklogUpdateSchema, parseBody(event));
+          const worklog = editWorklog(existing, data);
+          // Neither the week it was in nor the week it moves to may be locked
+          await assertWeekOpen(existing);
+          await assertWeekOpen(worklog);
+          return createResponse(200, await worklogs.put(worklog));
+        }
+        return routeNotFound(rawPath, method);
+      }
+
+      // Handle POST /issues/{id}/timer/start and /issues/{id}/timer/stop
+      const timerRoute = /^\/issues\/([^/]+)\/timer\/(start|stop)$/.exec(
+        rawPath ?? ""
+      );
+      if (timerRoute && method === "POST") {
+        authorize(user, Permission.EDIT_ISSUES);
+        const issueId = decodeURIComponent(timerRoute[1]);
+        if (!(await issues.get(issueId))) {
+          return issueNotFound(issueId);
+        }
+        const active = await timers.get(user.userId);
+
+        if (timerRoute[2] === "start") {
+          const timer = startTimer(active, issueId, user);
+          await assertWeekOpen(timer);
+          if (!(await timers.start(timer))) {
+            // Started on another device since it was read
+            throw new TimerError("A timer is already running", {
+              activeIssueId: (await timers.get(user.userId))?.issueId ?? null,
+            });
+          }
+          return createResponse(201, timer);
+        }
+
+        const data = validate(timerStopSchema, parseBody(event));
+        const worklog = stopTimer(active, issueId, randomUUID(), data);
+        await assertWeekOpen(worklog);
+        // Only the stop that removes the timer it read logs the time
+        if (!(await timers.stop(user.userId, worklog.startedAt))) {
+          throw new TimerError("The timer was already stopped", {
+            activeIssueId: (await timers.get(user.userId))?.issueId ?? null,
+          });
+        }
+        return createResponse(201, await worklogs.put(worklog));
+      }
+
+      // Handle GET /timer - The caller's running timer, on any issue
+      if (rawPath === "/timer" && method === "GET") {
+        return createResponse(200, { timer: await timers.get(user.userId) });
+      }
+
+      // Handle DELETE /timer - Discard the caller's timer without logging it
+      if (rawPath === "/timer" && method === "DELETE") {
+        await timers.stop(user.userId);
+        return { statusCode: 204, body: "" };
+      }
+
+      // Handle GET /worklogs/totals - Minutes logged per user
+      if (rawPath === "/worklogs/totals" && method === "GET") {
+        authorize(user, Permission.VIEW_REPORTS);
+        const { from, to } = validate(
+          worklogTotalsQuerySchema,
+          event.queryStringParameters ?? {}
+        );
+        return createResponse(200, {
+          from: from ?? null,
+          to: to ?? null,
+          ...worklogTotals(await worklogs.all(), from, to),
+        });
+      }
+
+      // Handle GET /timesheets - A team's minutes per day for a week
+      if (rawPath === "/timesheets" && method === "GET") {
+        authorize(user, Permission.VIEW_REPORTS);
+        const { week, teamId } = validate(teamTimesheetQuerySchema, {
+          week: new Date().toISOString().slice(0, 10),
+          ...event.queryStringParameters,
+        });
+        return createResponse(
+          200,
+          teamTimesheet(
+            week,
+            await worklogs.all(),
+            await timesheets.listWeek(week),
+            teamId
+              ? { teamId, members: teamMembers(await users.list(), teamId) }
+              : undefined
+          )
+        );
+      }
+
+      // Handle /timesheets/{userId}/{week} and its approval actions
+      const timesheetRoute =
+        /^\/timesheets\/([^/]+)\/([^/]+)(?:\/(submit|approve|reject))?$/.exec(
+          rawPath ?? ""
+        );
+      if (timesheetRoute) {
+        const userId = decodeURIComponent(timesheetRoute[1]);
+        const action = timesheetRoute[3] as TimesheetAction | undefined;
+        const { week } = validate(timesheetWeekSchema, {
+          week: decodeURIComponent(timesheetRoute[2]),
+        });
+        const memberEmail =
+          userId === user.userId
+            ? user.email
+            : (await users.list()).find(record => record.userId === userId)
+                ?.email;
+        const member = memberEmail && { userId, userEmail: memberEmail };
+
+        if (!action && method === "GET") {
+          if (userId !== user.userId) {
+            authorize(user, Permission.VIEW_REPORTS);
+          }
+          if (!member) {
+            return userNotFound(userId);
+          }
+          const entries = (await worklogs.all()).filter(
+            worklog => worklog.userId === userId
+          );
+          const issueTitles: Record<string, string> = {};
+          for (const issueId of new Set(entries.map(entry => entry.issueId))) {
+            const issue = await issues.get(issueId);
+            if (issue) {
+              issueTitles[issueId] = issue.title;
+            }
+          }
+          const approval = timesheetApproval(
+            await timesheets.get(userId, week),
+            member,
+            week
+          );
+          return createResponse(
+            200,
+            memberTimesheet(entries, issueTitles, approval)
+          );
+        }
+
+        if (action && method === "POST") {
+          if (action === "submit" && userId !== user.userId) {
+            throw new ForbiddenError(
+              "Only the member can submit their timesheet"
+            );
+          }
+          if (action !== "submit") {
+            authorize(user, Permission.MANAGE_TEAMS);
+          }
+          const { comment } = validate(timesheetReviewSchema, parseBody(event));
+          if (!member) {
+            return userNotFound(userId);
+          }
+          const previous = await timesheets.get(userId, week);
+          const approval = transitionTimesheet(
+            timesheetApproval(previous, member, week),
+            action,
+            user,
+            comment
+          );
+          if (!(await timesheets.put(approval, previous))) {
+            // Another reviewer acted on it since it was read
+            const current = timesheetApproval(
+              await timesheets.get(userId, week),
+              member,
+              week
+            );
+            throw new TimesheetError("The timesheet was changed, reload it", {
+              userId,
+              weekStart: week,
+              status: current.status,
+            });
+          }
+          return createResponse(200, approval);
+        }
+        return routeNotFound(rawPath, method);
+      }
+
+      // Handle /issues/{id}/watchers - Watch or unwatch as the caller
+      const watcherRoute = /^\/issues\/([^/]+)\/watchers$/.exec(rawPath ?? "");
+      if (watcherRoute) {
+        const issueId = decodeURIComponent(watcherRoute[1]);
+        let issue = await issues.get(issueId);
+        if (!issue) {
+          return issueNotFound(issueId);
+        }
+        if (method === "POST" || method === "DELETE") {
+          // Watching is not an edit, so updatedAt is left alone
+          const previous = issue;
+          issue = await issues.setWatchers(
+            issueId,
+            method === "POST"
+              ? addWatcher(issue, user.email)
+              : removeWatcher(issue, user.email),
+            previous.watchers
+          );
+          if (!issue) {
+            // Deleted, or watched or unwatched by someone else since it was read
+            const current = await issues.get(issueId);
+            if (current) {
+              throw new IssueConflictError(current);
+            }
+            return issueNotFound(issueId);
+          }
+          await recordHistory(previous, issue, user);
+        } else if (method !== "GET") {
+          return routeNotFound(rawPath, method);
+        }
+        return createResponse(
+          200,
+          watcherList(issue, userDirectory(await users.list()), user.email)
+        );
+      }
+
+      // Handle GET /issues/{id} - Get specific issue
+      if (rawPath?.startsWith("/issues/") && method === "GET") {
+        const id = issueIdFromPath(rawPath);
+        const issue = await issues.get(id);
+        return issue ? createResponse(200, issue) : issueNotFound(id);
+      }
+
+      // Handle PUT /issues/{id} - Partially update issue
+      if (rawPath?.startsWith("/issues/") && method === "PUT") {
+        authorize(user, Permission.EDIT_ISSUES);
+        const id = issueIdFromPath(rawPath);
+        const { expectedUpdatedAt, ...data } = validate(
+          issueUpdateSchema,
+          parseBody(event)
+        );
+        if ("assignee" in data) {
+          authorize(user, Permission.ASSIGN_ISSUES);
+        }
+
+        // Status changes must follow the workflow
+        const existing = await issues.get(id);
+        if (!existing) {
+          return issueNotFound(id);
+        }
+        assertIssueUnchanged(existing, expectedUpdatedAt);
+        validateTransition(existing, data, user.role);
+
+        const issue = await issues.update(
+          id,
+          {
+            ...data,
+            ...("assignee" in data && {
+              watchers: watchersAfterWrite(existing, {
+                reporter: existing.reporter,
+                assignee: data.assignee,
+              }),
+            }),
+            updatedAt: nextUpdatedAt(existing),
+          },
+          expectedUpdatedAt === undefined ? undefined : existing.updatedAt
+        );
+        if (!issue) {
+          // Deleted, or written by someone else since it was read
+          const current = await issues.get(id);
+          if (current && expectedUpdatedAt !== undefined) {
+            throw new IssueConflictError(current);
+          }
+          return issueNotFound(id);
+        }
+        await search.indexIssue(existing, issue);
+        await recordHistory(existing, issue, user);
+        await notify(directory =>
+          issueNotifications(existing, issue, user, directory, randomUUID)
+        );
+        return createResponse(200, issue);
+      }
+
+      // Handle DELETE /issues/{id} - Delete issue
+      if (rawPath?.startsWith("/issues/") && method === "DELETE") {
+        authorize(user, Permission.DELETE_ISSUES);
+        const id = issueIdFromPath(rawPath);
+        const existing = await issues.get(id);
+        if (!existing || !(await issues.delete(id))) {
+          return issueNotFound(id);
+        }
+        await search.indexIssue(existing, null);
+        await recordHistory(existing, null, user);
+        for (const comment of await comments.list(id)) {
+          await comments.delete(id, comment.commentId);
+          await search.indexComment(id, comment, null);
+        }
+        for (const worklog of await worklogs.list(id)) {
+          await worklogs.delete(id, worklog.worklogId);
+        }
+        const removed = await attachments.list(id);
+        for (const attachment of removed) {
+          await attachments.delete(id, attachment.attachmentId);
+        }
+        await deleteOrphanedFiles(removed);
+        return { statusCode: 204, body: "" };
+      }
+
+      // Handle GET /notifications - The caller's notifications
+      if (rawPath === "/notifications" && method === "GET") {
+        const { limit } = validate(
+          notificationListQuerySchema,
+          event.queryStringParameters ?? {}
+        );
+        return createResponse(
+          200,
+          notificationInbox(await notifications.list(user.userId), limit)
+        );
+      }
+
+      // Handle GET /notifications/settings - The caller's mute settings
+      if (rawPath === "/notifications/settings" && method === "GET") {
+        return createResponse(
+          200,
+          (await settings.get(user.userId)) ??
+            defaultNotificationSettings(user.userId)
+        );
+      }
+
+      // Handle PUT /notifications/settings - Change the caller's mute settings
+      if (rawPath === "/notifications/settings" && method === "PUT") {
+        const data = validate(notificationSettingsSchema, parseBody(event));
+        const current =
+          (await settings.get(user.userId)) ??
+          defaultNotificationSettings(user.userId);
+        return createResponse(
+          200,
+          await settings.put(updateNotificationSettings(current, data))
+        );
+      }
+
+      // Handle POST /notifications/read-all - Mark all notifications read
+      if (rawPath === "/notifications/read-all" && method === "POST") {
+        const now = new Date().toISOString();
+        let updated = 0;
+        for (const notification of await notifications.list(user.userId)) {
+          if (!notification.readAt) {
+            await notifications.put(markNotificationRead(notification, now));
+            updated++;
+          }
+        }
+        return createResponse(200, { updated, unreadCount: 0 });
+      }
+
+      // Handle POST /notifications/{id}/read - Mark one notification read
+      const notificationRoute = /^\/notifications\/([^/]+)\/read$/.exec(
+        rawPath ?? ""
+      );
+      if (notificationRoute && method === "POST") {
+        const notificationId = decodeURIComponent(notificationRoute[1]);
+        const notification = await notifications.get(
+          user.userId,
+          notificationId
+        );
+        if (!notification) {
+          return notificationNotFound(notificationId);
+        }
+        return createResponse(
+          200,
+          await notifications.put(markNotificationRead(notification))
+        );
+      }
+
+      // Handle GET /views - Saved views visible to the caller
+      if (rawPath === "/views" && method === "GET") {
+        return createResponse(200, {
+          items: await viewSummaries(await views.list(), await viewUser(user)),
+        });
+      }
+
+      // Handle POST /views - Save a view
+      if (rawPath === "/views" && method === "POST") {
+        const data = validate(viewCreateSchema, parseBody(event));
+        const view = await views.put(createSavedView(randomUUID(), data, user));
+        if (data.pinned) {
+          await updateViewState(view, user, { pinned: true });
+        }
+        const [summary] = await viewSummaries([view], user);
+        return createResponse(201, summary);
+      }
+
+      // Handle /views/{id}, /views/{id}/pin and /views/{id}/seen
+      const viewRoute = /^\/views\/([^/]+)(\/pin|\/seen)?$/.exec(rawPath ?? "");
+      if (viewRoute) {
+        const viewId = decodeURIComponent(viewRoute[1]);
+        const action = viewRoute[2];
+        const [view, viewer] = await Promise.all([
+          views.get(viewId),
+          viewUser(user),
+        ]);
+        if (!view || !canSeeView(view, viewer)) {
+          return viewNotFound(viewId);
+        }
+
+        if (!action && method === "GET") {
+          const [summary] = await viewSummaries([view], viewer);
+          return createResponse(200, summary);
+        }
+
+        if (!action && (method === "PUT" || method === "DELETE")) {
+          if (!canEditView(view, user)) {
+            throw new ForbiddenError("Only the owner can change this view");
+          }
+          if (method === "DELETE") {
+            await views.delete(viewId);
+            return { statusCode: 204, body: "" };
+          }
+          const data = validate(viewUpdateSchema, parseBody(event));
+          const updated = await views.put(updateSavedView(view, data));
+          const [summary] = await viewSummaries([updated], viewer);
+          return createResponse(200, summary);
+        }
+
+        if (action === "/pin" && method === "PUT") {
+          const { pinned } = validate(viewPinSchema, parseBody(event));
+          await updateViewState(view, user, { pinned });
+          const [summary] = await viewSummaries([view], viewer);
+          return createResponse(200, summary);
+        }
+
+        if (action === "/seen" && method === "POST") {
+          await updateViewState(view, user, {
+            lastSeenAt: new Date().toISOString(),
+          });
+          const [summary] = await viewSummaries([view], viewer);
+          return createResponse(200, summary);
+        }
+      }
+
+      // Handle unknown routes - Return 404 Not Found
+      return routeNotFound(rawPath, method);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return createResponse(error.statusCode, {
+          success: false,
+          error: error.error,
+          message: error.message,
+        });
+      }
+      if (error instanceof ForbiddenError) {
+        return createResponse(error.statusCode, {
+          success: false,
+          error: error.error,
+          message: error.message,
+        });
+      }
+      if (
+        error instanceof TimerError ||
+        error instanceof TimesheetError ||
+        error instanceof IssueConflictError ||
+        error instanceof CommentConflictError ||
+        error instanceof AttachmentError
+      ) {
+        return createResponse(error.statusCode, {
+          success: false,
+          error: error.error,
+          message: error.message,
+          ...error.details,
+        });
+      }
+      if (error instanceof WorkflowError) {
+        return createResponse(error.statusCode, {
+          success: false,
+          error: error.error,
+          message: error.message,
+          ...error.details,
+        });
+      }
+      if (error instanceof ValidationError) {
+        return validationErrorResponse(error);
+      }
+      if (error instanceof SyntaxError) {
+        return validationErrorResponse(
+          new ValidationError([{ field: "body", message: "Invalid JSON" }])
+        );
+      }
+      console.error(`Error handling ${method} ${rawPath}:`, error);
+      return createResponse(500, { message: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Lambda entry point, backed by the table named in TABLE_NAME
+ */
+export const handler = createHandler({
+  issues: createIssueRepository(),
+  revocations: createRevocationList(),
+});
+
+/**
+ * Parse the request body as JSON (shape is checked by the route's schema)
+ */
+function parseBody(event: APIGatewayProxyEventV2): unknown {
+  const body =
+    event.body && event.isBase64Encoded
+      ? Buffer.from(event.body, "base64").toString("utf8")
+      : event.body;
+  return JSON.parse(body || "{}");
+}
+
+/**
+ * The raw request body (API Gateway base64-encodes binary bodies such as
+ * multipart uploads)
+ */
+function rawBody(event: APIGatewayProxyEventV2): Buffer {
+  return Buffer.from(
+    event.body ?? "",
+    event.isBase64Encoded ? "base64" : "utf8"
+  );
+}
+
+/**
+ * Extract the issue ID from /issues/{id}
+ */
+function issueIdFromPath(rawPath: string): string {
+  return decodeURIComponent(rawPath.split("/").pop() || "");
+}
+
+/**
+ * 404 response for an unknown route
+ */
+function routeNotFound(
+  rawPath: string,
+  method: string
+): APIGatewayProxyResultV2 {
+  return createResponse(404, {
+    message: "Not Found",
+    path: rawPath,
+    method: method,
+  });
+}
+
+/**
+ * 404 response for an issue ID that does not exist
+ */
+function issueNotFound(issueId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, { message: "Issue not found", issueId });
+}
+
+/**
+ * 404 response for a comment that does not exist
+ */
+function commentNotFound(commentId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, { message: "Comment not found", commentId });
+}
+
+/**
+ * 404 response for a worklog that does not exist
+ */
+function worklogNotFound(worklogId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, { message: "Worklog not found", worklogId });
+}
+
+/**
+ * 404 response for an attachment without a thumbnail or text preview
+ */
+function previewNotAvailable(
+  attachmentId: string,
+  kind: "thumbnail" | "preview"
+): APIGatewayProxyResultV2 {
+  return createResponse(404, {
+    message:
+      kind === "thumbnail"
+        ? "No thumbnail for this attachment"
+        : "No preview for this attachment",
+    attachmentId,
+  });
+}
+
+/**
+ * 404 response for an attachment that does not exist
+ */
+function attachmentNotFound(attachmentId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, {
+    message: "Attachment not found",
+    attachmentId,
+  });
+}
+
+/**
+ * 404 response for a user ID that does not exist
+ */
+function userNotFound(userId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, { message: "User not found", userId });
+}
+
+/**
+ * 404 response for a notification that does not exist or is someone else's
+ */
+function notificationNotFound(notificationId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, {
+    message: "Notification not found",
+    notificationId,
+  });
+}
+
+/**
+ * 404 response for a view that does not exist or is not visible
+ */
+function viewNotFound(viewId: string): APIGatewayProxyResultV2 {
+  return createResponse(404, { message: "View not found", viewId });
+}
+
+/**
+ * 400 response listing the fields that failed validation
+ */
+function validationErrorResponse(
+  error: ValidationError
+): APIGatewayProxyResultV2 {
+  return createResponse(error.statusCode, {
+    success: false,
+    error: error.error,
+    message: error.message,
+    fields: error.fields,
+  });
+}
+
+/**
+ * Create a JSON API response
+ */
+function createResponse(
+  statusCode: number,
+  data: unknown
+): APIGatewayProxyResultV2 {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type,Authorization",
+      "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    },
+    body: JSON.stringify(data),
+  };
+}
+
+/**
+ * Binary response with an attachment's bytes or thumbnail
+ *
+ * @param disposition - Content-Disposition header (see shared
+ *   contentDisposition)
+ */
+function fileResponse(
+  data: Buffer,
+  contentType: string,
+  disposition: string
+): APIGatewayProxyResultV2 {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Length": String(data.length),
+      "Content-Disposition": disposition,
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-store",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type,Authorization",
+      "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    },
+    body: data.toString("base64"),
+    isBase64Encoded: true,
   };
 }
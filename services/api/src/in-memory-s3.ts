@@ -0,0 +1,143 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description In-Memory S3 Client
+ *
+ * A small stand-in for S3Client used by the attachment store when no bucket
+ * is configured (local runs, test-local.js). It understands the subset of
+ * the S3 API the store uses:
+ *
+ * - PutObjectCommand (Body as a Buffer or Uint8Array)
+ * - GetObjectCommand (Body with transformToByteArray())
+ * - HeadObjectCommand
+ * - DeleteObjectCommand (deleting a missing key succeeds, as in S3)
+ *
+ * Missing keys throw errors named like S3's (NoSuchKey for GetObject,
+ * NotFound for HeadObject) with a 404 in $metadata. Anything else throws,
+ * so an unsupported call fails loudly instead of silently behaving
+ * differently from S3.
+ *
+ * localS3Client() returns one process-wide instance, so stores in the same
+ * process see each other's writes.
+ */
+
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  ServiceInputTypes,
+  ServiceOutputTypes,
+} from "@aws-sdk/client-s3";
+import type { Command } from "@smithy/types";
+
+interface StoredObject {
+  body: Buffer;
+  contentType: string | undefined;
+}
+
+/**
+ * Error matching the names and status S3 uses for missing keys
+ */
+class MissingKeyError extends Error {
+  readonly $metadata = { httpStatusCode: 404 };
+
+  constructor(name: "NoSuchKey" | "NotFound") {
+    super("The specified key does not exist.");
+    this.name = name;
+  }
+}
+
+export class InMemoryS3Client {
+  private readonly buckets = new Map<string, Map<string, StoredObject>>();
+
+  /**
+   * Run a command, typed like S3Client.send so the client can stand in for it
+   */
+  async send<
+    InputType extends ServiceInputTypes,
+    OutputType extends ServiceOutputTypes,
+  >(
+    command: Command<
+      ServiceInputTypes,
+      InputType,
+      ServiceOutputTypes,
+      OutputType,
+      unknown
+    >
+  ): Promise<OutputType> {
+    return { $metadata: {}, ...this.execute(command) } as OutputType;
+  }
+
+  private execute(command: object): Record<string, unknown> {
+    if (command instanceof PutObjectCommand) {
+      const { Bucket, Key, Body, ContentType } = command.input;
+      this.bucket(Bucket).set(this.key(Key), {
+        body: Buffer.from(Body as Uint8Array),
+        contentType: ContentType,
+      });
+      return {};
+    }
+    if (command instanceof GetObjectCommand) {
+      const object = this.object(command.input.Bucket, command.input.Key);
+      if (!object) {
+        throw new MissingKeyError("NoSuchKey");
+      }
+      const bytes = new Uint8Array(object.body);
+      return {
+        ContentType: object.contentType,
+        ContentLength: bytes.length,
+        Body: { transformToByteArray: async () => bytes },
+      };
+    }
+    if (command instanceof HeadObjectCommand) {
+      const object = this.object(command.input.Bucket, command.input.Key);
+      if (!object) {
+        throw new MissingKeyError("NotFound");
+      }
+      return {
+        ContentType: object.contentType,
+        ContentLength: object.body.length,
+      };
+    }
+    if (command instanceof DeleteObjectCommand) {
+      this.bucket(command.input.Bucket).delete(this.key(command.input.Key));
+      return {};
+    }
+    throw new Error(
+      `InMemoryS3Client: unsupported command ${command.constructor.name}`
+    );
+  }
+
+  private object(bucket: string | undefined, key: string | undefined) {
+    return this.bucket(bucket).get(this.key(key));
+  }
+
+  private bucket(name: string | undefined): Map<string, StoredObject> {
+    const bucketName = name ?? "";
+    if (!this.buckets.has(bucketName)) {
+      this.buckets.set(bucketName, new Map());
+    }
+    return this.buckets.get(bucketName) as Map<string, StoredObject>;
+  }
+
+  private key(key: string | undefined): string {
+    if (!key) {
+      throw new Error("InMemoryS3Client: missing Key");
+    }
+    return key;
+  }
+}
+
+let localClient: InMemoryS3Client | null = null;
+
+/**
+ * Process-wide in-memory S3 client
+ */
+export function localS3Client(): InMemoryS3Client {
+  if (!localClient) {
+    localClient = new InMemoryS3Client();
+  }
+  return localClient;
+}
@@ -0,0 +1,101 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Issue History Repository - Append-Only DynamoDB Persistence
+ *
+ * Data access for issue history events (ISSUE_HISTORY_TABLE, keyed by
+ * issueId and eventId, so an issue's history is a single Query). Events can
+ * only be appended: there is no update or delete, and each put fails if the
+ * event already exists.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import {
+  IssueEvent,
+  sortIssueEvents,
+} from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Issue history persistence operations
+ */
+export interface IssueHistoryRepository {
+  /** An issue's events, oldest first */
+  list(issueId: string): Promise<IssueEvent[]>;
+  append(events: IssueEvent[]): Promise<void>;
+}
+
+/**
+ * DynamoDB implementation of the issue history repository
+ */
+export class DynamoIssueHistoryRepository implements IssueHistoryRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async list(issueId: string): Promise<IssueEvent[]> {
+    const events: IssueEvent[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#issueId = :issueId",
+          ExpressionAttributeNames: { "#issueId": "issueId" },
+          ExpressionAttributeValues: { ":issueId": issueId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      events.push(...((result.Items as IssueEvent[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return sortIssueEvents(events);
+  }
+
+  async append(events: IssueEvent[]): Promise<void> {
+    for (const event of events) {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: event,
+          ConditionExpression: "attribute_not_exists(eventId)",
+        })
+      );
+    }
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - ISSUE_HISTORY_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at
+ *   DynamoDB Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createIssueHistoryRepository(): IssueHistoryRepository {
+  const tableName = process.env.ISSUE_HISTORY_TABLE;
+  if (!tableName) {
+    return new DynamoIssueHistoryRepository(
+      localDocumentClient(),
+      "IssueHistory"
+    );
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoIssueHistoryRepository(client, tableName);
+}
@@ -0,0 +1,470 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Issue Repository - DynamoDB Persistence
+ *
+ * Data access layer for the issues table (TABLE_NAME in IssueTrackerStack).
+ * The repository only depends on a client exposing `send(command)`, so the
+ * same code runs against AWS, DynamoDB Local (DYNAMODB_ENDPOINT) or the
+ * in-memory fake used for local testing.
+ *
+ * Listing:
+ * Every item carries `listPartition` and, per sort field, a sort key
+ * attribute (issueSortKey: the sort value, then the issue ID), maintained on
+ * each write. A GSI per sort field (CreatedAtIndex, ...) orders issues by
+ * one of them. `listPartition` spreads issues over LIST_SHARDS partitions
+ * (by a hash of the issue ID), so listing load is not all on one partition;
+ * list() queries every shard of the index for the requested order, starting
+ * after the `nextToken` position, until each has read a page of issues
+ * matching the filters, and merges them. Pages therefore cost reads
+ * proportional to the page times the shard count (more for selective
+ * filters), not to the table, and match the pages server.js builds with the
+ * shared issue query. all() still scans, for callers that need every issue.
+ *
+ * The stack adds the indexes one deploy at a time to an existing table
+ * (ISSUE_LIST_INDEXES names the sort fields whose index is deployed); sort
+ * orders without one are listed by scanning, as before the indexes.
+ *
+ * Items written before the indexes existed lack these attributes and are
+ * left out of the (sparse) indexes until their next update adds them.
+ */
+
+import { createHash } from "crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import {
+  compareSortKeys,
+  CursorPaginatedResponse,
+  FilterContext,
+  Issue,
+  IssueListQuery,
+  issuePage,
+  issuePageStart,
+  issueSortKey,
+  ISSUE_SORT_FIELDS,
+  matchesIssueQuery,
+  queryIssues,
+} from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+type SortField = IssueListQuery["sortBy"];
+
+/**
+ * Number of `listPartition` values (the partition key of the listing
+ * indexes) issues are spread over
+ */
+const LIST_SHARDS = 8;
+
+/**
+ * GSI listing issues in each sort order, and its sort key attribute
+ */
+const SORT_INDEXES: Record<SortField, { indexName: string; sortKey: string }> =
+  {
+    createdAt: { indexName: "CreatedAtIndex", sortKey: "createdAtSortKey" },
+    updatedAt: { indexName: "UpdatedAtIndex", sortKey: "updatedAtSortKey" },
+    priority: { indexName: "PriorityIndex", sortKey: "prioritySortKey" },
+    status: { indexName: "StatusIndex", sortKey: "statusSortKey" },
+    title: { indexName: "TitleIndex", sortKey: "titleSortKey" },
+  };
+
+/**
+ * Issue persistence operations
+ */
+export interface IssueRepository {
+  create(issue: Issue): Promise<Issue>;
+  get(issueId: string): Promise<Issue | null>;
+  /**
+   * Merge changes into an issue; null if it does not exist or, given
+   * `expectedUpdatedAt`, its `updatedAt` no longer matches
+   */
+  update(
+    issueId: string,
+    changes: Partial<Issue>,
+    expectedUpdatedAt?: string
+  ): Promise<Issue | null>;
+  /**
+   * Replace an issue's watchers; null if it does not exist or its watchers
+   * are no longer `previous` (unset on issues that never stored them)
+   */
+  setWatchers(
+    issueId: string,
+    watchers: string[],
+    previous: string[] | undefined
+  ): Promise<Issue | null>;
+  delete(issueId: string): Promise<boolean>;
+  all(): Promise<Issue[]>;
+  list(
+    query: IssueListQuery,
+    context?: FilterContext
+  ): Promise<CursorPaginatedResponse<Issue>>;
+}
+
+/**
+ * DynamoDB implementation of the issue repository
+ */
+export class DynamoIssueRepository implements IssueRepository {
+  /**
+   * @param indexedSortFields - Sort fields whose listing index is deployed
+   */
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string,
+    private readonly indexedSortFields: readonly SortField[] = ISSUE_SORT_FIELDS
+  ) {}
+
+  async create(issue: Issue): Promise<Issue> {
+    await this.client.send(
+      new PutCommand({
+        TableName: this.tableName,
+        Item: { ...issue, ...listingKeys(issue, ISSUE_SORT_FIELDS) },
+        ConditionExpression: "attribute_not_exists(issueId)",
+      })
+    );
+    return issue;
+  }
+
+  async get(issueId: string): Promise<Issue | null> {
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.tableName, Key: { issueId } })
+    );
+    return result.Item ? toIssue(result.Item) : null;
+  }
+
+  async update(
+    issueId: string,
+    changes: Partial<Issue>,
+    expectedUpdatedAt?: string
+  ): Promise<Issue | null> {
+    const fields = Object.keys(changes).filter(
+      field =>
+        field !== "issueId" && changes[field as keyof Issue] !== undefined
+    );
+    if (fields.length === 0) {
+      return this.get(issueId);
+    }
+
+    // Changed sort fields move the issue in their listing index
+    const keys = listingKeys(
+      { ...changes, issueId },
+      ISSUE_SORT_FIELDS.filter(field => fields.includes(field))
+    );
+    const names: Record<string, string> = {};
+    const values: Record<string, unknown> = {};
+    const assignments = Object.entries({
+      ...Object.fromEntries(
+        fields.map(field => [field, changes[field as keyof Issue]])
+      ),
+      ...keys,
+    }).map(([field, value], index) => {
+      names[`#f${index}`] = field;
+      values[`:v${index}`] = value;
+      return `#f${index} = :v${index}`;
+    });
+    let condition = "attribute_exists(issueId)";
+    if (expectedUpdatedAt !== undefined) {
+      names["#updatedAt"] = "updatedAt";
+      values[":expectedUpdatedAt"] = expectedUpdatedAt;
+      condition += " AND #updatedAt = :expectedUpdatedAt";
+    }
+
+    let item: Record<string, unknown>;
+    try {
+      const result = await this.client.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { issueId },
+          UpdateExpression: `SET ${assignments.join(", ")}`,
+          ConditionExpression: condition,
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values,
+          ReturnValues: "ALL_NEW",
+        })
+      );
+      item = result.Attributes ?? {};
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    const issue = toIssue(item);
+    await this.addMissingListingKeys(issue, item);
+    return issue;
+  }
+
+  /**
+   * Give an issue stored before the listing indexes existed the rest of its
+   * sort keys, so it is listed in every order from now on
+   */
+  private async addMissingListingKeys(
+    issue: Issue,
+    item: Record<string, unknown>
+  ): Promise<void> {
+    const missing = ISSUE_SORT_FIELDS.filter(
+      field => !(SORT_INDEXES[field].sortKey in item)
+    );
+    if (missing.length === 0) {
+      return;
+    }
+
+    const names: Record<string, string> = {};
+    const values: Record<string, unknown> = {};
+    const assignments = Object.entries(listingKeys(issue, missing)).map(
+      ([field, value], index) => {
+        names[`#k${index}`] = field;
+        values[`:k${index}`] = value;
+        return `#k${index} = :k${index}`;
+      }
+    );
+    try {
+      await this.client.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { issueId: issue.issueId },
+          UpdateExpression: `SET ${assignments.join(", ")}`,
+          ConditionExpression: "attribute_exists(issueId)",
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values,
+        })
+      );
+    } catch (error) {
+      // Deleted in the meantime
+      if (!isConditionalCheckFailure(error)) {
+        throw error;
+      }
+    }
+  }
+
+  async setWatchers(
+    issueId: string,
+    watchers: string[],
+    previous: string[] | undefined
+  ): Promise<Issue | null> {
+    try {
+      const result = await this.client.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { issueId },
+          UpdateExpression: "SET #watchers = :watchers",
+          ConditionExpression:
+            previous === undefined
+              ? "attribute_exists(issueId) AND attribute_not_exists(#watchers)"
+              : "#watchers = :previous",
+          ExpressionAttributeNames: { "#watchers": "watchers" },
+          ExpressionAttributeValues: {
+            ":watchers": watchers,
+            ...(previous === undefined ? {} : { ":previous": previous }),
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+      return toIssue(result.Attributes ?? {});
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(issueId: string): Promise<boolean> {
+    const result = await this.client.send(
+      new DeleteCommand({
+        TableName: this.tableName,
+        Key: { issueId },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return result.Attributes !== undefined;
+  }
+
+  async all(): Promise<Issue[]> {
+    const issues: Issue[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      issues.push(...(result.Items ?? []).map(toIssue));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return issues;
+  }
+
+  async list(
+    query: IssueListQuery,
+    context: FilterContext = {}
+  ): Promise<CursorPaginatedResponse<Issue>> {
+    if (!this.indexedSortFields.includes(query.sortBy)) {
+      return queryIssues(await this.all(), query, context);
+    }
+
+    // Read one issue past the page from each shard, to learn whether
+    // another page follows
+    const { sortKey } = SORT_INDEXES[query.sortBy];
+    const shards = await Promise.all(
+      Array.from({ length: LIST_SHARDS }, (_, shard) =>
+        this.listShard(listPartitionName(shard), query, context)
+      )
+    );
+    const items = shards
+      .flat()
+      .sort((a, b) =>
+        compareSortKeys(
+          a[sortKey] as string,
+          b[sortKey] as string,
+          query.sortOrder
+        )
+      )
+      .map(toIssue);
+    return issuePage(
+      items.slice(0, query.limit),
+      query,
+      items.length > query.limit
+    );
+  }
+
+  /**
+   * Up to limit + 1 items of one listing partition matching the query,
+   * in index order from the `nextToken` position
+   */
+  private async listShard(
+    partition: string,
+    query: IssueListQuery,
+    context: FilterContext
+  ): Promise<Record<string, unknown>[]> {
+    const { indexName, sortKey } = SORT_INDEXES[query.sortBy];
+    const after = issuePageStart(query);
+    let startKey: Record<string, unknown> | undefined = after
+      ? {
+          listPartition: partition,
+          [sortKey]: after.sortKey,
+          issueId: after.issueId,
+        }
+      : undefined;
+
+    const items: Record<string, unknown>[] = [];
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          IndexName: indexName,
+          KeyConditionExpression: "#listPartition = :listPartition",
+          ExpressionAttributeNames: { "#listPartition": "listPartition" },
+          ExpressionAttributeValues: { ":listPartition": partition },
+          ScanIndexForward: query.sortOrder === "asc",
+          Limit: query.limit + 1,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      for (const item of result.Items ?? []) {
+        if (!matchesIssueQuery(toIssue(item), query, context)) {
+          continue;
+        }
+        items.push(item);
+        if (items.length > query.limit) {
+          return items;
+        }
+      }
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  }
+}
+
+/**
+ * `listPartition` and the sort key attributes of the given sort fields
+ *
+ * @param issue - The issue, or the changed fields of one and its ID
+ */
+function listingKeys(
+  issue: Partial<Issue> & Pick<Issue, "issueId">,
+  sortFields: readonly SortField[]
+): Record<string, string> {
+  return {
+    listPartition: listPartitionName(shardOf(issue.issueId)),
+    ...Object.fromEntries(
+      sortFields.map(field => [
+        SORT_INDEXES[field].sortKey,
+        issueSortKey(issue, field),
+      ])
+    ),
+  };
+}
+
+/**
+ * Listing shard of an issue: a stable hash of its ID
+ */
+function shardOf(issueId: string): number {
+  return (
+    createHash("sha256").update(issueId).digest().readUInt32BE(0) % LIST_SHARDS
+  );
+}
+
+function listPartitionName(shard: number): string {
+  return `ISSUE#${shard}`;
+}
+
+/**
+ * An issue item without its listing attributes
+ */
+function toIssue(item: Record<string, unknown>): Issue {
+  const issue = { ...item };
+  delete issue.listPartition;
+  for (const { sortKey } of Object.values(SORT_INDEXES)) {
+    delete issue[sortKey];
+  }
+  return issue as unknown as Issue;
+}
+
+function isConditionalCheckFailure(error: unknown): boolean {
+  return (
+    error instanceof Error && error.name === "ConditionalCheckFailedException"
+  );
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - TABLE_NAME set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB Local);
+ *   ISSUE_LIST_INDEXES lists the sort fields whose listing index is deployed
+ *   (comma-separated; unset: all of them)
+ * - TABLE_NAME unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createIssueRepository(): IssueRepository {
+  const tableName = process.env.TABLE_NAME;
+  if (!tableName) {
+    return new DynamoIssueRepository(localDocumentClient(), "Issues");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  const indexes = process.env.ISSUE_LIST_INDEXES;
+  return new DynamoIssueRepository(
+    client,
+    tableName,
+    indexes === undefined
+      ? ISSUE_SORT_FIELDS
+      : ISSUE_SORT_FIELDS.filter(field => indexes.split(",").includes(field))
+  );
+}
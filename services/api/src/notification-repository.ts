@@ -0,0 +1,108 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Notification Repository - DynamoDB Persistence
+ *
+ * Data access for notifications (NOTIFICATIONS_TABLE, keyed by userId and
+ * notificationId, so a user's notifications are a single Query).
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { Notification } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Notification persistence operations
+ */
+export interface NotificationRepository {
+  /** A user's notifications, newest first */
+  list(userId: string): Promise<Notification[]>;
+  get(userId: string, notificationId: string): Promise<Notification | null>;
+  put(notification: Notification): Promise<Notification>;
+}
+
+/**
+ * DynamoDB implementation of the notification repository
+ */
+export class DynamoNotificationRepository implements NotificationRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async list(userId: string): Promise<Notification[]> {
+    const notifications: Notification[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#userId = :userId",
+          ExpressionAttributeNames: { "#userId": "userId" },
+          ExpressionAttributeValues: { ":userId": userId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      notifications.push(
+        ...((result.Items as Notification[] | undefined) ?? [])
+      );
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return notifications.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(
+    userId: string,
+    notificationId: string
+  ): Promise<Notification | null> {
+    const result = await this.client.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { userId, notificationId },
+      })
+    );
+    return (result.Item as Notification | undefined) ?? null;
+  }
+
+  async put(notification: Notification): Promise<Notification> {
+    await this.client.send(
+      new PutCommand({ TableName: this.tableName, Item: notification })
+    );
+    return notification;
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - NOTIFICATIONS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at
+ *   DynamoDB Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createNotificationRepository(): NotificationRepository {
+  const tableName = process.env.NOTIFICATIONS_TABLE;
+  if (!tableName) {
+    return new DynamoNotificationRepository(
+      localDocumentClient(),
+      "Notifications"
+    );
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoNotificationRepository(client, tableName);
+}
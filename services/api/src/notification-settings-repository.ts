@@ -0,0 +1,79 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Notification Settings Repository - DynamoDB Persistence
+ *
+ * Data access for users' notification mute settings
+ * (NOTIFICATION_SETTINGS_TABLE, keyed by userId).
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { NotificationSettings } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Notification settings persistence operations
+ */
+export interface NotificationSettingsRepository {
+  /** A user's saved settings, or null if they never changed them */
+  get(userId: string): Promise<NotificationSettings | null>;
+  put(settings: NotificationSettings): Promise<NotificationSettings>;
+}
+
+/**
+ * DynamoDB implementation of the notification settings repository
+ */
+export class DynamoNotificationSettingsRepository implements NotificationSettingsRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async get(userId: string): Promise<NotificationSettings | null> {
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.tableName, Key: { userId } })
+    );
+    return (result.Item as NotificationSettings | undefined) ?? null;
+  }
+
+  async put(settings: NotificationSettings): Promise<NotificationSettings> {
+    await this.client.send(
+      new PutCommand({ TableName: this.tableName, Item: settings })
+    );
+    return settings;
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - NOTIFICATION_SETTINGS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it
+ *   at DynamoDB Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createNotificationSettingsRepository(): NotificationSettingsRepository {
+  const tableName = process.env.NOTIFICATION_SETTINGS_TABLE;
+  if (!tableName) {
+    return new DynamoNotificationSettingsRepository(
+      localDocumentClient(),
+      "NotificationSettings"
+    );
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoNotificationSettingsRepository(client, tableName);
+}
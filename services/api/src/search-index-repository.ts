@@ -0,0 +1,104 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Search Index Repository - DynamoDB Persistence
+ *
+ * SearchIndexStore for the SearchIndex table (SEARCH_INDEX_TABLE in
+ * IssueTrackerStack). Each posting is one item, keyed by `term` (partition
+ * key) and `docKey` (sort key), so looking up a term is a single Query and
+ * an issue write only touches the postings of the terms it changed.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { Posting, SearchIndexStore } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the store needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+// Writes sent to DynamoDB at once
+const WRITE_CONCURRENCY = 25;
+
+/**
+ * DynamoDB implementation of the search index store
+ */
+export class DynamoSearchIndexStore implements SearchIndexStore {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async postings(term: string): Promise<Posting[]> {
+    const postings: Posting[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#term = :term",
+          ExpressionAttributeNames: { "#term": "term" },
+          ExpressionAttributeValues: { ":term": term },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      postings.push(...((result.Items as Posting[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return postings;
+  }
+
+  async write(
+    put: Posting[],
+    remove: Pick<Posting, "term" | "docKey">[]
+  ): Promise<void> {
+    const writes = [
+      ...remove.map(
+        key => () =>
+          this.client.send(
+            new DeleteCommand({ TableName: this.tableName, Key: key })
+          )
+      ),
+      ...put.map(
+        posting => () =>
+          this.client.send(
+            new PutCommand({ TableName: this.tableName, Item: posting })
+          )
+      ),
+    ];
+    for (let i = 0; i < writes.length; i += WRITE_CONCURRENCY) {
+      await Promise.all(
+        writes.slice(i, i + WRITE_CONCURRENCY).map(write => write())
+      );
+    }
+  }
+}
+
+/**
+ * Build the store from the Lambda environment
+ *
+ * - SEARCH_INDEX_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at
+ *   DynamoDB Local)
+ * - SEARCH_INDEX_TABLE unset: in-memory stand-in, for local runs and
+ *   test-local.js
+ */
+export function createSearchIndexStore(): SearchIndexStore {
+  const tableName = process.env.SEARCH_INDEX_TABLE;
+  if (!tableName) {
+    return new DynamoSearchIndexStore(localDocumentClient(), "SearchIndex");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoSearchIndexStore(client, tableName);
+}
@@ -0,0 +1,123 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Timer Repository - DynamoDB Persistence
+ *
+ * Data access for running timers (TIMERS_TABLE, keyed by userId, so each
+ * user has at most one). Starting a timer is a conditional put, so two
+ * devices cannot both start one.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { ActiveTimer } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Timer persistence operations
+ */
+export interface TimerRepository {
+  get(userId: string): Promise<ActiveTimer | null>;
+  /** Store a timer unless the user already has one; false if they do */
+  start(timer: ActiveTimer): Promise<boolean>;
+  /**
+   * Remove a user's timer, returning it (null if none was running or,
+   * given `startedAt`, a different one is)
+   */
+  stop(userId: string, startedAt?: string): Promise<ActiveTimer | null>;
+}
+
+/**
+ * DynamoDB implementation of the timer repository
+ */
+export class DynamoTimerRepository implements TimerRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async get(userId: string): Promise<ActiveTimer | null> {
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.tableName, Key: { userId } })
+    );
+    return (result.Item as ActiveTimer | undefined) ?? null;
+  }
+
+  async start(timer: ActiveTimer): Promise<boolean> {
+    try {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: timer,
+          ConditionExpression: "attribute_not_exists(userId)",
+        })
+      );
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async stop(userId: string, startedAt?: string): Promise<ActiveTimer | null> {
+    try {
+      const result = await this.client.send(
+        new DeleteCommand({
+          TableName: this.tableName,
+          Key: { userId },
+          ...(startedAt !== undefined && {
+            ConditionExpression: "#startedAt = :startedAt",
+            ExpressionAttributeNames: { "#startedAt": "startedAt" },
+            ExpressionAttributeValues: { ":startedAt": startedAt },
+          }),
+          ReturnValues: "ALL_OLD",
+        })
+      );
+      return (result.Attributes as ActiveTimer | undefined) ?? null;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+function isConditionalCheckFailure(error: unknown): boolean {
+  return (
+    error instanceof Error && error.name === "ConditionalCheckFailedException"
+  );
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - TIMERS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB
+ *   Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createTimerRepository(): TimerRepository {
+  const tableName = process.env.TIMERS_TABLE;
+  if (!tableName) {
+    return new DynamoTimerRepository(localDocumentClient(), "Timers");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoTimerRepository(client, tableName);
+}
@@ -0,0 +1,145 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Timesheet Repository - DynamoDB Persistence
+ *
+ * Data access for timesheet approval records (TIMESHEETS_TABLE, keyed by
+ * weekStart and userId, so a team's week is a single Query). Writes are
+ * conditional on the record not having changed since it was read, so two
+ * reviewers cannot both act on the same submission.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { TimesheetApproval } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Timesheet persistence operations
+ */
+export interface TimesheetRepository {
+  /** A member's approval record for a week, or null while it is open */
+  get(userId: string, weekStart: string): Promise<TimesheetApproval | null>;
+  /** Every stored approval record for a week */
+  listWeek(weekStart: string): Promise<TimesheetApproval[]>;
+  /**
+   * Store a record unless it changed since it was read; false if it did
+   *
+   * @param previous - The stored record the change was made to (null if
+   *   there was none)
+   */
+  put(
+    approval: TimesheetApproval,
+    previous: TimesheetApproval | null
+  ): Promise<boolean>;
+}
+
+/**
+ * DynamoDB implementation of the timesheet repository
+ */
+export class DynamoTimesheetRepository implements TimesheetRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async get(
+    userId: string,
+    weekStart: string
+  ): Promise<TimesheetApproval | null> {
+    const result = await this.client.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { weekStart, userId },
+      })
+    );
+    return (result.Item as TimesheetApproval | undefined) ?? null;
+  }
+
+  async listWeek(weekStart: string): Promise<TimesheetApproval[]> {
+    const approvals: TimesheetApproval[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#weekStart = :weekStart",
+          ExpressionAttributeNames: { "#weekStart": "weekStart" },
+          ExpressionAttributeValues: { ":weekStart": weekStart },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      approvals.push(
+        ...((result.Items as TimesheetApproval[] | undefined) ?? [])
+      );
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return approvals;
+  }
+
+  async put(
+    approval: TimesheetApproval,
+    previous: TimesheetApproval | null
+  ): Promise<boolean> {
+    try {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: approval,
+          ...(previous
+            ? {
+                ConditionExpression: "#updatedAt = :updatedAt",
+                ExpressionAttributeNames: { "#updatedAt": "updatedAt" },
+                ExpressionAttributeValues: {
+                  ":updatedAt": previous.updatedAt,
+                },
+              }
+            : { ConditionExpression: "attribute_not_exists(userId)" }),
+        })
+      );
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+function isConditionalCheckFailure(error: unknown): boolean {
+  return (
+    error instanceof Error && error.name === "ConditionalCheckFailedException"
+  );
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - TIMESHEETS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB
+ *   Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createTimesheetRepository(): TimesheetRepository {
+  const tableName = process.env.TIMESHEETS_TABLE;
+  if (!tableName) {
+    return new DynamoTimesheetRepository(localDocumentClient(), "Timesheets");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoTimesheetRepository(client, tableName);
+}
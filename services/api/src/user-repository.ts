@@ -0,0 +1,96 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description User Repository - Read Access to the Users Table
+ *
+ * The API only reads users (the auth service owns USERS_TABLE and stores
+ * every account there, see services/auth/src/user-repository.ts), to resolve
+ * @mentions, serve the user directory and look up the caller's teams.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  ScanCommand,
+} from "@aws-sdk/lib-dynamodb";
+import {
+  EMAIL_CLAIM_PREFIX,
+  UserRecord,
+} from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * User lookups
+ */
+export interface UserRepository {
+  list(): Promise<UserRecord[]>;
+  get(userId: string): Promise<UserRecord | null>;
+}
+
+/**
+ * DynamoDB implementation of the user repository
+ */
+export class DynamoUserRepository implements UserRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async list(): Promise<UserRecord[]> {
+    const users: UserRecord[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      // Email claims share the table but are not users
+      users.push(
+        ...((result.Items as UserRecord[] | undefined) ?? []).filter(
+          item => !item.userId.startsWith(EMAIL_CLAIM_PREFIX)
+        )
+      );
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return users;
+  }
+
+  async get(userId: string): Promise<UserRecord | null> {
+    if (userId.startsWith(EMAIL_CLAIM_PREFIX)) {
+      return null;
+    }
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.tableName, Key: { userId } })
+    );
+    return (result.Item as UserRecord | undefined) ?? null;
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - USERS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB
+ *   Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createUserRepository(): UserRepository {
+  const tableName = process.env.USERS_TABLE;
+  if (!tableName) {
+    return new DynamoUserRepository(localDocumentClient(), "Users");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoUserRepository(client, tableName);
+}
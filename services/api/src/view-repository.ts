@@ -0,0 +1,142 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Saved View Repository - DynamoDB Persistence
+ *
+ * Data access for saved views (VIEWS_TABLE, keyed by viewId) and the
+ * per-user view state (VIEW_STATES_TABLE, keyed by userId and viewId, so a
+ * user's pins and "last seen" times are a single Query).
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { SavedView, ViewState } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Saved view persistence operations
+ */
+export interface ViewRepository {
+  list(): Promise<SavedView[]>;
+  get(viewId: string): Promise<SavedView | null>;
+  put(view: SavedView): Promise<SavedView>;
+  delete(viewId: string): Promise<boolean>;
+  states(userId: string): Promise<ViewState[]>;
+  putState(state: ViewState): Promise<ViewState>;
+}
+
+/**
+ * DynamoDB implementation of the saved view repository
+ */
+export class DynamoViewRepository implements ViewRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly viewsTable: string,
+    private readonly statesTable: string
+  ) {}
+
+  async list(): Promise<SavedView[]> {
+    const views: SavedView[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new ScanCommand({
+          TableName: this.viewsTable,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      views.push(...((result.Items as SavedView[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return views;
+  }
+
+  async get(viewId: string): Promise<SavedView | null> {
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.viewsTable, Key: { viewId } })
+    );
+    return (result.Item as SavedView | undefined) ?? null;
+  }
+
+  async put(view: SavedView): Promise<SavedView> {
+    await this.client.send(
+      new PutCommand({ TableName: this.viewsTable, Item: view })
+    );
+    return view;
+  }
+
+  async delete(viewId: string): Promise<boolean> {
+    const result = await this.client.send(
+      new DeleteCommand({
+        TableName: this.viewsTable,
+        Key: { viewId },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return result.Attributes !== undefined;
+  }
+
+  async states(userId: string): Promise<ViewState[]> {
+    const states: ViewState[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.statesTable,
+          KeyConditionExpression: "#userId = :userId",
+          ExpressionAttributeNames: { "#userId": "userId" },
+          ExpressionAttributeValues: { ":userId": userId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      states.push(...((result.Items as ViewState[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return states;
+  }
+
+  async putState(state: ViewState): Promise<ViewState> {
+    await this.client.send(
+      new PutCommand({ TableName: this.statesTable, Item: state })
+    );
+    return state;
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - VIEWS_TABLE and VIEW_STATES_TABLE set: DynamoDB (DYNAMODB_ENDPOINT
+ *   points it at DynamoDB Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createViewRepository(): ViewRepository {
+  const viewsTable = process.env.VIEWS_TABLE;
+  const statesTable = process.env.VIEW_STATES_TABLE;
+  if (!viewsTable || !statesTable) {
+    return new DynamoViewRepository(
+      localDocumentClient(),
+      "Views",
+      "ViewStates"
+    );
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoViewRepository(client, viewsTable, statesTable);
+}
@@ -0,0 +1,132 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Worklog Repository - DynamoDB Persistence
+ *
+ * Data access for worklogs (WORKLOGS_TABLE, keyed by issueId and worklogId,
+ * so an issue's worklogs are a single Query; totals across issues Scan).
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { sortWorklogs, Worklog } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Worklog persistence operations
+ */
+export interface WorklogRepository {
+  /** An issue's worklogs, in the order the work was done */
+  list(issueId: string): Promise<Worklog[]>;
+  /** Every issue's worklogs */
+  all(): Promise<Worklog[]>;
+  get(issueId: string, worklogId: string): Promise<Worklog | null>;
+  put(worklog: Worklog): Promise<Worklog>;
+  delete(issueId: string, worklogId: string): Promise<boolean>;
+}
+
+/**
+ * DynamoDB implementation of the worklog repository
+ */
+export class DynamoWorklogRepository implements WorklogRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async list(issueId: string): Promise<Worklog[]> {
+    const worklogs: Worklog[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: "#issueId = :issueId",
+          ExpressionAttributeNames: { "#issueId": "issueId" },
+          ExpressionAttributeValues: { ":issueId": issueId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      worklogs.push(...((result.Items as Worklog[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return sortWorklogs(worklogs);
+  }
+
+  async all(): Promise<Worklog[]> {
+    const worklogs: Worklog[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      worklogs.push(...((result.Items as Worklog[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return worklogs;
+  }
+
+  async get(issueId: string, worklogId: string): Promise<Worklog | null> {
+    const result = await this.client.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { issueId, worklogId },
+      })
+    );
+    return (result.Item as Worklog | undefined) ?? null;
+  }
+
+  async put(worklog: Worklog): Promise<Worklog> {
+    await this.client.send(
+      new PutCommand({ TableName: this.tableName, Item: worklog })
+    );
+    return worklog;
+  }
+
+  async delete(issueId: string, worklogId: string): Promise<boolean> {
+    const result = await this.client.send(
+      new DeleteCommand({
+        TableName: this.tableName,
+        Key: { issueId, worklogId },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return result.Attributes !== undefined;
+  }
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - WORKLOGS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB
+ *   Local)
+ * - Unset: in-memory stand-in, for local runs and test-local.js
+ */
+export function createWorklogRepository(): WorklogRepository {
+  const tableName = process.env.WORKLOGS_TABLE;
+  if (!tableName) {
+    return new DynamoWorklogRepository(localDocumentClient(), "Worklogs");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoWorklogRepository(client, tableName);
+}
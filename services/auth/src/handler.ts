@@ -8,18 +8,27 @@
  * registration, login, token validation, and user management.
  * 
  * Supported endpoints:
- * - POST /auth/register - User registration
+ * - POST /auth/register - User registration (elevated roles need an
+ *   admin's access token)
  * - POST /auth/login - User login
- * - POST /auth/refresh - Refresh JWT token
+ * - POST /auth/refresh - Rotate the refresh token (replaying a used one
+ *   revokes the whole session)
  * - GET /auth/me - Get current user info
- * - POST /auth/logout - User logout
+ * - POST /auth/logout - Revoke the current access token and session
+ * - POST /auth/logout-all - Revoke every session of the current user
  * 
  * Environment variables:
- * - JWT_SECRET: Secret key for JWT signing
+ * - JWT_SECRET_ARN: Secrets Manager secret for JWT signing (JWT_SECRET
+ *   overrides it; with neither, only local runs fall back to the development
+ *   secret, see shared auth.ts)
+ * - PASSWORD_POLICY: JSON `auth.password` policy from config/production.js
  * - USERS_TABLE: DynamoDB table name for users
+ *   (unset: an in-memory stand-in with the demo admin, see user-repository.ts)
  * - SESSIONS_TABLE: DynamoDB table name for sessions
+ *   (unset: an in-memory stand-in is used, see session-repository.ts)
+ * - REVOKED_TOKENS_TABLE: DynamoDB table for the access-token denylist
+ * - DYNAMODB_ENDPOINT: Optional endpoint override, e.g. DynamoDB Local
  * 
- * TODO: Implement actual DynamoDB integration
  * TODO: Add email verification
  * TODO: Add password reset functionality
  * TODO: Add rate limiting
@@ -27,24 +36,47 @@
 
 import { APIGatewayProxyEventV2, APIGatewayProxyResultV2 } from "aws-lambda";
 import { z } from "zod";
-import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
 import {
   UserRole,
   UserStatus,
-  User,
-  UserRegistrationRequest,
-  UserLoginRequest,
+  UserRecord,
   AuthResponse,
-  JWTPayload,
   ApiResponse,
+  AuthError,
+  ACCESS_TOKEN_TTL,
+  SESSION_LOGOUT_ALL_REASON,
+  SESSION_LOGOUT_REASON,
+  SESSION_REUSE_REASON,
+  authenticate,
+  canGrantRole,
+  checkRefreshSession,
+  createSession,
+  extractBearerToken,
+  generateTokens,
+  hashPassword,
+  resolveJwtSecret,
+  resolvePasswordPolicy,
+  toPublicUser,
+  validatePassword,
+  verifyPassword,
+  verifyRefreshToken,
 } from "../../../packages/shared/src/index";
+import { createRevocationList } from "../../../packages/shared/src/token-revocation";
+import { createSessionRepository } from "./session-repository";
+import { createUserRepository } from "./user-repository";
+
+// Password requirements for registration
+const PASSWORD_POLICY = resolvePasswordPolicy();
 
 // Validation schemas
 const registerSchema = z.object({
   email: z.string().email("Invalid email format"),
-  password: z.string().min(8, "Password must be at least 8 characters"),
+  password: z.string().superRefine((password, ctx) => {
+    validatePassword(password, PASSWORD_POLICY).forEach((message) =>
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message })
+    );
+  }),
   firstName: z.string().min(1, "First name is required"),
   lastName: z.string().min(1, "Last name is required"),
   role: z.nativeEnum(UserRole).optional().default(UserRole.END_USER),
@@ -57,27 +89,18 @@ const loginSchema = z.object({
   password: z.string().min(1, "Password is required"),
 });
 
-// JWT configuration
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
-const JWT_EXPIRES_IN = "24h";
-const REFRESH_TOKEN_EXPIRES_IN = "7d";
-
-// Mock user storage (replace with DynamoDB)
-const users: User[] = [
-  {
-    userId: "admin-001",
-    email: "admin@example.com",
-    firstName: "Admin",
-    lastName: "User",
-    role: UserRole.ADMIN,
-    status: UserStatus.ACTIVE,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    lastLoginAt: new Date().toISOString(),
-  },
-];
-
-const sessions: Map<string, { userId: string; expiresAt: number }> = new Map();
+// JWT configuration: start loading the signing secret during cold start
+// (from Secrets Manager when deployed); requests wait for it
+resolveJwtSecret().catch(error => console.error("JWT secret unavailable:", error));
+
+// Accounts (USERS_TABLE)
+const users = createUserRepository();
+
+// Refresh-token sessions (SESSIONS_TABLE)
+const sessions = createSessionRepository();
+
+// Revoked access tokens (REVOKED_TOKENS_TABLE)
+const revocations = createRevocationList();
 
 /**
  * Main Lambda handler function for authentication
@@ -112,6 +135,11 @@ export async function handler(event: APIGatewayProxyEventV2): Promise<APIGateway
       return await handleLogout(event);
     }
 
+    // Handle logout from every session
+    if (rawPath === "/auth/logout-all" && method === "POST") {
+      return await handleLogoutAll(event);
+    }
+
     // Unknown endpoint
     return createResponse(404, {
       success: false,
@@ -136,52 +164,53 @@ async function handleRegister(event: APIGatewayProxyEventV2): Promise<APIGateway
     const body = JSON.parse(event.body || "{}");
     const validatedData = registerSchema.parse(body);
 
-    // Check if user already exists
-    const existingUser = users.find((u) => u.email === validatedData.email);
-    if (existingUser) {
-      return createResponse(409, {
-        success: false,
-        error: "User already exists",
-        message: "A user with this email already exists",
-      });
+    // Only admins may create accounts with elevated roles
+    if (validatedData.role !== UserRole.END_USER) {
+      const granter = extractBearerToken(event.headers)
+        ? (await authenticate(event, await resolveJwtSecret(), revocations)).user
+        : null;
+      if (!canGrantRole(granter, validatedData.role)) {
+        return createResponse(403, {
+          success: false,
+          error: "Forbidden",
+          message: `Only administrators can grant the ${validatedData.role} role`,
+        });
+      }
     }
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(validatedData.password, saltRounds);
-
     // Create new user
-    const newUser: User = {
+    const newUser: UserRecord = {
       userId: uuidv4(),
       email: validatedData.email,
       firstName: validatedData.firstName,
       lastName: validatedData.lastName,
-      role: validatedData.role || UserRole.END_USER,
+      role: validatedData.role,
       status: UserStatus.PENDING_VERIFICATION,
+      passwordHash: await hashPassword(validatedData.password),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       phone: validatedData.phone,
       organization: validatedData.organization,
     };
 
-    // Store user (in real implementation, save to DynamoDB)
-    users.push(newUser);
-
-    // Generate tokens
-    const { token, refreshToken } = generateTokens(newUser);
+    // Store user; the email may be taken, also by a racing registration
+    if (!(await users.create(newUser))) {
+      return createResponse(409, {
+        success: false,
+        error: "User already exists",
+        message: "A user with this email already exists",
+      });
+    }
 
-    // Create session
-    const sessionId = uuidv4();
-    sessions.set(sessionId, {
-      userId: newUser.userId,
-      expiresAt: Date.now() + 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    // Create session and generate tokens
+    const session = await sessions.create(createSession(newUser.userId));
+    const { token, refreshToken } = generateTokens(newUser, await resolveJwtSecret(), session);
 
     const authResponse: AuthResponse = {
-      user: newUser,
+      user: toPublicUser(newUser),
       token,
       refreshToken,
-      expiresIn: 24 * 60 * 60, // 24 hours in seconds
+      expiresIn: ACCESS_TOKEN_TTL,
     };
 
     return createResponse(201, {
@@ -197,6 +226,13 @@ async function handleRegister(event: APIGatewayProxyEventV2): Promise<APIGateway
         message: error.errors.map((e) => e.message).join(", "),
       });
     }
+    if (error instanceof AuthError) {
+      return createResponse(error.statusCode, {
+        success: false,
+        error: error.error,
+        message: error.message,
+      });
+    }
     throw error;
   }
 }
@@ -209,9 +245,9 @@ async function handleLogin(event: APIGatewayProxyEventV2): Promise<APIGatewayPro
     const body = JSON.parse(event.body || "{}");
     const validatedData = loginSchema.parse(body);
 
-    // Find user by email
-    const user = users.find((u) => u.email === validatedData.email);
-    if (!user) {
+    // Find user by email and check the password against the stored hash
+    const user = await users.getByEmail(validatedData.email);
+    if (!user || !(await verifyPassword(validatedData.password, user.passwordHash))) {
       return createResponse(401, {
         success: false,
         error: "Invalid credentials",
@@ -228,36 +264,25 @@ async function handleLogin(event: APIGatewayProxyEventV2): Promise<APIGatewayPro
       });
     }
 
-    // For demo purposes, accept any password for existing users
-    // In real implementation, verify password hash
-    // const isValidPassword = await bcrypt.compare(validatedData.password, user.passwordHash);
-    // if (!isValidPassword) {
-    //   return createResponse(401, {
-    //     success: false,
-    //     error: "Invalid credentials",
-    //     message: "Invalid email or password",
-    //   });
-    // }
-
     // Update last login
-    user.lastLoginAt = new Date().toISOString();
-    user.updatedAt = new Date().toISOString();
+    const loggedIn = await users.recordLogin(user.userId);
+    if (!loggedIn) {
+      return createResponse(401, {
+        success: false,
+        error: "Invalid credentials",
+        message: "Invalid email or password",
+      });
+    }
 
-    // Generate tokens
-    const { token, refreshToken } = generateTokens(user);
-
-    // Create session
-    const sessionId = uuidv4();
-    sessions.set(sessionId, {
-      userId: user.userId,
-      expiresAt: Date.now() + 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    // Create session and generate tokens
+    const session = await sessions.create(createSession(loggedIn.userId));
+    const { token, refreshToken } = generateTokens(loggedIn, await resolveJwtSecret(), session);
 
     const authResponse: AuthResponse = {
-      user,
+      user: toPublicUser(loggedIn),
       token,
       refreshToken,
-      expiresIn: 24 * 60 * 60, // 24 hours in seconds
+      expiresIn: ACCESS_TOKEN_TTL,
     };
 
     return createResponse(200, {
@@ -283,7 +308,7 @@ async function handleLogin(event: APIGatewayProxyEventV2): Promise<APIGatewayPro
 async function handleRefreshToken(event: APIGatewayProxyEventV2): Promise<APIGatewayProxyResultV2> {
   try {
     const body = JSON.parse(event.body || "{}");
-    const { refreshToken } = body;
+    const refreshToken = body !== null && typeof body === "object" ? body.refreshToken : undefined;
 
     if (!refreshToken) {
       return createResponse(400, {
@@ -293,10 +318,15 @@ async function handleRefreshToken(event: APIGatewayProxyEventV2): Promise<APIGat
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, JWT_SECRET) as JWTPayload;
-    const user = users.find((u) => u.userId === decoded.userId);
+    // Verify refresh token and check it against its session
+    const decoded = verifyRefreshToken(refreshToken, await resolveJwtSecret());
+    const check = checkRefreshSession(await sessions.get(decoded.sessionId), decoded);
+    if (check === "reused") {
+      // A rotated token was replayed: revoke every token of this session
+      await sessions.revoke(decoded.sessionId, SESSION_REUSE_REASON);
+    }
 
+    const user = check === "valid" ? await users.get(decoded.userId) : null;
     if (!user) {
       return createResponse(401, {
         success: false,
@@ -305,14 +335,25 @@ async function handleRefreshToken(event: APIGatewayProxyEventV2): Promise<APIGat
       });
     }
 
+    // Rotate the session; losing a race with another refresh counts as reuse
+    const session = await sessions.rotate(decoded.sessionId, decoded.rotation);
+    if (!session) {
+      await sessions.revoke(decoded.sessionId, SESSION_REUSE_REASON);
+      return createResponse(401, {
+        success: false,
+        error: "Invalid token",
+        message: "Invalid refresh token",
+      });
+    }
+
     // Generate new tokens
-    const { token: newToken, refreshToken: newRefreshToken } = generateTokens(user);
+    const { token: newToken, refreshToken: newRefreshToken } = generateTokens(user, await resolveJwtSecret(), session);
 
     const authResponse: AuthResponse = {
-      user,
+      user: toPublicUser(user),
       token: newToken,
       refreshToken: newRefreshToken,
-      expiresIn: 24 * 60 * 60, // 24 hours in seconds
+      expiresIn: ACCESS_TOKEN_TTL,
     };
 
     return createResponse(200, {
@@ -321,11 +362,14 @@ async function handleRefreshToken(event: APIGatewayProxyEventV2): Promise<APIGat
       message: "Token refreshed successfully",
     });
   } catch (error) {
-    return createResponse(401, {
-      success: false,
-      error: "Invalid token",
-      message: "Invalid refresh token",
-    });
+    if (error instanceof AuthError || error instanceof SyntaxError) {
+      return createResponse(401, {
+        success: false,
+        error: "Invalid token",
+        message: "Invalid refresh token",
+      });
+    }
+    throw error;
   }
 }
 
@@ -334,18 +378,9 @@ async function handleRefreshToken(event: APIGatewayProxyEventV2): Promise<APIGat
  */
 async function handleGetCurrentUser(event: APIGatewayProxyEventV2): Promise<APIGatewayProxyResultV2> {
   try {
-    const token = extractTokenFromHeaders(event);
-    if (!token) {
-      return createResponse(401, {
-        success: false,
-        error: "Missing token",
-        message: "Authorization token is required",
-      });
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET) as JWTPayload;
-    const user = users.find((u) => u.userId === decoded.userId);
+    // Verify token and resolve the caller
+    const { user: caller } = await authenticate(event, await resolveJwtSecret(), revocations);
+    const user = await users.get(caller.userId);
 
     if (!user) {
       return createResponse(401, {
@@ -357,15 +392,18 @@ async function handleGetCurrentUser(event: APIGatewayProxyEventV2): Promise<APIG
 
     return createResponse(200, {
       success: true,
-      data: user,
+      data: toPublicUser(user),
       message: "User retrieved successfully",
     });
   } catch (error) {
-    return createResponse(401, {
-      success: false,
-      error: "Invalid token",
-      message: "Invalid authorization token",
-    });
+    if (error instanceof AuthError) {
+      return createResponse(error.statusCode, {
+        success: false,
+        error: error.error,
+        message: error.message,
+      });
+    }
+    throw error;
   }
 }
 
@@ -374,55 +412,54 @@ async function handleGetCurrentUser(event: APIGatewayProxyEventV2): Promise<APIG
  */
 async function handleLogout(event: APIGatewayProxyEventV2): Promise<APIGatewayProxyResultV2> {
   try {
-    const token = extractTokenFromHeaders(event);
-    if (token) {
-      // In real implementation, add token to blacklist or invalidate session
-      // For now, we'll just return success
-    }
+    // Deny the access token until it expires and end its session
+    const { user: token } = await authenticate(event, await resolveJwtSecret(), revocations);
+    await revocations.revoke(token);
+    await sessions.revoke(token.sessionId, SESSION_LOGOUT_REASON);
 
     return createResponse(200, {
       success: true,
       message: "Logout successful",
     });
   } catch (error) {
-    return createResponse(200, {
-      success: true,
-      message: "Logout successful",
-    });
+    if (error instanceof AuthError) {
+      return createResponse(error.statusCode, {
+        success: false,
+        error: error.error,
+        message: error.message,
+      });
+    }
+    throw error;
   }
 }
 
 /**
- * Generate JWT tokens for a user
+ * Handle logout from every session of the current user
  */
-function generateTokens(user: User): { token: string; refreshToken: string } {
-  const payload: JWTPayload = {
-    userId: user.userId,
-    email: user.email,
-    role: user.role,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 24 * 60 * 60, // 24 hours
-  };
-
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-  const refreshToken = jwt.sign(
-    { userId: user.userId, type: "refresh" },
-    JWT_SECRET,
-    { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
-  );
+async function handleLogoutAll(event: APIGatewayProxyEventV2): Promise<APIGatewayProxyResultV2> {
+  try {
+    const { user: token } = await authenticate(event, await resolveJwtSecret(), revocations);
+    await revocations.revoke(token);
 
-  return { token, refreshToken };
-}
+    // Revoking a session also revokes the access tokens issued from it
+    const active = (await sessions.listByUser(token.userId)).filter((session) => !session.revokedAt);
+    await Promise.all(active.map((session) => sessions.revoke(session.sessionId, SESSION_LOGOUT_ALL_REASON)));
 
-/**
- * Extract JWT token from request headers
- */
-function extractTokenFromHeaders(event: APIGatewayProxyEventV2): string | null {
-  const authHeader = event.headers.authorization || event.headers.Authorization;
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return null;
+    return createResponse(200, {
+      success: true,
+      data: { revokedSessions: active.length },
+      message: "Logged out of all sessions",
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return createResponse(error.statusCode, {
+        success: false,
+        error: error.error,
+        message: error.message,
+      });
+    }
+    throw error;
   }
-  return authHeader.substring(7);
 }
 
 /**
@@ -0,0 +1,172 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Session Repository - DynamoDB Persistence
+ *
+ * Data access layer for the sessions table (SESSIONS_TABLE in
+ * IssueTrackerStack). Rotation and revocation are conditional writes, so
+ * two refreshes racing with the same token cannot both succeed: the loser
+ * sees the bumped counter and is treated as token reuse.
+ *
+ * A user's sessions are looked up through the UserIdIndex GSI.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { Session } from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * Session persistence operations
+ */
+export interface SessionRepository {
+  create(session: Session): Promise<Session>;
+  get(sessionId: string): Promise<Session | null>;
+  listByUser(userId: string): Promise<Session[]>;
+  /**
+   * Bump the rotation counter if it still equals `rotation` and the session
+   * is not revoked; null otherwise
+   */
+  rotate(sessionId: string, rotation: number): Promise<Session | null>;
+  revoke(sessionId: string, reason: string): Promise<Session | null>;
+}
+
+/**
+ * DynamoDB implementation of the session repository
+ */
+export class DynamoSessionRepository implements SessionRepository {
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string
+  ) {}
+
+  async create(session: Session): Promise<Session> {
+    await this.client.send(
+      new PutCommand({
+        TableName: this.tableName,
+        Item: session,
+        ConditionExpression: "attribute_not_exists(sessionId)",
+      })
+    );
+    return session;
+  }
+
+  async get(sessionId: string): Promise<Session | null> {
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.tableName, Key: { sessionId } })
+    );
+    return (result.Item as Session | undefined) ?? null;
+  }
+
+  async listByUser(userId: string): Promise<Session[]> {
+    const sessions: Session[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.client.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          IndexName: "UserIdIndex",
+          KeyConditionExpression: "#userId = :userId",
+          ExpressionAttributeNames: { "#userId": "userId" },
+          ExpressionAttributeValues: { ":userId": userId },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      sessions.push(...((result.Items as Session[] | undefined) ?? []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return sessions;
+  }
+
+  async rotate(sessionId: string, rotation: number): Promise<Session | null> {
+    return this.conditionalUpdate(
+      sessionId,
+      { rotation: rotation + 1, updatedAt: new Date().toISOString() },
+      "attribute_exists(sessionId) AND attribute_not_exists(revokedAt) AND #rotation = :expected",
+      { "#rotation": "rotation" },
+      { ":expected": rotation }
+    );
+  }
+
+  async revoke(sessionId: string, reason: string): Promise<Session | null> {
+    const now = new Date().toISOString();
+    return this.conditionalUpdate(
+      sessionId,
+      { revokedAt: now, revokedReason: reason, updatedAt: now },
+      "attribute_exists(sessionId) AND attribute_not_exists(revokedAt)"
+    );
+  }
+
+  private async conditionalUpdate(
+    sessionId: string,
+    changes: Partial<Session>,
+    condition: string,
+    conditionNames: Record<string, string> = {},
+    conditionValues: Record<string, unknown> = {}
+  ): Promise<Session | null> {
+    const names: Record<string, string> = { ...conditionNames };
+    const values: Record<string, unknown> = { ...conditionValues };
+    const assignments = Object.keys(changes).map((field, index) => {
+      names[`#f${index}`] = field;
+      values[`:v${index}`] = changes[field as keyof Session];
+      return `#f${index} = :v${index}`;
+    });
+
+    try {
+      const result = await this.client.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { sessionId },
+          UpdateExpression: `SET ${assignments.join(", ")}`,
+          ConditionExpression: condition,
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values,
+          ReturnValues: "ALL_NEW",
+        })
+      );
+      return result.Attributes as Session;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+function isConditionalCheckFailure(error: unknown): boolean {
+  return (
+    error instanceof Error && error.name === "ConditionalCheckFailedException"
+  );
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - SESSIONS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB Local)
+ * - SESSIONS_TABLE unset: in-memory stand-in, for local runs
+ */
+export function createSessionRepository(): SessionRepository {
+  const tableName = process.env.SESSIONS_TABLE;
+  if (!tableName) {
+    return new DynamoSessionRepository(localDocumentClient(), "UserSessions");
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoSessionRepository(client, tableName);
+}
@@ -0,0 +1,223 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description User Repository - DynamoDB Persistence
+ *
+ * Data access layer for the users table (USERS_TABLE in IssueTrackerStack).
+ * The auth service owns the table; the API reads it to resolve @mentions and
+ * serve the user directory.
+ *
+ * Users are looked up by email through the EmailIndex GSI. An index cannot
+ * enforce uniqueness, so create() first claims the email with a conditional
+ * write of an EMAIL_CLAIM_PREFIX item: of two registrations racing for one
+ * email, only one stores its user.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import {
+  EMAIL_CLAIM_PREFIX,
+  UserRecord,
+  UserRole,
+  UserStatus,
+} from "../../../packages/shared/src/index";
+import { localDocumentClient } from "../../../packages/shared/src/in-memory-dynamodb";
+
+/**
+ * Minimal client surface the repository needs
+ */
+export type DocumentClient = Pick<DynamoDBDocumentClient, "send">;
+
+/**
+ * User persistence operations
+ */
+export interface UserRepository {
+  /**
+   * Store a new user; null if another account already has the email
+   */
+  create(user: UserRecord): Promise<UserRecord | null>;
+  get(userId: string): Promise<UserRecord | null>;
+  getByEmail(email: string): Promise<UserRecord | null>;
+  /**
+   * Stamp a successful login; null if the user no longer exists
+   */
+  recordLogin(userId: string): Promise<UserRecord | null>;
+}
+
+/**
+ * Demo administrator the local stand-in starts with (password
+ * "Admin@12345", as in server.js)
+ */
+const LOCAL_ADMIN: UserRecord = {
+  userId: "admin-001",
+  email: "admin@example.com",
+  firstName: "Admin",
+  lastName: "User",
+  role: UserRole.ADMIN,
+  status: UserStatus.ACTIVE,
+  passwordHash: "$2a$12$Sq00lLwTsXO7BaG4LOz7L.ji1yA7tGHvn52VMKkyvrCMWNlfliigm",
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+};
+
+/**
+ * DynamoDB implementation of the user repository
+ */
+export class DynamoUserRepository implements UserRepository {
+  private seeding: Promise<void> | null = null;
+
+  /**
+   * @param seedUsers - Users to create before the first operation, unless
+   *   their email is already taken
+   */
+  constructor(
+    private readonly client: DocumentClient,
+    private readonly tableName: string,
+    private readonly seedUsers: UserRecord[] = []
+  ) {}
+
+  async create(user: UserRecord): Promise<UserRecord | null> {
+    await this.seed();
+    return this.put(user);
+  }
+
+  async get(userId: string): Promise<UserRecord | null> {
+    await this.seed();
+    if (userId.startsWith(EMAIL_CLAIM_PREFIX)) {
+      return null;
+    }
+    const result = await this.client.send(
+      new GetCommand({ TableName: this.tableName, Key: { userId } })
+    );
+    return (result.Item as UserRecord | undefined) ?? null;
+  }
+
+  async getByEmail(email: string): Promise<UserRecord | null> {
+    await this.seed();
+    const result = await this.client.send(
+      new QueryCommand({
+        TableName: this.tableName,
+        IndexName: "EmailIndex",
+        KeyConditionExpression: "#email = :email",
+        ExpressionAttributeNames: { "#email": "email" },
+        ExpressionAttributeValues: { ":email": email },
+        Limit: 1,
+      })
+    );
+    return (result.Items?.[0] as UserRecord | undefined) ?? null;
+  }
+
+  async recordLogin(userId: string): Promise<UserRecord | null> {
+    await this.seed();
+    const now = new Date().toISOString();
+    try {
+      const result = await this.client.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { userId },
+          UpdateExpression: "SET #lastLoginAt = :now, #updatedAt = :now",
+          ConditionExpression: "attribute_exists(userId)",
+          ExpressionAttributeNames: {
+            "#lastLoginAt": "lastLoginAt",
+            "#updatedAt": "updatedAt",
+          },
+          ExpressionAttributeValues: { ":now": now },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+      return result.Attributes as UserRecord;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  private async put(user: UserRecord): Promise<UserRecord | null> {
+    // Claim the email; the loser of a race for it stops here
+    const claim = { userId: `${EMAIL_CLAIM_PREFIX}${user.email}` };
+    try {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: { ...claim, ownerUserId: user.userId },
+          ConditionExpression: "attribute_not_exists(userId)",
+        })
+      );
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: user,
+          ConditionExpression: "attribute_not_exists(userId)",
+        })
+      );
+    } catch (error) {
+      // Release the claim, so the email can be registered again
+      await this.client.send(
+        new DeleteCommand({ TableName: this.tableName, Key: claim })
+      );
+      throw error;
+    }
+    return user;
+  }
+
+  private seed(): Promise<void> {
+    if (!this.seeding) {
+      this.seeding = Promise.all(
+        this.seedUsers.map(user => this.put(user))
+      ).then(
+        () => undefined,
+        error => {
+          this.seeding = null; // Retry on the next operation
+          throw error;
+        }
+      );
+    }
+    return this.seeding;
+  }
+}
+
+function isConditionalCheckFailure(error: unknown): boolean {
+  return (
+    error instanceof Error && error.name === "ConditionalCheckFailedException"
+  );
+}
+
+/**
+ * Build the repository from the Lambda environment
+ *
+ * - USERS_TABLE set: DynamoDB (DYNAMODB_ENDPOINT points it at DynamoDB
+ *   Local)
+ * - Unset: in-memory stand-in with the demo administrator, for local runs
+ */
+export function createUserRepository(): UserRepository {
+  const tableName = process.env.USERS_TABLE;
+  if (!tableName) {
+    return new DynamoUserRepository(localDocumentClient(), "Users", [
+      LOCAL_ADMIN,
+    ]);
+  }
+
+  const client = DynamoDBDocumentClient.from(
+    new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT }),
+    { marshallOptions: { removeUndefinedValues: true } }
+  );
+  return new DynamoUserRepository(client, tableName);
+}
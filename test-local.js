@@ -9,12 +9,58 @@
  * validates the handler responses.
  * 
  * Test Coverage:
- * - GET /issues - List all issues
+ * - GET /issues - List issues: filters, sorting and nextToken pagination
+ * - GET /issues?filter= - Filter language (AND/OR/NOT, comparisons, dates, me)
  * - POST /issues - Create new issue
+ * - GET /issues/search - Ranked full-text search, kept in sync on writes
  * - GET /issues/{id} - Get specific issue
- * - PUT /issues/{id} - Update issue
+ * - PUT /issues/{id} - Update issue; 409 with the current issue when
+ *   expectedUpdatedAt is stale
  * - DELETE /issues/{id} - Delete issue
- * - Error handling for unknown routes
+ * - Error handling for unknown routes, fields and IDs
+ * - Validation: field-level 400s for bad bodies, JSON and query strings
+ * - Authentication: missing, tampered and revoked access tokens
+ * - Authorization: role permissions (403 for END_USER / SUPPORT_STAFF)
+ * - Workflow: illegal status transitions and missing resolution (422)
+ * - /issues/{id}/comments - Comments: authorship, edit history, racing
+ *   edits (409), permissions and search indexing
+ * - GET /users and @mentions: accounts stored by the auth service, resolution
+ *   on write, notifications for newly mentioned users, rendering as links
+ * - /notifications - Assignment, status change and comment notifications,
+ *   unread counts, mark read and mark all read
+ * - /issues/{id}/watchers and /notifications/settings - Auto-subscribed
+ *   reporters and assignees, watch/unwatch, per-channel mutes
+ * - /issues/{id}/history - Append-only events for every issue write, kept
+ *   after the issue is deleted
+ * - /issues/{id}/worklogs, timers and /worklogs/totals - Minutes validation,
+ *   authorship, one running timer per user, per-user totals
+ * - /timesheets - Weekly hours per issue per day, per member and per team,
+ *   billable totals, submit/approve/reject and locking of submitted weeks
+ * - /issues/{id}/attachments - Multipart uploads, size and type limits,
+ *   checksum deduplication, downloads, uploader-only deletes and removal
+ *   of unreferenced contents
+ * - Attachment previews: thumbnails made on upload, text excerpts cut at a
+ *   line end, and inert highlighting of previewed text
+ * - Stored XSS: payloads in issues and comments come out inert through the
+ *   web app's Markdown renderer and escaping (web/js/markdown.js)
+ * - /views - Saved views: visibility (team views for team members only),
+ *   ownership, pins and unread counts
+ * - /auth/* (auth service handler) - Password policy and verification,
+ *   without user enumeration or password hashes in responses; refresh-token
+ *   rotation, with a replayed token revoking its session; logout and
+ *   logout from every session
+ * - Local storage drivers (server/storage) - JSON file: seeding a missing
+ *   file, temp-file writes, coalesced writes, recovery from a corrupt file;
+ *   SQLite: insert/update/remove round trip; disk attachment store:
+ *   concurrent uploads of the same contents
+ * - Local development server (server.js) - GET/PUT/DELETE /api/issues/{id}:
+ *   unknown IDs and fields, partial updates; auth bodies that are not
+ *   objects. It runs on a scratch DB_ROOT,
+ *   so data/ is left untouched
+ *
+ * TABLE_NAME is left unset, so the handler runs against the in-memory
+ * DynamoDB stand-in. Set TABLE_NAME and DYNAMODB_ENDPOINT to run the same
+ * tests against DynamoDB Local.
  * 
  * Usage:
  * - npm run build (to compile TypeScript)
@@ -22,60 +68,2344 @@
  * 
  * Prerequisites:
  * - TypeScript compilation completed
- * - Lambda handler built in services/api/dist/
+ * - Lambda handler built in services/api/dist/services/api/src/
+ * - Auth service built in services/auth/dist/services/auth/src/ (the /auth
+ *   tests run its handler, on its own in-memory tables)
  */
 
-const { handler } = require('./services/api/dist/handler');
+// The handler imports packages/shared, so tsc mirrors the repo layout in dist/
+const { handler } = require('./services/api/dist/services/api/src/handler');
+const {
+  createSession,
+  DEV_JWT_SECRET,
+  generateTokens,
+  verifyAccessToken
+} = require('./services/api/dist/packages/shared/src/index');
+const { createRevocationList } = require('./services/api/dist/packages/shared/src/token-revocation');
+const { localDocumentClient } = require('./services/api/dist/packages/shared/src/in-memory-dynamodb');
+const { createNotificationRepository } = require('./services/api/dist/services/api/src/notification-repository');
+const { createIssueHistoryRepository } = require('./services/api/dist/services/api/src/issue-history-repository');
+const { createIssueRepository, DynamoIssueRepository } = require('./services/api/dist/services/api/src/issue-repository');
+const { createWorklogRepository } = require('./services/api/dist/services/api/src/worklog-repository');
+const { createTimerRepository } = require('./services/api/dist/services/api/src/timer-repository');
+const { createAttachmentRepository } = require('./services/api/dist/services/api/src/attachment-repository');
+const { createAttachmentStore, createThumbnailStore } = require('./services/api/dist/services/api/src/attachment-store');
+const { DynamoUserRepository } = require('./services/auth/dist/services/auth/src/user-repository');
+const { handler: authHandler } = require('./services/auth/dist/services/auth/src/handler');
+// The auth handler's own in-memory tables (its copy of packages/shared)
+const { localDocumentClient: authDocumentClient } = require('./services/auth/dist/packages/shared/src/in-memory-dynamodb');
+const { ATTACHMENT_MAX_BYTES } = require('./services/api/dist/packages/shared/src/attachments');
+const { PREVIEW_MAX_BYTES } = require('./services/api/dist/packages/shared/src/previews');
+const { PNG } = require('pngjs');
+const { DeleteCommand, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const Markdown = require('./web/js/markdown');
+const { createHash } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { DuplicateKeyError } = require('./server/storage');
+const { JsonFileDriver } = require('./server/storage/json-file-driver');
+const { SqliteDriver } = require('./server/storage/sqlite-driver');
+const { DiskAttachmentStore } = require('./server/storage/disk-attachment-store');
+
+// The secret the handler resolves when run locally (no JWT_SECRET_ARN)
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+// Access token for the seeded admin user, signed like the auth service does
+const adminUser = { userId: 'admin-001', email: 'admin@example.com', role: 'ADMIN' };
+const { token: adminToken } = generateTokens(adminUser, JWT_SECRET, createSession('admin-001'));
+
+// Tokens for the less privileged roles
+const tokenFor = (userId, role) =>
+  generateTokens({ userId, email: `${userId}@example.com`, role }, JWT_SECRET, createSession(userId)).token;
+const endUserToken = tokenFor('user-001', 'END_USER');
+const supportToken = tokenFor('support-001', 'SUPPORT_STAFF');
+
+// Second token, put on the denylist before the revoked-token test
+const { token: revokedToken } = generateTokens(adminUser, JWT_SECRET, createSession('admin-001'));
+
+// Users for the directory and @mention tests (the Users table starts empty)
+const directoryUsers = [
+  { userId: 'admin-001', email: 'admin@example.com', firstName: 'Admin', lastName: 'User', status: 'ACTIVE' },
+  { userId: 'user-001', email: 'user-001@example.com', firstName: 'Ursula', lastName: 'End', status: 'ACTIVE', teamIds: ['team-1', 'team-2'] },
+  { userId: 'support-001', email: 'support-001@example.com', firstName: 'Sam', lastName: 'Support', status: 'ACTIVE', teamIds: ['team-1', 'team-2'] },
+  { userId: 'alex-001', email: 'alex.smith@example.com', firstName: 'Alex', lastName: 'Smith', status: 'ACTIVE' },
+  { userId: 'alex-002', email: 'alex.jones@example.com', firstName: 'Alex', lastName: 'Jones', status: 'ACTIVE' },
+  { userId: 'gone-001', email: 'gone@example.com', firstName: 'Gone', lastName: 'User', status: 'SUSPENDED' }
+].map(user => ({ ...user, role: 'END_USER', passwordHash: 'not-a-real-hash' }));
+
+/**
+ * Notifications stored for a user, newest first
+ */
+const notificationsFor = userId => createNotificationRepository().list(userId);
+
+// Stored XSS payloads for issue fields and comments
+const XSS_PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '<script>alert(1)</script>',
+  '<a href="javascript:alert(1)">click</a>',
+  '[click](javascript:alert(1))',
+  '[click](JaVaScRiPt:alert(1))',
+  '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '[click](https://example.com "x\" onmouseover=\"alert(1)")',
+  '[<img src=x onerror=alert(1)>](https://example.com)',
+  '**<svg onload=alert(1)>**',
+  '`<iframe src=javascript:alert(1)>`',
+  '```\n</code></pre><script>alert(1)</script>\n```',
+  '- [x] <details open ontoggle=alert(1)>'
+];
+
+// Tags the Markdown renderer may produce
+const RENDERED_TAGS = ['a', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'input', 'li', 'ol', 'p', 'pre', 'strong', 'ul'];
+
+/**
+ * Throw unless rendered HTML contains only renderer tags with well-formed
+ * attributes, no event handlers and no script URLs
+ */
+function assertInert(html) {
+  for (const [tag, name, attributes] of html.matchAll(/<\/?([a-z0-9]+)([^>]*)>/gi)) {
+    if (!RENDERED_TAGS.includes(name.toLowerCase())) {
+      throw new Error(`Unexpected <${name}> in ${html}`);
+    }
+    if (!/^(\s+[a-z]+(="[^"]*")?)*$/.test(attributes)) {
+      throw new Error(`Malformed attributes in ${tag}`);
+    }
+    for (const [, attribute, value = ''] of attributes.matchAll(/([a-z]+)(?:="([^"]*)")?/g)) {
+      if (attribute.startsWith('on') || (attribute === 'href' && /^\s*(javascript|data|vbscript):/i.test(value))) {
+        throw new Error(`Unsafe attribute in ${tag}`);
+      }
+    }
+  }
+}
+
+// Files for the attachment tests
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+const LOG_TEXT = 'ERROR db pool exhausted\nWARN retrying connection\n';
+const LONG_LOG_TEXT = Array.from({ length: 600 }, (_, i) => `2025-03-10T09:00:${String(i % 60).padStart(2, '0')}Z INFO request ${i} served\n`).join('');
+
+/**
+ * A width x height PNG with a gradient
+ */
+function pngImage(width, height) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    png.data.set([i % 256, (i >> 8) % 256, 128, 255], i * 4);
+  }
+  return PNG.sync.write(png);
+}
+const DIAGRAM_PNG = pngImage(400, 300);
+
+/**
+ * Build a multipart/form-data body with a `file` part per file
+ */
+function multipartBody(files) {
+  const boundary = '----test-local-boundary';
+  const parts = files.map(({ name, type = 'application/octet-stream', data }) => Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\n` +
+      `Content-Type: ${type}\r\n\r\n`),
+    Buffer.from(data),
+    Buffer.from('\r\n')
+  ]));
+  return {
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    body: Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)])
+  };
+}
+
+/**
+ * Build an API Gateway HTTP API v2 event. `files` sends a multipart
+ * upload, base64-encoded as API Gateway passes binary bodies.
+ */
+function apiEvent(method, rawPath, { body, query, token = adminToken, files } = {}) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  if (files) {
+    const multipart = multipartBody(files);
+    return {
+      requestContext: { http: { method } },
+      rawPath,
+      headers: { ...headers, 'content-type': multipart.contentType },
+      queryStringParameters: query,
+      body: multipart.body.toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+  return {
+    requestContext: { http: { method } },
+    rawPath,
+    headers,
+    queryStringParameters: query,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  };
+}
+
+/**
+ * Call the auth service handler; resolves to the status code and parsed body
+ */
+async function authRequest(method, rawPath, { body, token = null } = {}) {
+  const result = await authHandler(apiEvent(method, rawPath, { body, token }));
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+/**
+ * Throw if a response exposes a password hash
+ */
+function assertNoPasswordHash(body) {
+  const json = JSON.stringify(body);
+  if (json.includes('passwordHash') || json.includes('$2a$')) {
+    throw new Error(`Response exposes a password hash: ${json}`);
+  }
+}
+
+/**
+ * Run a test in a scratch directory, removed afterwards
+ */
+async function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-tracker-test-'));
+  try {
+    await run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run `write` and return the files it wrote and renamed through fs.promises
+ */
+async function recordFileWrites(write) {
+  const { writeFile, rename } = fs.promises;
+  const writes = [];
+  fs.promises.writeFile = (file, ...args) => {
+    writes.push({ op: 'writeFile', file });
+    return writeFile(file, ...args);
+  };
+  fs.promises.rename = (from, to) => {
+    writes.push({ op: 'rename', from, to });
+    return rename(from, to);
+  };
+  try {
+    await write();
+  } finally {
+    Object.assign(fs.promises, { writeFile, rename });
+  }
+  return writes;
+}
+
+// Local development server, started by the first server.js test
+const LOCAL_SERVER_PORT = 3987;
+const localServer = { child: null, root: null };
+
+/**
+ * Start server.js on an empty DB_ROOT and resolve once it is listening
+ */
+function startLocalServer() {
+  localServer.root = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-tracker-server-'));
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: { ...process.env, PORT: String(LOCAL_SERVER_PORT), DB_ROOT: localServer.root, DB_DRIVER: 'json' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  localServer.child = child;
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const onOutput = chunk => {
+      output += chunk;
+      if (output.includes(`http://localhost:${LOCAL_SERVER_PORT}`)) {
+        child.stdout.off('data', onOutput);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`server.js exited with ${code} before listening: ${output}`)));
+  });
+}
+
+/**
+ * Stop the local server, if it was started, and remove its data
+ */
+async function stopLocalServer() {
+  const { child, root } = localServer;
+  if (child && child.exitCode === null) {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGINT');
+    await exited;
+  }
+  if (root) {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+  Object.assign(localServer, { child: null, root: null });
+}
+
+/**
+ * Send an API Gateway event to the local server, as a request under /api
+ */
+async function localServerRequest(event) {
+  const query = new URLSearchParams(event.queryStringParameters || {}).toString();
+  const response = await fetch(`http://localhost:${LOCAL_SERVER_PORT}/api${event.rawPath}${query ? `?${query}` : ''}`, {
+    method: event.requestContext.http.method,
+    headers: { 'content-type': 'application/json', ...event.headers },
+    body: event.body
+  });
+  return { statusCode: response.status, body: await response.text() };
+}
 
 /**
- * Test events that simulate API Gateway HTTP API v2 events
- * Each event represents a different API endpoint and HTTP method
+ * Test cases that simulate API Gateway HTTP API v2 events
+ * Tests run in order and share a context, so later requests can use the
+ * IDs created by earlier ones. `expect` is the expected status code and
+ * `before` an optional async setup step. `handler` overrides the handler
+ * the event is sent to (the API's by default).
  */
 const testEvents = [
   {
-    name: 'GET /issues',
-    event: {
-      requestContext: { http: { method: 'GET' } },
-      rawPath: '/issues'
+    name: 'POST /issues',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Test Issue', description: 'Test Description' } }),
+    expect: 201,
+    after: (body, ctx) => { ctx.issueId = body.issueId; }
+  },
+  {
+    name: 'POST /issues (second issue)',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Second Issue' } }),
+    expect: 201
+  },
+  {
+    name: 'POST /issues (missing title)',
+    event: () => apiEvent('POST', '/issues', { body: { description: 'No title' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /issues (bad priority, tags and assignee)',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Bad fields', priority: 'URGENT', tags: 'ui', assignee: 'not-an-email' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /issues (malformed JSON)',
+    event: () => ({ ...apiEvent('POST', '/issues'), body: '{"title": ' }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues',
+    event: () => apiEvent('GET', '/issues'),
+    expect: 200
+  },
+  {
+    name: 'GET /issues?limit=0',
+    event: () => apiEvent('GET', '/issues', { query: { limit: '0' } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues?limit=1 (first page)',
+    event: () => apiEvent('GET', '/issues', { query: { limit: '1' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      ctx.nextToken = body.nextToken;
+      ctx.firstPageIssueId = body.items[0].issueId;
+    }
+  },
+  {
+    name: 'GET /issues?limit=1&nextToken (second page)',
+    event: ctx => apiEvent('GET', '/issues', { query: { limit: '1', nextToken: ctx.nextToken } }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.items.length !== 1 || body.items[0].issueId === ctx.firstPageIssueId) {
+        throw new Error('Second page should hold the next issue');
+      }
+    }
+  },
+  {
+    name: 'POST /issues (HIGH priority, tagged)',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Tagged Issue', priority: 'HIGH', category: 'BUG', tags: ['UI'] } }),
+    expect: 201,
+    after: (body, ctx) => { ctx.taggedIssueId = body.issueId; }
+  },
+  {
+    name: 'GET /issues?priority=HIGH,CRITICAL&tag=ui&category=BUG',
+    event: () => apiEvent('GET', '/issues', { query: { priority: 'HIGH,CRITICAL', tag: 'ui', category: 'BUG' } }),
+    expect: 200,
+    after: body => {
+      if (body.items.length !== 1 || body.hasNext || body.items[0].title !== 'Tagged Issue') {
+        throw new Error(`Expected only the tagged issue, got ${body.items.length}`);
+      }
+    }
+  },
+  {
+    name: 'GET /issues?sortBy=priority&sortOrder=desc',
+    event: () => apiEvent('GET', '/issues', { query: { sortBy: 'priority', sortOrder: 'desc', limit: '1' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.items[0].priority !== 'HIGH' || !body.hasNext) {
+        throw new Error('Highest priority issue should come first');
+      }
+      ctx.priorityToken = body.nextToken;
+    }
+  },
+  {
+    name: 'GET /issues?sortBy=title&sortOrder=asc (listed like a sort order without its index)',
+    event: () => apiEvent('GET', '/issues', { query: { sortBy: 'title', sortOrder: 'asc', limit: '100' } }),
+    expect: 200,
+    after: async body => {
+      // Before its index is deployed, a sort order is listed by scanning
+      const scanned = await new DynamoIssueRepository(localDocumentClient(), 'Issues', [])
+        .list({ sortBy: 'title', sortOrder: 'asc', limit: 100 });
+      const ids = items => items.map(issue => issue.issueId).join();
+      if (body.items.length < 2 || ids(scanned.items) !== ids(body.items)) {
+        throw new Error(`Index and scan should list the same issues, got ${ids(body.items)} and ${ids(scanned.items)}`);
+      }
+    }
+  },
+  {
+    name: 'GET /issues?nextToken (issued for another sort order)',
+    event: ctx => apiEvent('GET', '/issues', { query: { sortBy: 'title', nextToken: ctx.priorityToken } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues?sortBy=severity',
+    event: () => apiEvent('GET', '/issues', { query: { sortBy: 'severity' } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues?createdFrom=yesterday',
+    event: () => apiEvent('GET', '/issues', { query: { createdFrom: 'yesterday' } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues?filter=priority>=HIGH created:>-1d (tag:ui OR tag:api) -status:CLOSED',
+    event: () => apiEvent('GET', '/issues', { query: { filter: 'priority>=HIGH created:>-1d (tag:ui OR tag:api) -status:CLOSED' } }),
+    expect: 200,
+    after: body => {
+      if (body.items.length !== 1 || body.hasNext || body.items[0].title !== 'Tagged Issue') {
+        throw new Error(`Expected only the tagged issue, got ${body.items.length}`);
+      }
+    }
+  },
+  {
+    name: 'GET /issues?filter=reporter:me AND NOT priority>MEDIUM',
+    event: () => apiEvent('GET', '/issues', { query: { filter: 'reporter:me AND NOT priority>MEDIUM' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.items.length !== 2 || body.hasNext || body.items.some(issue => issue.priority !== 'MEDIUM')) {
+        throw new Error(`Expected the two MEDIUM issues, got ${body.items.length}`);
+      }
+      ctx.mediumIssueIds = body.items.map(issue => issue.issueId);
+    }
+  },
+  {
+    name: 'GET /issues?filter=reporter:me AND NOT priority>MEDIUM&limit=1 (first page)',
+    event: () => apiEvent('GET', '/issues', { query: { filter: 'reporter:me AND NOT priority>MEDIUM', limit: '1' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.items.length !== 1 || !body.hasNext || body.items[0].issueId !== ctx.mediumIssueIds[0]) {
+        throw new Error('First page should hold the first matching issue');
+      }
+      if (Object.keys(body.items[0]).some(field => field === 'listPartition' || field.endsWith('SortKey'))) {
+        throw new Error('Index attributes should not be returned');
+      }
+      ctx.mediumToken = body.nextToken;
+    }
+  },
+  {
+    name: 'GET /issues?filter=reporter:me AND NOT priority>MEDIUM&limit=1&nextToken (last page)',
+    event: ctx => apiEvent('GET', '/issues', {
+      query: { filter: 'reporter:me AND NOT priority>MEDIUM', limit: '1', nextToken: ctx.mediumToken }
+    }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.items.length !== 1 || body.hasNext || body.nextToken || body.items[0].issueId !== ctx.mediumIssueIds[1]) {
+        throw new Error('Second page should skip non-matching issues and end the list');
+      }
+    }
+  },
+  {
+    name: 'GET /issues?filter=status>OPEN (unordered field)',
+    event: () => apiEvent('GET', '/issues', { query: { filter: 'status>OPEN' } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues?filter=(priority:HIGH OR (unbalanced)',
+    event: () => apiEvent('GET', '/issues', { query: { filter: '(priority:HIGH OR' } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues/search?q=tag:ui',
+    event: () => apiEvent('GET', '/issues/search', { query: { q: 'tag:ui' } }),
+    expect: 200,
+    after: body => {
+      const [hit] = body.items;
+      if (body.total !== 1 || hit.issue.title !== 'Tagged Issue' || !hit.snippets[0].text.includes('<mark>UI</mark>')) {
+        throw new Error('Expected the tagged issue with a highlighted snippet');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/search?q="test description"',
+    event: () => apiEvent('GET', '/issues/search', { query: { q: '"test description"' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.total !== 1 || body.items[0].issue.issueId !== ctx.issueId) {
+        throw new Error('Phrase should match the first issue only');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/search (missing q)',
+    event: () => apiEvent('GET', '/issues/search'),
+    expect: 400
+  },
+  {
+    name: 'GET /issues?nextToken=garbage',
+    event: () => apiEvent('GET', '/issues', { query: { nextToken: 'garbage' } }),
+    expect: 400
+  },
+  {
+    name: 'GET /issues/{id}',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}`),
+    expect: 200
+  },
+  {
+    name: 'PUT /issues/{id}',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'IN_PROGRESS' } }),
+    expect: 200
+  },
+  {
+    name: 'POST /issues (stored XSS payloads in title, description and tags)',
+    event: () => apiEvent('POST', '/issues', {
+      body: { title: '"><img src=x onerror=alert(1)>', description: XSS_PAYLOADS.join('\n'), tags: ['<script>alert(1)</script>'] },
+      token: endUserToken
+    }),
+    expect: 201,
+    after: body => {
+      const escaped = [body.title, body.issueId, ...body.tags].map(Markdown.escapeHtml).join('');
+      if (/[<>"']/.test(escaped)) {
+        throw new Error(`Escaped fields still contain markup: ${escaped}`);
+      }
+      assertInert(Markdown.render(body.description));
+    }
+  },
+  {
+    name: 'POST /issues (END_USER)',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Reported by an end user' }, token: endUserToken }),
+    expect: 201
+  },
+  {
+    name: 'PUT /issues/{id} (END_USER, no edit_issues)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'RESOLVED' }, token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'PUT /issues/{id} (SUPPORT_STAFF assigns)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { assignee: 'support-001@example.com' }, token: supportToken }),
+    expect: 200
+  },
+  {
+    name: 'DELETE /issues/{id} (SUPPORT_STAFF, no delete_issues)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}`, { token: supportToken }),
+    expect: 403
+  },
+  {
+    name: 'GET /workflow (no token)',
+    event: () => apiEvent('GET', '/workflow', { token: null }),
+    expect: 200
+  },
+  {
+    name: 'PUT /issues/{id} (RESOLVED without resolution)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'RESOLVED' } }),
+    expect: 422
+  },
+  {
+    name: 'PUT /issues/{id} (RESOLVED with resolution)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'RESOLVED', resolution: 'Fixed in build 42' } }),
+    expect: 200
+  },
+  {
+    name: 'PUT /issues/{id} (SUPPORT_STAFF closes)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'CLOSED' }, token: supportToken }),
+    expect: 200
+  },
+  {
+    name: 'PUT /issues/{id} (CLOSED to IN_PROGRESS, not in workflow)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'IN_PROGRESS' } }),
+    expect: 422
+  },
+  {
+    name: 'PUT /issues/{id} (SUPPORT_STAFF reopens, admin only)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { status: 'OPEN' }, token: supportToken }),
+    expect: 422
+  },
+  {
+    name: 'PUT /issues/{id} (unknown field)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}`, { body: { owner: 'someone' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /issues (to edit)',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Draft title', description: 'Draft', category: 'BUG', tags: ['draft'] } }),
+    expect: 201,
+    after: (body, ctx) => {
+      ctx.editIssueId = body.issueId;
+      ctx.editUpdatedAt = body.updatedAt;
+    }
+  },
+  {
+    name: 'PUT /issues/{id} (expectedUpdatedAt matches)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.editIssueId}`, {
+      body: {
+        title: 'Edited title',
+        description: 'Edited **description**',
+        category: 'FEATURE',
+        tags: ['edited', 'ui'],
+        expectedUpdatedAt: ctx.editUpdatedAt
+      }
+    }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.title !== 'Edited title' || body.category !== 'FEATURE' || body.tags.join() !== 'edited,ui') {
+        throw new Error(`Edits should be saved: ${JSON.stringify(body)}`);
+      }
+      if ('expectedUpdatedAt' in body) {
+        throw new Error('expectedUpdatedAt should not be stored');
+      }
+      if (!(body.updatedAt > ctx.editUpdatedAt)) {
+        throw new Error(`updatedAt should move forward: ${ctx.editUpdatedAt} -> ${body.updatedAt}`);
+      }
+      ctx.staleUpdatedAt = ctx.editUpdatedAt;
+      ctx.editUpdatedAt = body.updatedAt;
+    }
+  },
+  {
+    name: 'PUT /issues/{id} (stale expectedUpdatedAt)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.editIssueId}`, {
+      body: { title: 'Overwritten title', priority: 'LOW', expectedUpdatedAt: ctx.staleUpdatedAt },
+      token: supportToken
+    }),
+    expect: 409,
+    after: (body, ctx) => {
+      if (body.error !== 'Edit conflict' || body.updatedAt !== ctx.editUpdatedAt) {
+        throw new Error(`Conflict should report the current updatedAt: ${JSON.stringify(body)}`);
+      }
+      if (body.current.issueId !== ctx.editIssueId || body.current.title !== 'Edited title') {
+        throw new Error('Conflict should carry the current issue for merging');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id} (conflicting update not applied)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.editIssueId}`),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.title !== 'Edited title' || body.priority === 'LOW' || body.updatedAt !== ctx.editUpdatedAt) {
+        throw new Error(`A rejected update should leave the issue unchanged: ${JSON.stringify(body)}`);
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id} (expectedUpdatedAt not a date-time)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.editIssueId}`, { body: { title: 'Edited', expectedUpdatedAt: 'yesterday' } }),
+    expect: 400
+  },
+  {
+    name: 'PUT /issues/{id} (expectedUpdatedAt, unknown issue)',
+    event: ctx => apiEvent('PUT', '/issues/ISSUE-DOES-NOT-EXIST', { body: { title: 'Edited', expectedUpdatedAt: ctx.editUpdatedAt } }),
+    expect: 404
+  },
+  {
+    name: 'PUT /issues/{id} (no expectedUpdatedAt, last write wins)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.editIssueId}`, { body: { priority: 'HIGH' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.priority !== 'HIGH' || !(body.updatedAt > ctx.editUpdatedAt)) {
+        throw new Error(`Update without a precondition should apply: ${JSON.stringify(body)}`);
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/comments',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, { body: { body: 'Looking into the pelican cache' } }),
+    expect: 201,
+    after: (body, ctx) => {
+      if (body.authorEmail !== 'admin@example.com' || body.edits.length !== 0) {
+        throw new Error('Comment should be attributed to the token user');
+      }
+      ctx.commentId = body.commentId;
+    }
+  },
+  {
+    name: 'POST /issues/{id}/comments (END_USER)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, { body: { body: 'Still broken for me' }, token: endUserToken }),
+    expect: 201,
+    after: (body, ctx) => {
+      ctx.endUserCommentId = body.commentId;
+    }
+  },
+  {
+    name: 'POST /issues/{id}/comments (empty body)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, { body: { body: '   ' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /issues/{id}/comments (client-supplied author)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, { body: { body: 'Hi', authorEmail: 'ceo@example.com' } }),
+    expect: 400
+  },
+  {
+    name: 'PUT /issues/{id}/comments/{commentId} (END_USER, not the author)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/comments/${ctx.commentId}`, { body: { body: 'Rewritten' }, token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'PUT /issues/{id}/comments/{commentId} (author edits)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/comments/${ctx.commentId}`, { body: { body: 'Root cause is the flamingo cache' } }),
+    expect: 200,
+    after: body => {
+      const [edit] = body.edits;
+      if (body.edits.length !== 1 || edit.body !== 'Looking into the pelican cache' || edit.editedBy !== 'admin@example.com') {
+        throw new Error('Edit should keep the replaced text');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/comments',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/comments`, { token: endUserToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      const ids = body.items.map(comment => comment.commentId).sort();
+      if (ids.join() !== [ctx.commentId, ctx.endUserCommentId].sort().join()) {
+        throw new Error(`Expected both comments, got ${ids}`);
+      }
+    }
+  },
+  {
+    name: 'GET /issues/search?q=comment:flamingo (edited comment reindexed)',
+    event: () => apiEvent('GET', '/issues/search', { query: { q: 'comment:flamingo' } }),
+    expect: 200,
+    after: (body, ctx) => {
+      const [hit] = body.items;
+      if (body.total !== 1 || hit.issue.issueId !== ctx.issueId || hit.snippets[0].commentId !== ctx.commentId) {
+        throw new Error('Edited comment should be searchable');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/search?q=pelican (replaced text unindexed)',
+    event: () => apiEvent('GET', '/issues/search', { query: { q: 'pelican' } }),
+    expect: 200,
+    after: body => {
+      if (body.total !== 0) {
+        throw new Error('Replaced comment text should no longer match');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id}/comments/{commentId} (two edits race, one is stored)',
+    before: async ctx => {
+      const created = await handler(apiEvent('POST', `/issues/${ctx.issueId}/comments`, { body: { body: 'Race base' } }));
+      ctx.raceCommentId = JSON.parse(created.body).commentId;
+      const edit = text => handler(apiEvent('PUT', `/issues/${ctx.issueId}/comments/${ctx.raceCommentId}`, { body: { body: text } }));
+      const results = await Promise.all([edit('First edit'), edit('Second edit')]);
+      ctx.raceStatuses = results.map(result => result.statusCode).sort().join();
+      ctx.raceConflict = results.map(result => JSON.parse(result.body)).find(body => body.current);
+    },
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/comments`),
+    expect: 200,
+    after: async (body, ctx) => {
+      const comment = body.items.find(item => item.commentId === ctx.raceCommentId);
+      await handler(apiEvent('DELETE', `/issues/${ctx.issueId}/comments/${ctx.raceCommentId}`));
+      if (ctx.raceStatuses !== '200,409' || comment.edits.length !== 1 || comment.edits[0].body !== 'Race base') {
+        throw new Error(`Expected one edit to be stored, got ${ctx.raceStatuses} and ${JSON.stringify(comment.edits)}`);
+      }
+      if (!ctx.raceConflict || ctx.raceConflict.current.body !== comment.body) {
+        throw new Error('The losing edit should get the stored comment back');
+      }
+    }
+  },
+  {
+    name: 'DELETE /issues/{id}/comments/{commentId} (SUPPORT_STAFF, not the author)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/comments/${ctx.endUserCommentId}`, { token: supportToken }),
+    expect: 403
+  },
+  {
+    name: 'DELETE /issues/{id}/comments/{commentId} (admin moderates)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/comments/${ctx.endUserCommentId}`),
+    expect: 204
+  },
+  {
+    name: 'PUT /issues/{id}/comments/{commentId} (deleted)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/comments/${ctx.endUserCommentId}`, { body: { body: 'Too late' }, token: endUserToken }),
+    expect: 404
+  },
+  {
+    name: 'POST /issues/{id}/comments (stored XSS payloads)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, { body: { body: XSS_PAYLOADS.join('\n\n') } }),
+    expect: 201,
+    after: body => {
+      XSS_PAYLOADS.forEach(payload => assertInert(Markdown.render(payload)));
+      assertInert(Markdown.render(body.body));
+
+      // A link with a disallowed scheme is shown as its label alone
+      for (const link of ['[click](javascript:alert(1))', '[click](JaVaScRiPt:alert(1))', '[click](data:text/html,x)']) {
+        const html = Markdown.render(`${link} here`);
+        if (html !== '<p>click here</p>') {
+          throw new Error(`Expected ${link} to render as its label, got ${html}`);
+        }
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/comments (Markdown)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, {
+      body: { body: '## Steps\n\n1. Open **login**\n2. See [docs](https://example.com/docs) and [spec](https://example.com/Login_(page))\n\n- [x] reproduced\n- [ ] fixed\n\n```js\nif (a < b) {}\n```' }
+    }),
+    expect: 201,
+    after: body => {
+      const html = Markdown.render(body.body);
+      const expected = [
+        '<h2>Steps</h2>',
+        '<ol><li>Open <strong>login</strong></li>',
+        '<a href="https://example.com/docs" rel="noopener noreferrer nofollow" target="_blank">docs</a>',
+        '<a href="https://example.com/Login_(page)" rel="noopener noreferrer nofollow" target="_blank">spec</a></li>',
+        '<li class="task-item"><input type="checkbox" checked disabled> reproduced</li>',
+        '<input type="checkbox" disabled> fixed',
+        '<pre><code class="language-js">if (a &lt; b) {}</code></pre>'
+      ];
+      const missing = expected.find(fragment => !html.includes(fragment));
+      if (missing) {
+        throw new Error(`Expected ${missing} in ${html}`);
+      }
+    }
+  },
+  {
+    name: 'GET /users',
+    before: async () => {
+      for (const user of directoryUsers) {
+        await localDocumentClient().send(new PutCommand({ TableName: 'Users', Item: user }));
+      }
+    },
+    event: () => apiEvent('GET', '/users', { token: endUserToken }),
+    expect: 200,
+    after: body => {
+      if (body.items.length !== 5 || body.items.some(user => user.userId === 'gone-001' || 'passwordHash' in user)) {
+        throw new Error('Directory should list active users without private fields');
+      }
+    }
+  },
+  {
+    name: 'GET /users (accounts stored by the auth service)',
+    before: async () => {
+      // The auth service's repository, on the tables the API reads
+      const accounts = new DynamoUserRepository(localDocumentClient(), 'Users');
+      const account = {
+        userId: 'riley-001', email: 'riley@example.com', firstName: 'Riley', lastName: 'Reg',
+        role: 'END_USER', status: 'PENDING_VERIFICATION', passwordHash: 'not-a-real-hash'
+      };
+      if (!(await accounts.create(account)) || await accounts.create({ ...account, userId: 'riley-002' })) {
+        throw new Error('An email should be registered only once');
+      }
+      if ((await accounts.getByEmail('riley@example.com')).userId !== 'riley-001') {
+        throw new Error('Account should be found by email');
+      }
+    },
+    event: () => apiEvent('GET', '/users', { token: endUserToken }),
+    expect: 200,
+    after: async body => {
+      const userIds = body.items.map(user => user.userId);
+      if (userIds.join() !== 'admin-001,alex-002,alex-001,riley-001,support-001,user-001') {
+        throw new Error(`Directory should list registered accounts and no email claims, got ${userIds.join()}`);
+      }
+      for (const userId of ['riley-001', 'EMAIL#riley@example.com']) {
+        await localDocumentClient().send(new DeleteCommand({ TableName: 'Users', Key: { userId } }));
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/comments (@mentions)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/comments`, {
+      body: { body: '@Ursula and @support-001@example.com please check, cc @alex @Admin `@Sam` someone@Sam.com' }
+    }),
+    expect: 201,
+    after: async (body, ctx) => {
+      ctx.mentionCommentId = body.commentId;
+      const mentioned = body.mentions.map(mention => mention.userId).join();
+      if (mentioned !== 'user-001,support-001,admin-001') {
+        throw new Error(`Expected email and first-name mentions only, got ${mentioned}`);
+      }
+      const [notification] = await notificationsFor('user-001');
+      if (!notification || notification.commentId !== body.commentId || notification.issueId !== ctx.issueId ||
+        notification.type !== 'mention' || notification.readAt !== null) {
+        throw new Error('Mentioned user should be notified with a link to the comment');
+      }
+      if ((await notificationsFor('support-001')).length !== 1 || (await notificationsFor('admin-001')).length !== 0 ||
+        (await notificationsFor('alex-001')).length !== 0) {
+        throw new Error('Only other resolved users should be notified');
+      }
+      const html = Markdown.render(body.body, { mentions: body.mentions });
+      if (!html.includes('<a class="mention" href="mailto:user-001@example.com"') || html.includes('>@Sam</a>')) {
+        throw new Error(`Mentions should render as links outside code, got ${html}`);
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id}/comments/{commentId} (new @mention)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/comments/${ctx.mentionCommentId}`, {
+      body: { body: '@ursula and @alex.smith@example.com please check' }
+    }),
+    expect: 200,
+    after: async body => {
+      if (body.mentions.map(mention => mention.userId).join() !== 'user-001,alex-001') {
+        throw new Error('Edited comment should store its new mentions');
+      }
+      if ((await notificationsFor('user-001')).length !== 1 || (await notificationsFor('alex-001')).length !== 1) {
+        throw new Error('Only newly mentioned users should be notified of an edit');
+      }
+    }
+  },
+  {
+    name: 'GET /notifications (mentioned END_USER)',
+    event: () => apiEvent('GET', '/notifications', { token: endUserToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.unreadCount !== 1 || body.items.length !== 1 || body.items[0].commentId !== ctx.mentionCommentId) {
+        throw new Error('Mentioned user should have one unread notification');
+      }
+    }
+  },
+  {
+    name: 'POST /issues (assigned, notifies the assignee)',
+    event: () => apiEvent('POST', '/issues', { body: { title: 'Watched Issue', assignee: 'support-001@example.com' } }),
+    expect: 201,
+    after: async (body, ctx) => {
+      ctx.watchedIssueId = body.issueId;
+      const [notification] = await notificationsFor('support-001');
+      if (notification.type !== 'assigned' || notification.issueId !== body.issueId) {
+        throw new Error('Assignee should be notified');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id} (status change, notifies watchers)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.watchedIssueId}`, { body: { status: 'IN_PROGRESS' } }),
+    expect: 200,
+    after: async () => {
+      const types = (await notificationsFor('support-001')).map(n => n.type);
+      if (!types.includes('status_changed') || (await notificationsFor('admin-001')).length !== 0) {
+        throw new Error('Watchers other than the actor should be notified of status changes');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/comments (notifies watchers)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.watchedIssueId}/comments`, { body: { body: 'Any news?' }, token: endUserToken }),
+    expect: 201,
+    after: async body => {
+      const forReporter = await notificationsFor('admin-001');
+      const forAssignee = await notificationsFor('support-001');
+      if ([forReporter, forAssignee].some(list => !list.some(n => n.type === 'commented' && n.commentId === body.commentId))) {
+        throw new Error('Reporter and assignee should be notified of comments');
+      }
+    }
+  },
+  {
+    name: 'GET /notifications?limit=2',
+    event: () => apiEvent('GET', '/notifications', { query: { limit: '2' }, token: supportToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      const [newest, next] = body.items;
+      if (body.items.length !== 2 || body.unreadCount !== 4 || newest.createdAt < next.createdAt) {
+        throw new Error(`Expected the newest 2 of 4 unread, got ${body.items.length} (${body.unreadCount})`);
+      }
+      ctx.supportNotificationId = body.items[0].notificationId;
+    }
+  },
+  {
+    name: 'GET /notifications?limit=0',
+    event: () => apiEvent('GET', '/notifications', { query: { limit: '0' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /notifications/{id}/read (someone else\'s)',
+    event: ctx => apiEvent('POST', `/notifications/${ctx.supportNotificationId}/read`, { token: endUserToken }),
+    expect: 404
+  },
+  {
+    name: 'POST /notifications/{id}/read',
+    event: ctx => apiEvent('POST', `/notifications/${ctx.supportNotificationId}/read`, { token: supportToken }),
+    expect: 200,
+    after: body => {
+      if (!body.readAt) {
+        throw new Error('Notification should be marked read');
+      }
+    }
+  },
+  {
+    name: 'POST /notifications/read-all',
+    event: () => apiEvent('POST', '/notifications/read-all', { token: supportToken }),
+    expect: 200,
+    after: async body => {
+      if (body.updated !== 3 || (await notificationsFor('support-001')).some(n => !n.readAt)) {
+        throw new Error('All notifications should be marked read');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/watchers (reporter and assignee subscribed)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.watchedIssueId}/watchers`),
+    expect: 200,
+    after: body => {
+      const emails = body.items.map(watcher => watcher.email).join();
+      if (emails !== 'admin@example.com,support-001@example.com' || !body.watching || body.items[0].firstName !== 'Admin') {
+        throw new Error(`Reporter and assignee should watch a new issue, got ${emails}`);
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/watchers (END_USER watches)',
+    before: async ctx => {
+      ctx.watchedUpdatedAt = JSON.parse((await handler(apiEvent('GET', `/issues/${ctx.watchedIssueId}`))).body).updatedAt;
+    },
+    event: ctx => apiEvent('POST', `/issues/${ctx.watchedIssueId}/watchers`, { token: endUserToken }),
+    expect: 200,
+    after: async (body, ctx) => {
+      if (!body.watching || body.items.length !== 3) {
+        throw new Error('Caller should be added to the watchers');
+      }
+      const issue = JSON.parse((await handler(apiEvent('GET', `/issues/${ctx.watchedIssueId}`))).body);
+      if (issue.updatedAt !== ctx.watchedUpdatedAt) {
+        throw new Error('Watching should not count as an edit');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id} (priority change, notifies watchers)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.watchedIssueId}`, { body: { priority: 'HIGH' } }),
+    expect: 200,
+    after: async () => {
+      for (const userId of ['user-001', 'support-001']) {
+        if (!(await notificationsFor(userId)).some(n => n.type === 'priority_changed')) {
+          throw new Error(`Watcher ${userId} should be notified of the priority change`);
+        }
+      }
+    }
+  },
+  {
+    name: 'GET /notifications/settings (defaults)',
+    event: () => apiEvent('GET', '/notifications/settings', { token: supportToken }),
+    expect: 200,
+    after: body => {
+      if (body.userId !== 'support-001' || body.muted.inApp.length !== 0 || body.muted.email.length !== 0 || body.updatedAt !== null) {
+        throw new Error('Nothing should be muted by default');
+      }
+    }
+  },
+  {
+    name: 'PUT /notifications/settings (mute in-app comments)',
+    event: () => apiEvent('PUT', '/notifications/settings', { body: { muted: { inApp: ['commented'] } }, token: supportToken }),
+    expect: 200,
+    after: body => {
+      if (body.muted.inApp.join() !== 'commented' || body.muted.email.length !== 0 || !body.updatedAt) {
+        throw new Error('In-app comment notifications should be muted, email left alone');
+      }
+    }
+  },
+  {
+    name: 'PUT /notifications/settings (unknown type)',
+    event: () => apiEvent('PUT', '/notifications/settings', { body: { muted: { email: ['everything'] } }, token: supportToken }),
+    expect: 400
+  },
+  {
+    name: 'POST /issues/{id}/comments (muted watcher not notified in-app)',
+    before: async ctx => {
+      ctx.supportNotificationCount = (await notificationsFor('support-001')).length;
+    },
+    event: ctx => apiEvent('POST', `/issues/${ctx.watchedIssueId}/comments`, { body: { body: 'Raised the priority' } }),
+    expect: 201,
+    after: async (body, ctx) => {
+      if ((await notificationsFor('support-001')).length !== ctx.supportNotificationCount) {
+        throw new Error('Muted comment notifications should not be stored');
+      }
+      if (!(await notificationsFor('user-001')).some(n => n.commentId === body.commentId)) {
+        throw new Error('Other watchers should still be notified');
+      }
+    }
+  },
+  {
+    name: 'DELETE /issues/{id}/watchers (END_USER unwatches)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.watchedIssueId}/watchers`, { token: endUserToken }),
+    expect: 200,
+    after: body => {
+      if (body.watching || body.items.some(watcher => watcher.email === 'user-001@example.com')) {
+        throw new Error('Caller should be removed from the watchers');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id} (unwatched user not notified)',
+    before: async ctx => {
+      ctx.userNotificationCount = (await notificationsFor('user-001')).length;
+    },
+    event: ctx => apiEvent('PUT', `/issues/${ctx.watchedIssueId}`, { body: { priority: 'LOW' } }),
+    expect: 200,
+    after: async (body, ctx) => {
+      if ((await notificationsFor('user-001')).length !== ctx.userNotificationCount) {
+        throw new Error('Users who unwatched should not be notified');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/watchers (unknown issue)',
+    event: () => apiEvent('GET', '/issues/NOPE/watchers'),
+    expect: 404
+  },
+  {
+    name: 'GET /issues/{id}/history',
+    event: ctx => apiEvent('GET', `/issues/${ctx.watchedIssueId}/history`, { token: endUserToken }),
+    expect: 200,
+    after: async body => {
+      const changes = body.items.map(event => event.field ? `${event.action}:${event.field}` : event.action);
+      const expected = ['created', 'updated:status', 'updated:watchers', 'updated:priority', 'updated:watchers', 'updated:priority'];
+      if (changes.join() !== expected.join()) {
+        throw new Error(`Expected ${expected.join()}, got ${changes.join()}`);
+      }
+      const [created, status, watched] = body.items;
+      if (status.oldValue !== 'OPEN' || status.newValue !== 'IN_PROGRESS' || status.actorEmail !== 'admin@example.com' ||
+        watched.actorId !== 'user-001' || !watched.newValue.includes('user-001@example.com') || watched.oldValue.includes('user-001@example.com')) {
+        throw new Error('Events should record the actor and the old and new values');
+      }
+      const rewrite = createIssueHistoryRepository().append([{ ...created, action: 'deleted' }]);
+      if (!(await rewrite.then(() => false, error => error.name === 'ConditionalCheckFailedException'))) {
+        throw new Error('Stored events should not be overwritten');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/watchers (stale watcher writes are refused)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.watchedIssueId}/watchers`),
+    expect: 200,
+    after: async (body, ctx) => {
+      // A watch that read the watchers before another one was stored
+      const stale = body.items.map(watcher => watcher.email).filter(email => email !== 'admin@example.com');
+      const write = await createIssueRepository().setWatchers(ctx.watchedIssueId, [...stale, 'late@example.com'], stale);
+      if (write !== null) {
+        throw new Error('Watchers changed since they were read should not be overwritten');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/history (issue without recorded events)',
+    before: () => localDocumentClient().send(new PutCommand({
+      TableName: 'Issues',
+      Item: {
+        issueId: 'ISSUE-LEGACY', title: 'Filed before history', description: 'No events were recorded',
+        status: 'open', priority: 'low', reporter: 'user@example.com',
+        createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z'
+      }
+    })),
+    event: () => apiEvent('GET', '/issues/ISSUE-LEGACY/history'),
+    expect: 200,
+    after: async body => {
+      await localDocumentClient().send(new DeleteCommand({ TableName: 'Issues', Key: { issueId: 'ISSUE-LEGACY' } }));
+      if (body.items.length !== 0) {
+        throw new Error(`Expected no events, got ${body.items.length}`);
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/history (unknown issue)',
+    event: () => apiEvent('GET', '/issues/NOPE/history'),
+    expect: 404
+  },
+  {
+    name: 'POST /issues/{id}/worklogs (SUPPORT_STAFF logs time)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: supportToken,
+      body: { minutes: 90, description: 'Reproduced the bug' }
+    }),
+    expect: 201,
+    after: (body, ctx) => {
+      if (body.userId !== 'support-001' || body.minutes !== 90 || !body.startedAt) {
+        throw new Error('Worklog should be attributed to the caller');
+      }
+      ctx.worklogId = body.worklogId;
+    }
+  },
+  ...[-30, 0, 1.5, 'NaN', '90', 24 * 60 + 1].map(minutes => ({
+    name: `POST /issues/{id}/worklogs (minutes: ${JSON.stringify(minutes)})`,
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: supportToken,
+      body: { minutes, description: 'Invalid' }
+    }),
+    expect: 400
+  })),
+  {
+    name: 'POST /issues/{id}/worklogs (END_USER, no edit_issues)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: endUserToken,
+      body: { minutes: 5, description: 'Not allowed' }
+    }),
+    expect: 403
+  },
+  {
+    name: 'PUT /issues/{id}/worklogs/{worklogId} (not the author)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/worklogs/${ctx.worklogId}`, { body: { minutes: 10 } }),
+    expect: 403
+  },
+  {
+    name: 'PUT /issues/{id}/worklogs/{worklogId} (author)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/worklogs/${ctx.worklogId}`, {
+      token: supportToken,
+      body: { minutes: 60 }
+    }),
+    expect: 200,
+    after: body => {
+      if (body.minutes !== 60 || body.description !== 'Reproduced the bug') {
+        throw new Error('Only the given fields should change');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id}/worklogs/{worklogId} (unknown worklog)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/worklogs/NOPE`, { token: supportToken, body: { minutes: 1 } }),
+    expect: 404
+  },
+  {
+    name: 'POST /issues/{id}/timer/start',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/timer/start`, { token: supportToken }),
+    expect: 201
+  },
+  {
+    name: 'POST /issues/{id}/timer/start (already running)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/timer/start`, { token: supportToken }),
+    expect: 409,
+    after: (body, ctx) => {
+      if (body.activeIssueId !== ctx.issueId) {
+        throw new Error('Conflict should name the issue the timer runs on');
+      }
+    }
+  },
+  {
+    name: 'GET /timer (running timer survives a reload)',
+    event: () => apiEvent('GET', '/timer', { token: supportToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (!body.timer || body.timer.issueId !== ctx.issueId) {
+        throw new Error('The running timer should be returned');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/timer/stop (logs the elapsed time)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/timer/stop`, {
+      token: supportToken,
+      body: { description: 'Fixed it' }
+    }),
+    expect: 201,
+    after: body => {
+      if (body.minutes !== 1 || body.description !== 'Fixed it' || body.userId !== 'support-001') {
+        throw new Error('Stopping should log at least a minute for the caller');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/timer/stop (no timer running)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/timer/stop`, { token: supportToken }),
+    expect: 409
+  },
+  {
+    name: 'POST /issues/{id}/timer/stop (left running for days, capped at a day)',
+    before: ctx => localDocumentClient().send(new PutCommand({
+      TableName: 'Timers',
+      Item: {
+        userId: 'support-001', userEmail: 'support-001@example.com', issueId: ctx.issueId,
+        startedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()
+      }
+    })),
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/timer/stop`, { token: supportToken }),
+    expect: 201,
+    after: async body => {
+      await localDocumentClient().send(new DeleteCommand({ TableName: 'Worklogs', Key: { issueId: body.issueId, worklogId: body.worklogId } }));
+      if (body.minutes !== 24 * 60) {
+        throw new Error(`Expected a day of work, got ${body.minutes} minutes`);
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/timer/stop (two stops race, the time is logged once)',
+    before: async ctx => {
+      await localDocumentClient().send(new PutCommand({
+        TableName: 'Timers',
+        Item: {
+          userId: 'support-001', userEmail: 'support-001@example.com', issueId: ctx.issueId,
+          startedAt: new Date(Date.now() - 30 * 60 * 1000).toISOString()
+        }
+      }));
+      const stop = () => handler(apiEvent('POST', `/issues/${ctx.issueId}/timer/stop`, { token: supportToken }));
+      ctx.raceStatuses = (await Promise.all([stop(), stop()])).map(result => result.statusCode).sort().join();
+    },
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/worklogs`, { token: supportToken }),
+    expect: 200,
+    after: async (body, ctx) => {
+      const logged = body.items.filter(worklog => worklog.minutes === 30);
+      for (const worklog of logged) {
+        await localDocumentClient().send(new DeleteCommand({ TableName: 'Worklogs', Key: { issueId: worklog.issueId, worklogId: worklog.worklogId } }));
+      }
+      if (ctx.raceStatuses !== '201,409' || logged.length !== 1) {
+        throw new Error(`Expected one stop to log the time, got ${ctx.raceStatuses} and ${logged.length} worklogs`);
+      }
+
+      // A stop that read an earlier timer leaves a newer one running
+      const timers = createTimerRepository();
+      const startedAt = new Date().toISOString();
+      await timers.start({ userId: 'support-001', userEmail: 'support-001@example.com', issueId: ctx.issueId, startedAt });
+      if (await timers.stop('support-001', '2000-01-01T00:00:00.000Z') || !(await timers.stop('support-001', startedAt))) {
+        throw new Error('Stopping should only remove the timer that was read');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/worklogs (per-user totals)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/worklogs`, { token: endUserToken }),
+    expect: 200,
+    after: body => {
+      if (body.items.length !== 2 || body.totalMinutes !== 61 ||
+        body.users.length !== 1 || body.users[0].userId !== 'support-001') {
+        throw new Error('Worklogs and totals should include the timer session');
+      }
+    }
+  },
+  {
+    name: 'GET /worklogs/totals',
+    event: () => apiEvent('GET', '/worklogs/totals', { token: supportToken, query: { from: '2000-01-01' } }),
+    expect: 200,
+    after: body => {
+      const support = body.users.find(total => total.userId === 'support-001');
+      if (!support || support.minutes < 61 || body.from !== '2000-01-01T00:00:00.000Z') {
+        throw new Error('Totals should sum minutes per user');
+      }
     }
   },
   {
-    name: 'POST /issues',
-    event: {
-      requestContext: { http: { method: 'POST' } },
-      rawPath: '/issues',
-      body: JSON.stringify({ title: 'Test Issue', description: 'Test Description' })
+    name: 'GET /worklogs/totals (END_USER, no view_reports)',
+    event: () => apiEvent('GET', '/worklogs/totals', { token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'DELETE /issues/{id}/worklogs/{worklogId} (END_USER, not the author)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/worklogs/${ctx.worklogId}`, { token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'DELETE /issues/{id}/worklogs/{worklogId} (admin)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/worklogs/${ctx.worklogId}`),
+    expect: 204
+  },
+  {
+    name: 'POST /issues/{id}/worklogs (billable, Monday of a past week)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: supportToken,
+      body: { minutes: 120, description: 'Triage', startedAt: '2025-03-10T09:00:00Z' }
+    }),
+    expect: 201,
+    after: (body, ctx) => {
+      if (body.billable !== true) {
+        throw new Error('Worklogs should be billable by default');
+      }
+      ctx.weekWorklogId = body.worklogId;
+    }
+  },
+  {
+    name: 'POST /issues/{id}/worklogs (non-billable, Wednesday)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: supportToken,
+      body: { minutes: 30, description: 'Internal sync', billable: false, startedAt: '2025-03-12T15:00:00Z' }
+    }),
+    expect: 201
+  },
+  {
+    name: 'POST /issues/{id}/worklogs (billable not a boolean)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: supportToken,
+      body: { minutes: 30, description: 'Invalid', billable: 'yes' }
+    }),
+    expect: 400
+  },
+  {
+    name: 'GET /timesheets/{userId}/{week} (own week, any day in it)',
+    event: () => apiEvent('GET', '/timesheets/support-001/2025-03-12', { token: supportToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      const [row] = body.rows;
+      if (body.weekStart !== '2025-03-10' || body.days[6] !== '2025-03-16' || body.rows.length !== 1 ||
+        row.issueId !== ctx.issueId || row.minutes.join() !== '120,0,30,0,0,0,0') {
+        throw new Error('Timesheet should lay out minutes per issue per day of the week');
+      }
+      if (body.totalMinutes !== 150 || body.billableMinutes !== 120 || body.nonBillableMinutes !== 30 ||
+        body.entries.length !== 2 || body.approval.status !== 'OPEN') {
+        throw new Error('Timesheet should total billable and non-billable minutes and start open');
+      }
+    }
+  },
+  {
+    name: 'GET /timesheets/{userId}/{week} (END_USER, someone else\'s)',
+    event: () => apiEvent('GET', '/timesheets/support-001/2025-03-10', { token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'GET /timesheets/{userId}/{week} (END_USER, own empty week)',
+    event: () => apiEvent('GET', '/timesheets/user-001/2025-03-10', { token: endUserToken }),
+    expect: 200,
+    after: body => {
+      if (body.rows.length !== 0 || body.totalMinutes !== 0 || body.dayTotals.length !== 7) {
+        throw new Error('An empty week should have no rows and zero totals');
+      }
+    }
+  },
+  {
+    name: 'GET /timesheets/{userId}/{week} (unknown user)',
+    event: () => apiEvent('GET', '/timesheets/NOPE/2025-03-10'),
+    expect: 404
+  },
+  {
+    name: 'GET /timesheets/{userId}/{week} (not a date)',
+    event: () => apiEvent('GET', '/timesheets/support-001/last-week'),
+    expect: 400
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/submit (not the member)',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/submit'),
+    expect: 403
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/approve (SUPPORT_STAFF, no manage_teams)',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/approve', { token: supportToken }),
+    expect: 403
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/approve (not submitted)',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/approve'),
+    expect: 409
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/submit',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/submit', { token: supportToken }),
+    expect: 200,
+    after: body => {
+      if (body.status !== 'SUBMITTED' || !body.submittedAt) {
+        throw new Error('Week should be submitted');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/worklogs (submitted week is locked)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/worklogs`, {
+      token: supportToken,
+      body: { minutes: 15, description: 'Late entry', startedAt: '2025-03-11T09:00:00Z' }
+    }),
+    expect: 409,
+    after: body => {
+      if (body.status !== 'SUBMITTED' || body.weekStart !== '2025-03-10') {
+        throw new Error('Conflict should name the locked week and its status');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id}/worklogs/{worklogId} (submitted week is locked)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/worklogs/${ctx.weekWorklogId}`, {
+      token: supportToken,
+      body: { minutes: 90 }
+    }),
+    expect: 409
+  },
+  {
+    name: 'DELETE /issues/{id}/worklogs/{worklogId} (submitted week is locked)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/worklogs/${ctx.weekWorklogId}`),
+    expect: 409
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/submit (already submitted)',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/submit', { token: supportToken }),
+    expect: 409
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/reject',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/reject', { body: { comment: 'Triage was 90 minutes' } }),
+    expect: 200,
+    after: body => {
+      if (body.status !== 'REJECTED' || body.reviewedBy !== 'admin@example.com' || body.comment !== 'Triage was 90 minutes') {
+        throw new Error('Rejection should record the reviewer and comment');
+      }
+    }
+  },
+  {
+    name: 'PUT /issues/{id}/worklogs/{worklogId} (rejected week is open again)',
+    event: ctx => apiEvent('PUT', `/issues/${ctx.issueId}/worklogs/${ctx.weekWorklogId}`, {
+      token: supportToken,
+      body: { minutes: 90 }
+    }),
+    expect: 200
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/submit (resubmit)',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/submit', { token: supportToken }),
+    expect: 200
+  },
+  {
+    name: 'POST /timesheets/{userId}/{week}/approve',
+    event: () => apiEvent('POST', '/timesheets/support-001/2025-03-10/approve'),
+    expect: 200,
+    after: body => {
+      if (body.status !== 'APPROVED' || body.comment !== null) {
+        throw new Error('Week should be approved');
+      }
+    }
+  },
+  {
+    name: 'GET /timesheets?week= (team)',
+    event: () => apiEvent('GET', '/timesheets', { token: supportToken, query: { week: '2025-03-16' } }),
+    expect: 200,
+    after: body => {
+      const support = body.members.find(member => member.userId === 'support-001');
+      if (body.weekStart !== '2025-03-10' || !support || support.status !== 'APPROVED' ||
+        support.minutes.join() !== '90,0,30,0,0,0,0' || support.billableMinutes !== 90 || body.totalMinutes !== 120) {
+        throw new Error('Team timesheet should list each member\'s minutes per day and status');
+      }
+    }
+  },
+  {
+    name: 'GET /timesheets?week=&teamId= (one team)',
+    event: () => apiEvent('GET', '/timesheets', { token: supportToken, query: { week: '2025-03-10', teamId: 'team-2' } }),
+    expect: 200,
+    after: body => {
+      const members = body.members.map(member => `${member.userId}:${member.totalMinutes}`).join();
+      if (body.teamId !== 'team-2' || members !== 'support-001:120,user-001:0' || body.totalMinutes !== 120) {
+        throw new Error(`Team timesheet should list every member of the team and nobody else, got ${members}`);
+      }
+    }
+  },
+  {
+    name: 'GET /timesheets?week=&teamId= (team without members)',
+    event: () => apiEvent('GET', '/timesheets', { token: supportToken, query: { week: '2025-03-10', teamId: 'team-9' } }),
+    expect: 200,
+    after: body => {
+      if (body.members.length !== 0 || body.totalMinutes !== 0 || body.dayTotals.some(minutes => minutes !== 0)) {
+        throw new Error('Nobody else\'s time should count towards a team');
+      }
+    }
+  },
+  {
+    name: 'GET /timesheets (END_USER, no view_reports)',
+    event: () => apiEvent('GET', '/timesheets', { token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'POST /issues/{id}/attachments (log and image)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'server.log', type: 'text/plain', data: LOG_TEXT }, { name: 'screen.png', type: 'image/png', data: PNG_BYTES }]
+    }),
+    expect: 201,
+    after: (body, ctx) => {
+      const [log, image] = body.items;
+      if (body.items.length !== 2 || log.duplicate || log.contentType !== 'text/plain' ||
+        log.size !== Buffer.byteLength(LOG_TEXT) || !/^[0-9a-f]{64}$/.test(log.checksum) ||
+        image.contentType !== 'image/png' || log.uploaderEmail !== 'admin@example.com') {
+        throw new Error('Uploads should be stored with their type, size, checksum and uploader');
+      }
+      ctx.logAttachment = log;
+      ctx.imageAttachment = image;
+    }
+  },
+  {
+    name: 'POST /issues/{id}/attachments (same file again)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'copy-of-server.txt', type: 'text/plain', data: LOG_TEXT }]
+    }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (!body.items[0].duplicate || body.items[0].attachmentId !== ctx.logAttachment.attachmentId) {
+        throw new Error('A file the issue already has should return the existing attachment');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/attachments (same file on another issue)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.watchedIssueId}/attachments`, {
+      files: [{ name: 'server.log', data: LOG_TEXT }]
+    }),
+    expect: 201,
+    after: (body, ctx) => {
+      if (body.items[0].duplicate || body.items[0].checksum !== ctx.logAttachment.checksum) {
+        throw new Error('Another issue should get its own attachment for the same contents');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/attachments (too large)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'huge.txt', data: Buffer.alloc(ATTACHMENT_MAX_BYTES + 1, 'a') }]
+    }),
+    expect: 413,
+    after: body => {
+      if (body.name !== 'huge.txt' || body.maxBytes !== ATTACHMENT_MAX_BYTES) {
+        throw new Error('A 413 should name the file and the size limit');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/attachments (type not allowed)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'server.log', data: LOG_TEXT }, { name: 'setup.exe', data: 'MZ' }]
+    }),
+    expect: 415,
+    after: async (body, ctx) => {
+      if (!body.allowedTypes.includes('.png') || (await createAttachmentRepository().list(ctx.issueId)).length !== 2) {
+        throw new Error('A 415 should list the allowed types and store none of the files');
+      }
+    }
+  },
+  {
+    name: 'POST /issues/{id}/attachments (PNG name, text contents)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'fake.png', type: 'image/png', data: '<script>alert(1)</script>' }]
+    }),
+    expect: 415
+  },
+  {
+    name: 'POST /issues/{id}/attachments (not multipart)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, { body: { name: 'server.log' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /issues/{id}/attachments (unknown issue)',
+    event: () => apiEvent('POST', '/issues/ISSUE-missing/attachments', { files: [{ name: 'server.log', data: LOG_TEXT }] }),
+    expect: 404
+  },
+  {
+    name: 'POST /issues/{id}/attachments (END_USER)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'steps.txt', data: 'Open the app, click save' }],
+      token: endUserToken
+    }),
+    expect: 201,
+    after: (body, ctx) => { ctx.endUserAttachmentId = body.items[0].attachmentId; }
+  },
+  {
+    name: 'GET /issues/{id}/attachments',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments`, { token: supportToken }),
+    expect: 200,
+    after: body => {
+      const names = body.items.map(attachment => attachment.name).sort().join();
+      const ordered = body.items.every((attachment, i) => i === 0 || body.items[i - 1].createdAt <= attachment.createdAt);
+      if (names !== 'screen.png,server.log,steps.txt' || !ordered) {
+        throw new Error('Attachments should be listed in upload order');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.imageAttachment.attachmentId}`),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.checksum !== ctx.imageAttachment.checksum) {
+        throw new Error('Attachment metadata should match the upload');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/download',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.imageAttachment.attachmentId}/download`, { token: endUserToken }),
+    expect: 200,
+    after: (body, ctx, result) => {
+      if (!body.equals(PNG_BYTES) || result.headers['Content-Type'] !== 'image/png' ||
+        !result.headers['Content-Disposition'].includes('filename="screen.png"') ||
+        result.headers['X-Content-Type-Options'] !== 'nosniff') {
+        throw new Error('Downloads should return the stored bytes as an attachment of the stored type');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/download (no token)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.imageAttachment.attachmentId}/download`, { token: null }),
+    expect: 401
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId} (other issue)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.watchedIssueId}/attachments/${ctx.imageAttachment.attachmentId}`),
+    expect: 404
+  },
+  {
+    name: 'POST /issues/{id}/attachments (image and long log)',
+    event: ctx => apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+      files: [{ name: 'diagram.png', type: 'image/png', data: DIAGRAM_PNG }, { name: 'access.log', data: LONG_LOG_TEXT }]
+    }),
+    expect: 201,
+    after: (body, ctx) => {
+      const [diagram, log] = body.items;
+      if (!diagram.thumbnail || diagram.thumbnail.width !== 200 || diagram.thumbnail.height !== 150 || log.thumbnail !== null) {
+        throw new Error('Images should get a thumbnail fitting 200px on upload, and other files none');
+      }
+      ctx.diagramAttachment = diagram;
+      ctx.longLogAttachment = log;
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/thumbnail',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.diagramAttachment.attachmentId}/thumbnail`, { token: endUserToken }),
+    expect: 200,
+    after: (body, ctx, result) => {
+      if (body.subarray(0, 3).toString('hex') !== 'ffd8ff' || result.headers['Content-Type'] !== 'image/jpeg' ||
+        !result.headers['Content-Disposition'].startsWith('inline;')) {
+        throw new Error('Thumbnails should be served inline as JPEG');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/thumbnail (image that does not decode)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.imageAttachment.attachmentId}/thumbnail`),
+    expect: 404
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/thumbnail (no token)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.diagramAttachment.attachmentId}/thumbnail`, { token: null }),
+    expect: 401
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/preview',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.logAttachment.attachmentId}/preview`, { token: endUserToken }),
+    expect: 200,
+    after: body => {
+      if (body.text !== LOG_TEXT || body.truncated || body.size !== Buffer.byteLength(LOG_TEXT)) {
+        throw new Error('A short text file should be previewed whole');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/preview (long log)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.longLogAttachment.attachmentId}/preview`),
+    expect: 200,
+    after: body => {
+      if (!body.truncated || Buffer.byteLength(body.text) > PREVIEW_MAX_BYTES || !body.text.endsWith('served\n') ||
+        !LONG_LOG_TEXT.startsWith(body.text)) {
+        throw new Error('A long text file should be previewed up to the byte limit, ending at a line end');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/preview (image)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.diagramAttachment.attachmentId}/preview`),
+    expect: 404
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId}/preview (stored XSS payloads)',
+    before: async ctx => {
+      const upload = await handler(apiEvent('POST', `/issues/${ctx.issueId}/attachments`, {
+        files: [{ name: 'xss.log', data: ['2025-03-10 09:00:00 ERROR "<b>"', ...XSS_PAYLOADS].join('\n') }]
+      }));
+      ctx.xssLogAttachmentId = JSON.parse(upload.body).items[0].attachmentId;
+    },
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.xssLogAttachmentId}/preview`),
+    expect: 200,
+    after: body => {
+      // The web app shows previews through Markdown.highlight
+      const html = Markdown.highlight(body.text);
+      if (!html.includes('<span class="hl-error">ERROR</span>') || /<(?!\/?span[ >])/.test(html) ||
+        /<span(?! class="hl-[a-z]+">)/.test(html)) {
+        throw new Error(`Highlighting should only add hl- spans around escaped text: ${html}`);
+      }
+    }
+  },
+  {
+    name: 'DELETE /issues/{id}/attachments/{attachmentId} (SUPPORT_STAFF, not the uploader)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/attachments/${ctx.endUserAttachmentId}`, { token: supportToken }),
+    expect: 403
+  },
+  {
+    name: 'DELETE /issues/{id}/attachments/{attachmentId} (uploader)',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}/attachments/${ctx.endUserAttachmentId}`, { token: endUserToken }),
+    expect: 204
+  },
+  {
+    name: 'GET /issues/{id}/attachments/{attachmentId} (deleted)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments/${ctx.endUserAttachmentId}`),
+    expect: 404
+  },
+  {
+    name: 'DELETE /issues/{id}',
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.issueId}`),
+    expect: 204
+  },
+  {
+    name: 'GET /issues/{id}/attachments (deleted issue)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/attachments`),
+    expect: 404,
+    after: async (body, ctx) => {
+      const store = createAttachmentStore();
+      if ((await createAttachmentRepository().list(ctx.issueId)).length !== 0 ||
+        await store.exists(ctx.imageAttachment.checksum) || !await store.exists(ctx.logAttachment.checksum) ||
+        await createThumbnailStore().exists(ctx.diagramAttachment.checksum)) {
+        throw new Error('A deleted issue\'s attachments should be removed, keeping contents another issue uses');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/worklogs (deleted issue)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/worklogs`),
+    expect: 404,
+    after: async (body, ctx) => {
+      if ((await createWorklogRepository().list(ctx.issueId)).length !== 0) {
+        throw new Error('A deleted issue\'s worklogs should be removed');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id}/comments (deleted issue)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/comments`),
+    expect: 404
+  },
+  {
+    name: 'GET /issues/search?q=flamingo (deleted issue\'s comments unindexed)',
+    event: () => apiEvent('GET', '/issues/search', { query: { q: 'flamingo' } }),
+    expect: 200,
+    after: body => {
+      if (body.total !== 0) {
+        throw new Error('Comments of a deleted issue should no longer match');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/{id} (deleted)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}`),
+    expect: 404
+  },
+  {
+    name: 'GET /issues/{id}/history (deleted issue kept)',
+    event: ctx => apiEvent('GET', `/issues/${ctx.issueId}/history`),
+    expect: 200,
+    after: body => {
+      const [first] = body.items;
+      const last = body.items[body.items.length - 1];
+      if (first.action !== 'created' || last.action !== 'deleted' || last.actorId !== 'admin-001') {
+        throw new Error('History should outlive the issue and end with its deletion');
+      }
+    }
+  },
+  {
+    name: 'GET /issues/search (deleted issue is unindexed)',
+    event: () => apiEvent('GET', '/issues/search', { query: { q: '"test description"' } }),
+    expect: 200,
+    after: body => {
+      if (body.total !== 0) {
+        throw new Error('Deleted issue should no longer match');
+      }
+    }
+  },
+  {
+    name: 'POST /views (personal, pinned)',
+    event: () => apiEvent('POST', '/views', { body: { name: 'High priority', filters: { filter: 'priority>=HIGH' }, pinned: true } }),
+    expect: 201,
+    after: (body, ctx) => {
+      if (!body.pinned || body.unreadCount !== 0 || body.scope !== 'personal') {
+        throw new Error('New view should be pinned, personal and read');
+      }
+      ctx.viewId = body.viewId;
+    }
+  },
+  {
+    name: 'POST /views (team view without teamId)',
+    event: () => apiEvent('POST', '/views', { body: { name: 'Team bugs', scope: 'team' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /views (bad filter query)',
+    event: () => apiEvent('POST', '/views', { body: { name: 'Broken', filters: { filter: 'priority>' } } }),
+    expect: 400
+  },
+  {
+    name: 'POST /views (team)',
+    event: () => apiEvent('POST', '/views', { body: { name: 'Team bugs', scope: 'team', teamId: 'team-1', filters: { category: 'BUG' } } }),
+    expect: 201,
+    after: (body, ctx) => { ctx.teamViewId = body.viewId; }
+  },
+  {
+    name: 'PUT /issues/{id} (change an issue both views match)',
+    before: () => new Promise(resolve => setTimeout(resolve, 5)),
+    event: ctx => apiEvent('PUT', `/issues/${ctx.taggedIssueId}`, { body: { description: 'Now with steps to reproduce' } }),
+    expect: 200
+  },
+  {
+    name: 'GET /views (unread counts, pinned first)',
+    event: () => apiEvent('GET', '/views'),
+    expect: 200,
+    after: (body, ctx) => {
+      const [first, second] = body.items;
+      if (body.items.length !== 2 || first.viewId !== ctx.viewId || first.unreadCount !== 1 || second.unreadCount !== 1) {
+        throw new Error('Expected the pinned view first and one unread issue in each view');
+      }
+    }
+  },
+  {
+    name: 'GET /views (END_USER in the team sees its team view only)',
+    event: () => apiEvent('GET', '/views', { token: endUserToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (body.items.length !== 1 || body.items[0].viewId !== ctx.teamViewId || body.items[0].pinned) {
+        throw new Error('END_USER should see only the unpinned team view');
+      }
     }
   },
   {
-    name: 'GET /issues/123',
-    event: {
-      requestContext: { http: { method: 'GET' } },
-      rawPath: '/issues/123'
+    name: 'GET /views (outside the team)',
+    event: () => apiEvent('GET', '/views', { token: tokenFor('alex-001', 'END_USER') }),
+    expect: 200,
+    after: body => {
+      if (body.items.length !== 0) {
+        throw new Error(`A user outside the team should not see its views, got ${JSON.stringify(body.items)}`);
+      }
     }
   },
   {
-    name: 'PUT /issues/123',
-    event: {
-      requestContext: { http: { method: 'PUT' } },
-      rawPath: '/issues/123',
-      body: JSON.stringify({ status: 'IN_PROGRESS' })
+    name: 'GET /views/{id} (outside the team)',
+    event: ctx => apiEvent('GET', `/views/${ctx.teamViewId}`, { token: tokenFor('alex-001', 'END_USER') }),
+    expect: 404
+  },
+  {
+    name: 'PUT /views/{id}/pin (outside the team)',
+    event: ctx => apiEvent('PUT', `/views/${ctx.teamViewId}/pin`, { body: { pinned: true }, token: tokenFor('alex-001', 'END_USER') }),
+    expect: 404
+  },
+  {
+    name: 'GET /views/{id} (END_USER, personal view of another user)',
+    event: ctx => apiEvent('GET', `/views/${ctx.viewId}`, { token: endUserToken }),
+    expect: 404
+  },
+  {
+    name: 'PUT /views/{id} (END_USER, not the owner)',
+    event: ctx => apiEvent('PUT', `/views/${ctx.teamViewId}`, { body: { name: 'Mine now' }, token: endUserToken }),
+    expect: 403
+  },
+  {
+    name: 'PUT /views/{id}/pin (END_USER pins the team view)',
+    event: ctx => apiEvent('PUT', `/views/${ctx.teamViewId}/pin`, { body: { pinned: true }, token: endUserToken }),
+    expect: 200
+  },
+  {
+    name: 'PUT /views/{id}/pin (not a boolean)',
+    event: ctx => apiEvent('PUT', `/views/${ctx.viewId}/pin`, { body: { pinned: 'yes' } }),
+    expect: 400
+  },
+  {
+    name: 'POST /views/{id}/seen',
+    event: ctx => apiEvent('POST', `/views/${ctx.viewId}/seen`),
+    expect: 200,
+    after: body => {
+      if (body.unreadCount !== 0 || !body.lastSeenAt) {
+        throw new Error('Seen view should have no unread issues');
+      }
     }
   },
   {
-    name: 'DELETE /issues/123',
-    event: {
-      requestContext: { http: { method: 'DELETE' } },
-      rawPath: '/issues/123'
+    name: 'PUT /views/{id} (rename)',
+    event: ctx => apiEvent('PUT', `/views/${ctx.viewId}`, { body: { name: 'Urgent' } }),
+    expect: 200,
+    after: body => {
+      if (body.name !== 'Urgent' || body.filters.filter !== 'priority>=HIGH') {
+        throw new Error('Rename should keep the filters');
+      }
     }
   },
+  {
+    name: 'DELETE /views/{id}',
+    event: ctx => apiEvent('DELETE', `/views/${ctx.viewId}`),
+    expect: 204
+  },
+  {
+    name: 'GET /issues (no token)',
+    event: () => apiEvent('GET', '/issues', { token: null }),
+    expect: 401
+  },
+  {
+    name: 'GET /issues (tampered token)',
+    event: () => apiEvent('GET', '/issues', { token: adminToken.slice(0, -2) + 'xx' }),
+    expect: 401
+  },
+  {
+    name: 'GET /issues (revoked token)',
+    before: () => createRevocationList().revoke(verifyAccessToken(revokedToken, JWT_SECRET)),
+    event: () => apiEvent('GET', '/issues', { token: revokedToken }),
+    expect: 401
+  },
   {
     name: 'GET /unknown',
-    event: {
-      requestContext: { http: { method: 'GET' } },
-      rawPath: '/unknown'
+    event: () => apiEvent('GET', '/unknown'),
+    expect: 404
+  },
+  {
+    name: 'POST /auth/register (password policy)',
+    handler: authHandler,
+    event: () => apiEvent('POST', '/auth/register', {
+      token: null,
+      body: { email: 'weak@example.com', password: 'weak', firstName: 'Weak', lastName: 'Password' }
+    }),
+    expect: 400,
+    after: body => {
+      const unmet = ['at least', 'uppercase', 'number', 'special'].filter(rule => !body.message.includes(rule));
+      if (unmet.length > 0) {
+        throw new Error(`Every unmet rule should be reported, missing ${unmet.join()}: ${body.message}`);
+      }
     }
-  }
+  },
+  {
+    name: 'POST /auth/register',
+    handler: authHandler,
+    event: () => apiEvent('POST', '/auth/register', {
+      token: null,
+      body: { email: 'casey@example.com', password: 'Strong@12345', firstName: 'Casey', lastName: 'New' }
+    }),
+    expect: 201,
+    after: body => {
+      assertNoPasswordHash(body);
+      if (body.data.user.email !== 'casey@example.com' || body.data.user.role !== 'END_USER') {
+        throw new Error('Registration should return the new end user');
+      }
+    }
+  },
+  {
+    name: 'POST /auth/login (wrong password)',
+    handler: authHandler,
+    event: () => apiEvent('POST', '/auth/login', {
+      token: null,
+      body: { email: 'admin@example.com', password: 'Wrong@12345' }
+    }),
+    expect: 401,
+    after: (body, ctx) => {
+      ctx.wrongPasswordBody = body;
+    }
+  },
+  {
+    name: 'POST /auth/login (unknown email answers like a wrong password)',
+    handler: authHandler,
+    event: () => apiEvent('POST', '/auth/login', {
+      token: null,
+      body: { email: 'nobody@example.com', password: 'Wrong@12345' }
+    }),
+    expect: 401,
+    after: (body, ctx) => {
+      if (JSON.stringify(body) !== JSON.stringify(ctx.wrongPasswordBody)) {
+        throw new Error('Unknown emails and wrong passwords should be indistinguishable');
+      }
+    }
+  },
+  {
+    name: 'POST /auth/login',
+    handler: authHandler,
+    event: () => apiEvent('POST', '/auth/login', {
+      token: null,
+      body: { email: 'admin@example.com', password: 'Admin@12345' }
+    }),
+    expect: 200,
+    after: (body, ctx) => {
+      assertNoPasswordHash(body);
+      ctx.auth = body.data;
+    }
+  },
+  {
+    name: 'GET /auth/me',
+    handler: authHandler,
+    event: ctx => apiEvent('GET', '/auth/me', { token: ctx.auth.token }),
+    expect: 200,
+    after: body => {
+      assertNoPasswordHash(body);
+      if (body.data.userId !== 'admin-001') {
+        throw new Error('Should return the caller');
+      }
+    }
+  },
+  {
+    name: 'POST /auth/refresh',
+    handler: authHandler,
+    event: ctx => apiEvent('POST', '/auth/refresh', { token: null, body: { refreshToken: ctx.auth.refreshToken } }),
+    expect: 200,
+    after: (body, ctx) => {
+      assertNoPasswordHash(body);
+      if (body.data.refreshToken === ctx.auth.refreshToken || body.data.token === ctx.auth.token) {
+        throw new Error('Refreshing should issue a new token pair');
+      }
+      ctx.rotatedAuth = body.data;
+    }
+  },
+  {
+    name: 'POST /auth/refresh (replayed rotated token revokes the session)',
+    handler: authHandler,
+    event: ctx => apiEvent('POST', '/auth/refresh', { token: null, body: { refreshToken: ctx.auth.refreshToken } }),
+    expect: 401,
+    after: async (body, ctx) => {
+      const refresh = await authRequest('POST', '/auth/refresh', { body: { refreshToken: ctx.rotatedAuth.refreshToken } });
+      const me = await authRequest('GET', '/auth/me', { token: ctx.rotatedAuth.token });
+      if (refresh.statusCode !== 401 || me.statusCode !== 401) {
+        throw new Error(`Every token of the session should be revoked, got ${refresh.statusCode} and ${me.statusCode}`);
+      }
+    }
+  },
+  {
+    name: 'POST /auth/refresh (null body)',
+    handler: authHandler,
+    event: () => apiEvent('POST', '/auth/refresh', { token: null, body: null }),
+    expect: 400
+  },
+  {
+    name: 'POST /auth/logout',
+    handler: authHandler,
+    before: async ctx => {
+      const login = await authRequest('POST', '/auth/login', { body: { email: 'admin@example.com', password: 'Admin@12345' } });
+      ctx.logoutAuth = login.body.data;
+    },
+    event: ctx => apiEvent('POST', '/auth/logout', { token: ctx.logoutAuth.token }),
+    expect: 200,
+    after: async (body, ctx) => {
+      const { jti } = verifyAccessToken(ctx.logoutAuth.token, JWT_SECRET);
+      const denied = await authDocumentClient().send(new GetCommand({ TableName: 'RevokedTokens', Key: { jti } }));
+      if (!denied.Item) {
+        throw new Error('The access token\'s jti should be on the denylist');
+      }
+      const me = await authRequest('GET', '/auth/me', { token: ctx.logoutAuth.token });
+      const refresh = await authRequest('POST', '/auth/refresh', { body: { refreshToken: ctx.logoutAuth.refreshToken } });
+      if (me.statusCode !== 401 || refresh.statusCode !== 401) {
+        throw new Error(`Logged-out tokens should be refused, got ${me.statusCode} and ${refresh.statusCode}`);
+      }
+    }
+  },
+  {
+    name: 'POST /auth/logout-all',
+    handler: authHandler,
+    before: async ctx => {
+      const login = () => authRequest('POST', '/auth/login', { body: { email: 'admin@example.com', password: 'Admin@12345' } });
+      ctx.devices = [(await login()).body.data, (await login()).body.data];
+    },
+    event: ctx => apiEvent('POST', '/auth/logout-all', { token: ctx.devices[0].token }),
+    expect: 200,
+    after: async (body, ctx) => {
+      if (body.data.revokedSessions !== 2) {
+        throw new Error(`Both open sessions should be revoked, got ${body.data.revokedSessions}`);
+      }
+      const [, other] = ctx.devices;
+      const me = await authRequest('GET', '/auth/me', { token: other.token });
+      const refresh = await authRequest('POST', '/auth/refresh', { body: { refreshToken: other.refreshToken } });
+      if (me.statusCode !== 401 || refresh.statusCode !== 401) {
+        throw new Error(`The other device's tokens should be refused, got ${me.statusCode} and ${refresh.statusCode}`);
+      }
+    }
+  },
+  {
+    name: 'JSON storage driver (missing file is seeded, writes go through a temp file)',
+    run: () => withTempDir(async dir => {
+      const file = path.join(dir, 'data', 'local-db.json');
+      const driver = new JsonFileDriver({ file });
+      await driver.init();
+      if (!JSON.parse(fs.readFileSync(file, 'utf8')).users.some(user => user.userId === 'admin-001')) {
+        throw new Error('A missing database file should be seeded with the defaults');
+      }
+
+      const writes = await recordFileWrites(() => driver.insert('issues', { issueId: 'ISSUE-1', title: 'Saved' }));
+      if (writes.some(write => write.op === 'writeFile' && write.file === file) ||
+        !writes.some(write => write.op === 'rename' && write.to === file && write.from !== file)) {
+        throw new Error(`The database file should only be replaced by renaming a temp file: ${JSON.stringify(writes)}`);
+      }
+      if (fs.readdirSync(path.dirname(file)).some(name => name.endsWith('.tmp'))) {
+        throw new Error('No temp file should be left behind');
+      }
+      if (!JSON.parse(fs.readFileSync(file, 'utf8')).issues.some(issue => issue.issueId === 'ISSUE-1')) {
+        throw new Error('The inserted issue should be on disk');
+      }
+    })
+  },
+  {
+    name: 'JSON storage driver (concurrent writes are coalesced)',
+    run: () => withTempDir(async dir => {
+      const file = path.join(dir, 'local-db.json');
+      const driver = new JsonFileDriver({ file });
+      await driver.init();
+
+      const writes = await recordFileWrites(() => Promise.all(
+        Array.from({ length: 10 }, (_, i) => driver.insert('issues', { issueId: `ISSUE-${i}`, title: `Issue ${i}` }))
+      ));
+      const fileWrites = writes.filter(write => write.op === 'writeFile').length;
+      if (fileWrites > 2) {
+        throw new Error(`10 concurrent inserts should be written at most twice, got ${fileWrites} writes`);
+      }
+      await driver.close();
+      if (JSON.parse(fs.readFileSync(file, 'utf8')).issues.length !== 10) {
+        throw new Error('Every coalesced insert should be on disk');
+      }
+    })
+  },
+  {
+    name: 'JSON storage driver (corrupt file is moved aside and reseeded)',
+    run: () => withTempDir(async dir => {
+      const file = path.join(dir, 'local-db.json');
+      fs.writeFileSync(file, '{"issues": [');
+      const driver = new JsonFileDriver({ file });
+      await driver.init();
+
+      if (!(await driver.get('users', 'admin-001'))) {
+        throw new Error('A corrupt database should be replaced by the defaults');
+      }
+      JSON.parse(fs.readFileSync(file, 'utf8'));
+      const backups = fs.readdirSync(dir).filter(name => name.startsWith('local-db.json.corrupt-'));
+      if (backups.length !== 1 || fs.readFileSync(path.join(dir, backups[0]), 'utf8') !== '{"issues": [') {
+        throw new Error(`The corrupt contents should be kept in a backup, found ${JSON.stringify(backups)}`);
+      }
+    })
+  },
+  {
+    name: 'SQLite storage driver (insert/update/remove round trip)',
+    run: () => withTempDir(async dir => {
+      const file = path.join(dir, 'local-db.sqlite');
+      const open = async () => {
+        const driver = new SqliteDriver({ file, seedFile: path.join(dir, 'missing.json') });
+        await driver.init();
+        return driver;
+      };
+      let driver = await open();
+      const issue = { issueId: 'ISSUE-1', title: 'Stored', priority: 'LOW', tags: ['sqlite'] };
+
+      await driver.insert('issues', issue);
+      const duplicate = await driver.insert('issues', issue).then(() => null, error => error);
+      if (!(duplicate instanceof DuplicateKeyError)) {
+        throw new Error('Inserting a taken key should throw DuplicateKeyError');
+      }
+
+      const updated = await driver.update('issues', 'ISSUE-1', { title: 'Renamed' });
+      if (updated.title !== 'Renamed' || updated.priority !== 'LOW' || updated.tags[0] !== 'sqlite') {
+        throw new Error(`update() should merge into the stored record, got ${JSON.stringify(updated)}`);
+      }
+      if (await driver.update('issues', 'ISSUE-1', { title: 'Lost' }, () => false) !== null ||
+        await driver.update('issues', 'ISSUE-missing', { title: 'Lost' }) !== null) {
+        throw new Error('update() should return null for a false condition or a missing record');
+      }
+      if (await driver.remove('issues', 'ISSUE-1', () => false)) {
+        throw new Error('remove() should keep the record when its condition is false');
+      }
+
+      // Reopen, so the checks below read what reached the file
+      await driver.close();
+      driver = await open();
+      try {
+        if ((await driver.get('issues', 'ISSUE-1')).title !== 'Renamed' || !(await driver.get('users', 'admin-001'))) {
+          throw new Error('The seeded admin and the last successful update should be stored');
+        }
+        if (!await driver.remove('issues', 'ISSUE-1') || await driver.get('issues', 'ISSUE-1') !== null ||
+          await driver.remove('issues', 'ISSUE-1')) {
+          throw new Error('remove() should delete the record once');
+        }
+      } finally {
+        await driver.close();
+      }
+    })
+  },
+  {
+    name: 'Disk attachment store (concurrent uploads of the same file)',
+    run: () => withTempDir(async dir => {
+      const store = new DiskAttachmentStore({ dir });
+      const checksum = createHash('sha256').update(LOG_TEXT).digest('hex');
+      const results = await Promise.allSettled(Array.from({ length: 5 }, () => store.put(checksum, Buffer.from(LOG_TEXT))));
+      const failed = results.filter(result => result.status === 'rejected');
+      if (failed.length > 0) {
+        throw new Error(`Every upload should be stored, ${failed.length} failed: ${failed[0].reason.message}`);
+      }
+      const [shard] = fs.readdirSync(dir);
+      if ((await store.get(checksum)).toString() !== LOG_TEXT || fs.readdirSync(path.join(dir, shard)).length !== 1) {
+        throw new Error('The contents should be stored once, with no temp files left behind');
+      }
+    })
+  },
+  {
+    name: 'Local server: GET /api/issues/{id} (unknown ID)',
+    handler: localServerRequest,
+    before: async ctx => {
+      await startLocalServer();
+      const login = await localServerRequest(apiEvent('POST', '/auth/login', {
+        token: null,
+        body: { email: 'admin@example.com', password: 'Admin@12345' }
+      }));
+      ctx.localToken = JSON.parse(login.body).data.token;
+    },
+    event: ctx => apiEvent('GET', '/issues/ISSUE-missing', { token: ctx.localToken }),
+    expect: 404
+  },
+  {
+    name: 'Local server: POST /api/issues',
+    handler: localServerRequest,
+    event: ctx => apiEvent('POST', '/issues', {
+      token: ctx.localToken,
+      body: { title: 'Local issue', description: 'Kept by partial updates', category: 'BUG', tags: ['local'] }
+    }),
+    expect: 201,
+    after: (body, ctx) => { ctx.localIssue = body; }
+  },
+  {
+    name: 'Local server: GET /api/issues/{id}',
+    handler: localServerRequest,
+    event: ctx => apiEvent('GET', `/issues/${ctx.localIssue.issueId}`, { token: ctx.localToken }),
+    expect: 200,
+    after: (body, ctx) => {
+      if (JSON.stringify(body) !== JSON.stringify(ctx.localIssue)) {
+        throw new Error(`Expected the created issue, got ${JSON.stringify(body)}`);
+      }
+    }
+  },
+  {
+    name: 'Local server: PUT /api/issues/{id} (unknown field)',
+    handler: localServerRequest,
+    event: ctx => apiEvent('PUT', `/issues/${ctx.localIssue.issueId}`, { token: ctx.localToken, body: { owner: 'someone' } }),
+    expect: 400
+  },
+  {
+    name: 'Local server: PUT /api/issues/{id} (unknown ID)',
+    handler: localServerRequest,
+    event: ctx => apiEvent('PUT', '/issues/ISSUE-missing', { token: ctx.localToken, body: { priority: 'HIGH' } }),
+    expect: 404
+  },
+  {
+    name: 'Local server: PUT /api/issues/{id} (partial update)',
+    handler: localServerRequest,
+    event: ctx => apiEvent('PUT', `/issues/${ctx.localIssue.issueId}`, { token: ctx.localToken, body: { priority: 'HIGH' } }),
+    expect: 200,
+    after: async (body, ctx) => {
+      const { localIssue } = ctx;
+      const kept = ['title', 'description', 'category', 'tags', 'reporter', 'createdAt'];
+      if (body.priority !== 'HIGH' || kept.some(field => JSON.stringify(body[field]) !== JSON.stringify(localIssue[field]))) {
+        throw new Error(`Only the priority should change, got ${JSON.stringify(body)}`);
+      }
+      if (!(body.updatedAt > localIssue.updatedAt)) {
+        throw new Error(`updatedAt should move forward from ${localIssue.updatedAt}, got ${body.updatedAt}`);
+      }
+      const stored = await localServerRequest(apiEvent('GET', `/issues/${localIssue.issueId}`, { token: ctx.localToken }));
+      if (stored.body !== JSON.stringify(body)) {
+        throw new Error(`The update should be stored, got ${stored.body}`);
+      }
+    }
+  },
+  {
+    name: 'Local server: DELETE /api/issues/{id}',
+    handler: localServerRequest,
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.localIssue.issueId}`, { token: ctx.localToken }),
+    expect: 204
+  },
+  {
+    name: 'Local server: GET /api/issues/{id} (deleted)',
+    handler: localServerRequest,
+    event: ctx => apiEvent('GET', `/issues/${ctx.localIssue.issueId}`, { token: ctx.localToken }),
+    expect: 404
+  },
+  {
+    name: 'Local server: DELETE /api/issues/{id} (unknown ID)',
+    handler: localServerRequest,
+    event: ctx => apiEvent('DELETE', `/issues/${ctx.localIssue.issueId}`, { token: ctx.localToken }),
+    expect: 404
+  },
+  ...['/auth/register', '/auth/login', '/auth/refresh'].map(rawPath => ({
+    name: `Local server: POST /api${rawPath} (null body)`,
+    handler: localServerRequest,
+    event: () => apiEvent('POST', rawPath, { token: null, body: null }),
+    expect: 400
+  }))
 ];
 
 /**
@@ -87,25 +2417,49 @@ async function runTests() {
   
   let passedTests = 0;
   let totalTests = testEvents.length;
+  const context = {};
   
   for (const test of testEvents) {
     try {
       console.log(`📝 Testing: ${test.name}`);
       
+      if (test.before) {
+        await test.before(context);
+      }
+
+      // Storage driver tests call the driver directly and throw on failure
+      if (test.run) {
+        await test.run(context);
+        console.log('✅ Passed');
+        console.log('---');
+        passedTests++;
+        continue;
+      }
+
       // Execute the Lambda handler with the test event
-      const result = await handler(test.event);
+      const result = await (test.handler || handler)(test.event(context));
       
       // Display test results
+      if (result.statusCode !== test.expect) {
+        throw new Error(`Expected status ${test.expect}, got ${result.statusCode}: ${result.body}`);
+      }
       console.log(`✅ Status: ${result.statusCode}`);
       console.log(`📄 Response: ${result.body}`);
       console.log('---');
       
+      if (test.after) {
+        // Binary responses (downloads) are passed as a Buffer
+        const body = result.isBase64Encoded ? Buffer.from(result.body, 'base64') : JSON.parse(result.body);
+        await test.after(body, context, result);
+      }
       passedTests++;
     } catch (error) {
       console.log(`❌ Error: ${error.message}`);
       console.log('---');
     }
   }
+
+  await stopLocalServer();
   
   // Display test summary
   console.log(`🎉 Local testing complete!`);
@@ -115,6 +2469,7 @@ async function runTests() {
     console.log('🎯 All tests passed successfully!');
   } else {
     console.log('⚠️  Some tests failed. Check the output above.');
+    process.exitCode = 1;
   }
 }
 
@@ -11,75 +11,14 @@
 // ===== GLOBAL STATE =====
 let currentUser = null;
 let authToken = null;
-let issues = [
-    {
-        issueId: 'ISSUE-001',
-        title: 'Critical Database Connection Issue',
-        description: 'Users are experiencing intermittent database connection failures during peak hours. This is affecting the core functionality of the application and needs immediate attention.',
-        category: 'BUG',
-        status: 'OPEN',
-        priority: 'CRITICAL',
-        assignee: 'admin@example.com',
-        reporter: 'admin@example.com',
-        tags: ['database', 'critical', 'performance'],
-        attachments: [
-            { name: 'error_log.txt', size: 2048, type: 'text/plain', lastModified: Date.now() },
-            { name: 'screenshot.png', size: 512000, type: 'image/png', lastModified: Date.now() }
-        ],
-        createdAt: '2025-08-12T10:00:00.000Z',
-        updatedAt: '2025-08-12T10:00:00.000Z'
-    },
-    {
-        issueId: 'ISSUE-002',
-        title: 'Implement Dark Mode Feature',
-        description: 'Add a dark mode toggle to improve user experience and reduce eye strain. This should include theme switching for all components and persistent user preference storage.',
-        category: 'FEATURE',
-        status: 'IN_PROGRESS',
-        priority: 'HIGH',
-        assignee: 'support@example.com',
-        reporter: 'admin@example.com',
-        tags: ['ui', 'feature', 'dark-mode'],
-        attachments: [
-            { name: 'design_mockup.fig', size: 1024000, type: 'application/fig', lastModified: Date.now() }
-        ],
-        createdAt: '2025-08-12T10:00:00.000Z',
-        updatedAt: '2025-08-12T10:00:00.000Z'
-    },
-    {
-        issueId: 'ISSUE-003',
-        title: 'Update API Documentation',
-        description: 'The current API documentation is outdated and missing several new endpoints. Need to update the documentation to reflect all current API capabilities.',
-        category: 'DOCUMENTATION',
-        status: 'OPEN',
-        priority: 'MEDIUM',
-        assignee: '',
-        reporter: 'admin@example.com',
-        tags: ['documentation', 'api'],
-        attachments: [],
-        createdAt: '2025-08-12T10:00:00.000Z',
-        updatedAt: '2025-08-12T10:00:00.000Z'
-    },
-    {
-        issueId: 'ISSUE-004',
-        title: 'Performance Optimization for Mobile',
-        description: 'The mobile version of the application is experiencing slow load times. Need to optimize images, reduce bundle size, and implement lazy loading.',
-        category: 'ENHANCEMENT',
-        status: 'RESOLVED',
-        priority: 'HIGH',
-        assignee: 'admin@example.com',
-        reporter: 'support@example.com',
-        tags: ['mobile', 'performance', 'optimization'],
-        attachments: [
-            { name: 'performance_report.pdf', size: 256000, type: 'application/pdf', lastModified: Date.now() }
-        ],
-        createdAt: '2025-08-12T10:00:00.000Z',
-        updatedAt: '2025-08-12T10:00:00.000Z'
-    }
-];
+let issues = []; // Every issue, loaded from GET /api/issues (dashboard, reports)
 
-// Pagination state
+// Pagination state: the issues list shows one page from the server at a time
 let currentPage = 1;
 let itemsPerPage = 10;
+let pageTokens = [null]; // nextToken that loads each page (null: the first)
+let hasNextPage = false;
+let pageRequest = 0;
 
 // ===== UTILITY FUNCTIONS =====
 const Utils = {
@@ -96,6 +35,13 @@ const Utils = {
         }, 3000);
     },
 
+    /**
+     * Escape user-supplied text for use in HTML (see markdown.js)
+     */
+    escapeHtml: (value) => {
+        return Markdown.escapeHtml(value);
+    },
+
     /**
      * Validate email format
      */
@@ -116,22 +62,6 @@ const Utils = {
      */
     generateId: () => {
         return 'ISSUE-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-    },
-
-    /**
-     * Handle file upload
-     */
-    handleFileUpload: (files) => {
-        const attachments = [];
-        for (let file of files) {
-            attachments.push({
-                name: file.name,
-                size: file.size,
-                type: file.type,
-                lastModified: file.lastModified
-            });
-        }
-        return attachments;
     }
 };
 
@@ -241,32 +171,34 @@ const Auth = {
      * Demo login for testing
      */
     demoLogin: () => {
-        currentUser = {
-            userId: 'admin-001',
-            email: 'admin@example.com',
-            firstName: 'Admin',
-            lastName: 'User',
-            role: 'ADMIN',
-            status: 'ACTIVE'
-        };
-        authToken = 'demo-token-' + Date.now();
-        localStorage.setItem('authToken', authToken);
-        localStorage.setItem('user', JSON.stringify(currentUser));
-        
-        UI.showAuthResponse('Demo login successful!', 'success');
-        setTimeout(() => {
-            UI.showApp();
-        }, 1000);
+        // Sign in as the seeded admin so the app holds a real JWT
+        document.getElementById('loginEmail').value = 'admin@example.com';
+        document.getElementById('loginPassword').value = 'Admin@12345';
+        return Auth.login();
     },
 
     /**
      * Handle user logout
      */
     logout: () => {
+        // Revoke the token server-side; the local session ends either way
+        if (authToken) {
+            fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            }).catch(() => {});
+        }
+
         currentUser = null;
         authToken = null;
         localStorage.removeItem('authToken');
         localStorage.removeItem('user');
+        issues = [];
+        SavedViews.views = [];
+        SavedViews.activeViewId = null;
+        SavedViews.render();
+        NotificationCenter.reset();
+        AdvancedIssueManager.resetTimer();
         UI.showAuth();
     },
 
@@ -337,6 +269,10 @@ const UI = {
         document.getElementById('appSection').classList.add('active');
         UI.updateAccountInfo();
         UI.showDashboard();
+        IssueManager.loadIssues(false);
+        SavedViews.load();
+        NotificationCenter.load();
+        AdvancedIssueManager.loadActiveTimer();
         
         // Update URL
         if (window.history && window.history.pushState) {
@@ -442,6 +378,7 @@ const UI = {
     toggleAccountMenu: () => {
         const dropdown = document.getElementById('accountDropdown');
         dropdown.classList.toggle('show');
+        document.getElementById('notificationPanel').classList.remove('show');
     },
 
     /**
@@ -457,7 +394,7 @@ const UI = {
      */
     showSettings: () => {
         UI.toggleAccountMenu();
-        Utils.showNotification('Settings page coming soon!', 'info');
+        NotificationCenter.showSettings();
     }
 };
 
@@ -696,7 +633,7 @@ const Dashboard = {
             return '<p style="text-align: center; color: #888;">No data available</p>';
         }
 
-        let chartHTML = `<h4 style="margin: 0 0 15px 0; color: #333;">${title}</h4>`;
+        let chartHTML = `<h4 style="margin: 0 0 15px 0; color: #333;">${Utils.escapeHtml(title)}</h4>`;
 
         Object.entries(data).forEach(([key, value]) => {
             const percentage = Math.round((value / issues.length) * 100) || 0;
@@ -705,7 +642,7 @@ const Dashboard = {
             chartHTML += `
                 <div style="margin-bottom: 10px;">
                     <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
-                        <span style="font-weight: 600; color: #333;">${key}</span>
+                        <span style="font-weight: 600; color: #333;">${Utils.escapeHtml(key)}</span>
                         <span style="color: #666;">${value} (${percentage}%)</span>
                     </div>
                     <div style="background: #e1e5e9; border-radius: 4px; height: 8px;">
@@ -739,9 +676,9 @@ const Dashboard = {
 // ===== ISSUE MANAGEMENT MODULE =====
 const IssueManager = {
     /**
-     * Create a new issue
+     * Create a new issue (POST /api/issues), then upload its attachments
      */
-    createIssue: () => {
+    createIssue: async () => {
         const title = document.getElementById('issueTitle').value;
         const description = document.getElementById('issueDescription').value;
         const category = document.getElementById('issueCategory').value;
@@ -755,20 +692,33 @@ const IssueManager = {
             return;
         }
 
-        const newIssue = {
-            issueId: Utils.generateId(),
-            title: title,
-            description: description,
-            category: category,
-            status: 'OPEN',
-            priority: priority,
-            assignee: assignee || null,
-            reporter: currentUser ? currentUser.email : 'anonymous',
-            tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-            attachments: Utils.handleFileUpload(attachments),
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        let newIssue;
+        try {
+            const response = await fetch('/api/issues', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${authToken}`
+                },
+                body: JSON.stringify({
+                    title,
+                    description,
+                    category,
+                    priority,
+                    assignee: assignee || undefined,
+                    tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+                })
+            });
+            newIssue = await response.json();
+            if (!response.ok) {
+                throw new Error(newIssue.message || `Request failed (${response.status})`);
+            }
+        } catch (error) {
+            Utils.showNotification(`Could not create issue: ${error.message}`, 'error');
+            return;
+        }
+        // Files the server rejects are reported one by one; the issue stays
+        await Attachments.upload(newIssue.issueId, [...attachments]);
 
         issues.push(newIssue);
         IssueManager.displayIssues();
@@ -787,31 +737,110 @@ const IssueManager = {
     },
 
     /**
-     * Load issues from API
+     * Load every issue from the API for the dashboard and the reports,
+     * then refresh the issues list
+     *
+     * @param {boolean} announce - Confirm the refresh with a notification
      */
-    loadIssues: () => {
-        // In a real app, this would fetch from the API
+    loadIssues: async (announce = true) => {
+        try {
+            issues = await IssueManager.fetchIssues({});
+        } catch (error) {
+            Utils.showNotification(`Could not load issues: ${error.message}`, 'error');
+            return;
+        }
+        pageTokens = [null];
+        currentPage = 1;
         IssueManager.displayIssues();
-        Utils.showNotification('Issues refreshed!', 'success');
+        Dashboard.updateMetrics();
+        if (announce) {
+            Utils.showNotification('Issues refreshed!', 'success');
+        }
+    },
+
+    /**
+     * Fetch one page of issues (GET /api/issues); the server filters,
+     * sorts and pages, and returns the nextToken of the following page
+     */
+    fetchIssuePage: async (query) => {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+        const response = await fetch(`/api/issues?${params}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Loading issues failed');
+        }
+        return data;
+    },
+
+    /**
+     * Fetch every issue matching a query, following nextToken
+     */
+    fetchIssues: async (query) => {
+        const matched = [];
+        let nextToken = null;
+        do {
+            const page = await IssueManager.fetchIssuePage({ ...query, limit: 100, nextToken });
+            matched.push(...page.items);
+            nextToken = page.nextToken;
+        } while (nextToken);
+        return matched;
     },
 
     /**
-     * Display issues in table format with pagination
+     * Fetch every issue matching a filter language query
+     * (GET /api/issues?filter=). The server evaluates the query, so the
+     * issues list and the reports select the same issues for it.
      */
-    displayIssues: () => {
-        // Initialize filteredIssues if not set
-        if (filteredIssues.length === 0) {
-            filteredIssues = [...issues];
+    queryIssues: (filter) => IssueManager.fetchIssues({ filter }),
+
+    /**
+     * Display the current page of issues: a page fetched from the server,
+     * or of the search results (at most 50, ranked, so paged here)
+     */
+    displayIssues: async () => {
+        if (!authToken) {
+            return;
+        }
+        const request = ++pageRequest;
+        let pageIssues;
+        if (searchResults) {
+            const startIndex = (currentPage - 1) * itemsPerPage;
+            pageIssues = searchResults.slice(startIndex, startIndex + itemsPerPage);
+            hasNextPage = startIndex + itemsPerPage < searchResults.length;
+        } else {
+            let page;
+            try {
+                page = await IssueManager.fetchIssuePage({
+                    ...listFilters,
+                    limit: itemsPerPage,
+                    nextToken: pageTokens[currentPage - 1]
+                });
+            } catch (error) {
+                if (request === pageRequest) {
+                    Utils.showNotification(error.message, 'error');
+                }
+                return;
+            }
+            if (request !== pageRequest) {
+                return; // A newer page has been requested
+            }
+            pageIssues = page.items;
+            hasNextPage = page.hasNext;
+            pageTokens[currentPage] = page.nextToken;
         }
 
         const tableBody = document.getElementById('issuesTableBody');
-        const startIndex = (currentPage - 1) * itemsPerPage;
-        const endIndex = startIndex + itemsPerPage;
-        const paginatedIssues = filteredIssues.slice(startIndex, endIndex);
 
         tableBody.innerHTML = '';
 
-        if (paginatedIssues.length === 0) {
+        if (pageIssues.length === 0) {
             tableBody.innerHTML = `
                 <tr>
                     <td colspan="9" style="text-align: center; padding: 40px; color: #666;">
@@ -820,26 +849,34 @@ const IssueManager = {
                 </tr>
             `;
         } else {
-            paginatedIssues.forEach(issue => {
+            const escape = Utils.escapeHtml;
+            pageIssues.forEach(issue => {
                 const row = document.createElement('tr');
+                // Search snippets arrive HTML-escaped, with matches in <mark>
                 row.innerHTML = `
-                    <td><input type="checkbox" class="issue-checkbox" value="${issue.issueId}" onchange="updateSelectAllState()"></td>
-                    <td>${issue.issueId}</td>
+                    <td><input type="checkbox" class="issue-checkbox" value="${escape(issue.issueId)}" onchange="updateSelectAllState()"></td>
+                    <td>${escape(issue.issueId)}</td>
                     <td>
-                        <strong>${issue.title}</strong>
-                        ${issue.description ? `<br><small style="color: #666;">${issue.description.substring(0, 50)}${issue.description.length > 50 ? '...' : ''}</small>` : ''}
+                        <strong>${escape(issue.title)}</strong>
+                        ${searchSnippets[issue.issueId]
+                            ? searchSnippets[issue.issueId].map(snippet => `<br><small class="search-snippet">${snippet.text}</small>`).join('')
+                            : issue.description ? `<br><small style="color: #666;">${escape(issue.description.substring(0, 50))}${issue.description.length > 50 ? '...' : ''}</small>` : ''}
                     </td>
-                    <td>${issue.category}</td>
-                    <td><span class="priority-badge ${issue.priority.toLowerCase()}">${issue.priority}</span></td>
-                    <td><span class="status-badge ${issue.status.toLowerCase().replace('_', '-')}">${issue.status}</span></td>
-                    <td>${issue.assignee || 'Unassigned'}</td>
+                    <td>${escape(issue.category || '-')}</td>
+                    <td><span class="priority-badge ${escape(issue.priority.toLowerCase())}">${escape(issue.priority)}</span></td>
+                    <td><span class="status-badge ${escape(issue.status.toLowerCase().replace('_', '-'))}">${escape(issue.status)}</span></td>
+                    <td>${escape(issue.assignee || 'Unassigned')}</td>
                     <td>${Utils.formatDate(issue.createdAt)}</td>
                     <td>
-                        <button onclick="openIssueModal('${issue.issueId}')" style="margin-right: 5px; padding: 4px 8px; font-size: 12px; background: var(--secondary-color); color: white;">👁️</button>
-                        <button onclick="IssueManager.editIssue('${issue.issueId}')" style="margin-right: 5px; padding: 4px 8px; font-size: 12px;">✏️</button>
-                        <button onclick="IssueManager.deleteIssue('${issue.issueId}')" style="padding: 4px 8px; font-size: 12px; background: #DC3545;">🗑️</button>
+                        <button data-action="view" style="margin-right: 5px; padding: 4px 8px; font-size: 12px; background: var(--secondary-color); color: white;">👁️</button>
+                        <button data-action="edit" style="margin-right: 5px; padding: 4px 8px; font-size: 12px;">✏️</button>
+                        <button data-action="delete" style="padding: 4px 8px; font-size: 12px; background: #DC3545;">🗑️</button>
                     </td>
                 `;
+                // Bound here rather than inline, so the ID never lands in script
+                row.querySelector('[data-action="view"]').addEventListener('click', () => openIssueModal(issue.issueId));
+                row.querySelector('[data-action="edit"]').addEventListener('click', () => IssueManager.editIssue(issue.issueId));
+                row.querySelector('[data-action="delete"]').addEventListener('click', () => IssueManager.deleteIssue(issue.issueId));
                 tableBody.appendChild(row);
             });
         }
@@ -851,36 +888,61 @@ const IssueManager = {
      * Update pagination controls
      */
     updatePagination: () => {
-        const totalPages = Math.ceil(filteredIssues.length / itemsPerPage);
         const pageInfo = document.getElementById('pageInfo');
         const prevBtn = document.getElementById('prevBtn');
         const nextBtn = document.getElementById('nextBtn');
 
-        pageInfo.textContent = `Page ${currentPage} of ${totalPages} (${filteredIssues.length} issues)`;
+        pageInfo.textContent = searchResults
+            ? `Page ${currentPage} of ${Math.max(1, Math.ceil(searchResults.length / itemsPerPage))} (${searchResults.length} matches)`
+            : `Page ${currentPage}`;
         prevBtn.disabled = currentPage === 1;
-        nextBtn.disabled = currentPage === totalPages;
+        nextBtn.disabled = !hasNextPage;
     },
 
     /**
-     * Edit issue
+     * Open an issue in the modal, in edit mode
      */
     editIssue: (issueId) => {
-        const issue = issues.find(i => i.issueId === issueId);
-        if (issue) {
-            Utils.showNotification(`Editing issue: ${issue.title}`, 'info');
-            // TODO: Implement edit modal/form
+        AdvancedIssueManager.openIssueModal(issueId);
+        if (currentIssue && currentIssue.issueId === issueId) {
+            IssueEditor.start();
+        }
+    },
+
+    /**
+     * Delete an issue (DELETE /api/issues/{id})
+     */
+    deleteIssue: async (issueId) => {
+        if (!confirm('Are you sure you want to delete this issue?')) {
+            return;
+        }
+        try {
+            await IssueManager.removeIssue(issueId);
+        } catch (error) {
+            Utils.showNotification(`Could not delete issue: ${error.message}`, 'error');
+            return;
         }
+        IssueManager.displayIssues();
+        Dashboard.updateMetrics();
+        Utils.showNotification('Issue deleted successfully!', 'success');
     },
 
     /**
-     * Delete issue
+     * Delete an issue on the server and drop it from the loaded lists
      */
-    deleteIssue: (issueId) => {
-        if (confirm('Are you sure you want to delete this issue?')) {
-            issues = issues.filter(i => i.issueId !== issueId);
-            IssueManager.displayIssues();
-            Dashboard.updateMetrics();
-            Utils.showNotification('Issue deleted successfully!', 'success');
+    removeIssue: async (issueId) => {
+        const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        // Already gone is as good as deleted
+        if (!response.ok && response.status !== 404) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        issues = issues.filter(i => i.issueId !== issueId);
+        if (searchResults) {
+            searchResults = searchResults.filter(i => i.issueId !== issueId);
         }
     },
 
@@ -909,8 +971,7 @@ function previousPage() {
 }
 
 function nextPage() {
-    const totalPages = Math.ceil(issues.length / itemsPerPage);
-    if (currentPage < totalPages) {
+    if (hasNextPage) {
         currentPage++;
         IssueManager.displayIssues();
     }
@@ -952,9 +1013,9 @@ const APITester = {
             });
 
             const data = await response.json();
-            responseDiv.innerHTML = `✅ Status: ${response.status}\n📄 Response: ${JSON.stringify(data, null, 2)}`;
+            responseDiv.textContent = `✅ Status: ${response.status}\n📄 Response: ${JSON.stringify(data, null, 2)}`;
         } catch (error) {
-            responseDiv.innerHTML = `❌ Error: ${error.message}`;
+            responseDiv.textContent = `❌ Error: ${error.message}`;
         }
     }
 };
@@ -962,6 +1023,7 @@ const APITester = {
 // ===== EVENT LISTENERS =====
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize the application
+    Workflow.load();
     Auth.checkAuth();
 
     // Add event listeners for forms
@@ -969,6 +1031,9 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
     });
 
+    // Suggest users while typing an @mention in a new comment
+    Mentions.attach(document.getElementById('newCommentText'));
+
     // Handle file upload display
     const fileInput = document.getElementById('issueAttachments');
     if (fileInput) {
@@ -982,7 +1047,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Close account dropdown when clicking outside
+    // Close account dropdown and notification panel when clicking outside
     document.addEventListener('click', (e) => {
         const accountMenu = document.getElementById('accountMenu');
         const dropdown = document.getElementById('accountDropdown');
@@ -990,6 +1055,12 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!accountMenu.contains(e.target) && dropdown.classList.contains('show')) {
             dropdown.classList.remove('show');
         }
+
+        const notificationMenu = document.getElementById('notificationMenu');
+        const panel = document.getElementById('notificationPanel');
+        if (!notificationMenu.contains(e.target) && panel.classList.contains('show')) {
+            panel.classList.remove('show');
+        }
     });
 
     // Handle browser back/forward buttons
@@ -1036,22 +1107,76 @@ window.exportIssues = IssueManager.exportIssues;
 
 // Global state for Phase 2 features
 let currentIssue = null;
+let activeTimer = null; // The user's running timer (GET /api/timer), on any issue
 let timerInterval = null;
-let timerStartTime = null;
-let isTimerRunning = false;
 
 // Enhanced Issue Management
+// Issue status workflow, served by the backend from packages/shared/src/workflow.ts
+const Workflow = {
+    definition: null,
+
+    statusLabels: {
+        OPEN: 'Open',
+        IN_PROGRESS: 'In Progress',
+        RESOLVED: 'Resolved',
+        CLOSED: 'Closed'
+    },
+
+    /**
+     * Load the workflow definition from the server
+     */
+    load: async () => {
+        try {
+            const response = await fetch('/api/workflow');
+            if (response.ok) {
+                Workflow.definition = await response.json();
+            }
+        } catch (error) {
+            console.warn('Workflow unavailable, status changes are not restricted:', error);
+        }
+    },
+
+    /**
+     * Transition the current user may make between two statuses, or null
+     */
+    findTransition: (from, to) => {
+        if (!Workflow.definition) {
+            return { from, to };
+        }
+        return Workflow.definition.transitions.find(t =>
+            t.from === from && t.to === to &&
+            (!t.roles || (currentUser && t.roles.includes(currentUser.role)))
+        ) || null;
+    },
+
+    /**
+     * Statuses the current user may move an issue to from a status
+     */
+    nextStatuses: (from) => {
+        return Object.keys(Workflow.statusLabels)
+            .filter(status => status !== from && Workflow.findTransition(from, status));
+    }
+};
+
 const AdvancedIssueManager = {
+    focusCommentId: null, // Comment to scroll to once the comments load
+    activeTab: 'comments', // Issue modal tab: 'comments' or 'activity'
+
     /**
      * Open issue details modal
+     *
+     * @param issue - The issue, when it is not in the loaded list
      */
-    openIssueModal: (issueId) => {
-        const issue = issues.find(i => i.issueId === issueId);
+    openIssueModal: (issueId, issue = issues.find(i => i.issueId === issueId)) => {
         if (!issue) {
             Utils.showNotification('Issue not found', 'error');
             return;
         }
+        if (!IssueEditor.confirmDiscard()) {
+            return;
+        }
         
+        IssueEditor.stop();
         currentIssue = issue;
         AdvancedIssueManager.populateModal(issue);
         document.getElementById('issueModal').style.display = 'block';
@@ -1061,378 +1186,1672 @@ const AdvancedIssueManager = {
      * Close issue details modal
      */
     closeIssueModal: () => {
+        if (!IssueEditor.confirmDiscard()) {
+            return;
+        }
+        IssueEditor.stop();
         document.getElementById('issueModal').style.display = 'none';
         currentIssue = null;
-        if (isTimerRunning) {
-            AdvancedIssueManager.stopTimer();
-        }
+        // The timer keeps running server-side; only the display stops
+        AdvancedIssueManager.renderTimer();
     },
 
     /**
      * Populate modal with issue data
      */
     populateModal: (issue) => {
-        // Set basic issue information
+        AdvancedIssueManager.renderDetails(issue);
+
+        // Load attachments, with download links
+        Attachments.load(issue);
+
+        // Load watchers and comments (a newly opened issue starts on the comments tab)
+        AdvancedIssueManager.loadWatchers(issue.issueId);
+        AdvancedIssueManager.showTab('comments');
+        AdvancedIssueManager.loadComments(issue.issueId);
+
+        // Load time tracking
+        AdvancedIssueManager.loadTimeTracking(issue.issueId);
+    },
+
+    /**
+     * Show an issue's own fields in the modal
+     */
+    renderDetails: (issue) => {
         document.getElementById('modalIssueTitle').textContent = issue.title;
-        document.getElementById('modalIssueStatus').value = issue.status;
+        AdvancedIssueManager.populateStatusOptions(issue.status);
         document.getElementById('modalIssuePriority').value = issue.priority;
         document.getElementById('modalIssueAssignee').value = issue.assignee || '';
-        document.getElementById('modalIssueCategory').textContent = issue.category;
+        document.getElementById('modalIssueCategory').textContent = issue.category || '-';
         document.getElementById('modalIssueCreated').textContent = Utils.formatDate(issue.createdAt);
         document.getElementById('modalIssueUpdated').textContent = Utils.formatDate(issue.updatedAt);
-        document.getElementById('modalIssueDescription').textContent = issue.description;
+        document.getElementById('modalIssueDescription').innerHTML = Markdown.render(issue.description);
 
         // Populate tags
         const tagsContainer = document.getElementById('modalIssueTags');
         if (issue.tags && issue.tags.length > 0) {
             tagsContainer.innerHTML = issue.tags.map(tag => 
-                `<span class="tag">${tag}</span>`
+                `<span class="tag">${Utils.escapeHtml(tag)}</span>`
             ).join('');
         } else {
             tagsContainer.innerHTML = '<span style="color: var(--gray-500);">No tags</span>';
         }
+    },
 
-        // Populate attachments
-        const attachmentsContainer = document.getElementById('modalIssueAttachments');
-        if (issue.attachments && issue.attachments.length > 0) {
-            attachmentsContainer.innerHTML = issue.attachments.map(attachment => 
-                `<div class="attachment-item">
-                    <span class="attachment-icon">📎</span>
-                    <div class="attachment-info">
-                        <div class="attachment-name">${attachment.name}</div>
-                        <div class="attachment-size">${Utils.formatFileSize(attachment.size)}</div>
-                    </div>
-                </div>`
-            ).join('');
-        } else {
-            attachmentsContainer.innerHTML = '<span style="color: var(--gray-500);">No attachments</span>';
+    /**
+     * Show the comments or the activity tab of the issue modal
+     */
+    showTab: (tab) => {
+        AdvancedIssueManager.activeTab = tab;
+        document.querySelectorAll('.issue-tab-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        document.getElementById('issueCommentsTab').classList.toggle('active', tab === 'comments');
+        document.getElementById('issueActivityTab').classList.toggle('active', tab === 'activity');
+        if (tab === 'activity' && currentIssue) {
+            AdvancedIssueManager.loadActivity(currentIssue.issueId);
         }
-
-        // Load comments
-        AdvancedIssueManager.loadComments(issue.issueId);
-
-        // Load time tracking
-        AdvancedIssueManager.loadTimeTracking(issue.issueId);
     },
 
     /**
-     * Load comments for an issue
+     * Reload the activity timeline if it is showing
      */
-    loadComments: (issueId) => {
-        const commentsContainer = document.getElementById('commentsContainer');
-        
-        // Get comments from localStorage or use default
-        const comments = JSON.parse(localStorage.getItem(`comments_${issueId}`)) || [
-            {
-                id: 'comment-1',
-                author: 'admin@example.com',
-                content: 'Initial investigation started',
-                date: new Date().toISOString(),
-                type: 'comment'
-            }
-        ];
-
-        commentsContainer.innerHTML = comments.map(comment => 
-            `<div class="comment">
-                <div class="comment-header">
-                    <span class="comment-author">${comment.author}</span>
-                    <span class="comment-date">${Utils.formatDate(comment.date)}</span>
-                </div>
-                <div class="comment-content">${comment.content}</div>
-            </div>`
-        ).join('');
+    refreshActivity: () => {
+        if (AdvancedIssueManager.activeTab === 'activity' && currentIssue) {
+            AdvancedIssueManager.loadActivity(currentIssue.issueId);
+        }
     },
 
     /**
-     * Add a new comment
+     * Load an issue's history and comments into the activity timeline, oldest first
      */
-    addComment: () => {
-        const commentText = document.getElementById('newCommentText').value.trim();
-        if (!commentText) {
-            Utils.showNotification('Please enter a comment', 'error');
+    loadActivity: async (issueId) => {
+        const timeline = document.getElementById('activityTimeline');
+        timeline.innerHTML = '<span style="color: var(--gray-500);">Loading activity...</span>';
+
+        let events;
+        let comments;
+        try {
+            const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}/history`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+            const history = await response.json();
+            if (!response.ok) {
+                throw new Error(history.message || `Request failed (${response.status})`);
+            }
+            events = history.items;
+            comments = (await AdvancedIssueManager.commentRequest('GET', issueId, '')).items;
+        } catch (error) {
+            timeline.innerHTML = '<span style="color: var(--gray-500);">Activity unavailable</span>';
+            console.warn('Activity unavailable:', error);
             return;
         }
 
-        if (!currentIssue) {
-            Utils.showNotification('No issue selected', 'error');
+        // The modal may have moved on to another issue while loading
+        if (!currentIssue || currentIssue.issueId !== issueId) {
             return;
         }
-
-        const newComment = {
-            id: 'comment-' + Date.now(),
-            author: currentUser ? currentUser.email : 'anonymous@example.com',
-            content: commentText,
-            date: new Date().toISOString(),
-            type: 'comment'
-        };
-
-        // Get existing comments
-        const comments = JSON.parse(localStorage.getItem(`comments_${currentIssue.issueId}`)) || [];
-        comments.push(newComment);
-        localStorage.setItem(`comments_${currentIssue.issueId}`, JSON.stringify(comments));
-
-        // Reload comments
-        AdvancedIssueManager.loadComments(currentIssue.issueId);
-
-        // Clear input
-        document.getElementById('newCommentText').value = '';
-
-        Utils.showNotification('Comment added successfully', 'success');
+        const entries = [
+            ...events.map(event => ({ at: event.createdAt, element: AdvancedIssueManager.renderEvent(event) })),
+            ...comments.map(comment => ({ at: comment.createdAt, element: AdvancedIssueManager.renderActivityComment(comment) }))
+        ].sort((a, b) => a.at.localeCompare(b.at));
+        timeline.innerHTML = entries.length === 0
+            ? '<span style="color: var(--gray-500);">No activity yet</span>'
+            : '';
+        entries.forEach(entry => timeline.appendChild(entry.element));
+    },
+
+    /**
+     * Build a timeline entry
+     *
+     * @param icon - Emoji shown in the timeline's margin
+     * @param text - What happened, after the actor's email
+     */
+    renderActivity: (icon, actorEmail, text, createdAt) => {
+        const element = document.createElement('div');
+        element.className = 'activity-item';
+        element.innerHTML = `
+            <span class="activity-icon"></span>
+            <div class="activity-body">
+                <div class="activity-summary"><strong class="activity-actor"></strong> <span class="activity-text"></span></div>
+                <div class="activity-date"></div>
+            </div>`;
+        element.querySelector('.activity-icon').textContent = icon;
+        element.querySelector('.activity-actor').textContent = actorEmail;
+        element.querySelector('.activity-text').textContent = text;
+        element.querySelector('.activity-date').textContent = Utils.formatDate(createdAt);
+        return element;
     },
 
     /**
-     * Load time tracking data
+     * Timeline entry for a history event
      */
-    loadTimeTracking: (issueId) => {
-        const timeEntriesContainer = document.getElementById('timeEntriesContainer');
-        const totalTimeSpent = document.getElementById('totalTimeSpent');
-        
-        // Get time entries from localStorage
-        const timeEntries = JSON.parse(localStorage.getItem(`time_${issueId}`)) || [
-            {
-                id: 'time-1',
-                date: new Date().toISOString(),
-                duration: 120, // minutes
-                description: 'Initial setup and investigation'
-            }
-        ];
+    renderEvent: (event) => {
+        if (event.action === 'created') {
+            return AdvancedIssueManager.renderActivity('🆕', event.actorEmail, 'created the issue', event.createdAt);
+        }
+        if (event.action === 'deleted') {
+            return AdvancedIssueManager.renderActivity('🗑️', event.actorEmail, 'deleted the issue', event.createdAt);
+        }
+        return AdvancedIssueManager.renderActivity(
+            AdvancedIssueManager.eventIcons[event.field] || '✏️',
+            event.actorEmail,
+            AdvancedIssueManager.describeChange(event),
+            event.createdAt
+        );
+    },
 
-        // Calculate total time
-        const totalMinutes = timeEntries.reduce((sum, entry) => sum + entry.duration, 0);
-        const hours = Math.floor(totalMinutes / 60);
-        const minutes = totalMinutes % 60;
-        totalTimeSpent.textContent = `${hours}h ${minutes}m`;
-
-        // Display time entries
-        timeEntriesContainer.innerHTML = timeEntries.map(entry => {
-            const entryHours = Math.floor(entry.duration / 60);
-            const entryMinutes = entry.duration % 60;
-            return `<div class="time-entry">
-                <div class="time-entry-info">
-                    <div class="time-entry-date">${Utils.formatDate(entry.date)}</div>
-                    <div class="time-entry-duration">${entryHours}h ${entryMinutes}m</div>
-                    <div class="time-entry-description">${entry.description}</div>
-                </div>
-            </div>`;
-        }).join('');
+    // Timeline icons for changes to each field
+    eventIcons: {
+        status: '🔄',
+        priority: '⚡',
+        assignee: '👤',
+        watchers: '👁️',
+        tags: '🏷️'
+    },
+
+    /**
+     * Describe an `updated` history event, e.g. "changed the status from Open to In Progress"
+     */
+    describeChange: ({ field, oldValue, newValue, actorEmail }) => {
+        const label = value => (field === 'status' && Workflow.statusLabels[value]) || value;
+        const list = values => (values && values.length > 0 ? values.join(', ') : 'none');
+
+        switch (field) {
+        case 'description':
+            return 'edited the description';
+        case 'assignee':
+            if (!newValue) return `unassigned ${oldValue}`;
+            return oldValue ? `reassigned the issue from ${oldValue} to ${newValue}` : `assigned the issue to ${newValue}`;
+        case 'tags':
+            return `changed the tags from ${list(oldValue)} to ${list(newValue)}`;
+        case 'watchers': {
+            const added = (newValue || []).filter(email => !(oldValue || []).includes(email));
+            const removed = (oldValue || []).filter(email => !(newValue || []).includes(email));
+            if (added.length === 1 && removed.length === 0 && added[0] === actorEmail) return 'started watching';
+            if (removed.length === 1 && added.length === 0 && removed[0] === actorEmail) return 'stopped watching';
+            return [
+                added.length > 0 ? `added ${added.join(', ')} as watchers` : '',
+                removed.length > 0 ? `removed ${removed.join(', ')} from the watchers` : ''
+            ].filter(Boolean).join(' and ');
+        }
+        default:
+            return oldValue === null
+                ? `set the ${field} to ${label(newValue)}`
+                : `changed the ${field} from ${label(oldValue)} to ${label(newValue)}`;
+        }
     },
 
     /**
-     * Add time entry manually
+     * Timeline entry for a comment
      */
-    addTimeEntry: () => {
-        const hours = prompt('Enter hours spent:');
-        const minutes = prompt('Enter minutes spent:');
-        const description = prompt('Enter description:');
-
-        if (!hours || !minutes || !description) {
-            Utils.showNotification('All fields are required', 'error');
-            return;
-        }
-
-        const totalMinutes = parseInt(hours) * 60 + parseInt(minutes);
-        
-        const timeEntry = {
-            id: 'time-' + Date.now(),
-            date: new Date().toISOString(),
-            duration: totalMinutes,
-            description: description
-        };
-
-        // Get existing time entries
-        const timeEntries = JSON.parse(localStorage.getItem(`time_${currentIssue.issueId}`)) || [];
-        timeEntries.push(timeEntry);
-        localStorage.setItem(`time_${currentIssue.issueId}`, JSON.stringify(timeEntries));
-
-        // Reload time tracking
-        AdvancedIssueManager.loadTimeTracking(currentIssue.issueId);
-
-        Utils.showNotification('Time entry added successfully', 'success');
+    renderActivityComment: (comment) => {
+        const element = AdvancedIssueManager.renderActivity('💬', comment.authorEmail, 'commented', comment.createdAt);
+        const body = document.createElement('div');
+        body.className = 'activity-comment markdown-body';
+        body.innerHTML = Markdown.render(comment.body, { mentions: comment.mentions });
+        element.querySelector('.activity-body').appendChild(body);
+        return element;
     },
 
     /**
-     * Toggle timer on/off
+     * Call the watchers API for an issue, throwing the server's message on failure
      */
-    toggleTimer: () => {
-        if (isTimerRunning) {
-            AdvancedIssueManager.stopTimer();
-        } else {
-            AdvancedIssueManager.startTimer();
+    watcherRequest: async (method, issueId) => {
+        const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}/watchers`, {
+            method,
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
         }
+        return data;
     },
 
     /**
-     * Start timer
+     * Load an issue's watchers and whether the current user is one of them
      */
-    startTimer: () => {
-        if (!currentIssue) {
-            Utils.showNotification('No issue selected', 'error');
+    loadWatchers: async (issueId) => {
+        const container = document.getElementById('modalIssueWatchers');
+        const button = document.getElementById('watchButton');
+        container.innerHTML = '<span style="color: var(--gray-500);">Loading watchers...</span>';
+        button.disabled = true;
+
+        let watchers;
+        try {
+            watchers = await AdvancedIssueManager.watcherRequest('GET', issueId);
+        } catch (error) {
+            container.innerHTML = '<span style="color: var(--gray-500);">Watchers unavailable</span>';
+            console.warn('Watchers unavailable:', error);
             return;
         }
-
-        timerStartTime = new Date();
-        isTimerRunning = true;
-        
-        const timerButton = document.getElementById('timerButton');
-        timerButton.textContent = '⏸️ Pause Timer';
-        timerButton.className = 'btn-accent';
-
-        timerInterval = setInterval(() => {
-            const now = new Date();
-            const diff = now - timerStartTime;
-            const hours = Math.floor(diff / 3600000);
-            const minutes = Math.floor((diff % 3600000) / 60000);
-            const seconds = Math.floor((diff % 60000) / 1000);
-            
-            document.getElementById('timerDisplay').textContent = 
-                `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        }, 1000);
-
-        Utils.showNotification('Timer started', 'success');
+        if (currentIssue && currentIssue.issueId === issueId) {
+            AdvancedIssueManager.renderWatchers(watchers);
+        }
     },
 
     /**
-     * Stop timer
+     * Show a GET /issues/{id}/watchers response and the Watch/Unwatch button
      */
-    stopTimer: () => {
-        if (!isTimerRunning) return;
-
-        clearInterval(timerInterval);
-        isTimerRunning = false;
-        
-        const timerButton = document.getElementById('timerButton');
-        timerButton.textContent = '▶️ Start Timer';
-        timerButton.className = 'btn-accent';
-
-        // Calculate total time
-        const endTime = new Date();
-        const totalMinutes = Math.floor((endTime - timerStartTime) / 60000);
-        
-        // Ask for description
-        const description = prompt('Enter description for this time entry:') || 'Timer session';
-        
-        const timeEntry = {
-            id: 'time-' + Date.now(),
-            date: timerStartTime.toISOString(),
-            duration: totalMinutes,
-            description: description
-        };
-
-        // Add to time entries
-        const timeEntries = JSON.parse(localStorage.getItem(`time_${currentIssue.issueId}`)) || [];
-        timeEntries.push(timeEntry);
-        localStorage.setItem(`time_${currentIssue.issueId}`, JSON.stringify(timeEntries));
-
-        // Reload time tracking
-        AdvancedIssueManager.loadTimeTracking(currentIssue.issueId);
+    renderWatchers: ({ items, watching }) => {
+        const container = document.getElementById('modalIssueWatchers');
+        container.innerHTML = items.length === 0
+            ? '<span style="color: var(--gray-500);">Nobody is watching this issue</span>'
+            : items.map(watcher => {
+                const name = watcher.firstName ? `${watcher.firstName} ${watcher.lastName}` : watcher.email;
+                return `<span class="watcher" title="${Utils.escapeHtml(watcher.email)}">${Utils.escapeHtml(name)}</span>`;
+            }).join('');
 
-        // Reset timer display
-        document.getElementById('timerDisplay').textContent = '00:00:00';
-
-        Utils.showNotification(`Timer stopped. Added ${Math.floor(totalMinutes/60)}h ${totalMinutes%60}m`, 'success');
+        const button = document.getElementById('watchButton');
+        button.disabled = false;
+        button.dataset.watching = watching ? 'true' : 'false';
+        button.textContent = watching ? '🔕 Unwatch' : '👁️ Watch';
     },
 
     /**
-     * Update issue status
+     * Watch or unwatch the open issue as the current user
      */
-    updateIssueStatus: () => {
+    toggleWatch: async () => {
         if (!currentIssue) return;
-        
-        const newStatus = document.getElementById('modalIssueStatus').value;
-        currentIssue.status = newStatus;
-        currentIssue.updatedAt = new Date().toISOString();
-        
-        // Update in issues array
-        const index = issues.findIndex(i => i.issueId === currentIssue.issueId);
-        if (index !== -1) {
-            issues[index] = currentIssue;
+        const issueId = currentIssue.issueId;
+        const button = document.getElementById('watchButton');
+        const watching = button.dataset.watching === 'true';
+        button.disabled = true;
+        try {
+            const watchers = await AdvancedIssueManager.watcherRequest(watching ? 'DELETE' : 'POST', issueId);
+            if (currentIssue && currentIssue.issueId === issueId) {
+                AdvancedIssueManager.renderWatchers(watchers);
+                AdvancedIssueManager.refreshActivity();
+            }
+            Utils.showNotification(watching
+                ? 'You will no longer be notified about this issue'
+                : 'You will be notified about changes to this issue', 'success');
+        } catch (error) {
+            button.disabled = false;
+            Utils.showNotification(`Could not update watchers: ${error.message}`, 'error');
         }
-
-        Utils.showNotification('Status updated', 'success');
     },
 
     /**
-     * Update issue priority
+     * Call the comments API for an issue, throwing the server's message on failure
      */
-    updateIssuePriority: () => {
-        if (!currentIssue) return;
-        
-        const newPriority = document.getElementById('modalIssuePriority').value;
-        currentIssue.priority = newPriority;
-        currentIssue.updatedAt = new Date().toISOString();
-        
-        // Update in issues array
-        const index = issues.findIndex(i => i.issueId === currentIssue.issueId);
-        if (index !== -1) {
-            issues[index] = currentIssue;
+    commentRequest: async (method, issueId, path, body) => {
+        const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}/comments${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (response.status === 204) {
+            return null;
         }
-
-        Utils.showNotification('Priority updated', 'success');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        return data;
     },
 
     /**
-     * Update issue assignee
+     * Load comments for an issue
      */
-    updateIssueAssignee: () => {
-        if (!currentIssue) return;
-        
-        const newAssignee = document.getElementById('modalIssueAssignee').value;
-        currentIssue.assignee = newAssignee;
-        currentIssue.updatedAt = new Date().toISOString();
-        
-        // Update in issues array
-        const index = issues.findIndex(i => i.issueId === currentIssue.issueId);
-        if (index !== -1) {
-            issues[index] = currentIssue;
+    loadComments: async (issueId) => {
+        const commentsContainer = document.getElementById('commentsContainer');
+        commentsContainer.innerHTML = '<span style="color: var(--gray-500);">Loading comments...</span>';
+
+        let comments;
+        try {
+            comments = (await AdvancedIssueManager.commentRequest('GET', issueId, '')).items;
+        } catch (error) {
+            commentsContainer.innerHTML = '<span style="color: var(--gray-500);">Comments unavailable</span>';
+            console.warn('Comments unavailable:', error);
+            return;
         }
 
-        Utils.showNotification('Assignee updated', 'success');
-    },
+        // The modal may have moved on to another issue while loading
+        if (!currentIssue || currentIssue.issueId !== issueId) {
+            return;
+        }
+        commentsContainer.innerHTML = comments.length === 0
+            ? '<span style="color: var(--gray-500);">No comments yet</span>'
+            : '';
+        comments.forEach(comment => {
+            commentsContainer.appendChild(AdvancedIssueManager.renderComment(comment));
+        });
+
+        const focused = AdvancedIssueManager.focusCommentId &&
+            document.getElementById(`comment-${AdvancedIssueManager.focusCommentId}`);
+        AdvancedIssueManager.focusCommentId = null;
+        if (focused) {
+            focused.classList.add('comment-focused');
+            focused.scrollIntoView({ block: 'center' });
+        }
+    },
+
+    /**
+     * Build the element for one comment, with its mentions as links, its
+     * edit history and, for the current user's own comments, edit and
+     * delete buttons
+     */
+    renderComment: (comment) => {
+        const element = document.createElement('div');
+        element.className = 'comment';
+        element.id = `comment-${comment.commentId}`;
+        element.innerHTML = `
+            <div class="comment-header">
+                <span class="comment-author"></span>
+                <span class="comment-date"></span>
+            </div>
+            <div class="comment-content markdown-body"></div>`;
+        element.querySelector('.comment-author').textContent = comment.authorEmail;
+        element.querySelector('.comment-date').textContent = Utils.formatDate(comment.createdAt) +
+            (comment.edits.length > 0 ? ` · edited ${Utils.formatDate(comment.updatedAt)}` : '');
+        element.querySelector('.comment-content').innerHTML =
+            Markdown.render(comment.body, { mentions: comment.mentions });
+
+        if (comment.edits.length > 0) {
+            const history = document.createElement('details');
+            history.className = 'comment-history';
+            history.innerHTML = `<summary>Edit history (${comment.edits.length})</summary>`;
+            comment.edits.slice().reverse().forEach(edit => {
+                const entry = document.createElement('div');
+                entry.className = 'comment-history-entry';
+                entry.innerHTML = '<div class="comment-date"></div><div class="comment-content markdown-body"></div>';
+                entry.querySelector('.comment-date').textContent =
+                    `Replaced ${Utils.formatDate(edit.editedAt)} by ${edit.editedBy}`;
+                entry.querySelector('.comment-content').innerHTML = Markdown.render(edit.body);
+                history.appendChild(entry);
+            });
+            element.appendChild(history);
+        }
+
+        const isAuthor = currentUser && currentUser.userId === comment.authorId;
+        const canDelete = isAuthor || (currentUser && currentUser.role === 'ADMIN');
+        if (isAuthor || canDelete) {
+            const actions = document.createElement('div');
+            actions.className = 'comment-actions';
+            if (isAuthor) {
+                const edit = document.createElement('button');
+                edit.className = 'btn-secondary';
+                edit.textContent = '✏️ Edit';
+                edit.addEventListener('click', () => AdvancedIssueManager.editComment(element, comment));
+                actions.appendChild(edit);
+            }
+            const remove = document.createElement('button');
+            remove.className = 'btn-danger';
+            remove.textContent = '🗑️ Delete';
+            remove.addEventListener('click', () => AdvancedIssueManager.deleteComment(comment));
+            actions.appendChild(remove);
+            element.appendChild(actions);
+        }
+        return element;
+    },
+
+    /**
+     * Add a new comment
+     */
+    addComment: async () => {
+        const commentText = document.getElementById('newCommentText').value.trim();
+        if (!commentText) {
+            Utils.showNotification('Please enter a comment', 'error');
+            return;
+        }
+
+        if (!currentIssue) {
+            Utils.showNotification('No issue selected', 'error');
+            return;
+        }
+
+        try {
+            await AdvancedIssueManager.commentRequest('POST', currentIssue.issueId, '', { body: commentText });
+        } catch (error) {
+            Utils.showNotification(`Could not add comment: ${error.message}`, 'error');
+            return;
+        }
+
+        // Reload comments
+        AdvancedIssueManager.loadComments(currentIssue.issueId);
+
+        // Clear input
+        document.getElementById('newCommentText').value = '';
+
+        Utils.showNotification('Comment added successfully', 'success');
+    },
+
+    /**
+     * Edit one of the current user's comments in place
+     */
+    editComment: (element, comment) => {
+        const content = element.querySelector('.comment-content');
+        const actions = element.querySelector('.comment-actions');
+        const editor = document.createElement('div');
+        editor.className = 'add-comment comment-editor';
+        editor.innerHTML = `
+            <textarea rows="3"></textarea>
+            <div class="comment-actions">
+                <button class="btn-primary">💾 Save</button>
+                <button class="btn-secondary">Cancel</button>
+            </div>`;
+        const textarea = editor.querySelector('textarea');
+        textarea.value = comment.body;
+        const [save, cancel] = editor.querySelectorAll('button');
+
+        content.style.display = 'none';
+        actions.style.display = 'none';
+        element.insertBefore(editor, content.nextSibling);
+        Mentions.attach(textarea);
+        textarea.focus();
+
+        cancel.addEventListener('click', () => {
+            editor.remove();
+            content.style.display = '';
+            actions.style.display = '';
+        });
+        save.addEventListener('click', async () => {
+            const body = textarea.value.trim();
+            if (!body) {
+                Utils.showNotification('Please enter a comment', 'error');
+                return;
+            }
+            try {
+                const updated = await AdvancedIssueManager.commentRequest(
+                    'PUT', comment.issueId, `/${encodeURIComponent(comment.commentId)}`, { body });
+                element.replaceWith(AdvancedIssueManager.renderComment(updated));
+                Utils.showNotification('Comment updated', 'success');
+            } catch (error) {
+                Utils.showNotification(`Could not update comment: ${error.message}`, 'error');
+            }
+        });
+    },
+
+    /**
+     * Delete a comment after confirmation
+     */
+    deleteComment: async (comment) => {
+        if (!confirm('Delete this comment?')) {
+            return;
+        }
+        try {
+            await AdvancedIssueManager.commentRequest(
+                'DELETE', comment.issueId, `/${encodeURIComponent(comment.commentId)}`);
+        } catch (error) {
+            Utils.showNotification(`Could not delete comment: ${error.message}`, 'error');
+            return;
+        }
+        AdvancedIssueManager.loadComments(comment.issueId);
+        Utils.showNotification('Comment deleted', 'success');
+    },
+
+    /**
+     * Call the worklog and timer API, throwing the server's message on failure
+     */
+    worklogRequest: async (method, path, body) => {
+        const response = await fetch(`/api${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (response.status === 204) {
+            return null;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        return data;
+    },
+
+    /**
+     * Format minutes as "1h 30m"
+     */
+    formatMinutes: (totalMinutes) => {
+        return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+    },
+
+    /**
+     * Load an issue's worklogs and per-user totals
+     */
+    loadTimeTracking: async (issueId) => {
+        const timeEntriesContainer = document.getElementById('timeEntriesContainer');
+        const totalTimeSpent = document.getElementById('totalTimeSpent');
+        const userTotals = document.getElementById('timeUserTotals');
+        AdvancedIssueManager.renderTimer();
+
+        let worklogs;
+        try {
+            worklogs = await AdvancedIssueManager.worklogRequest(
+                'GET', `/issues/${encodeURIComponent(issueId)}/worklogs`);
+        } catch (error) {
+            timeEntriesContainer.innerHTML = '<span style="color: var(--gray-500);">Time entries unavailable</span>';
+            console.warn('Worklogs unavailable:', error);
+            return;
+        }
+        if (!currentIssue || currentIssue.issueId !== issueId) {
+            return;
+        }
+
+        totalTimeSpent.textContent = AdvancedIssueManager.formatMinutes(worklogs.totalMinutes);
+        userTotals.innerHTML = worklogs.users.map(total =>
+            `<span class="time-user-total">${Utils.escapeHtml(total.userEmail)}: ${AdvancedIssueManager.formatMinutes(total.minutes)}</span>`
+        ).join('');
+
+        timeEntriesContainer.innerHTML = worklogs.items.length === 0
+            ? '<span style="color: var(--gray-500);">No time logged yet</span>'
+            : '';
+        worklogs.items.slice().reverse().forEach(worklog => {
+            const element = document.createElement('div');
+            element.className = 'time-entry';
+            element.innerHTML = `<div class="time-entry-info">
+                <div class="time-entry-date">${Utils.formatDate(worklog.startedAt)} · ${Utils.escapeHtml(worklog.userEmail)}</div>
+                <div class="time-entry-duration">${AdvancedIssueManager.formatMinutes(worklog.minutes)}${worklog.billable === false ? ' · Non-billable' : ''}</div>
+                <div class="time-entry-description">${Utils.escapeHtml(worklog.description)}</div>
+            </div>`;
+
+            // The server also lets anyone with delete_issues remove a worklog
+            const isAuthor = currentUser && currentUser.userId === worklog.userId;
+            if (isAuthor || (currentUser && currentUser.role === 'ADMIN')) {
+                const remove = document.createElement('button');
+                remove.className = 'btn-danger';
+                remove.textContent = '🗑️';
+                remove.title = 'Delete time entry';
+                remove.addEventListener('click', () => AdvancedIssueManager.deleteTimeEntry(worklog));
+                element.appendChild(remove);
+            }
+            timeEntriesContainer.appendChild(element);
+        });
+    },
+
+    /**
+     * Log time on the open issue from the hours/minutes form
+     */
+    addTimeEntry: async () => {
+        if (!currentIssue) return;
+        const hoursInput = document.getElementById('logTimeHours');
+        const minutesInput = document.getElementById('logTimeMinutes');
+        const descriptionInput = document.getElementById('logTimeDescription');
+
+        // Empty counts as 0; anything else must be a whole, non-negative number
+        const hours = hoursInput.value.trim() === '' ? 0 : Number(hoursInput.value);
+        const minutes = minutesInput.value.trim() === '' ? 0 : Number(minutesInput.value);
+        const description = descriptionInput.value.trim();
+        const billable = document.getElementById('logTimeBillable').checked;
+        if (![hours, minutes].every(value => Number.isInteger(value) && value >= 0)) {
+            Utils.showNotification('Hours and minutes must be whole, non-negative numbers', 'error');
+            return;
+        }
+        const totalMinutes = hours * 60 + minutes;
+        if (totalMinutes === 0 || totalMinutes > 24 * 60) {
+            Utils.showNotification('Log between 1 minute and 24 hours', 'error');
+            return;
+        }
+        if (!description) {
+            Utils.showNotification('Describe the work you did', 'error');
+            return;
+        }
+
+        const issueId = currentIssue.issueId;
+        try {
+            await AdvancedIssueManager.worklogRequest(
+                'POST', `/issues/${encodeURIComponent(issueId)}/worklogs`,
+                { minutes: totalMinutes, description, billable });
+        } catch (error) {
+            Utils.showNotification(`Could not log time: ${error.message}`, 'error');
+            return;
+        }
+        hoursInput.value = '';
+        minutesInput.value = '';
+        descriptionInput.value = '';
+        AdvancedIssueManager.loadTimeTracking(issueId);
+        Utils.showNotification('Time entry added successfully', 'success');
+    },
+
+    /**
+     * Delete a time entry after confirmation
+     */
+    deleteTimeEntry: async (worklog) => {
+        if (!confirm('Delete this time entry?')) {
+            return;
+        }
+        try {
+            await AdvancedIssueManager.worklogRequest('DELETE',
+                `/issues/${encodeURIComponent(worklog.issueId)}/worklogs/${encodeURIComponent(worklog.worklogId)}`);
+        } catch (error) {
+            Utils.showNotification(`Could not delete time entry: ${error.message}`, 'error');
+            return;
+        }
+        AdvancedIssueManager.loadTimeTracking(worklog.issueId);
+        Utils.showNotification('Time entry deleted', 'success');
+    },
+
+    /**
+     * Load the current user's running timer, wherever it was started
+     */
+    loadActiveTimer: async () => {
+        try {
+            activeTimer = (await AdvancedIssueManager.worklogRequest('GET', '/timer')).timer;
+        } catch (error) {
+            console.warn('Timer unavailable:', error);
+            return;
+        }
+        AdvancedIssueManager.renderTimer();
+    },
+
+    /**
+     * Show the running timer in the open issue's time tracking section
+     */
+    renderTimer: () => {
+        clearInterval(timerInterval);
+        timerInterval = null;
+        const timerButton = document.getElementById('timerButton');
+        const timerDisplay = document.getElementById('timerDisplay');
+        const timerNote = document.getElementById('timerNote');
+        const runningHere = activeTimer && currentIssue && activeTimer.issueId === currentIssue.issueId;
+
+        timerButton.textContent = runningHere ? '⏹️ Stop Timer' : '▶️ Start Timer';
+        timerNote.textContent = activeTimer && !runningHere
+            ? `Your timer is running on ${activeTimer.issueId}; stop it there first`
+            : '';
+        timerDisplay.textContent = '00:00:00';
+        if (!runningHere) {
+            return;
+        }
+
+        const tick = () => {
+            const diff = Math.max(0, Date.now() - Date.parse(activeTimer.startedAt));
+            const hours = Math.floor(diff / 3600000);
+            const minutes = Math.floor((diff % 3600000) / 60000);
+            const seconds = Math.floor((diff % 60000) / 1000);
+            timerDisplay.textContent =
+                `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        };
+        tick();
+        timerInterval = setInterval(tick, 1000);
+    },
+
+    /**
+     * Forget the timer locally (on logout); it keeps running on the server
+     */
+    resetTimer: () => {
+        activeTimer = null;
+        clearInterval(timerInterval);
+        timerInterval = null;
+    },
+
+    /**
+     * Toggle timer on/off
+     */
+    toggleTimer: () => {
+        if (activeTimer && currentIssue && activeTimer.issueId === currentIssue.issueId) {
+            AdvancedIssueManager.stopTimer();
+        } else {
+            AdvancedIssueManager.startTimer();
+        }
+    },
+
+    /**
+     * Start a timer on the open issue
+     */
+    startTimer: async () => {
+        if (!currentIssue) {
+            Utils.showNotification('No issue selected', 'error');
+            return;
+        }
+
+        try {
+            activeTimer = await AdvancedIssueManager.worklogRequest(
+                'POST', `/issues/${encodeURIComponent(currentIssue.issueId)}/timer/start`);
+        } catch (error) {
+            Utils.showNotification(`Could not start timer: ${error.message}`, 'error');
+            // Another device may have started or stopped it
+            AdvancedIssueManager.loadActiveTimer();
+            return;
+        }
+        AdvancedIssueManager.renderTimer();
+        Utils.showNotification('Timer started', 'success');
+    },
+
+    /**
+     * Stop the open issue's timer, logging the elapsed time
+     */
+    stopTimer: async () => {
+        if (!currentIssue) return;
+        const issueId = currentIssue.issueId;
+        const descriptionInput = document.getElementById('timerDescription');
+        const description = descriptionInput.value.trim();
+        const billable = document.getElementById('timerBillable').checked;
+
+        let worklog;
+        try {
+            worklog = await AdvancedIssueManager.worklogRequest(
+                'POST', `/issues/${encodeURIComponent(issueId)}/timer/stop`,
+                description ? { description, billable } : { billable });
+        } catch (error) {
+            Utils.showNotification(`Could not stop timer: ${error.message}`, 'error');
+            AdvancedIssueManager.loadActiveTimer();
+            return;
+        }
+        activeTimer = null;
+        descriptionInput.value = '';
+        AdvancedIssueManager.loadTimeTracking(issueId);
+        Utils.showNotification(`Timer stopped. Added ${AdvancedIssueManager.formatMinutes(worklog.minutes)}`, 'success');
+    },
+
+    /**
+     * Update issue status
+     */
+    updateIssueStatus: async () => {
+        if (!currentIssue) return;
+        
+        const newStatus = document.getElementById('modalIssueStatus').value;
+        const transition = Workflow.findTransition(currentIssue.status, newStatus);
+        if (!transition) {
+            Utils.showNotification(`Cannot move an issue from ${currentIssue.status} to ${newStatus}`, 'error');
+            AdvancedIssueManager.populateStatusOptions(currentIssue.status);
+            return;
+        }
+
+        // Ask for the fields the transition requires (e.g. a resolution note)
+        const changes = {};
+        for (const field of transition.requiredFields || []) {
+            const value = prompt(`Moving to ${Workflow.statusLabels[newStatus]} requires a ${field}:`);
+            if (!value || !value.trim()) {
+                Utils.showNotification(`A ${field} is required to move to ${Workflow.statusLabels[newStatus]}`, 'error');
+                AdvancedIssueManager.populateStatusOptions(currentIssue.status);
+                return;
+            }
+            changes[field] = value.trim();
+        }
+
+        try {
+            await AdvancedIssueManager.updateIssue({ ...changes, status: newStatus });
+        } catch (error) {
+            Utils.showNotification(`Could not update status: ${error.message}`, 'error');
+            AdvancedIssueManager.populateStatusOptions(currentIssue.status);
+            return;
+        }
+        Utils.showNotification('Status updated', 'success');
+    },
+
+    /**
+     * Save changes to the open issue (recorded in its history) and show the result
+     *
+     * @throws Error with the response `status` and `body` when the update is
+     *   rejected (409 carries the current issue, see IssueEditor.save)
+     */
+    updateIssue: async (changes) => {
+        const issueId = currentIssue.issueId;
+        const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify(changes)
+        });
+        const updated = await response.json();
+        if (!response.ok) {
+            const error = new Error(updated.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            error.body = updated;
+            throw error;
+        }
+
+        AdvancedIssueManager.showUpdatedIssue(updated);
+        return updated;
+    },
+
+    /**
+     * Replace an issue in the loaded lists and, if it is open, in the modal
+     */
+    showUpdatedIssue: (updated) => {
+        [issues, searchResults || []].forEach(list => {
+            const index = list.findIndex(i => i.issueId === updated.issueId);
+            if (index !== -1) {
+                list[index] = updated;
+            }
+        });
+        IssueManager.displayIssues();
+
+        if (currentIssue && currentIssue.issueId === updated.issueId) {
+            currentIssue = updated;
+            AdvancedIssueManager.renderDetails(updated);
+            AdvancedIssueManager.loadWatchers(updated.issueId);
+            AdvancedIssueManager.refreshActivity();
+        }
+    },
+
+    /**
+     * Offer only the current status and its legal next states
+     */
+    populateStatusOptions: (status) => {
+        const select = document.getElementById('modalIssueStatus');
+        select.innerHTML = [status, ...Workflow.nextStatuses(status)]
+            .map(s => `<option value="${s}">${Workflow.statusLabels[s] || s}</option>`)
+            .join('');
+        select.value = status;
+    },
+
+    /**
+     * Update issue priority
+     */
+    updateIssuePriority: async () => {
+        if (!currentIssue) return;
+        
+        const newPriority = document.getElementById('modalIssuePriority').value;
+        try {
+            await AdvancedIssueManager.updateIssue({ priority: newPriority });
+        } catch (error) {
+            Utils.showNotification(`Could not update priority: ${error.message}`, 'error');
+            document.getElementById('modalIssuePriority').value = currentIssue.priority;
+            return;
+        }
+        Utils.showNotification('Priority updated', 'success');
+    },
+
+    /**
+     * Update issue assignee
+     */
+    updateIssueAssignee: async () => {
+        if (!currentIssue) return;
+        
+        const newAssignee = document.getElementById('modalIssueAssignee').value;
+        try {
+            await AdvancedIssueManager.updateIssue({ assignee: newAssignee || null });
+        } catch (error) {
+            Utils.showNotification(`Could not update assignee: ${error.message}`, 'error');
+            document.getElementById('modalIssueAssignee').value = currentIssue.assignee || '';
+            return;
+        }
+        Utils.showNotification('Assignee updated', 'success');
+    }
+};
+
+// Add utility function for file size formatting
+Utils.formatFileSize = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// ===== GLOBAL FUNCTIONS FOR PHASE 2 =====
+window.openIssueModal = AdvancedIssueManager.openIssueModal;
+window.closeIssueModal = AdvancedIssueManager.closeIssueModal;
+window.toggleWatch = AdvancedIssueManager.toggleWatch;
+window.showIssueTab = AdvancedIssueManager.showTab;
+window.addComment = AdvancedIssueManager.addComment;
+window.addTimeEntry = AdvancedIssueManager.addTimeEntry;
+window.toggleTimer = AdvancedIssueManager.toggleTimer;
+window.updateIssueStatus = AdvancedIssueManager.updateIssueStatus;
+window.updateIssuePriority = AdvancedIssueManager.updateIssuePriority;
+window.updateIssueAssignee = AdvancedIssueManager.updateIssueAssignee;
+
+// ===== ISSUE EDITING =====
+
+// Edit mode of the issue modal, for every field of the issue. Only the
+// fields that differ from the issue as it was loaded are saved, with its
+// updatedAt as expectedUpdatedAt; if someone else saved the issue in the
+// meantime the server answers 409 with the current issue (see
+// packages/shared/src/issue-edits.ts). Their changes to fields that were
+// not edited here are taken over and the edits saved again; fields both
+// sides changed are shown side by side to pick from.
+const IssueEditor = {
+    base: null, // The issue the edits are based on, while editing
+    conflicts: [], // Fields changed on both sides, while the merge prompt is open
+
+    fields: ['title', 'description', 'category', 'priority', 'status', 'assignee', 'tags', 'resolution'],
+
+    labels: {
+        title: 'Title',
+        description: 'Description',
+        category: 'Category',
+        priority: 'Priority',
+        status: 'Status',
+        assignee: 'Assignee',
+        tags: 'Tags',
+        resolution: 'Resolution'
+    },
+
+    /**
+     * Switch the open issue's modal to edit mode
+     */
+    start: () => {
+        if (!currentIssue) return;
+        IssueEditor.base = currentIssue;
+        IssueEditor.fill(currentIssue);
+        IssueEditor.hideConflict();
+        document.getElementById('issueModal').classList.add('editing');
+        IssueEditor.refresh();
+        document.getElementById('editIssueTitle').focus();
+    },
+
+    /**
+     * Leave edit mode, dropping any edits
+     */
+    stop: () => {
+        IssueEditor.base = null;
+        IssueEditor.hideConflict();
+        document.getElementById('issueModal').classList.remove('editing');
+    },
+
+    /**
+     * Leave edit mode after confirming unsaved edits may be lost
+     */
+    cancel: () => {
+        if (IssueEditor.confirmDiscard()) {
+            IssueEditor.stop();
+        }
+    },
+
+    /**
+     * Whether there are no unsaved edits, or the user agrees to lose them
+     */
+    confirmDiscard: () => {
+        return !IssueEditor.isDirty() || confirm('Discard your unsaved changes to this issue?');
+    },
+
+    /**
+     * Whether any field differs from the issue the edits are based on
+     */
+    isDirty: () => {
+        return IssueEditor.base !== null && Object.keys(IssueEditor.changes()).length > 0;
+    },
+
+    /**
+     * A field's value in the form used for comparing and saving
+     */
+    normalize: (field, value) => {
+        switch (field) {
+            case 'tags':
+                return Array.isArray(value)
+                    ? value
+                    : (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+            case 'title':
+            case 'resolution':
+                return (value || '').trim();
+            case 'category':
+            case 'assignee':
+                return value || null;
+            default:
+                return value || '';
+        }
+    },
+
+    same: (a, b) => JSON.stringify(a) === JSON.stringify(b),
+
+    /**
+     * A field's form control (editIssueTitle, editIssueStatus, ...)
+     */
+    input: (field) => document.getElementById(`editIssue${field[0].toUpperCase()}${field.slice(1)}`),
+
+    /**
+     * The form's values, normalized
+     */
+    values: () => {
+        const values = {};
+        IssueEditor.fields.forEach(field => {
+            values[field] = IssueEditor.normalize(field, IssueEditor.input(field).value);
+        });
+        return values;
+    },
+
+    /**
+     * Fields whose form value differs from the issue the edits are based on
+     */
+    changes: () => {
+        const values = IssueEditor.values();
+        const changes = {};
+        IssueEditor.fields.forEach(field => {
+            if (!IssueEditor.same(values[field], IssueEditor.normalize(field, IssueEditor.base[field]))) {
+                changes[field] = values[field];
+            }
+        });
+        return changes;
+    },
+
+    /**
+     * Put values into the form (statuses offered are those reachable from
+     * the base issue's status)
+     */
+    fill: (values) => {
+        const input = IssueEditor.input;
+        input('title').value = values.title || '';
+        input('description').value = values.description || '';
+        input('priority').value = values.priority;
+        input('tags').value = (values.tags || []).join(', ');
+        input('resolution').value = values.resolution || '';
+
+        const baseStatus = IssueEditor.base.status;
+        const statuses = [baseStatus, ...Workflow.nextStatuses(baseStatus)];
+        if (!statuses.includes(values.status)) {
+            statuses.push(values.status);
+        }
+        input('status').innerHTML = statuses
+            .map(s => `<option value="${s}">${Workflow.statusLabels[s] || Utils.escapeHtml(s)}</option>`)
+            .join('');
+        input('status').value = values.status;
+
+        // Keep values the lists do not offer, so they are not changed by accident
+        [['category', values.category], ['assignee', values.assignee]].forEach(([field, value]) => {
+            const select = input(field);
+            select.querySelectorAll('option[data-extra]').forEach(option => option.remove());
+            if (value && ![...select.options].some(option => option.value === value)) {
+                const option = new Option(value, value);
+                option.dataset.extra = 'true';
+                select.add(option);
+            }
+            select.value = value || '';
+        });
+    },
+
+    /**
+     * Mark the edited fields and enable saving when there are any
+     */
+    refresh: () => {
+        if (!IssueEditor.base) return;
+        const changes = IssueEditor.changes();
+        IssueEditor.fields.forEach(field => {
+            IssueEditor.input(field).closest('.form-group').classList.toggle('dirty', field in changes);
+        });
+        const count = Object.keys(changes).length;
+        document.getElementById('saveIssueButton').disabled = count === 0 || IssueEditor.conflicts.length > 0;
+        document.getElementById('issueEditState').textContent =
+            count === 0 ? 'No changes' : `${count} unsaved change${count === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Save the edited fields (PUT /api/issues/{id}), unless the issue has
+     * changed since the edits were based on it
+     */
+    save: async () => {
+        if (!currentIssue || !IssueEditor.base) return;
+
+        const values = IssueEditor.values();
+        const changes = IssueEditor.changes();
+        if (Object.keys(changes).length === 0) {
+            IssueEditor.stop();
+            return;
+        }
+        if (!values.title) {
+            Utils.showNotification('The title cannot be empty', 'error');
+            return;
+        }
+
+        // A status change must be allowed and carry the fields it requires
+        if ('status' in changes) {
+            const transition = Workflow.findTransition(IssueEditor.base.status, changes.status);
+            if (!transition) {
+                Utils.showNotification(`Cannot move an issue from ${IssueEditor.base.status} to ${changes.status}`, 'error');
+                return;
+            }
+            for (const field of transition.requiredFields || []) {
+                if (!values[field]) {
+                    Utils.showNotification(`A ${field} is required to move to ${Workflow.statusLabels[changes.status]}`, 'error');
+                    return;
+                }
+                changes[field] = values[field];
+            }
+        }
+
+        const button = document.getElementById('saveIssueButton');
+        button.disabled = true;
+        try {
+            await AdvancedIssueManager.updateIssue({ ...changes, expectedUpdatedAt: IssueEditor.base.updatedAt });
+        } catch (error) {
+            if (error.status === 409 && error.body.current) {
+                IssueEditor.merge(error.body.current);
+                return;
+            }
+            Utils.showNotification(`Could not save the issue: ${error.message}`, 'error');
+            IssueEditor.refresh();
+            return;
+        }
+        IssueEditor.stop();
+        Utils.showNotification('Issue saved', 'success');
+    },
+
+    /**
+     * Rebase the edits on the current issue after a 409: take over the
+     * other side's changes, keep ours, and ask about fields both changed
+     */
+    merge: (current) => {
+        const base = IssueEditor.base;
+        const mine = IssueEditor.values();
+        const merged = {};
+        IssueEditor.conflicts = [];
+        IssueEditor.fields.forEach(field => {
+            const original = IssueEditor.normalize(field, base[field]);
+            const theirs = IssueEditor.normalize(field, current[field]);
+            const mineChanged = !IssueEditor.same(mine[field], original);
+            if (mineChanged && !IssueEditor.same(theirs, original) && !IssueEditor.same(mine[field], theirs)) {
+                IssueEditor.conflicts.push({ field, original, mine: mine[field], theirs });
+            }
+            merged[field] = mineChanged ? mine[field] : theirs;
+        });
+
+        AdvancedIssueManager.showUpdatedIssue(current);
+        IssueEditor.base = current;
+        IssueEditor.fill(merged);
+
+        if (IssueEditor.conflicts.length === 0) {
+            Utils.showNotification('Someone else changed other fields of this issue; their changes were kept', 'info');
+            IssueEditor.save();
+            return;
+        }
+        IssueEditor.showConflict();
+    },
+
+    /**
+     * A value as shown in the merge prompt
+     */
+    display: (field, value) => {
+        if (field === 'tags') {
+            value = value.join(', ');
+        } else if (field === 'status') {
+            value = Workflow.statusLabels[value] || value;
+        } else if (field === 'assignee') {
+            value = value || 'Unassigned';
+        }
+        return value
+            ? `<span class="conflict-value">${Utils.escapeHtml(value)}</span>`
+            : '<span class="conflict-value empty">(empty)</span>';
+    },
+
+    /**
+     * Show the fields both sides changed, each with a choice of version
+     */
+    showConflict: () => {
+        const panel = document.getElementById('issueEditConflict');
+        panel.innerHTML = `
+            <h4>⚠️ Someone else saved this issue while you were editing</h4>
+            <p>Their changes to other fields have been merged in. Choose which version to keep where you both changed a field:</p>
+            <table class="conflict-table">
+                <thead>
+                    <tr><th>Field</th><th>Before</th><th>Yours</th><th>Theirs</th></tr>
+                </thead>
+                <tbody>
+                    ${IssueEditor.conflicts.map(({ field, original, mine, theirs }) => `
+                        <tr>
+                            <td>${IssueEditor.labels[field]}</td>
+                            <td>${IssueEditor.display(field, original)}</td>
+                            <td><label><input type="radio" name="conflict-${field}" value="mine" checked> ${IssueEditor.display(field, mine)}</label></td>
+                            <td><label><input type="radio" name="conflict-${field}" value="theirs"> ${IssueEditor.display(field, theirs)}</label></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="conflict-actions">
+                <button class="btn-primary" onclick="resolveIssueConflict()">💾 Save merged</button>
+                <button class="btn-secondary" onclick="cancelIssueEdit()">Discard my changes</button>
+            </div>
+        `;
+        panel.classList.add('active');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        IssueEditor.refresh();
+    },
+
+    hideConflict: () => {
+        IssueEditor.conflicts = [];
+        const panel = document.getElementById('issueEditConflict');
+        panel.classList.remove('active');
+        panel.innerHTML = '';
+    },
+
+    /**
+     * Apply the versions picked in the merge prompt and save
+     */
+    resolveConflict: () => {
+        const values = IssueEditor.values();
+        IssueEditor.conflicts.forEach(({ field, theirs }) => {
+            const choice = document.querySelector(`input[name="conflict-${field}"]:checked`);
+            if (choice && choice.value === 'theirs') {
+                values[field] = theirs;
+            }
+        });
+        IssueEditor.hideConflict();
+        IssueEditor.fill(values);
+        IssueEditor.refresh();
+        IssueEditor.save();
+    }
+};
+
+// Closing the page would lose unsaved edits too
+window.addEventListener('beforeunload', (event) => {
+    if (IssueEditor.isDirty()) {
+        event.preventDefault();
+        event.returnValue = '';
+    }
+});
+
+window.startIssueEdit = IssueEditor.start;
+window.cancelIssueEdit = IssueEditor.cancel;
+window.refreshIssueEdit = IssueEditor.refresh;
+window.saveIssueChanges = IssueEditor.save;
+window.resolveIssueConflict = IssueEditor.resolveConflict;
+
+// ===== ATTACHMENTS =====
+
+// Files attached to an issue (/api/issues/{id}/attachments). Uploads are
+// multipart, one request per file so each is accepted or rejected on its
+// own; downloads go through fetch so the access token is sent, and are
+// handed to the browser as an object URL. The server enforces the size and
+// type limits (see packages/shared/src/attachments.ts). Images show the
+// thumbnail made on upload and text files the start of their contents,
+// highlighted (see packages/shared/src/previews.ts).
+const Attachments = {
+    objectUrls: [], // Thumbnail URLs of the shown list, revoked when it is replaced
 
     /**
-     * Save all changes
+     * Call the attachments API for an issue, throwing the server's message on failure
      */
-    saveIssueChanges: () => {
-        if (!currentIssue) return;
-        
-        // Update issue in the main array
-        const index = issues.findIndex(i => i.issueId === currentIssue.issueId);
-        if (index !== -1) {
-            issues[index] = currentIssue;
+    request: async (method, issueId, path = '', body) => {
+        const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}/attachments${path}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${authToken}` },
+            body
+        });
+        if (response.status === 204) {
+            return null;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        return data;
+    },
+
+    /**
+     * Load and show an issue's attachments in the modal. Issues the server
+     * does not know (the sample data) show their attachment names only.
+     */
+    load: async (issue) => {
+        const container = document.getElementById('modalIssueAttachments');
+        container.innerHTML = '<span style="color: var(--gray-500);">Loading attachments...</span>';
+
+        let attachments;
+        try {
+            attachments = (await Attachments.request('GET', issue.issueId)).items;
+        } catch (error) {
+            console.warn('Attachments unavailable:', error);
+            attachments = null;
+        }
+        if (!currentIssue || currentIssue.issueId !== issue.issueId) {
+            return;
         }
+        Attachments.render(issue, attachments || issue.attachments || [], Boolean(attachments));
+    },
+
+    /**
+     * Show attachments, with download links, thumbnails or text previews
+     * and, for the uploader or an admin, a delete button when they are
+     * stored on the server
+     */
+    render: (issue, attachments, stored) => {
+        const container = document.getElementById('modalIssueAttachments');
+        Attachments.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        Attachments.objectUrls = [];
+        container.innerHTML = attachments.length === 0
+            ? '<span style="color: var(--gray-500);">No attachments</span>'
+            : '';
+        attachments.forEach(attachment => {
+            const element = document.createElement('div');
+            element.className = 'attachment-item';
+            element.innerHTML = `
+                <span class="attachment-icon">📎</span>
+                <div class="attachment-info">
+                    <div class="attachment-name"></div>
+                    <div class="attachment-size"></div>
+                </div>`;
+            const name = element.querySelector('.attachment-name');
+            element.querySelector('.attachment-size').textContent = Utils.formatFileSize(attachment.size) +
+                (attachment.uploaderEmail ? ` · ${attachment.uploaderEmail}` : '');
+
+            if (!stored) {
+                name.textContent = attachment.name;
+                container.appendChild(element);
+                return;
+            }
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'attachment-link';
+            link.textContent = attachment.name;
+            link.title = `Download ${attachment.name}`;
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                Attachments.download(attachment);
+            });
+            name.appendChild(link);
+            if (attachment.thumbnail) {
+                Attachments.showThumbnail(element, attachment);
+            }
 
-        // Refresh the issues table
-        IssueManager.loadIssues();
-        
-        Utils.showNotification('Changes saved successfully', 'success');
+            const canDelete = currentUser &&
+                (currentUser.userId === attachment.uploadedBy || currentUser.role === 'ADMIN');
+            if (canDelete) {
+                const remove = document.createElement('button');
+                remove.className = 'btn-danger attachment-delete';
+                remove.textContent = '🗑️';
+                remove.title = 'Delete attachment';
+                remove.addEventListener('click', () => Attachments.remove(issue, attachment));
+                element.appendChild(remove);
+            }
+            container.appendChild(element);
+            if (attachment.contentType === 'text/plain') {
+                Attachments.showPreview(container, attachment);
+            }
+        });
+    },
+
+    /**
+     * Fetch an attachment's thumbnail or preview with the access token
+     */
+    fetchView: (attachment, view) => {
+        return fetch(`/api/issues/${encodeURIComponent(attachment.issueId)}` +
+            `/attachments/${encodeURIComponent(attachment.attachmentId)}/${view}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+    },
+
+    /**
+     * Replace an image attachment's icon with its thumbnail, which also
+     * downloads the image
+     */
+    showThumbnail: async (element, attachment) => {
+        const image = document.createElement('img');
+        image.className = 'attachment-thumbnail';
+        image.alt = attachment.name;
+        image.width = attachment.thumbnail.width;
+        image.height = attachment.thumbnail.height;
+        image.addEventListener('click', () => Attachments.download(attachment));
+        element.querySelector('.attachment-icon').replaceWith(image);
+
+        try {
+            const response = await Attachments.fetchView(attachment, 'thumbnail');
+            if (!response.ok) {
+                throw new Error(`Request failed (${response.status})`);
+            }
+            const url = URL.createObjectURL(await response.blob());
+            Attachments.objectUrls.push(url);
+            image.src = url;
+        } catch (error) {
+            console.warn('Thumbnail unavailable:', error);
+            image.replaceWith(Object.assign(document.createElement('span'), {
+                className: 'attachment-icon',
+                textContent: '📎'
+            }));
+        }
+    },
+
+    /**
+     * Show the start of a text attachment below its row
+     */
+    showPreview: async (container, attachment) => {
+        const preview = document.createElement('div');
+        preview.className = 'attachment-preview';
+        preview.innerHTML = '<pre></pre><div class="attachment-preview-note"></div>';
+        container.appendChild(preview);
+
+        let data;
+        try {
+            const response = await Attachments.fetchView(attachment, 'preview');
+            data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || `Request failed (${response.status})`);
+            }
+        } catch (error) {
+            console.warn('Preview unavailable:', error);
+            preview.remove();
+            return;
+        }
+        preview.querySelector('pre').innerHTML = Markdown.highlight(data.text);
+        preview.querySelector('.attachment-preview-note').textContent = data.truncated
+            ? `First ${Utils.formatFileSize(new TextEncoder().encode(data.text).length)} of ${Utils.formatFileSize(data.size)}`
+            : '';
+    },
+
+    /**
+     * Upload files to an issue, one request each
+     *
+     * @returns The number of files that were uploaded
+     */
+    upload: async (issueId, files) => {
+        let uploaded = 0;
+        for (const file of files) {
+            const form = new FormData();
+            form.append('file', file, file.name);
+            try {
+                const { items } = await Attachments.request('POST', issueId, '', form);
+                if (items[0].duplicate) {
+                    Utils.showNotification(`${file.name} is already attached`, 'info');
+                } else {
+                    uploaded++;
+                }
+            } catch (error) {
+                Utils.showNotification(`Could not attach ${file.name}: ${error.message}`, 'error');
+            }
+        }
+        return uploaded;
+    },
+
+    /**
+     * Upload the files picked in the modal to the open issue
+     */
+    attachFiles: async (input) => {
+        if (!currentIssue || input.files.length === 0) return;
+        const issue = currentIssue;
+        const files = [...input.files];
+        input.value = '';
+        const uploaded = await Attachments.upload(issue.issueId, files);
+        if (uploaded > 0) {
+            Utils.showNotification(`${uploaded} file(s) attached`, 'success');
+        }
+        if (currentIssue && currentIssue.issueId === issue.issueId) {
+            Attachments.load(issue);
+        }
+    },
+
+    /**
+     * Download an attachment with the access token and save it under its name
+     */
+    download: async (attachment) => {
+        try {
+            const response = await fetch(`/api/issues/${encodeURIComponent(attachment.issueId)}` +
+                `/attachments/${encodeURIComponent(attachment.attachmentId)}/download`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || `Request failed (${response.status})`);
+            }
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.name;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            Utils.showNotification(`Could not download ${attachment.name}: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Delete an attachment after confirmation
+     */
+    remove: async (issue, attachment) => {
+        if (!confirm(`Delete ${attachment.name}?`)) {
+            return;
+        }
+        try {
+            await Attachments.request('DELETE', issue.issueId, `/${encodeURIComponent(attachment.attachmentId)}`);
+        } catch (error) {
+            Utils.showNotification(`Could not delete attachment: ${error.message}`, 'error');
+            return;
+        }
+        Attachments.load(issue);
+        Utils.showNotification('Attachment deleted', 'success');
     }
 };
 
-// Add utility function for file size formatting
-Utils.formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-};
+window.attachFiles = Attachments.attachFiles;
 
-// ===== GLOBAL FUNCTIONS FOR PHASE 2 =====
-window.openIssueModal = AdvancedIssueManager.openIssueModal;
-window.closeIssueModal = AdvancedIssueManager.closeIssueModal;
-window.addComment = AdvancedIssueManager.addComment;
-window.addTimeEntry = AdvancedIssueManager.addTimeEntry;
-window.toggleTimer = AdvancedIssueManager.toggleTimer;
-window.updateIssueStatus = AdvancedIssueManager.updateIssueStatus;
-window.updateIssuePriority = AdvancedIssueManager.updateIssuePriority;
-window.updateIssueAssignee = AdvancedIssueManager.updateIssueAssignee;
-window.saveIssueChanges = AdvancedIssueManager.saveIssueChanges;
+// ===== @MENTIONS =====
+
+// Autocomplete for @mentions in comment textareas, from GET /api/users. The
+// server resolves the mentions when the comment is saved (see
+// packages/shared/src/mentions.ts) and notifies the mentioned users.
+const Mentions = {
+    directory: null, // Promise of the users who can be mentioned
+    directoryToken: null, // Access token the directory was loaded with
+
+    /**
+     * Users who can be mentioned, loaded once per sign-in
+     */
+    load: () => {
+        if (!Mentions.directory || Mentions.directoryToken !== authToken) {
+            Mentions.directoryToken = authToken;
+            Mentions.directory = fetch('/api/users', {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            }).then(async response => {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.message || `Request failed (${response.status})`);
+                }
+                return data.items;
+            }).catch(error => {
+                console.warn('User directory unavailable:', error);
+                Mentions.directory = null;
+                return [];
+            });
+        }
+        return Mentions.directory;
+    },
+
+    /**
+     * Handle to insert for a user: their first name when no one else
+     * shares it, otherwise their email
+     */
+    handleFor: (user, users) => {
+        const name = (user.firstName || '').toLowerCase();
+        const unique = /^[a-z][\w-]*$/.test(name) &&
+            users.filter(other => (other.firstName || '').toLowerCase() === name).length === 1;
+        return unique ? user.firstName : user.email;
+    },
+
+    /**
+     * Other users whose email or name starts with a partial handle
+     */
+    match: (users, query) => {
+        const prefix = query.toLowerCase();
+        return users
+            .filter(user => !currentUser || user.userId !== currentUser.userId)
+            .filter(user => [user.email, user.firstName, user.lastName]
+                .some(value => (value || '').toLowerCase().startsWith(prefix)))
+            .slice(0, 6);
+    },
+
+    /**
+     * Suggest users while an @mention is typed in a textarea; arrow keys
+     * move through the suggestions, Enter or Tab inserts one
+     */
+    attach: (textarea) => {
+        const list = document.createElement('ul');
+        list.className = 'mention-suggestions';
+        list.style.display = 'none';
+        textarea.insertAdjacentElement('afterend', list);
+
+        let users = [];
+        let suggestions = [];
+        let active = 0;
+
+        // The partial handle before the caret, or null outside a mention
+        const pending = () => {
+            const before = textarea.value.slice(0, textarea.selectionStart);
+            const match = /(^|[^\w.@])@([\w.%+@-]*)$/.exec(before);
+            return match ? { query: match[2], start: before.length - match[2].length - 1 } : null;
+        };
+
+        const close = () => {
+            suggestions = [];
+            list.style.display = 'none';
+        };
+
+        const pick = (user) => {
+            const mention = pending();
+            if (mention) {
+                const handle = `@${Mentions.handleFor(user, users)} `;
+                textarea.value = textarea.value.slice(0, mention.start) + handle +
+                    textarea.value.slice(textarea.selectionStart);
+                textarea.selectionStart = textarea.selectionEnd = mention.start + handle.length;
+            }
+            close();
+            textarea.focus();
+        };
+
+        const render = () => {
+            list.innerHTML = '';
+            suggestions.forEach((user, index) => {
+                const item = document.createElement('li');
+                item.className = index === active ? 'active' : '';
+                item.innerHTML = '<span class="mention-name"></span><span class="mention-email"></span>';
+                item.querySelector('.mention-name').textContent = `${user.firstName} ${user.lastName}`;
+                item.querySelector('.mention-email').textContent = user.email;
+                // mousedown, so the textarea keeps its caret
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    pick(user);
+                });
+                list.appendChild(item);
+            });
+            list.style.display = suggestions.length > 0 ? '' : 'none';
+        };
+
+        textarea.addEventListener('input', async () => {
+            if (!pending()) {
+                close();
+                return;
+            }
+            users = await Mentions.load();
+            // The text may have changed while the directory loaded
+            const mention = pending();
+            suggestions = mention ? Mentions.match(users, mention.query) : [];
+            active = 0;
+            render();
+        });
+
+        textarea.addEventListener('keydown', (e) => {
+            if (suggestions.length === 0) {
+                return;
+            }
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                active = (active + (e.key === 'ArrowDown' ? 1 : suggestions.length - 1)) % suggestions.length;
+                render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pick(suggestions[active]);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        });
+
+        textarea.addEventListener('blur', close);
+    }
+};
 
 // ===== PHASE 2B: REPORTS & ANALYTICS =====
 
 // Reports Management
 const ReportsManager = {
     currentReportType: 'summary',
+    queryResults: null, // Issues matching the report query, when one is set
     
     /**
      * Show reports section
@@ -1450,7 +2869,7 @@ const ReportsManager = {
         ReportsManager.currentReportType = type;
         
         // Hide all report sections
-        const reportSections = ['summaryReport', 'trendsReport', 'performanceReport', 'customReport'];
+        const reportSections = ['summaryReport', 'trendsReport', 'performanceReport', 'timesheetReport', 'customReport'];
         reportSections.forEach(section => {
             document.getElementById(section).style.display = 'none';
         });
@@ -1483,6 +2902,9 @@ const ReportsManager = {
             case 'performance':
                 ReportsManager.loadPerformanceReport();
                 break;
+            case 'timesheet':
+                Timesheets.show();
+                break;
             case 'custom':
                 ReportsManager.loadCustomReport();
                 break;
@@ -1544,7 +2966,8 @@ const ReportsManager = {
      * Get filtered issues based on current filters
      */
     getFilteredIssues: () => {
-        let filteredIssues = [...issues];
+        // The report query is evaluated by the server in generateReport
+        let filteredIssues = [...(ReportsManager.queryResults || issues)];
         
         const dateRange = document.getElementById('reportDateRange').value;
         const category = document.getElementById('reportCategory').value;
@@ -1802,7 +3225,7 @@ const ReportsManager = {
 
         // Create a simple chart representation
         let chartHTML = `<div style="text-align: center; padding: 20px;">
-            <h4 style="color: var(--gray-700); margin-bottom: 15px;">${title}</h4>
+            <h4 style="color: var(--gray-700); margin-bottom: 15px;">${Utils.escapeHtml(title)}</h4>
             <div style="display: flex; flex-direction: column; gap: 10px;">`;
 
         data.forEach(item => {
@@ -1812,7 +3235,7 @@ const ReportsManager = {
             
             chartHTML += `
                 <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: var(--gray-50); border-radius: 8px;">
-                    <span style="font-weight: 500; color: var(--gray-700);">${item.label}</span>
+                    <span style="font-weight: 500; color: var(--gray-700);">${Utils.escapeHtml(item.label)}</span>
                     <div style="display: flex; align-items: center; gap: 10px;">
                         <div style="width: 100px; height: 8px; background: var(--gray-200); border-radius: 4px; overflow: hidden;">
                             <div style="width: ${percentage}%; height: 100%; background: linear-gradient(90deg, var(--secondary-color), var(--accent-color));"></div>
@@ -1829,7 +3252,18 @@ const ReportsManager = {
     /**
      * Generate report based on current filters
      */
-    generateReport: () => {
+    generateReport: async () => {
+        const query = document.getElementById('reportQuery').value.trim();
+        if (query && !authToken) {
+            Utils.showNotification('Please login to run a report query', 'error');
+            return;
+        }
+        try {
+            ReportsManager.queryResults = query ? await IssueManager.queryIssues(query) : null;
+        } catch (error) {
+            Utils.showNotification(`Report query failed: ${error.message}`, 'error');
+            return;
+        }
         ReportsManager.loadReportData(ReportsManager.currentReportType);
         Utils.showNotification('Report generated successfully!', 'success');
     },
@@ -1881,47 +3315,401 @@ const ReportsManager = {
             ].join(','))
         ].join('\n');
 
-        const blob = new Blob([csvContent], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename + '.csv';
-        link.click();
-        URL.revokeObjectURL(url);
-        
-        Utils.showNotification('CSV exported successfully!', 'success');
+        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename + '.csv';
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        Utils.showNotification('CSV exported successfully!', 'success');
+    },
+
+    /**
+     * Export to Excel (mock implementation)
+     */
+    exportToExcel: (data, filename) => {
+        Utils.showNotification('Excel export would generate: ' + filename + '.xlsx', 'info');
+        // In a real implementation, this would use an Excel library
+    },
+
+    /**
+     * Build custom report
+     */
+    buildCustomReport: () => {
+        const selectedFilters = Array.from(document.querySelectorAll('.filter-options input:checked')).map(cb => cb.value);
+        const selectedCharts = Array.from(document.querySelectorAll('.chart-options input:checked')).map(cb => cb.value);
+        
+        if (selectedFilters.length === 0 || selectedCharts.length === 0) {
+            Utils.showNotification('Please select at least one filter and one chart type', 'error');
+            return;
+        }
+
+        Utils.showNotification(`Custom report built with ${selectedFilters.length} filters and ${selectedCharts.length} chart types`, 'success');
+    }
+};
+
+// ===== GLOBAL FUNCTIONS FOR PHASE 2B =====
+window.showReports = ReportsManager.showReports;
+window.showReportType = ReportsManager.showReportType;
+window.generateReport = ReportsManager.generateReport;
+window.exportReport = ReportsManager.exportReport;
+window.buildCustomReport = ReportsManager.buildCustomReport;
+
+// Weekly timesheets (GET /api/timesheets), shown as a report type. A member's
+// week lists minutes per issue per day; the team's lists minutes per member
+// per day. Members submit their week, which locks its time entries, and
+// managers approve or reject it.
+const Timesheets = {
+    data: null, // The loaded member or team timesheet
+
+    dayNames: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+
+    statusLabels: {
+        OPEN: 'Open',
+        SUBMITTED: 'Submitted',
+        APPROVED: 'Approved',
+        REJECTED: 'Rejected'
+    },
+
+    /**
+     * Show the timesheet report, starting on the current user's week
+     */
+    show: async () => {
+        const weekInput = document.getElementById('timesheetWeek');
+        if (!weekInput.value) {
+            weekInput.value = new Date().toISOString().split('T')[0];
+        }
+        await Timesheets.loadMembers();
+        Timesheets.load();
+    },
+
+    /**
+     * Fill the member picker: yourself, each team, everyone who logged time
+     * and everyone in the directory
+     */
+    loadMembers: async () => {
+        const select = document.getElementById('timesheetMember');
+        const selected = select.value || (currentUser && currentUser.userId);
+        const users = await Mentions.load();
+        const others = users.filter(user => !currentUser || user.userId !== currentUser.userId);
+        select.innerHTML = [
+            `<option value="${Utils.escapeHtml(currentUser.userId)}">My timesheet</option>`,
+            ...teams.map(team => `<option value="team:${Utils.escapeHtml(team.id)}">Team: ${Utils.escapeHtml(team.name)}</option>`),
+            '<option value="team">All members</option>',
+            ...others.map(user => `<option value="${Utils.escapeHtml(user.userId)}">${Utils.escapeHtml(user.email)}</option>`)
+        ].join('');
+        select.value = selected;
+    },
+
+    /**
+     * Name of the loaded team timesheet's team
+     */
+    teamName: (data) => {
+        if (!data.teamId) {
+            return 'All members';
+        }
+        const team = teams.find(t => t.id === data.teamId);
+        return team ? team.name : data.teamId;
+    },
+
+    /**
+     * Call the timesheets API, throwing the server's message on failure
+     */
+    request: async (method, path, body) => {
+        const response = await fetch(`/api/timesheets${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        return data;
+    },
+
+    /**
+     * Load the selected member's or team's timesheet for the selected week
+     */
+    load: async () => {
+        const week = document.getElementById('timesheetWeek').value;
+        const member = document.getElementById('timesheetMember').value;
+        const table = document.getElementById('timesheetTable');
+        if (!week || !member) {
+            return;
+        }
+        table.innerHTML = '<tr><td>Loading timesheet...</td></tr>';
+
+        let data;
+        try {
+            if (member === 'team') {
+                data = await Timesheets.request('GET', `?week=${encodeURIComponent(week)}`);
+            } else if (member.startsWith('team:')) {
+                data = await Timesheets.request('GET',
+                    `?week=${encodeURIComponent(week)}&teamId=${encodeURIComponent(member.slice('team:'.length))}`);
+            } else {
+                data = await Timesheets.request('GET', `/${encodeURIComponent(member)}/${encodeURIComponent(week)}`);
+            }
+        } catch (error) {
+            Timesheets.data = null;
+            table.innerHTML = `<tr><td>${Utils.escapeHtml(error.message)}</td></tr>`;
+            document.getElementById('timesheetSummary').innerHTML = '';
+            document.getElementById('timesheetActions').innerHTML = '';
+            return;
+        }
+        Timesheets.data = data;
+        Timesheets.render();
+    },
+
+    /**
+     * Move the selected week back or forward
+     */
+    shiftWeek: (weeks) => {
+        const weekInput = document.getElementById('timesheetWeek');
+        const date = new Date(`${weekInput.value || new Date().toISOString().split('T')[0]}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + weeks * 7);
+        weekInput.value = date.toISOString().split('T')[0];
+        Timesheets.load();
+    },
+
+    /**
+     * Minutes as a timesheet cell ("–" for none)
+     */
+    formatCell: (minutes) => {
+        return minutes ? AdvancedIssueManager.formatMinutes(minutes) : '–';
+    },
+
+    /**
+     * Show the loaded timesheet: totals, the grid and the approval actions
+     */
+    render: () => {
+        const data = Timesheets.data;
+        const isTeam = !data.userId;
+        const format = Timesheets.formatCell;
+        const header = `<tr><th>${isTeam ? 'Member' : 'Issue'}</th>${data.days.map((day, i) =>
+            `<th>${Timesheets.dayNames[i]}<br><small>${day.slice(5)}</small></th>`).join('')}<th>Total</th><th>Billable</th></tr>`;
+
+        const lines = isTeam
+            ? data.members.map(member => `<tr>
+                <td><a href="#" data-user-id="${Utils.escapeHtml(member.userId)}">${Utils.escapeHtml(member.userEmail)}</a>
+                    <span class="timesheet-status ${member.status.toLowerCase()}">${Timesheets.statusLabels[member.status]}</span></td>
+                ${member.minutes.map(minutes => `<td>${format(minutes)}</td>`).join('')}
+                <td><strong>${format(member.totalMinutes)}</strong></td>
+                <td>${format(member.billableMinutes)}</td>
+            </tr>`)
+            : data.rows.map(row => `<tr>
+                <td><a href="#" data-issue-id="${Utils.escapeHtml(row.issueId)}">${Utils.escapeHtml(row.issueTitle || row.issueId)}</a></td>
+                ${row.minutes.map(minutes => `<td>${format(minutes)}</td>`).join('')}
+                <td><strong>${format(row.totalMinutes)}</strong></td>
+                <td>${format(row.billableMinutes)}</td>
+            </tr>`);
+
+        const footer = `<tr class="timesheet-total"><td>Total</td>${data.dayTotals.map(minutes =>
+            `<td>${format(minutes)}</td>`).join('')}<td>${format(data.totalMinutes)}</td><td>${format(data.billableMinutes)}</td></tr>`;
+
+        const table = document.getElementById('timesheetTable');
+        table.innerHTML = lines.length === 0
+            ? `${header}<tr><td colspan="10">No time logged this week</td></tr>`
+            : header + lines.join('') + footer;
+        table.querySelectorAll('a[data-user-id]').forEach(link => link.addEventListener('click', (e) => {
+            e.preventDefault();
+            Timesheets.openMember(link.dataset.userId);
+        }));
+        table.querySelectorAll('a[data-issue-id]').forEach(link => link.addEventListener('click', (e) => {
+            e.preventDefault();
+            Timesheets.openIssue(link.dataset.issueId);
+        }));
+
+        const summary = document.getElementById('timesheetSummary');
+        summary.innerHTML = (isTeam ? `${Utils.escapeHtml(Timesheets.teamName(data))} · ` : '') +
+            `Week of ${Utils.escapeHtml(data.weekStart)} · ${AdvancedIssueManager.formatMinutes(data.totalMinutes)} logged · ` +
+            `${AdvancedIssueManager.formatMinutes(data.billableMinutes)} billable · ${AdvancedIssueManager.formatMinutes(data.nonBillableMinutes)} non-billable`;
+        if (!isTeam) {
+            const approval = data.approval;
+            const status = document.createElement('span');
+            status.className = `timesheet-status ${approval.status.toLowerCase()}`;
+            status.textContent = Timesheets.statusLabels[approval.status];
+            summary.appendChild(status);
+            if (approval.reviewedBy) {
+                const review = document.createElement('div');
+                review.className = 'timesheet-review';
+                review.textContent = `${Timesheets.statusLabels[approval.status]} by ${approval.reviewedBy} ${Utils.formatDate(approval.reviewedAt)}` +
+                    (approval.comment ? `: ${approval.comment}` : '');
+                summary.appendChild(review);
+            }
+        }
+        Timesheets.renderActions();
+    },
+
+    /**
+     * Submit, approve and reject buttons for the loaded member timesheet
+     */
+    renderActions: () => {
+        const container = document.getElementById('timesheetActions');
+        container.innerHTML = '';
+        const data = Timesheets.data;
+        if (!data || !data.userId) {
+            return;
+        }
+        const status = data.approval.status;
+        const isOwn = currentUser && currentUser.userId === data.userId;
+        // The server requires manage_teams to review; ADMIN is the role that has it
+        const isManager = currentUser && currentUser.role === 'ADMIN';
+        const button = (label, className, action) => {
+            const element = document.createElement('button');
+            element.className = className;
+            element.textContent = label;
+            element.addEventListener('click', () => Timesheets.act(action));
+            container.appendChild(element);
+        };
+
+        if (isOwn && (status === 'OPEN' || status === 'REJECTED')) {
+            button('📤 Submit Week', 'btn-primary', 'submit');
+        }
+        if (isManager && status === 'SUBMITTED') {
+            button('✅ Approve', 'btn-primary', 'approve');
+        }
+        if (isManager && (status === 'SUBMITTED' || status === 'APPROVED')) {
+            button(status === 'APPROVED' ? '🔓 Reopen' : '↩️ Reject', 'btn-secondary', 'reject');
+        }
+    },
+
+    /**
+     * Submit, approve or reject the loaded member's week
+     */
+    act: async (action) => {
+        const data = Timesheets.data;
+        let body = {};
+        if (action === 'reject') {
+            const comment = prompt('Reason for sending the timesheet back (optional):');
+            if (comment === null) {
+                return;
+            }
+            body = comment.trim() ? { comment: comment.trim() } : {};
+        } else if (action === 'submit' && !confirm('Submit this week? Its time entries will be locked until it is reviewed.')) {
+            return;
+        }
+
+        try {
+            await Timesheets.request('POST',
+                `/${encodeURIComponent(data.userId)}/${encodeURIComponent(data.weekStart)}/${action}`, body);
+        } catch (error) {
+            Utils.showNotification(`Could not ${action} timesheet: ${error.message}`, 'error');
+            return;
+        }
+        Utils.showNotification({
+            submit: 'Timesheet submitted for approval',
+            approve: 'Timesheet approved',
+            reject: 'Timesheet sent back to the member'
+        }[action], 'success');
+        Timesheets.load();
+    },
+
+    /**
+     * Show a member's timesheet from the team timesheet
+     */
+    openMember: (userId) => {
+        document.getElementById('timesheetMember').value = userId;
+        Timesheets.load();
+    },
+
+    /**
+     * Open an issue from a member timesheet, fetching it when it is not in the loaded list
+     */
+    openIssue: async (issueId) => {
+        let issue = issues.find(i => i.issueId === issueId);
+        if (!issue) {
+            const response = await fetch(`/api/issues/${encodeURIComponent(issueId)}`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+            if (!response.ok) {
+                Utils.showNotification('This issue no longer exists', 'warning');
+                return;
+            }
+            issue = await response.json();
+        }
+        AdvancedIssueManager.openIssueModal(issue.issueId, issue);
     },
 
     /**
-     * Export to Excel (mock implementation)
+     * Quote a CSV cell when it contains a comma, quote or line break
+     *
+     * Text a spreadsheet would read as a formula (starting with =, +, -, @,
+     * a tab or a carriage return) is prefixed with ' so it stays text.
      */
-    exportToExcel: (data, filename) => {
-        Utils.showNotification('Excel export would generate: ' + filename + '.xlsx', 'info');
-        // In a real implementation, this would use an Excel library
+    csvCell: (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     },
 
     /**
-     * Build custom report
+     * Download the loaded timesheet as CSV: one line per time entry for a
+     * member, or hours per day for each member of the team and the team's
+     * total
      */
-    buildCustomReport: () => {
-        const selectedFilters = Array.from(document.querySelectorAll('.filter-options input:checked')).map(cb => cb.value);
-        const selectedCharts = Array.from(document.querySelectorAll('.chart-options input:checked')).map(cb => cb.value);
-        
-        if (selectedFilters.length === 0 || selectedCharts.length === 0) {
-            Utils.showNotification('Please select at least one filter and one chart type', 'error');
+    exportCSV: () => {
+        const data = Timesheets.data;
+        if (!data) {
+            Utils.showNotification('Load a timesheet first', 'error');
             return;
         }
+        const hours = minutes => (minutes / 60).toFixed(2);
+        let rows;
+        if (data.userId) {
+            const titles = Object.fromEntries(data.rows.map(row => [row.issueId, row.issueTitle]));
+            rows = [
+                ['Date', 'Member', 'Issue ID', 'Issue', 'Hours', 'Billable', 'Description', 'Status'],
+                ...data.entries.map(entry => [
+                    entry.startedAt.split('T')[0],
+                    entry.userEmail,
+                    entry.issueId,
+                    titles[entry.issueId] || '',
+                    hours(entry.minutes),
+                    entry.billable === false ? 'No' : 'Yes',
+                    entry.description,
+                    data.approval.status
+                ])
+            ];
+        } else {
+            const team = Timesheets.teamName(data);
+            rows = [
+                ['Team', 'Member', 'Status', ...data.days, 'Total Hours', 'Billable Hours'],
+                ...data.members.map(member => [
+                    team,
+                    member.userEmail,
+                    member.status,
+                    ...member.minutes.map(hours),
+                    hours(member.totalMinutes),
+                    hours(member.billableMinutes)
+                ]),
+                [team, 'Total', '', ...data.dayTotals.map(hours), hours(data.totalMinutes), hours(data.billableMinutes)]
+            ];
+        }
 
-        Utils.showNotification(`Custom report built with ${selectedFilters.length} filters and ${selectedCharts.length} chart types`, 'success');
+        const csvContent = rows.map(row => row.map(Timesheets.csvCell).join(',')).join('\n');
+        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `timesheet_${data.userId ? data.userEmail : (data.teamId || 'all')}_${data.weekStart}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        Utils.showNotification('CSV exported successfully!', 'success');
     }
 };
 
-// ===== GLOBAL FUNCTIONS FOR PHASE 2B =====
-window.showReports = ReportsManager.showReports;
-window.showReportType = ReportsManager.showReportType;
-window.generateReport = ReportsManager.generateReport;
-window.exportReport = ReportsManager.exportReport;
-window.buildCustomReport = ReportsManager.buildCustomReport;
+window.loadTimesheet = Timesheets.load;
+window.shiftTimesheetWeek = Timesheets.shiftWeek;
+window.exportTimesheet = Timesheets.exportCSV;
 
 // ===== PHASE 3: TEAM MANAGEMENT =====
 
@@ -2135,8 +3923,8 @@ const TeamManager = {
             <div class="team-card">
                 <div class="team-header">
                     <div class="team-info">
-                        <div class="team-name">${team.name}</div>
-                        <div class="team-description">${team.description}</div>
+                        <div class="team-name">${Utils.escapeHtml(team.name)}</div>
+                        <div class="team-description">${Utils.escapeHtml(team.description)}</div>
                     </div>
                     <div class="team-actions">
                         <button class="action-btn edit" onclick="editTeam('${team.id}')">✏️</button>
@@ -2154,7 +3942,7 @@ const TeamManager = {
                     </div>
                     <div class="stat-item">
                         <div class="stat-label">Department</div>
-                        <div class="stat-value">${team.department}</div>
+                        <div class="stat-value">${Utils.escapeHtml(team.department)}</div>
                     </div>
                 </div>
             </div>
@@ -2169,11 +3957,11 @@ const TeamManager = {
         
         membersTableBody.innerHTML = teamMembers.map(member => `
             <tr>
-                <td>${member.firstName} ${member.lastName}</td>
-                <td>${member.email}</td>
-                <td>${member.role}</td>
-                <td>${member.team}</td>
-                <td>${member.department}</td>
+                <td>${Utils.escapeHtml(member.firstName)} ${Utils.escapeHtml(member.lastName)}</td>
+                <td>${Utils.escapeHtml(member.email)}</td>
+                <td>${Utils.escapeHtml(member.role)}</td>
+                <td>${Utils.escapeHtml(member.team)}</td>
+                <td>${Utils.escapeHtml(member.department)}</td>
                 <td><span class="member-status ${member.status}">${member.status}</span></td>
                 <td>
                     <button class="action-btn edit" onclick="editMember('${member.id}')">✏️</button>
@@ -2193,8 +3981,8 @@ const TeamManager = {
             <div class="role-card">
                 <div class="role-header">
                     <div class="role-info">
-                        <div class="role-name">${role.name}</div>
-                        <div class="role-description">${role.description}</div>
+                        <div class="role-name">${Utils.escapeHtml(role.name)}</div>
+                        <div class="role-description">${Utils.escapeHtml(role.description)}</div>
                     </div>
                     <div class="role-actions">
                         <button class="action-btn edit" onclick="editRole('${role.id}')">✏️</button>
@@ -2225,8 +4013,8 @@ const TeamManager = {
             <div class="department-card">
                 <div class="department-header">
                     <div class="department-info">
-                        <div class="department-name">${dept.name}</div>
-                        <div class="department-description">${dept.description}</div>
+                        <div class="department-name">${Utils.escapeHtml(dept.name)}</div>
+                        <div class="department-description">${Utils.escapeHtml(dept.description)}</div>
                     </div>
                     <div class="department-actions">
                         <button class="action-btn edit" onclick="editDepartment('${dept.id}')">✏️</button>
@@ -2609,8 +4397,8 @@ const IntegrationManager = {
             <div class="activity-item">
                 <div class="activity-icon">${activity.icon}</div>
                 <div class="activity-content">
-                    <div class="activity-title">${activity.title}</div>
-                    <div class="activity-description">${activity.description}</div>
+                    <div class="activity-title">${Utils.escapeHtml(activity.title)}</div>
+                    <div class="activity-description">${Utils.escapeHtml(activity.description)}</div>
                 </div>
                 <div class="activity-time">${Utils.formatTimeAgo(activity.time)}</div>
             </div>
@@ -3091,48 +4879,115 @@ window.testJiraConnection = IntegrationManager.testJiraConnection;
 // ===== ENHANCED ISSUE FILTERING & BULK ACTIONS =====
 
 // Global state for filtering
-let filteredIssues = [];
+let listFilters = {}; // Query parameters of the paged list (GET /api/issues)
+let searchResults = null; // Matches of the search box, when it is in use
+let searchSnippets = {}; // issueId -> highlighted snippets of the current search
+let searchTimer = null;
+let searchRequest = 0;
 let selectedIssues = new Set();
 
 /**
- * Filter issues based on current filters
+ * Filter issues based on current filters (debounced while typing)
  */
 const filterIssues = () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(applyIssueFilters, 250);
+}
+
+/**
+ * Apply the filters; the query box (filter language) and the search box are
+ * evaluated by the server, which ranks search matches and returns
+ * highlighted snippets
+ */
+const applyIssueFilters = async () => {
+    const queryFilter = document.getElementById('queryFilter').value.trim();
     const statusFilter = document.getElementById('statusFilter').value;
     const priorityFilter = document.getElementById('priorityFilter').value;
     const categoryFilter = document.getElementById('categoryFilter').value;
-    const searchFilter = document.getElementById('searchFilter').value.toLowerCase();
-
-    filteredIssues = issues.filter(issue => {
-        const matchesStatus = !statusFilter || issue.status === statusFilter;
-        const matchesPriority = !priorityFilter || issue.priority === priorityFilter;
-        const matchesCategory = !categoryFilter || issue.category === categoryFilter;
-        const matchesSearch = !searchFilter || 
-            issue.title.toLowerCase().includes(searchFilter) ||
-            issue.description.toLowerCase().includes(searchFilter) ||
-            (issue.assignee && issue.assignee.toLowerCase().includes(searchFilter));
-
-        return matchesStatus && matchesPriority && matchesCategory && matchesSearch;
-    });
+    const searchQuery = document.getElementById('searchFilter').value.trim();
+    const request = ++searchRequest;
+
+    if (!authToken) {
+        Utils.showNotification('Please login to search issues', 'error');
+        return;
+    }
+
+    // Without a search the server filters and pages the list itself
+    if (!searchQuery) {
+        listFilters = { filter: queryFilter, status: statusFilter, priority: priorityFilter, category: categoryFilter };
+        searchResults = null;
+        searchSnippets = {};
+        pageTokens = [null];
+        currentPage = 1;
+        IssueManager.displayIssues();
+        return;
+    }
+
+    // Search results are ranked by the server (at most 50) and paged here
+    let candidates;
+    const snippets = {};
+    try {
+        const [matching, search] = await Promise.all([
+            queryFilter ? IssueManager.queryIssues(queryFilter) : null,
+            fetch(`/api/issues/search?q=${encodeURIComponent(searchQuery)}&limit=50`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            }).then(async response => {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.message || 'Search failed');
+                }
+                return data;
+            })
+        ]);
+        if (request !== searchRequest) {
+            return; // A newer search has started
+        }
+        candidates = search.items.map(hit => {
+            snippets[hit.issue.issueId] = hit.snippets;
+            return hit.issue;
+        });
+        if (matching) {
+            const matchingIds = new Set(matching.map(issue => issue.issueId));
+            candidates = candidates.filter(issue => matchingIds.has(issue.issueId));
+        }
+    } catch (error) {
+        if (request === searchRequest) {
+            Utils.showNotification(error.message, 'error');
+        }
+        return;
+    }
 
+    // Search results keep their ranking; the dropdowns narrow them down
+    searchResults = candidates.filter(issue =>
+        (!statusFilter || issue.status === statusFilter) &&
+        (!priorityFilter || issue.priority === priorityFilter) &&
+        (!categoryFilter || issue.category === categoryFilter)
+    );
+    searchSnippets = snippets;
     currentPage = 1;
-    IssueManager.loadIssues();
-    IssueManager.loadIssuesForPage();
+    IssueManager.displayIssues();
 }
 
 /**
  * Clear all filters
  */
 const clearFilters = () => {
+    SavedViews.activeViewId = null;
+    SavedViews.render();
+    document.getElementById('queryFilter').value = '';
     document.getElementById('statusFilter').value = '';
     document.getElementById('priorityFilter').value = '';
     document.getElementById('categoryFilter').value = '';
     document.getElementById('searchFilter').value = '';
     
-    filteredIssues = [...issues];
+    clearTimeout(searchTimer);
+    searchRequest++;
+    listFilters = {};
+    searchResults = null;
+    searchSnippets = {};
+    pageTokens = [null];
     currentPage = 1;
-    IssueManager.loadIssues();
-    IssueManager.loadIssuesForPage();
+    IssueManager.displayIssues();
 }
 
 /**
@@ -3181,26 +5036,27 @@ const updateSelectAllState = () => {
 /**
  * Bulk delete selected issues
  */
-const bulkDelete = () => {
+const bulkDelete = async () => {
     if (selectedIssues.size === 0) {
         Utils.showNotification('Please select issues to delete', 'warning');
         return;
     }
 
     if (confirm(`Are you sure you want to delete ${selectedIssues.size} issue(s)?`)) {
-        selectedIssues.forEach(issueId => {
-            const index = issues.findIndex(issue => issue.issueId === issueId);
-            if (index !== -1) {
-                issues.splice(index, 1);
-            }
-        });
-        
+        const issueIds = [...selectedIssues];
+        const results = await Promise.allSettled(issueIds.map(issueId => IssueManager.removeIssue(issueId)));
+        const failed = results.filter(result => result.status === 'rejected').length;
+
         selectedIssues.clear();
         document.getElementById('selectAllCheckbox').checked = false;
-        
-        IssueManager.loadIssues();
+
+        IssueManager.displayIssues();
         Dashboard.updateMetrics();
-        Utils.showNotification(`${selectedIssues.size} issue(s) deleted successfully`, 'success');
+        if (failed > 0) {
+            Utils.showNotification(`${issueIds.length - failed} issue(s) deleted, ${failed} could not be deleted`, 'error');
+        } else {
+            Utils.showNotification(`${issueIds.length} issue(s) deleted successfully`, 'success');
+        }
     }
 }
 
@@ -3211,3 +5067,476 @@ window.toggleSelectAll = toggleSelectAll;
 window.selectAllIssues = selectAllIssues;
 window.updateSelectAllState = updateSelectAllState;
 window.bulkDelete = bulkDelete;
+
+// ===== SAVED VIEWS =====
+
+/**
+ * Saved views: named sets of the issues list and reports filters, stored
+ * on the server (/api/views). Pinned views appear in the navigation menu
+ * with a badge counting the issues changed since the view was last opened.
+ */
+const SavedViews = {
+    views: [],
+    activeViewId: null,
+
+    // Issues list filter inputs, keyed by the view filter they store
+    issueFilterInputs: {
+        filter: 'queryFilter',
+        status: 'statusFilter',
+        priority: 'priorityFilter',
+        category: 'categoryFilter',
+        search: 'searchFilter'
+    },
+
+    // Reports filter selects and the value each starts with
+    reportFilterInputs: {
+        reportDateRange: { id: 'reportDateRange', initial: '30' },
+        reportCategory: { id: 'reportCategory', initial: 'all' },
+        reportAssignee: { id: 'reportAssignee', initial: 'all' }
+    },
+
+    /**
+     * Call the views API, throwing the server's message on failure
+     */
+    request: async (method, path, body) => {
+        const response = await fetch(`/api/views${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (response.status === 204) {
+            return null;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        return data;
+    },
+
+    /**
+     * Load the views visible to the current user
+     */
+    load: async () => {
+        if (!authToken) {
+            return;
+        }
+        try {
+            const data = await SavedViews.request('GET', '');
+            SavedViews.views = data.items;
+            SavedViews.render();
+        } catch (error) {
+            console.warn('Saved views unavailable:', error);
+        }
+    },
+
+    /**
+     * Replace a view in the local list with the server's copy
+     */
+    store: (view) => {
+        const index = SavedViews.views.findIndex(v => v.viewId === view.viewId);
+        if (index === -1) {
+            SavedViews.views.push(view);
+        } else {
+            SavedViews.views[index] = view;
+        }
+        SavedViews.render();
+    },
+
+    /**
+     * Render the view picker, the team choices and the pinned views
+     */
+    render: () => {
+        const select = document.getElementById('savedViewSelect');
+        select.innerHTML = '<option value="">— No saved view —</option>';
+        SavedViews.views.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view.viewId;
+            option.textContent = `${view.scope === 'team' ? '👥 ' : ''}${view.name}` +
+                (view.unreadCount > 0 ? ` (${view.unreadCount})` : '');
+            select.appendChild(option);
+        });
+        select.value = SavedViews.activeViewId || '';
+
+        const scope = document.getElementById('viewScope');
+        if (scope.options.length === 1) {
+            teams.forEach(team => {
+                const option = document.createElement('option');
+                option.value = team.id;
+                option.textContent = `Team: ${team.name}`;
+                scope.appendChild(option);
+            });
+        }
+
+        const active = SavedViews.views.find(v => v.viewId === SavedViews.activeViewId);
+        document.getElementById('pinViewBtn').textContent = active && active.pinned ? '📌 Unpin' : '📌 Pin';
+
+        const pinned = document.getElementById('pinnedViews');
+        pinned.innerHTML = '';
+        SavedViews.views.filter(view => view.pinned).forEach(view => {
+            const button = document.createElement('button');
+            button.className = 'nav-btn pinned-view';
+            button.title = view.scope === 'team' ? `Team view (${view.teamId})` : 'Personal view';
+            button.textContent = `📌 ${view.name}`;
+            if (view.unreadCount > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'view-badge';
+                badge.textContent = view.unreadCount > 99 ? '99+' : view.unreadCount;
+                button.appendChild(badge);
+            }
+            button.addEventListener('click', () => {
+                UI.showIssues();
+                SavedViews.apply(view.viewId);
+            });
+            pinned.appendChild(button);
+        });
+    },
+
+    /**
+     * Current issues list and reports filters, without empty values
+     */
+    currentFilters: () => {
+        const filters = {};
+        Object.entries(SavedViews.issueFilterInputs).forEach(([key, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) {
+                filters[key] = value;
+            }
+        });
+        Object.entries(SavedViews.reportFilterInputs).forEach(([key, { id }]) => {
+            filters[key] = document.getElementById(id).value;
+        });
+        return filters;
+    },
+
+    /**
+     * Restore a view's filters, then mark it seen
+     */
+    apply: async (viewId) => {
+        const view = SavedViews.views.find(v => v.viewId === viewId);
+        SavedViews.activeViewId = view ? view.viewId : null;
+        if (!view) {
+            SavedViews.render();
+            return;
+        }
+
+        Object.entries(SavedViews.issueFilterInputs).forEach(([key, id]) => {
+            document.getElementById(id).value = view.filters[key] || '';
+        });
+        Object.entries(SavedViews.reportFilterInputs).forEach(([key, { id, initial }]) => {
+            document.getElementById(id).value = view.filters[key] || initial;
+        });
+        SavedViews.render();
+        applyIssueFilters();
+
+        try {
+            SavedViews.store(await SavedViews.request('POST', `/${encodeURIComponent(viewId)}/seen`));
+        } catch (error) {
+            console.warn('Could not mark view as seen:', error);
+        }
+    },
+
+    /**
+     * Save the current filters: as a new view when a name is given,
+     * otherwise into the selected view
+     */
+    save: async () => {
+        if (!authToken) {
+            Utils.showNotification('Please login to save views', 'error');
+            return;
+        }
+        const nameInput = document.getElementById('viewName');
+        const name = nameInput.value.trim();
+        const teamId = document.getElementById('viewScope').value;
+        const filters = SavedViews.currentFilters();
+
+        try {
+            if (name) {
+                const view = await SavedViews.request('POST', '', {
+                    name,
+                    scope: teamId ? 'team' : 'personal',
+                    teamId: teamId || null,
+                    filters
+                });
+                SavedViews.activeViewId = view.viewId;
+                SavedViews.store(view);
+                nameInput.value = '';
+                Utils.showNotification(`Saved view "${view.name}"`, 'success');
+            } else if (SavedViews.activeViewId) {
+                const view = await SavedViews.request('PUT', `/${encodeURIComponent(SavedViews.activeViewId)}`, { filters });
+                SavedViews.store(view);
+                Utils.showNotification(`Updated view "${view.name}"`, 'success');
+            } else {
+                Utils.showNotification('Enter a name for the view', 'warning');
+            }
+        } catch (error) {
+            Utils.showNotification(`Could not save view: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Pin or unpin the selected view
+     */
+    togglePin: async () => {
+        const view = SavedViews.views.find(v => v.viewId === SavedViews.activeViewId);
+        if (!view) {
+            Utils.showNotification('Select a saved view first', 'warning');
+            return;
+        }
+        try {
+            SavedViews.store(await SavedViews.request('PUT', `/${encodeURIComponent(view.viewId)}/pin`, { pinned: !view.pinned }));
+        } catch (error) {
+            Utils.showNotification(`Could not pin view: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Delete the selected view
+     */
+    remove: async () => {
+        const view = SavedViews.views.find(v => v.viewId === SavedViews.activeViewId);
+        if (!view) {
+            Utils.showNotification('Select a saved view first', 'warning');
+            return;
+        }
+        if (!confirm(`Delete the saved view "${view.name}"?`)) {
+            return;
+        }
+        try {
+            await SavedViews.request('DELETE', `/${encodeURIComponent(view.viewId)}`);
+            SavedViews.views = SavedViews.views.filter(v => v.viewId !== view.viewId);
+            SavedViews.activeViewId = null;
+            SavedViews.render();
+            Utils.showNotification(`Deleted view "${view.name}"`, 'success');
+        } catch (error) {
+            Utils.showNotification(`Could not delete view: ${error.message}`, 'error');
+        }
+    }
+};
+
+// Refresh unread counts while signed in
+setInterval(SavedViews.load, 60000);
+
+window.applySavedView = SavedViews.apply;
+window.saveView = SavedViews.save;
+window.togglePinView = SavedViews.togglePin;
+window.deleteView = SavedViews.remove;
+
+// ===== NOTIFICATION CENTER =====
+
+// Bell in the header with the unread count, and a panel listing the
+// current user's notifications (GET /api/notifications). Notifications are
+// created server-side for assignments, status changes and comments on
+// watched issues, and mentions; toasts stay for transient feedback.
+const NotificationCenter = {
+    items: [],
+    unreadCount: 0,
+
+    // Notification types as listed in the settings, in the shared enum's order
+    typeLabels: {
+        mention: 'Someone mentions me',
+        assigned: 'An issue is assigned to me',
+        status_changed: 'The status of an issue I watch changes',
+        assignee_changed: 'The assignee of an issue I watch changes',
+        priority_changed: 'The priority of an issue I watch changes',
+        commented: 'Someone comments on an issue I watch'
+    },
+
+    /**
+     * Call the notifications API, throwing the server's message on failure
+     */
+    request: async (method, path, body) => {
+        const response = await fetch(`/api/notifications${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed (${response.status})`);
+        }
+        return data;
+    },
+
+    /**
+     * Load the current user's newest notifications
+     */
+    load: async () => {
+        if (!authToken) {
+            return;
+        }
+        try {
+            const inbox = await NotificationCenter.request('GET', '?limit=20');
+            NotificationCenter.items = inbox.items;
+            NotificationCenter.unreadCount = inbox.unreadCount;
+            NotificationCenter.render();
+        } catch (error) {
+            console.warn('Notifications unavailable:', error);
+        }
+    },
+
+    /**
+     * Clear the bell and panel (on logout)
+     */
+    reset: () => {
+        NotificationCenter.items = [];
+        NotificationCenter.unreadCount = 0;
+        document.getElementById('notificationPanel').classList.remove('show');
+        NotificationCenter.render();
+    },
+
+    /**
+     * Render the unread badge and the panel
+     */
+    render: () => {
+        document.getElementById('notificationMenu').style.display = authToken ? '' : 'none';
+
+        const count = document.getElementById('notificationCount');
+        count.textContent = NotificationCenter.unreadCount > 99 ? '99+' : NotificationCenter.unreadCount;
+        count.style.display = NotificationCenter.unreadCount > 0 ? '' : 'none';
+
+        const list = document.getElementById('notificationList');
+        list.innerHTML = NotificationCenter.items.length === 0
+            ? '<div class="notification-empty">No notifications</div>'
+            : '';
+        NotificationCenter.items.forEach(notification => {
+            const item = document.createElement('div');
+            item.className = `notification-item${notification.readAt ? '' : ' unread'}`;
+            item.innerHTML = '<div class="notification-message"></div><div class="notification-date"></div>';
+            item.querySelector('.notification-message').textContent = notification.message;
+            item.querySelector('.notification-date').textContent = Utils.formatDate(notification.createdAt);
+            item.addEventListener('click', () => NotificationCenter.open(notification));
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Show or hide the panel, refreshing it when shown
+     */
+    toggle: () => {
+        const panel = document.getElementById('notificationPanel');
+        panel.classList.toggle('show');
+        document.getElementById('accountDropdown').classList.remove('show');
+        if (panel.classList.contains('show')) {
+            NotificationCenter.load();
+        }
+    },
+
+    /**
+     * Mark a notification read and open its issue (at its comment)
+     */
+    open: async (notification) => {
+        document.getElementById('notificationPanel').classList.remove('show');
+        if (!notification.readAt) {
+            try {
+                Object.assign(notification, await NotificationCenter.request(
+                    'POST', `/${encodeURIComponent(notification.notificationId)}/read`));
+                NotificationCenter.unreadCount = Math.max(0, NotificationCenter.unreadCount - 1);
+                NotificationCenter.render();
+            } catch (error) {
+                console.warn('Could not mark notification read:', error);
+            }
+        }
+
+        let issue = issues.find(i => i.issueId === notification.issueId);
+        if (!issue) {
+            const response = await fetch(`/api/issues/${encodeURIComponent(notification.issueId)}`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+            if (!response.ok) {
+                Utils.showNotification('This issue no longer exists', 'warning');
+                return;
+            }
+            issue = await response.json();
+        }
+        AdvancedIssueManager.focusCommentId = notification.commentId || null;
+        AdvancedIssueManager.openIssueModal(issue.issueId, issue);
+    },
+
+    /**
+     * Mark all of the current user's notifications read
+     */
+    markAllRead: async () => {
+        try {
+            await NotificationCenter.request('POST', '/read-all');
+        } catch (error) {
+            Utils.showNotification(`Could not mark notifications read: ${error.message}`, 'error');
+            return;
+        }
+        const now = new Date().toISOString();
+        NotificationCenter.items.forEach(notification => {
+            notification.readAt = notification.readAt || now;
+        });
+        NotificationCenter.unreadCount = 0;
+        NotificationCenter.render();
+    },
+
+    /**
+     * Open the settings modal with the current user's mutes (a checked box
+     * means the notification is delivered on that channel)
+     */
+    showSettings: async () => {
+        document.getElementById('notificationPanel').classList.remove('show');
+        let settings;
+        try {
+            settings = await NotificationCenter.request('GET', '/settings');
+        } catch (error) {
+            Utils.showNotification(`Could not load notification settings: ${error.message}`, 'error');
+            return;
+        }
+
+        const rows = document.getElementById('notificationSettingsRows');
+        rows.innerHTML = '';
+        Object.entries(NotificationCenter.typeLabels).forEach(([type, label]) => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td></td>' + ['inApp', 'email'].map(channel => `
+                <td><input type="checkbox" data-channel="${channel}" data-type="${type}"
+                    ${settings.muted[channel].includes(type) ? '' : 'checked'}></td>`).join('');
+            row.querySelector('td').textContent = label;
+            rows.appendChild(row);
+        });
+        document.getElementById('notificationSettingsModal').style.display = 'block';
+    },
+
+    /**
+     * Save the settings modal's unchecked boxes as the current user's mutes
+     */
+    saveSettings: async () => {
+        const muted = { inApp: [], email: [] };
+        document.querySelectorAll('#notificationSettingsRows input[type="checkbox"]').forEach(box => {
+            if (!box.checked) {
+                muted[box.dataset.channel].push(box.dataset.type);
+            }
+        });
+        try {
+            await NotificationCenter.request('PUT', '/settings', { muted });
+        } catch (error) {
+            Utils.showNotification(`Could not save notification settings: ${error.message}`, 'error');
+            return;
+        }
+        NotificationCenter.closeSettings();
+        Utils.showNotification('Notification settings saved', 'success');
+    },
+
+    /**
+     * Close the settings modal
+     */
+    closeSettings: () => {
+        document.getElementById('notificationSettingsModal').style.display = 'none';
+    }
+};
+
+// Refresh the unread count while signed in
+setInterval(NotificationCenter.load, 60000);
+
+window.toggleNotifications = NotificationCenter.toggle;
+window.markAllNotificationsRead = NotificationCenter.markAllRead;
+window.showNotificationSettings = NotificationCenter.showSettings;
+window.saveNotificationSettings = NotificationCenter.saveSettings;
+window.closeNotificationSettings = NotificationCenter.closeSettings;
@@ -0,0 +1,359 @@
+/**
+ * @author Vincent Wachira
+ * @version v1.0.0
+ * @date 19-Oct-2026
+ * @description Markdown Rendering and HTML Sanitization
+ *
+ * Renders the Markdown used in issue descriptions and comments: paragraphs,
+ * headings, emphasis, strikethrough, inline code, fenced code blocks, block
+ * quotes, nested lists, task checkboxes (`- [x] done`), links and bare URLs.
+ * Given a comment's resolved `mentions`, `@handle` is rendered as a link to
+ * the mentioned user.
+ *
+ * Raw HTML in the source is never interpreted: all text is escaped before
+ * Markdown markup is turned into tags, and the result is passed through an
+ * allow-list sanitizer (tags, attributes, attribute values and link
+ * schemes) before it reaches innerHTML. Every other user-supplied field
+ * should go through escapeHtml.
+ *
+ * highlight() marks up plain text such as a log file's preview: timestamps,
+ * log levels, quoted strings, URLs and numbers become <span class="hl-...">
+ * around escaped text, and nothing else is produced.
+ *
+ * Loaded by the web app as `window.Markdown`, and by test-local.js through
+ * require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Markdown = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Tags the sanitizer keeps, with the attributes each may carry
+    const ALLOWED_TAGS = {
+        a: ['href', 'title', 'class'],
+        blockquote: [],
+        br: [],
+        code: ['class'],
+        del: [],
+        em: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        hr: [],
+        input: ['type', 'checked', 'disabled'],
+        li: ['class'],
+        ol: ['start'],
+        p: [],
+        pre: [],
+        strong: [],
+        ul: []
+    };
+
+    // Values allowed for each attribute (href is checked by isSafeUrl)
+    const ALLOWED_VALUES = {
+        title: /^[^<>]*$/,
+        class: /^(language-[\w-]+|task-item|mention)$/,
+        type: /^checkbox$/,
+        checked: /^$/,
+        disabled: /^$/,
+        start: /^\d{1,9}$/
+    };
+
+    // Link schemes; links without a scheme (relative, #anchor) are allowed
+    const ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+    const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)[^`]*$/;
+    const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+    const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE = /^ {0,3}>\s?/;
+    const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/;
+    const TASK = /^\[([ xX])\]\s+/;
+
+    // Same handles as packages/shared/src/mentions.ts, run on escaped text
+    const MENTION = /(^|[^\w.@])@([\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}|[A-Za-z][\w-]*)/g;
+
+    // Placeholder delimiter for markup that inline rules must not touch
+    const HOLD = '\u0000';
+
+    // Tokens highlight() marks, one group per class in HIGHLIGHT_CLASSES
+    const HIGHLIGHT = new RegExp([
+        /(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?|\b\d{2}:\d{2}:\d{2}(?:[.,]\d+)?\b)/,
+        /\b(FATAL|CRITICAL|SEVERE|ERROR|ERR)\b/,
+        /\b(WARNING|WARN)\b/,
+        /\b(INFO|NOTICE)\b/,
+        /\b(DEBUG|TRACE)\b/,
+        /("(?:[^"\\\n]|\\.)*")/,
+        /(https?:\/\/[^\s"'<>]+)/,
+        /(\b\d+(?:\.\d+)?)/
+    ].map(pattern => pattern.source).join('|'), 'g');
+    const HIGHLIGHT_CLASSES = ['time', 'error', 'warn', 'info', 'debug', 'string', 'url', 'number'];
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Undo escapeHtml and numeric character references, to check a URL the
+    // way the browser will read it
+    function decodeEntities(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+            .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10) % 0x110000))
+            .replace(/&quot;/g, '"')
+            .replace(/&colon;/gi, ':')
+            .replace(/&#39;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Check a link target; false for schemes such as javascript: or data:
+     */
+    function isSafeUrl(url) {
+        // Browsers ignore whitespace and control characters inside a scheme
+        const normalized = decodeEntities(String(url))
+            .replace(/[\u0000- \u007f-\u009f]/g, '')
+            .toLowerCase();
+        const scheme = /^([^/]*?):/.exec(normalized);
+        return !scheme || ALLOWED_SCHEMES.includes(scheme[1]);
+    }
+
+    /**
+     * Keep only allow-listed tags and attributes; anything else is escaped
+     * and shown as text
+     */
+    function sanitize(html) {
+        return String(html).split(/(<[^>]*>)/).map(part => {
+            if (!part.startsWith('<')) {
+                return part.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            }
+            const tag = /^<(\/?)([a-z][a-z0-9]*)((?:\s+[a-z-]+(?:="[^"]*")?)*)\s*\/?>$/i.exec(part);
+            const name = tag && tag[2].toLowerCase();
+            if (!tag || !Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, name)) {
+                return escapeHtml(part);
+            }
+            if (tag[1]) {
+                return `</${name}>`;
+            }
+
+            let attributes = '';
+            for (const [, rawName, value = ''] of tag[3].matchAll(/([a-z-]+)(?:="([^"]*)")?/gi)) {
+                const attribute = rawName.toLowerCase();
+                if (!ALLOWED_TAGS[name].includes(attribute)) {
+                    continue;
+                }
+                const allowed = attribute === 'href'
+                    ? isSafeUrl(value)
+                    : ALLOWED_VALUES[attribute].test(value);
+                if (allowed && !(name === 'input' && attribute === 'disabled')) {
+                    attributes += value ? ` ${attribute}="${value}"` : ` ${attribute}`;
+                }
+            }
+            if (name === 'a') {
+                attributes += ' rel="noopener noreferrer nofollow" target="_blank"';
+            }
+            if (name === 'input') {
+                attributes += ' disabled';
+            }
+            return `<${name}${attributes}>`;
+        }).join('');
+    }
+
+    /**
+     * Render inline markup (code, links, bare URLs, mentions, emphasis) in
+     * one line of source text
+     *
+     * @param mentions - Map of lower-cased handle to email
+     */
+    function renderInline(source, mentions) {
+        const held = [];
+        const hold = html => `${HOLD}${held.push(html) - 1}${HOLD}`;
+
+        let text = escapeHtml(source)
+            .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+            // The target may contain balanced parentheses, e.g. javascript:alert(1)
+            // (a disallowed link keeps just its label)
+            .replace(/\[([^\]\n]+)\]\(((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, url, title) => {
+                if (!isSafeUrl(url)) {
+                    return label;
+                }
+                const titleAttribute = title ? ` title="${title}"` : '';
+                return `${hold(`<a href="${url}"${titleAttribute}>`)}${label}${hold('</a>')}`;
+            })
+            .replace(/(^|[\s(])(https?:\/\/(?:(?!&(?:lt|gt|quot|#39);)[^\s\u0000])+)/g, (match, before, url) => {
+                const trailing = /[.,;:!?)]*$/.exec(url)[0];
+                const href = url.slice(0, url.length - trailing.length);
+                return `${before}${hold(`<a href="${href}">${href}</a>`)}${trailing}`;
+            })
+            .replace(MENTION, (match, before, handle) => {
+                const email = mentions.get(handle.toLowerCase());
+                return email
+                    ? `${before}${hold(`<a class="mention" href="mailto:${email}" title="${email}">@${handle}</a>`)}`
+                    : match;
+            });
+
+        text = text
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+        return text.replace(new RegExp(`${HOLD}(\\d+)${HOLD}`, 'g'), (_, index) => held[index]);
+    }
+
+    // Whether a line starts a block other than a paragraph
+    function startsBlock(line) {
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+            QUOTE.test(line) || LIST_ITEM.test(line);
+    }
+
+    // Render a list starting at lines[start]; returns the HTML and the index
+    // of the first line after it
+    function renderList(lines, start, mentions) {
+        const ordered = /\d/.test(LIST_ITEM.exec(lines[start])[2]);
+        const items = [];
+        let index = start;
+
+        while (index < lines.length) {
+            const match = LIST_ITEM.exec(lines[index]);
+            if (!match || /\d/.test(match[2]) !== ordered) {
+                break;
+            }
+            const column = match[0].length;
+            const itemLines = [lines[index].slice(column)];
+            index++;
+
+            // Indented lines (after blank lines too) and lazy continuation
+            // lines belong to the item
+            while (index < lines.length) {
+                const line = lines[index];
+                const indent = /^ */.exec(line)[0].length;
+                if (line.trim() && indent >= 2) {
+                    itemLines.push(line.slice(Math.min(indent, column)));
+                } else if (line.trim() && !startsBlock(line) && itemLines[itemLines.length - 1].trim()) {
+                    itemLines.push(line);
+                } else if (!line.trim() && index + 1 < lines.length && /^ {2,}\S/.test(lines[index + 1])) {
+                    itemLines.push('');
+                } else {
+                    break;
+                }
+                index++;
+            }
+            // A blank line between items keeps the list going
+            if (index + 1 < lines.length && !lines[index].trim() && LIST_ITEM.test(lines[index + 1])) {
+                index++;
+            }
+
+            const task = TASK.exec(itemLines[0]);
+            if (task) {
+                itemLines[0] = itemLines[0].slice(task[0].length);
+            }
+            const content = renderBlocks(itemLines, mentions).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            items.push(task
+                ? `<li class="task-item"><input type="checkbox"${task[1] === ' ' ? '' : ' checked'} disabled> ${content}</li>`
+                : `<li>${content}</li>`);
+        }
+
+        const first = parseInt(LIST_ITEM.exec(lines[start])[2], 10);
+        const open = ordered ? (first !== 1 ? `<ol start="${first}">` : '<ol>') : '<ul>';
+        return { html: `${open}${items.join('')}${ordered ? '</ol>' : '</ul>'}`, next: index };
+    }
+
+    // Render block-level Markdown
+    function renderBlocks(lines, mentions) {
+        const html = [];
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            let match;
+
+            if (!line.trim()) {
+                index++;
+            } else if ((match = FENCE.exec(line))) {
+                const code = [];
+                index++;
+                while (index < lines.length && !lines[index].trim().startsWith(match[1])) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                index++;
+                const language = match[2] ? ` class="language-${match[2]}"` : '';
+                html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            } else if ((match = HEADING.exec(line))) {
+                const level = match[1].length;
+                html.push(`<h${level}>${renderInline(match[2], mentions)}</h${level}>`);
+                index++;
+            } else if (RULE.test(line)) {
+                html.push('<hr>');
+                index++;
+            } else if (QUOTE.test(line)) {
+                const quoted = [];
+                while (index < lines.length && QUOTE.test(lines[index])) {
+                    quoted.push(lines[index].replace(QUOTE, ''));
+                    index++;
+                }
+                html.push(`<blockquote>${renderBlocks(quoted, mentions)}</blockquote>`);
+            } else if (LIST_ITEM.test(line)) {
+                const list = renderList(lines, index, mentions);
+                html.push(list.html);
+                index = list.next;
+            } else {
+                const paragraph = [];
+                while (index < lines.length && lines[index].trim() &&
+                    (paragraph.length === 0 || !startsBlock(lines[index]))) {
+                    paragraph.push(renderInline(lines[index].trim(), mentions));
+                    index++;
+                }
+                html.push(`<p>${paragraph.join('<br>')}</p>`);
+            }
+        }
+
+        return html.join('');
+    }
+
+    /**
+     * Render Markdown to sanitized HTML, safe to assign to innerHTML
+     *
+     * @param {object} [options]
+     * @param {Array<{handle: string, email: string}>} [options.mentions] -
+     *   Mentions resolved by the server, rendered as links
+     */
+    function render(source, options = {}) {
+        const mentions = new Map((options.mentions || [])
+            .map(mention => [String(mention.handle).toLowerCase(), escapeHtml(mention.email)]));
+        const lines = String(source === null || source === undefined ? '' : source)
+            .replace(/\u0000/g, '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n');
+        return sanitize(renderBlocks(lines, mentions));
+    }
+
+    /**
+     * Highlight plain text (log files), returning HTML safe to assign to
+     * innerHTML inside a <pre>
+     */
+    function highlight(source) {
+        const text = String(source === null || source === undefined ? '' : source);
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(HIGHLIGHT)) {
+            const kind = HIGHLIGHT_CLASSES[match.slice(1).findIndex(group => group !== undefined)];
+            html += escapeHtml(text.slice(last, match.index)) +
+                `<span class="hl-${kind}">${escapeHtml(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + escapeHtml(text.slice(last));
+    }
+
+    return { render, sanitize, escapeHtml, isSafeUrl, highlight };
+}));